@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+// bin/ai-platform.js
+// Entry point for the `ai-platform` command; see src/cli/cli.js for the commands.
+
+import PlatformCli from '../src/cli/cli.js';
+
+const cli = new PlatformCli();
+cli.run(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+});
@@ -0,0 +1,608 @@
+// src/api/api-server.js
+// HTTP REST API layer exposing SystemManager and ProjectPersistence operations
+// (see design-docs/ui-integration-checklist.md, sections 1 and 5).
+
+import express from 'express';
+import http from 'http';
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import { PlatformError } from '../core/error-utils.js';
+import { PROJECT_STATUS, isTerminalStatus } from '../core/project-status.js';
+import { getSubtaskId } from '../core/subtask-scheduler.js';
+import { EventStreamServer } from './event-stream-server.js';
+
+// --- Custom Error Classes for the API Layer ---
+class ApiError extends PlatformError {
+    constructor(message, code = 'API_ERROR', httpStatus = 500, context = {}, originalError = null, severity = 'WARNING') {
+        super(message, code, context, originalError, severity);
+        this.httpStatus = httpStatus;
+    }
+}
+
+class ApiValidationError extends ApiError {
+    constructor(message, context = {}) {
+        super(message, 'API_VALIDATION_ERROR', 400, context);
+    }
+}
+
+class ApiConflictError extends ApiError {
+    constructor(message, context = {}) {
+        super(message, 'API_CONFLICT_ERROR', 409, context);
+    }
+}
+
+class ApiNotFoundError extends ApiError {
+    constructor(message, context = {}) {
+        super(message, 'API_NOT_FOUND', 404, context);
+    }
+}
+
+class ApiUnavailableError extends ApiError {
+    constructor(message, context = {}) {
+        super(message, 'API_SYSTEM_UNAVAILABLE', 503, context, null, 'RETRYABLE_TRANSIENT');
+    }
+}
+
+// HTTP status for well-known PlatformError codes raised by the core components.
+const ERROR_CODE_HTTP_STATUS = {
+    PERSISTENCE_PROJECT_NOT_FOUND: 404,
+    PERSISTENCE_ERROR: 400,
+    PERSISTENCE_STORAGE_ACCESS_ERROR: 503,
+    CONCURRENCY_IO_ERROR: 409,
+    APPROVAL_PROJECT_NOT_FOUND: 404,
+    APPROVAL_NOT_PENDING: 409,
+    APPROVAL_ID_MISMATCH: 409,
+    CLARIFICATION_PROJECT_NOT_FOUND: 404,
+    CLARIFICATION_NOT_PENDING: 409,
+    CLARIFICATION_ID_MISMATCH: 409,
+    CLARIFICATION_ANSWERS_INCOMPLETE: 400,
+    CANCELLATION_PROJECT_NOT_FOUND: 404,
+    CANCELLATION_INVALID_STATE: 409,
+    PROJECT_SCHEDULING_NOT_FOUND: 404,
+    PROJECT_SCHEDULING_INVALID_STATE: 409,
+    PROJECT_SCHEDULING_INVALID_PRIORITY: 400
+};
+
+// Fallback HTTP status by error severity when the code is not mapped explicitly.
+const SEVERITY_HTTP_STATUS = {
+    WARNING: 400,
+    RETRYABLE_TRANSIENT: 503,
+    RECOVERABLE_WITH_MODIFICATION: 422,
+    RECOVERABLE_WITH_REPLAN: 422,
+    CRITICAL: 500,
+    FATAL: 500
+};
+
+// API error codes for the client errors raised by express and body-parser (e.g. 'entity.too.large').
+const HTTP_STATUS_ERROR_CODE = {
+    413: 'API_PAYLOAD_TOO_LARGE',
+    415: 'API_UNSUPPORTED_MEDIA_TYPE'
+};
+
+const PROJECT_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,127}$/;
+const CHECKPOINT_NAME_MARKER = '_checkpoint_';
+
+/**
+ * Builds the structured error body described in the UI integration checklist (section 5.1).
+ * @param {Error | PlatformError} error
+ * @param {string} requestId
+ * @returns {{ status: number, body: { error: { code: string, message: string, severity: string, details?: object, requestId: string } } }}
+ */
+function buildErrorResponse(error, requestId) {
+    if (error instanceof PlatformError) {
+        const status = error.httpStatus
+            || ERROR_CODE_HTTP_STATUS[error.code]
+            || SEVERITY_HTTP_STATUS[error.severity]
+            || 500;
+        return {
+            status,
+            body: {
+                error: {
+                    code: error.code || 'PLATFORM_ERROR',
+                    message: error.message,
+                    severity: error.severity || 'UNKNOWN',
+                    details: error.context,
+                    requestId
+                }
+            }
+        };
+    }
+    // body-parser raises plain errors carrying a status (e.g. malformed JSON)
+    if (error.type === 'entity.parse.failed') {
+        return buildErrorResponse(new ApiValidationError('Malformed JSON in request body.'), requestId);
+    }
+    const httpStatus = error.status ?? error.statusCode;
+    if (Number.isInteger(httpStatus) && httpStatus >= 400 && httpStatus < 500) {
+        const code = HTTP_STATUS_ERROR_CODE[httpStatus] || 'API_REQUEST_ERROR';
+        return buildErrorResponse(new ApiError(error.message, code, httpStatus, error.type ? { type: error.type } : {}), requestId);
+    }
+    return {
+        status: 500,
+        body: {
+            error: { code: 'INTERNAL_SERVER_ERROR', message: error.message || 'Unexpected server error.', severity: 'CRITICAL', requestId }
+        }
+    };
+}
+
+class ApiServer {
+    /**
+     * @param {import('../core/system-manager.js').default} systemManager - An initialized SystemManager.
+     * @param {object} [config]
+     * @param {number} [config.port] - Port to listen on, defaults to `api.port` or 3000.
+     * @param {string} [config.host] - Interface to bind, defaults to `api.host` or '127.0.0.1'.
+     * @param {number} [config.recentLogsLimit] - Number of log entries returned by the status endpoint.
+     * @param {boolean} [config.enableEventStream] - Serve the WebSocket event stream when SystemManager exposes `events`.
+     */
+    constructor(systemManager, config = {}) {
+        if (!systemManager) {
+            throw new ApiError('ApiServer requires a SystemManager instance.', 'API_CONFIG_ERROR', 500, {}, null, 'FATAL');
+        }
+        this.systemManager = systemManager;
+        const configManager = systemManager.configManager;
+        this.config = {
+            port: configManager?.get('api.port', 3000) ?? 3000,
+            host: configManager?.get('api.host', '127.0.0.1') ?? '127.0.0.1',
+            recentLogsLimit: configManager?.get('api.recentLogsLimit', 20) ?? 20,
+            enableEventStream: configManager?.get('api.enableEventStream', true) ?? true,
+            ...config
+        };
+
+        this.app = this.createApp();
+        this.httpServer = null;
+        this.eventStream = null;
+    }
+
+    /** @returns {import('../core/project-persistence.js').ProjectPersistence} */
+    get projectPersistence() {
+        return this.systemManager.projectPersistence;
+    }
+
+    /**
+     * Builds the express application with all routes and the error middleware.
+     * @returns {import('express').Express}
+     */
+    createApp() {
+        const app = express();
+        app.use(express.json({ limit: '5mb' }));
+        app.use((req, res, next) => {
+            req.requestId = req.get('x-request-id') || uuidv4();
+            res.set('x-request-id', req.requestId);
+            next();
+        });
+
+        const router = express.Router();
+        router.post('/projects', this._wrap(this.handleSubmitProject));
+        router.get('/projects', this._wrap(this.handleListProjects));
+        router.get('/projects/:projectName/status', this._wrap(this.handleGetProjectStatus));
+        router.get('/projects/:projectName/results', this._wrap(this.handleGetProjectResults));
+        router.get('/projects/:projectName/approval', this._wrap(this.handleGetPendingApproval));
+        router.post('/projects/:projectName/approval', this._wrap(this.handleDecideApproval));
+        router.get('/projects/:projectName/clarification', this._wrap(this.handleGetPendingClarification));
+        router.post('/projects/:projectName/clarification', this._wrap(this.handleAnswerClarification));
+        router.post('/projects/:projectName/pause', this._wrap(this.handlePauseProject));
+        router.post('/projects/:projectName/resume', this._wrap(this.handleResumeProject));
+        router.post('/projects/:projectName/cancel', this._wrap(this.handleCancelProject));
+        router.put('/projects/:projectName/priority', this._wrap(this.handleSetProjectPriority));
+        router.get('/system/health', this._wrap(this.handleGetSystemHealth));
+        app.use('/api', router);
+
+        app.use((req, res, next) => next(new ApiNotFoundError(`Route not found: ${req.method} ${req.path}`)));
+        // Express only treats four-argument middleware as an error handler
+        app.use((err, req, res, _next) => {
+            const { status, body } = buildErrorResponse(err, req.requestId);
+            if (status >= 500) {
+                console.error(`[ApiServer] ${req.method} ${req.path} failed (${body.error.code}): ${err.message}`);
+            }
+            res.status(status).json(body);
+        });
+        return app;
+    }
+
+    /**
+     * Starts listening for HTTP requests.
+     * @returns {Promise<http.Server>}
+     */
+    async start() {
+        if (this.httpServer) return this.httpServer;
+        this.httpServer = http.createServer(this.app);
+        if (this.config.enableEventStream && this.systemManager.events) {
+            this.eventStream = new EventStreamServer(this.systemManager.events);
+            this.eventStream.attach(this.httpServer);
+        }
+        await new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.config.port, this.config.host, () => {
+                this.httpServer.off('error', reject);
+                resolve();
+            });
+        });
+        const { port } = this.httpServer.address();
+        console.log(`[ApiServer] Listening on http://${this.config.host}:${port}/api`);
+        return this.httpServer;
+    }
+
+    /**
+     * Stops accepting new connections and waits for in-flight requests to finish.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.httpServer) return;
+        const server = this.httpServer;
+        this.httpServer = null;
+        if (this.eventStream) {
+            await this.eventStream.close();
+            this.eventStream = null;
+        }
+        await new Promise((resolve, reject) => server.close(err => err ? reject(err) : resolve()));
+        console.log('[ApiServer] Stopped.');
+    }
+
+    // --- Route handlers ---
+
+    async handleSubmitProject(req, res) {
+        const { userInput, projectName, options = {} } = req.body || {};
+        if (typeof userInput !== 'string' || !userInput.trim()) {
+            throw new ApiValidationError('Field "userInput" must be a non-empty string.', { field: 'userInput' });
+        }
+        this._validateProjectName(projectName);
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            throw new ApiValidationError('Field "options" must be an object when provided.', { field: 'options' });
+        }
+        if (!this._isSystemReady()) {
+            throw new ApiUnavailableError('System is not initialized and cannot accept new requests.');
+        }
+        if (this.systemManager.activeProjects?.has(projectName) || await this.projectPersistence.projectExists(projectName)) {
+            throw new ApiConflictError(`Project "${projectName}" already exists.`, { projectName });
+        }
+
+        await this.systemManager.submitNewRequest(userInput, projectName, options);
+        // Projects are addressed by name in every other endpoint, so the name is also the ID
+        res.status(202).json({
+            projectId: projectName,
+            projectName,
+            status: 'submitted',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    async handleListProjects(req, res) {
+        const limit = this._parseNonNegativeInt(req.query.limit, 'limit', 50);
+        const offset = this._parseNonNegativeInt(req.query.offset, 'offset', 0);
+        const statusFilter = req.query.status;
+
+        const names = (await this.projectPersistence.listProjects())
+            .filter(name => !name.includes(CHECKPOINT_NAME_MARKER));
+        for (const activeName of this.systemManager.activeProjects?.keys() || []) {
+            if (!names.includes(activeName)) names.push(activeName);
+        }
+
+        const projects = [];
+        for (const name of names.sort()) {
+            const active = this.systemManager.activeProjects?.get(name);
+            const metadata = active?.metadata || await this.projectPersistence.getProjectMetadata(name) || {};
+            const summary = {
+                projectName: name,
+                status: metadata.status || 'unknown',
+                createdAt: this._toISOString(metadata.created),
+                lastUpdated: this._toISOString(metadata.lastModified),
+                type: metadata.projectType || active?.understanding?.project_type || 'unknown'
+            };
+            if (!statusFilter || summary.status === statusFilter) projects.push(summary);
+        }
+
+        res.json({
+            projects: projects.slice(offset, offset + limit),
+            pagination: { total: projects.length, limit, offset }
+        });
+    }
+
+    async handleGetProjectStatus(req, res) {
+        const projectName = req.params.projectName;
+        const projectState = await this._loadProjectState(projectName);
+        const metadata = projectState.metadata || {};
+        const execution = projectState.execution || {};
+        const { totalTasks, completedTasks } = this._countTasks(execution);
+
+        const body = {
+            projectName,
+            status: metadata.status || 'unknown',
+            recentLogs: (projectState.logs || []).slice(-this.config.recentLogsLimit)
+        };
+
+        const currentSubtask = (execution.subtasksFull || []).find(t => t.id === execution.currentSubtaskId);
+        if (totalTasks > 0 || metadata.currentPhase) {
+            body.currentPhase = {
+                name: metadata.currentPhase || (totalTasks > 0 ? 'execution' : 'analysis'),
+                progress: totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0
+            };
+            if (currentSubtask) {
+                body.currentPhase.currentTask = {
+                    id: currentSubtask.id,
+                    title: currentSubtask.title,
+                    status: currentSubtask.status || 'in_progress'
+                };
+            }
+        }
+
+        if (metadata.lastError) {
+            body.error = {
+                code: metadata.lastError.code || 'UNKNOWN_ERROR',
+                message: metadata.lastError.message,
+                recoveryAttempts: metadata.lastError.recoveryAttempts
+            };
+        }
+        res.json(body);
+    }
+
+    async handleGetProjectResults(req, res) {
+        const projectName = req.params.projectName;
+        const projectState = await this._loadProjectState(projectName);
+        const metadata = projectState.metadata || {};
+        const execution = projectState.execution || {};
+
+        if (!isTerminalStatus(metadata.status)) {
+            throw new ApiConflictError(`Project "${projectName}" has not finished yet (status: ${metadata.status || 'unknown'}).`,
+                { projectName, status: metadata.status });
+        }
+
+        const files = projectState.context?.files || {};
+        const artifacts = Object.entries(files).map(([filePath, content]) => ({
+            path: filePath,
+            type: 'file',
+            content: typeof content === 'string' ? content : JSON.stringify(content),
+            size: Buffer.byteLength(typeof content === 'string' ? content : JSON.stringify(content), 'utf8')
+        }));
+        const { totalTasks, completedTasks, failedTasks, skippedTasks } = this._countTasks(execution);
+
+        res.json({
+            projectName,
+            status: this._resultStatus(metadata.status),
+            artifacts,
+            executionSummary: {
+                startTime: this._toISOString(metadata.created),
+                endTime: this._toISOString(metadata.lastModified),
+                totalTasks,
+                completedTasks,
+                failedTasks,
+                skippedTasks,
+                errorCount: execution.errorCount ?? failedTasks
+            },
+            logs: {
+                // Recent log entries are served by the status endpoint; there is no log download yet
+                path: `/api/projects/${encodeURIComponent(projectName)}/status`
+            }
+        });
+    }
+
+    async handleGetPendingApproval(req, res) {
+        const approvalGates = this._requireApprovalGates();
+        const projectName = req.params.projectName;
+        const projectState = await this._loadProjectState(projectName);
+        res.json({ projectName, status: projectState.metadata?.status || 'unknown', approval: approvalGates.getPendingApproval(projectState) });
+    }
+
+    async handleDecideApproval(req, res) {
+        const approvalGates = this._requireApprovalGates();
+        const projectName = req.params.projectName;
+        this._validateProjectName(projectName);
+        const { decision, approvalId, reviewer, comment } = req.body || {};
+        if (decision !== 'approve' && decision !== 'reject') {
+            throw new ApiValidationError('Field "decision" must be "approve" or "reject".', { field: 'decision' });
+        }
+        if (comment !== undefined && typeof comment !== 'string') {
+            throw new ApiValidationError('Field "comment" must be a string when provided.', { field: 'comment' });
+        }
+        const decide = decision === 'approve' ? approvalGates.approve : approvalGates.reject;
+        const approval = await decide.call(approvalGates, projectName, { approvalId, reviewer, comment });
+        res.json({ projectName, approval });
+    }
+
+    async handleGetPendingClarification(req, res) {
+        const clarifications = this._requireClarifications();
+        const projectName = req.params.projectName;
+        const projectState = await this._loadProjectState(projectName);
+        res.json({ projectName, status: projectState.metadata?.status || 'unknown', clarification: clarifications.getPendingClarification(projectState) });
+    }
+
+    async handleAnswerClarification(req, res) {
+        const clarifications = this._requireClarifications();
+        const projectName = req.params.projectName;
+        this._validateProjectName(projectName);
+        const { answers, clarificationId } = req.body || {};
+        if (!answers || typeof answers !== 'object') {
+            throw new ApiValidationError('Field "answers" must be an array or an object keyed by question.', { field: 'answers' });
+        }
+        const result = await clarifications.answerClarification(projectName, answers, { clarificationId });
+        res.json({ projectName, ...result });
+    }
+
+    async handlePauseProject(req, res) {
+        const projectName = this._validatedParam(req);
+        const metadata = await this._requireProjectScheduler().pause(projectName, { reason: this._optionalString(req.body, 'reason') });
+        res.json({ projectName, status: metadata.status });
+    }
+
+    async handleResumeProject(req, res) {
+        const projectName = this._validatedParam(req);
+        const metadata = await this._requireProjectScheduler().resume(projectName);
+        res.json({ projectName, status: metadata.status });
+    }
+
+    async handleCancelProject(req, res) {
+        const projectName = this._validatedParam(req);
+        const reason = this._optionalString(req.body, 'reason');
+        if (typeof this.systemManager.cancelProject !== 'function') {
+            throw new ApiUnavailableError('Project cancellation is not enabled on this system.');
+        }
+        const { status, checkpointId } = await this.systemManager.cancelProject(projectName, { reason });
+        res.json({ projectName, status, checkpointId });
+    }
+
+    async handleSetProjectPriority(req, res) {
+        const projectName = this._validatedParam(req);
+        const { priority } = req.body || {};
+        if (typeof priority !== 'string') {
+            throw new ApiValidationError('Field "priority" is required.', { field: 'priority' });
+        }
+        const metadata = await this._requireProjectScheduler().setPriority(projectName, priority);
+        res.json({ projectName, status: metadata.status, priority: metadata.priority });
+    }
+
+    async handleGetSystemHealth(req, res) {
+        const sm = this.systemManager;
+        const components = [
+            { name: 'SystemManager', status: sm.state?.isRunning ? 'running' : 'stopped' },
+            { name: 'ProjectPersistence', ...await this._probe(() => this.projectPersistence.listProjects()) },
+            { name: 'AgentCoordinator', status: sm.agentCoordinator ? 'ready' : 'unavailable' },
+            { name: 'TaskExecution', status: sm.taskExecutor ? 'ready' : 'unavailable' },
+            { name: 'Sandbox', status: sm.sandboxManager ? 'ready' : 'unavailable' },
+            { name: 'LearningSystem', status: sm.learningSystem ? 'ready' : 'unavailable' }
+        ];
+
+        let status = 'healthy';
+        if (!this._isSystemReady()) status = 'unavailable';
+        else if (components.some(c => c.status === 'unavailable')) status = 'degraded';
+
+        const queue = sm.mainTaskQueue;
+        const responseCache = sm.responseCache ? await sm.responseCache.getStats() : null;
+        res.status(status === 'unavailable' ? 503 : 200).json({
+            status,
+            components,
+            metrics: {
+                activeProjects: sm.activeProjects?.size || 0,
+                queuedRequests: queue?.length ?? queue?.size ?? 0,
+                resourceUtilization: {
+                    cpu: Number((os.loadavg()[0] / os.cpus().length).toFixed(2)),
+                    memory: Number((1 - os.freemem() / os.totalmem()).toFixed(2)),
+                    disk: null
+                },
+                responseCache,
+                rateLimiter: sm.rateLimiter ? sm.rateLimiter.getMetrics() : null
+            }
+        });
+    }
+
+    // --- Helpers ---
+
+    _wrap(handler) {
+        return (req, res, next) => Promise.resolve(handler.call(this, req, res)).catch(next);
+    }
+
+    _isSystemReady() {
+        return Boolean(this.systemManager.projectPersistence && this.systemManager.agentCoordinator);
+    }
+
+    _requireApprovalGates() {
+        if (!this.systemManager.approvalGates) {
+            throw new ApiUnavailableError('Approval gates are not enabled on this system.');
+        }
+        return this.systemManager.approvalGates;
+    }
+
+    _requireClarifications() {
+        if (!this.systemManager.clarifications) {
+            throw new ApiUnavailableError('Clarification handling is not enabled on this system.');
+        }
+        return this.systemManager.clarifications;
+    }
+
+    _requireProjectScheduler() {
+        if (!this.systemManager.projectScheduler) {
+            throw new ApiUnavailableError('Project scheduling controls are not enabled on this system.');
+        }
+        return this.systemManager.projectScheduler;
+    }
+
+    _validatedParam(req) {
+        const projectName = req.params.projectName;
+        this._validateProjectName(projectName);
+        return projectName;
+    }
+
+    _optionalString(body, field) {
+        const value = body?.[field];
+        if (value !== undefined && typeof value !== 'string') {
+            throw new ApiValidationError(`Field "${field}" must be a string when provided.`, { field });
+        }
+        return value;
+    }
+
+    _resultStatus(status) {
+        if (status === PROJECT_STATUS.FAILED) return 'failed';
+        if (status === PROJECT_STATUS.CANCELLED) return 'cancelled';
+        return 'completed';
+    }
+
+    _validateProjectName(projectName) {
+        if (typeof projectName !== 'string' || !PROJECT_NAME_PATTERN.test(projectName) || projectName.includes(CHECKPOINT_NAME_MARKER)) {
+            throw new ApiValidationError(
+                'Field "projectName" must be 1-128 characters of letters, digits, ".", "_" or "-".',
+                { field: 'projectName' }
+            );
+        }
+    }
+
+    _parseNonNegativeInt(value, name, defaultValue) {
+        if (value === undefined) return defaultValue;
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed < 0) {
+            throw new ApiValidationError(`Query parameter "${name}" must be a non-negative integer.`, { field: name });
+        }
+        return parsed;
+    }
+
+    async _loadProjectState(projectName) {
+        this._validateProjectName(projectName);
+        const state = this.systemManager.activeProjects?.get(projectName)
+            || await this.projectPersistence.loadProject(projectName);
+        if (!state) {
+            throw new ApiNotFoundError(`Project "${projectName}" not found.`, { projectName });
+        }
+        return state;
+    }
+
+    /**
+     * A subtask leaves `subtasksRemainingIds` when it succeeds, but also when it is skipped
+     * (rejected risky subtask and its dependents) or recorded in `failedSubtasks`.
+     */
+    _countTasks(execution) {
+        const subtaskIds = (execution.subtasksFull || []).map(getSubtaskId);
+        const remaining = new Set(execution.subtasksRemainingIds || []);
+        const failed = new Set(Object.keys(execution.failedSubtasks || {}));
+        const skipped = new Set((execution.skippedSubtaskIds || []).filter(id => !failed.has(id)));
+        const finished = subtaskIds.filter(id => !remaining.has(id));
+        return {
+            totalTasks: subtaskIds.length,
+            completedTasks: finished.filter(id => !failed.has(id) && !skipped.has(id)).length,
+            failedTasks: subtaskIds.filter(id => failed.has(id)).length,
+            skippedTasks: finished.filter(id => skipped.has(id)).length
+        };
+    }
+
+    async _probe(operation) {
+        const startedAt = Date.now();
+        try {
+            await operation();
+            return { status: 'ready', latency: Date.now() - startedAt };
+        } catch (err) {
+            return { status: 'unavailable', latency: Date.now() - startedAt, message: err.message };
+        }
+    }
+
+    _toISOString(value) {
+        if (!value) return null;
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+}
+
+export {
+    ApiServer,
+    ApiError,
+    ApiValidationError,
+    ApiConflictError,
+    ApiNotFoundError,
+    ApiUnavailableError,
+    buildErrorResponse
+};
+export default ApiServer;
@@ -0,0 +1,205 @@
+// src/api/event-stream-server.js
+// WebSocket endpoint relaying SystemEventBus events to dashboard clients
+// (see design-docs/ui-integration-checklist.md, section 2).
+
+import { WebSocketServer, WebSocket } from 'ws';
+import { SYSTEM_EVENT_TYPES } from '../core/system-events.js';
+
+const PROJECT_SCOPED_TYPES = new Set([
+    SYSTEM_EVENT_TYPES.PROJECT_STATUS_UPDATE,
+    SYSTEM_EVENT_TYPES.TASK_UPDATE,
+    SYSTEM_EVENT_TYPES.DEBUG_ATTEMPT,
+    SYSTEM_EVENT_TYPES.SANDBOX_OUTPUT
+]);
+const ALL_PROJECTS = '*';
+
+class EventStreamServer {
+    /**
+     * @param {import('../core/system-events.js').SystemEventBus} eventBus
+     * @param {object} [options]
+     * @param {string} [options.path='/api/ws'] - URL path the WebSocket upgrade is accepted on.
+     * @param {number} [options.heartbeatIntervalMs=30000] - Interval for ping/pong liveness checks; 0 disables them.
+     * @param {number} [options.maxBufferedBytes=1048576] - Slow clients above this backlog are skipped for sandbox output.
+     */
+    constructor(eventBus, options = {}) {
+        this.eventBus = eventBus;
+        this.options = {
+            path: '/api/ws',
+            heartbeatIntervalMs: 30000,
+            maxBufferedBytes: 1024 * 1024,
+            ...options
+        };
+        /** @type {Map<WebSocket, Map<string, Set<string> | null>>} client -> projectName -> event types (null = all) */
+        this.subscriptions = new Map();
+        this.wss = null;
+        this.heartbeatTimer = null;
+        this._onEvent = event => this._broadcast(event);
+    }
+
+    /**
+     * Attaches the WebSocket endpoint to an existing HTTP server.
+     * @param {import('http').Server} httpServer
+     */
+    attach(httpServer) {
+        if (this.wss) return;
+        this.wss = new WebSocketServer({ server: httpServer, path: this.options.path });
+        this.wss.on('connection', (ws, req) => this._handleConnection(ws, req));
+        this.eventBus.on('event', this._onEvent);
+
+        if (this.options.heartbeatIntervalMs > 0) {
+            this.heartbeatTimer = setInterval(() => this._checkHeartbeats(), this.options.heartbeatIntervalMs);
+            this.heartbeatTimer.unref?.();
+        }
+        console.log(`[EventStream] WebSocket endpoint attached at ${this.options.path}`);
+    }
+
+    /**
+     * Disconnects all clients and detaches from the event bus.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (!this.wss) return;
+        this.eventBus.off('event', this._onEvent);
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        for (const ws of this.subscriptions.keys()) ws.terminate();
+        this.subscriptions.clear();
+        const wss = this.wss;
+        this.wss = null;
+        await new Promise(resolve => wss.close(() => resolve()));
+    }
+
+    _handleConnection(ws, req) {
+        this.subscriptions.set(ws, new Map());
+        ws.isAlive = true;
+        ws.on('pong', () => { ws.isAlive = true; });
+        ws.on('message', data => this._handleMessage(ws, data));
+        ws.on('close', () => this.subscriptions.delete(ws));
+        ws.on('error', err => console.warn(`[EventStream] Client error: ${err.message}`));
+
+        // Optional initial subscription list: ws://host/api/ws?projects=a,b
+        const url = new URL(req.url, 'http://localhost');
+        const initialProjects = url.searchParams.get('projects');
+        if (initialProjects) {
+            for (const projectName of initialProjects.split(',').map(p => p.trim()).filter(Boolean)) {
+                this._subscribe(ws, projectName, null);
+            }
+        }
+    }
+
+    _handleMessage(ws, data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString('utf8'));
+        } catch (err) {
+            return this._sendError(ws, 'WS_INVALID_MESSAGE', 'Messages must be valid JSON.');
+        }
+
+        // A null or non-object payload must not reach the property reads below: a throw here
+        // happens inside the socket's message listener and would crash the process
+        const type = message?.type;
+        const payload = (message?.payload && typeof message.payload === 'object') ? message.payload : {};
+        try {
+            if (type !== 'subscribe_project' && type !== 'unsubscribe_project') {
+                return this._sendError(ws, 'WS_UNKNOWN_MESSAGE_TYPE', `Unsupported message type: ${type}`, { type });
+            }
+            if (typeof payload.projectName !== 'string' || !payload.projectName) {
+                return this._sendError(ws, 'WS_INVALID_MESSAGE', 'payload.projectName is required.', { type });
+            }
+            const events = payload.events;
+            if (events !== undefined && (!Array.isArray(events) || events.some(e => !PROJECT_SCOPED_TYPES.has(e)))) {
+                return this._sendError(ws, 'WS_INVALID_MESSAGE', `payload.events may only contain: ${[...PROJECT_SCOPED_TYPES].join(', ')}`, { type });
+            }
+
+            if (type === 'subscribe_project') {
+                this._subscribe(ws, payload.projectName, events || null);
+            } else {
+                this._unsubscribe(ws, payload.projectName, events || null);
+            }
+            this._send(ws, {
+                type: `${type}_ack`,
+                payload: { projectName: payload.projectName, events: this._describeSubscription(ws, payload.projectName) }
+            });
+        } catch (err) {
+            console.warn(`[EventStream] Failed to handle ${type} message: ${err.message}`);
+            this._sendError(ws, 'WS_INTERNAL_ERROR', 'The message could not be processed.', { type });
+        }
+    }
+
+    _subscribe(ws, projectName, events) {
+        const clientSubs = this.subscriptions.get(ws);
+        if (!events) {
+            clientSubs.set(projectName, null);
+            return;
+        }
+        const existing = clientSubs.get(projectName);
+        if (existing === null) return; // Already subscribed to every type
+        const types = existing || new Set();
+        events.forEach(e => types.add(e));
+        clientSubs.set(projectName, types);
+    }
+
+    _unsubscribe(ws, projectName, events) {
+        const clientSubs = this.subscriptions.get(ws);
+        if (!clientSubs.has(projectName)) return;
+        if (!events) {
+            clientSubs.delete(projectName);
+            return;
+        }
+        const types = clientSubs.get(projectName) || new Set(PROJECT_SCOPED_TYPES);
+        events.forEach(e => types.delete(e));
+        if (types.size === 0) clientSubs.delete(projectName);
+        else clientSubs.set(projectName, types);
+    }
+
+    _describeSubscription(ws, projectName) {
+        const types = this.subscriptions.get(ws)?.get(projectName);
+        if (types === undefined) return [];
+        return types === null ? [...PROJECT_SCOPED_TYPES] : [...types];
+    }
+
+    _isSubscribed(ws, event) {
+        if (!PROJECT_SCOPED_TYPES.has(event.type)) return true; // System notifications go to everyone
+        const clientSubs = this.subscriptions.get(ws);
+        for (const projectName of [event.payload.projectName, ALL_PROJECTS]) {
+            const types = clientSubs.get(projectName);
+            if (types === null || types?.has(event.type)) return true;
+        }
+        return false;
+    }
+
+    _broadcast(event) {
+        for (const ws of this.subscriptions.keys()) {
+            if (ws.readyState !== WebSocket.OPEN || !this._isSubscribed(ws, event)) continue;
+            if (event.type === SYSTEM_EVENT_TYPES.SANDBOX_OUTPUT && ws.bufferedAmount > this.options.maxBufferedBytes) {
+                continue; // Drop high-volume output for clients that cannot keep up
+            }
+            this._send(ws, event);
+        }
+    }
+
+    _checkHeartbeats() {
+        for (const ws of this.subscriptions.keys()) {
+            if (!ws.isAlive) {
+                ws.terminate();
+                this.subscriptions.delete(ws);
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }
+
+    _send(ws, message) {
+        ws.send(JSON.stringify(message), err => {
+            if (err) console.warn(`[EventStream] Failed to deliver ${message.type}: ${err.message}`);
+        });
+    }
+
+    _sendError(ws, code, message, details) {
+        this._send(ws, { type: 'error', payload: { code, message, ...(details ? { details } : {}) } });
+    }
+}
+
+export { EventStreamServer, ALL_PROJECTS };
+export default EventStreamServer;
@@ -0,0 +1,460 @@
+// src/cli/cli.js
+// Command-line front end for driving SystemManager from a terminal or shell scripts.
+// The executable wrapper lives in bin/ai-platform.js.
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import SystemManager from '../core/system-manager.js';
+import { ConfigurationManager } from '../core/configuration-manager.js';
+import { PlatformError } from '../core/error-utils.js';
+import { PROJECT_STATUS, isTerminalStatus } from '../core/project-status.js';
+import { getSubtaskId } from '../core/subtask-scheduler.js';
+
+class CliUsageError extends PlatformError {
+    constructor(message, context = {}) {
+        super(message, 'CLI_USAGE_ERROR', context, null, 'WARNING');
+    }
+}
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// Final statuses for which `submit` exits with EXIT_OK
+const SUCCESSFUL_STATUSES = new Set([PROJECT_STATUS.COMPLETED_SUCCESSFULLY, PROJECT_STATUS.COMPLETED]);
+
+const USAGE = `Usage: ai-platform <command> [options]
+
+Commands:
+  run                                  Run the orchestration loop until stopped
+  submit <projectName> <request...>    Submit a request and run the loop until the project finishes
+  list                                 List projects
+  status <projectName>                 Show project status and subtask progress
+  checkpoints <projectName>            List a project's checkpoints
+  restore <projectName> <checkpointId> Restore a project from a checkpoint
+  logs <projectName>                   Show the project's experience log
+  stop                                 Stop a loop started with 'run' or 'submit'
+
+Options:
+  --json                 Print machine-readable JSON instead of tables
+  --config <path>        Path to the default configuration file
+  --limit <n>            Number of log entries to show (logs, default 20)
+  --follow               Keep printing new log entries (logs)
+  --timeout <seconds>    Give up waiting for a submitted project (submit)
+  --pid-file <path>      PID file used by run/submit and stop
+  -h, --help             Show this help`;
+
+const FLAG_OPTIONS = new Set(['json', 'follow', 'help']);
+const VALUE_OPTIONS = new Set(['config', 'limit', 'timeout', 'pid-file']);
+
+/**
+ * Splits argv into positional arguments and options.
+ * @param {string[]} argv - Arguments without the node executable and script path.
+ * @returns {{ positionals: string[], options: object }}
+ */
+export function parseArgs(argv) {
+    const positionals = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            options.help = true;
+        } else if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        } else if (arg.startsWith('--')) {
+            const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+            if (FLAG_OPTIONS.has(name)) {
+                options[name] = true;
+            } else if (VALUE_OPTIONS.has(name)) {
+                const value = inlineValue ?? argv[++i];
+                if (value === undefined) throw new CliUsageError(`Option --${name} requires a value.`);
+                options[name] = value;
+            } else {
+                throw new CliUsageError(`Unknown option: --${name}`);
+            }
+        } else {
+            positionals.push(arg);
+        }
+    }
+    return { positionals, options };
+}
+
+/**
+ * Renders rows as a plain-text table with left-aligned columns.
+ * @param {Array<object>} rows
+ * @param {Array<{ key: string, header: string }>} columns
+ * @returns {string}
+ */
+export function formatTable(rows, columns) {
+    if (rows.length === 0) return '(none)';
+    const cells = rows.map(row => columns.map(c => (row[c.key] ?? '').toString().replace(/\s+/g, ' ')));
+    const widths = columns.map((c, i) => Math.max(c.header.length, ...cells.map(r => r[i].length)));
+    const renderRow = values => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+    return [
+        renderRow(columns.map(c => c.header)),
+        renderRow(widths.map(w => '-'.repeat(w))),
+        ...cells.map(renderRow)
+    ].join('\n');
+}
+
+class PlatformCli {
+    /**
+     * @param {object} [deps]
+     * @param {(config: object) => SystemManager} [deps.createSystemManager]
+     * @param {(options: object) => ConfigurationManager} [deps.createConfigManager] - For commands that do not start SystemManager.
+     * @param {NodeJS.WritableStream} [deps.stdout]
+     * @param {NodeJS.WritableStream} [deps.stderr]
+     * @param {NodeJS.Process} [deps.processRef] - Used for signal handling and signalling a running loop.
+     */
+    constructor(deps = {}) {
+        this.createSystemManager = deps.createSystemManager || (config => new SystemManager(config));
+        this.createConfigManager = deps.createConfigManager || (options => new ConfigurationManager(options));
+        this.stdout = deps.stdout || process.stdout;
+        this.stderr = deps.stderr || process.stderr;
+        this.processRef = deps.processRef || process;
+        this.pollIntervalMs = deps.pollIntervalMs ?? 1000;
+        this.systemManager = null;
+        this.options = {};
+    }
+
+    /**
+     * Runs a single CLI invocation.
+     * @param {string[]} argv
+     * @returns {Promise<number>} Process exit code.
+     */
+    async run(argv) {
+        let command;
+        try {
+            const { positionals, options } = parseArgs(argv);
+            this.options = options;
+            [command] = positionals;
+            if (options.help || !command) {
+                this._write(USAGE);
+                return options.help ? EXIT_OK : EXIT_USAGE;
+            }
+            const handler = this._commands()[command];
+            if (!handler) throw new CliUsageError(`Unknown command: ${command}`);
+            return await handler.call(this, positionals.slice(1)) ?? EXIT_OK;
+        } catch (err) {
+            this._reportError(err, command);
+            return err instanceof CliUsageError ? EXIT_USAGE : EXIT_FAILURE;
+        } finally {
+            if (this.systemManager?.state?.isRunning) {
+                await this.systemManager.stop();
+            }
+        }
+    }
+
+    _commands() {
+        return {
+            run: this.commandRun,
+            submit: this.commandSubmit,
+            list: this.commandList,
+            status: this.commandStatus,
+            checkpoints: this.commandCheckpoints,
+            restore: this.commandRestore,
+            logs: this.commandLogs,
+            stop: this.commandStop
+        };
+    }
+
+    // --- Commands ---
+
+    async commandRun() {
+        const systemManager = await this._initSystemManager();
+        await this._withPidFile(async () => {
+            systemManager.start();
+            this._info('Orchestration loop running. Press Ctrl+C or run "ai-platform stop" to stop.');
+            await this._waitForSignal();
+        });
+        await systemManager.stop();
+        this._output({ stopped: true }, () => 'Orchestration loop stopped.');
+    }
+
+    async commandSubmit([projectName, ...requestWords]) {
+        const userInput = requestWords.join(' ').trim();
+        if (!projectName || !userInput) throw new CliUsageError('submit requires <projectName> and <request>.');
+        const timeoutMs = this._parsePositiveNumber('timeout', null) * 1000 || null;
+
+        const systemManager = await this._initSystemManager();
+        let finalStatus;
+        await this._withPidFile(async () => {
+            await systemManager.submitNewRequest(userInput, projectName);
+            systemManager.start();
+            this._info(`Submitted "${projectName}". Waiting for it to finish...`);
+            finalStatus = await this._waitForProject(projectName, timeoutMs);
+        });
+        await systemManager.stop();
+
+        this._output({ projectName, status: finalStatus }, () => `Project ${projectName}: ${finalStatus}`);
+        return SUCCESSFUL_STATUSES.has(finalStatus) ? EXIT_OK : EXIT_FAILURE;
+    }
+
+    async commandList() {
+        const systemManager = await this._initSystemManager();
+        const persistence = systemManager.projectPersistence;
+        const names = (await persistence.listProjects()).filter(name => !name.includes('_checkpoint_'));
+        const projects = [];
+        for (const name of names.sort()) {
+            const metadata = await persistence.getProjectMetadata(name) || {};
+            projects.push({
+                projectName: name,
+                status: metadata.status || 'unknown',
+                lastModified: this._formatDate(metadata.lastModified)
+            });
+        }
+        this._output(projects, () => formatTable(projects, [
+            { key: 'projectName', header: 'PROJECT' },
+            { key: 'status', header: 'STATUS' },
+            { key: 'lastModified', header: 'LAST MODIFIED' }
+        ]));
+    }
+
+    async commandStatus([projectName]) {
+        this._requireArg(projectName, 'status requires <projectName>.');
+        const systemManager = await this._initSystemManager();
+        const projectState = await systemManager.projectPersistence.loadProject(projectName);
+        if (!projectState) throw new CliUsageError(`Project "${projectName}" not found.`, { projectName });
+
+        const execution = projectState.execution || {};
+        const remaining = new Set(execution.subtasksRemainingIds || []);
+        // Failed and skipped subtasks leave subtasksRemainingIds too; counted as in ApiServer._countTasks
+        const failed = new Set(Object.keys(execution.failedSubtasks || {}));
+        const skipped = new Set(execution.skippedSubtaskIds || []);
+        const subtasks = (execution.subtasksFull || []).map((t) => {
+            const id = getSubtaskId(t);
+            const state = failed.has(id) ? 'failed' : remaining.has(id) ? 'pending' : skipped.has(id) ? 'skipped' : 'done';
+            return { id, title: t.title, state, attempts: execution.subtaskAttempts?.[id] ?? 0 };
+        });
+        const countIn = state => subtasks.filter(subtask => subtask.state === state).length;
+        const unfinished = [['failed', countIn('failed')], ['skipped', countIn('skipped')]].filter(([, count]) => count > 0);
+        const summary = {
+            projectName,
+            status: projectState.metadata?.status || 'unknown',
+            lastModified: this._formatDate(projectState.metadata?.lastModified),
+            lastCheckpointId: execution.lastCheckpointId || null,
+            subtasks
+        };
+
+        this._output(summary, () => [
+            `Project:         ${summary.projectName}`,
+            `Status:          ${summary.status}`,
+            `Last modified:   ${summary.lastModified}`,
+            `Last checkpoint: ${summary.lastCheckpointId || '-'}`,
+            `Progress:        ${countIn('done')}/${subtasks.length} subtasks done${unfinished.length > 0 ? ` (${unfinished.map(([state, count]) => `${count} ${state}`).join(', ')})` : ''}`,
+            '',
+            formatTable(subtasks, [
+                { key: 'id', header: 'ID' },
+                { key: 'title', header: 'TITLE' },
+                { key: 'state', header: 'STATE' },
+                { key: 'attempts', header: 'ATTEMPTS' }
+            ])
+        ].join('\n'));
+    }
+
+    async commandCheckpoints([projectName]) {
+        this._requireArg(projectName, 'checkpoints requires <projectName>.');
+        const systemManager = await this._initSystemManager();
+        const checkpoints = await systemManager.projectPersistence.listCheckpoints(projectName);
+        this._output({ projectName, checkpoints }, () => formatTable(
+            checkpoints.map(checkpointId => ({ checkpointId })),
+            [{ key: 'checkpointId', header: 'CHECKPOINT' }]
+        ));
+    }
+
+    async commandRestore([projectName, checkpointId]) {
+        if (!projectName || !checkpointId) throw new CliUsageError('restore requires <projectName> and <checkpointId>.');
+        const systemManager = await this._initSystemManager();
+        await systemManager.projectPersistence.restoreFromCheckpoint(projectName, checkpointId);
+        this._output({ projectName, restoredCheckpointId: checkpointId },
+            () => `Project ${projectName} restored from checkpoint ${checkpointId}.`);
+    }
+
+    async commandLogs([projectName]) {
+        this._requireArg(projectName, 'logs requires <projectName>.');
+        const limit = this._parsePositiveNumber('limit', 20);
+        const systemManager = await this._initSystemManager();
+        const store = systemManager.learningSystem.experienceStore;
+
+        const seen = new Set();
+        const printNew = async () => {
+            // findExperiences returns newest first; print oldest first like a log file
+            const experiences = (await store.findExperiences({ projectName }, limit)).reverse()
+                .filter(e => !seen.has(e.id));
+            experiences.forEach(e => seen.add(e.id));
+            if (this.options.json) {
+                experiences.forEach(e => this._write(JSON.stringify(e)));
+            } else if (experiences.length > 0) {
+                this._write(experiences.map(e => this._formatExperience(e)).join('\n'));
+            }
+        };
+
+        await printNew();
+        if (this.options.follow) {
+            const timer = setInterval(() => printNew().catch(err => this._reportError(err, 'logs')), this.pollIntervalMs);
+            await this._waitForSignal();
+            clearInterval(timer);
+        }
+    }
+
+    async commandStop() {
+        // stop does not initialize SystemManager, so cli.pidFile is read from the configuration directly
+        const pidFile = this._pidFilePath(this.options['pid-file'] ? null : this.createConfigManager(this._configManagerOptions()));
+        if (!await fs.pathExists(pidFile)) {
+            throw new PlatformError(`No running loop found (missing ${pidFile}).`, 'CLI_LOOP_NOT_RUNNING', { pidFile }, null, 'WARNING');
+        }
+        const pid = parseInt(await fs.readFile(pidFile, 'utf8'), 10);
+        try {
+            this.processRef.kill(pid, 'SIGTERM');
+        } catch (err) {
+            if (err.code !== 'ESRCH') throw err;
+            await fs.remove(pidFile); // Stale PID file from a crashed loop
+            throw new PlatformError(`Loop process ${pid} is not running; removed stale PID file.`, 'CLI_LOOP_NOT_RUNNING', { pid }, err, 'WARNING');
+        }
+        this._output({ stopped: true, pid }, () => `Sent stop signal to loop process ${pid}.`);
+    }
+
+    // --- Helpers ---
+
+    async _initSystemManager() {
+        const config = {};
+        if (this.options.config) {
+            config.configurationManager = this._configManagerOptions();
+        }
+        this.systemManager = this.createSystemManager(config);
+        await this.systemManager.initialize();
+        return this.systemManager;
+    }
+
+    _configManagerOptions() {
+        return this.options.config ? { defaultConfigPath: path.resolve(this.options.config) } : {};
+    }
+
+    _pidFilePath(configManager = this.systemManager?.configManager) {
+        return path.resolve(this.options['pid-file']
+            || configManager?.get('cli.pidFile')
+            || path.join(os.tmpdir(), 'ai-platform.pid'));
+    }
+
+    async _withPidFile(operation) {
+        const pidFile = this._pidFilePath();
+        const runningPid = await this._runningPid(pidFile);
+        if (runningPid) {
+            throw new PlatformError(`A loop is already running as process ${runningPid} (${pidFile}). Stop it first or use another --pid-file.`,
+                'CLI_LOOP_ALREADY_RUNNING', { pid: runningPid, pidFile }, null, 'WARNING');
+        }
+        await fs.ensureDir(path.dirname(pidFile));
+        await fs.writeFile(pidFile, String(this.processRef.pid), 'utf8');
+        try {
+            return await operation();
+        } finally {
+            await fs.remove(pidFile).catch(() => {});
+        }
+    }
+
+    // PID recorded in `pidFile` when that process is still alive; stale files are ignored
+    async _runningPid(pidFile) {
+        const pid = parseInt(await fs.readFile(pidFile, 'utf8').catch(() => ''), 10);
+        if (!Number.isInteger(pid) || pid <= 0 || pid === this.processRef.pid) return null;
+        try {
+            this.processRef.kill(pid, 0);
+            return pid;
+        } catch (err) {
+            // EPERM: the process exists but belongs to another user
+            return err.code === 'EPERM' ? pid : null;
+        }
+    }
+
+    _listenForSignal() {
+        let cleanup;
+        const promise = new Promise(resolve => {
+            const onSignal = signal => {
+                cleanup();
+                this._info(`Received ${signal}, stopping...`);
+                resolve(signal);
+            };
+            cleanup = () => {
+                this.processRef.off('SIGINT', onSignal);
+                this.processRef.off('SIGTERM', onSignal);
+            };
+            this.processRef.once('SIGINT', onSignal);
+            this.processRef.once('SIGTERM', onSignal);
+        });
+        return { promise, cleanup };
+    }
+
+    _waitForSignal() {
+        return this._listenForSignal().promise;
+    }
+
+    async _waitForProject(projectName, timeoutMs) {
+        const startedAt = Date.now();
+        const signal = this._listenForSignal();
+        let interrupted = false;
+        signal.promise.then(() => { interrupted = true; });
+        try {
+            while (!interrupted) {
+                const state = this.systemManager.activeProjects.get(projectName)
+                    || await this.systemManager.projectPersistence.loadProject(projectName);
+                const status = state?.metadata?.status;
+                if (isTerminalStatus(status)) return status;
+                if (timeoutMs && Date.now() - startedAt > timeoutMs) return 'timed_out';
+                await Promise.race([new Promise(resolve => setTimeout(resolve, this.pollIntervalMs)), signal.promise]);
+            }
+            return 'interrupted';
+        } finally {
+            signal.cleanup();
+        }
+    }
+
+    _parsePositiveNumber(name, defaultValue) {
+        if (this.options[name] === undefined) return defaultValue;
+        const value = Number(this.options[name]);
+        if (!Number.isFinite(value) || value <= 0) throw new CliUsageError(`Option --${name} must be a positive number.`);
+        return value;
+    }
+
+    _requireArg(value, message) {
+        if (!value) throw new CliUsageError(message);
+    }
+
+    _formatDate(value) {
+        if (!value) return '-';
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? '-' : date.toISOString();
+    }
+
+    _formatExperience(experience) {
+        const outcome = experience.outcome || {};
+        const error = outcome.error ? ` error=${outcome.error.code || outcome.error.message}` : '';
+        const subtask = experience.context?.subtaskId ? ` subtask=${experience.context.subtaskId}` : '';
+        return `${experience.timestamp}  ${experience.type}  ${outcome.status || '-'}${subtask}${error}`;
+    }
+
+    _output(data, renderText) {
+        this._write(this.options.json ? JSON.stringify(data, null, 2) : renderText());
+    }
+
+    _info(message) {
+        // Progress messages go to stderr so `--json` output on stdout stays parseable
+        this.stderr.write(`${message}\n`);
+    }
+
+    _write(text) {
+        this.stdout.write(`${text}\n`);
+    }
+
+    _reportError(err, command) {
+        if (this.options.json) {
+            this.stderr.write(`${JSON.stringify({ error: { code: err.code || 'CLI_ERROR', message: err.message, severity: err.severity, command } })}\n`);
+        } else {
+            this.stderr.write(`Error${command ? ` (${command})` : ''}: ${err.message}\n`);
+            if (err instanceof CliUsageError) this.stderr.write('Run "ai-platform --help" for usage.\n');
+        }
+    }
+}
+
+export { PlatformCli, CliUsageError, USAGE };
+export default PlatformCli;
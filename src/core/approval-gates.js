@@ -0,0 +1,257 @@
+// src/core/approval-gates.js
+// Human-in-the-loop approval gates between planning and execution.
+// SystemManager consults the gates after the strategic plan, after the subtask
+// breakdown and before risky subtasks; a gated project is parked in the
+// 'awaiting_approval' status until a reviewer approves or rejects it.
+
+import { v4 as uuidv4 } from 'uuid';
+import { PlatformError } from './error-utils.js';
+import { PROJECT_STATUS } from './project-status.js';
+import { getDependencyIds, getSubtaskId } from './subtask-scheduler.js';
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const APPROVAL_GATES = Object.freeze({
+    STRATEGIC_PLAN: 'strategic_plan',
+    SUBTASK_BREAKDOWN: 'subtask_breakdown',
+    RISKY_SUBTASK: 'risky_subtask'
+});
+
+export const APPROVAL_DECISIONS = Object.freeze({
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+});
+
+export class ApprovalError extends PlatformError {
+    constructor(message, code = 'APPROVAL_ERROR', context = {}, originalError = null, severity = 'WARNING') {
+        super(message, code, context, originalError, severity);
+    }
+}
+
+/**
+ * @typedef {object} ApprovalRecord
+ * @property {string} id
+ * @property {string} gate - One of APPROVAL_GATES.
+ * @property {string} gateKey - Gate plus subtask ID for per-subtask gates.
+ * @property {string} [subtaskId]
+ * @property {string} status - One of APPROVAL_DECISIONS.
+ * @property {object} summary - What the reviewer is asked to approve (plan title, subtask list, ...).
+ * @property {string} requestedAt
+ * @property {string} previousStatus - Project status to restore once decided.
+ * @property {string} [decidedAt]
+ * @property {string} [reviewer]
+ * @property {string} [comment]
+ */
+
+export class ApprovalGateManager {
+    /**
+     * @param {object} projectPersistence - ProjectPersistence instance used to persist parked projects.
+     * @param {object} [configManager] - Reads `approvalGates.afterPlan`, `approvalGates.afterBreakdown`
+     *   and `approvalGates.riskySubtaskTypes`.
+     * @param {object} [options]
+     * @param {Map<string, object>} [options.activeProjects] - SystemManager's in-memory project states, kept in sync on decisions.
+     * @param {import('./system-events.js').SystemEventBus} [options.eventBus]
+     */
+    constructor(projectPersistence, configManager, options = {}) {
+        this.projectPersistence = projectPersistence;
+        this.activeProjects = options.activeProjects || null;
+        this.eventBus = options.eventBus || null;
+        this.config = {
+            afterPlan: configManager?.get('approvalGates.afterPlan', false) ?? false,
+            afterBreakdown: configManager?.get('approvalGates.afterBreakdown', false) ?? false,
+            riskySubtaskTypes: configManager?.get('approvalGates.riskySubtaskTypes', []) ?? [],
+            ...options.config
+        };
+    }
+
+    /**
+     * @param {string} gate - One of APPROVAL_GATES.
+     * @param {object} [subtask] - Required for RISKY_SUBTASK.
+     * @returns {boolean}
+     */
+    isGateEnabled(gate, subtask) {
+        switch (gate) {
+            case APPROVAL_GATES.STRATEGIC_PLAN: return Boolean(this.config.afterPlan);
+            case APPROVAL_GATES.SUBTASK_BREAKDOWN: return Boolean(this.config.afterBreakdown);
+            case APPROVAL_GATES.RISKY_SUBTASK:
+                return Boolean(subtask && (subtask.requires_approval || this.config.riskySubtaskTypes.includes(subtask.type)));
+            default:
+                throw new ApprovalError(`Unknown approval gate: ${gate}`, 'APPROVAL_UNKNOWN_GATE', { gate });
+        }
+    }
+
+    /**
+     * Checks a gate for a project. Returns true when execution may proceed: the gate is disabled
+     * or has already been decided. Otherwise the project is parked in 'awaiting_approval' and
+     * false is returned; the caller must stop processing the project for now.
+     * @param {string} projectName
+     * @param {object} projectState - Mutated in place and persisted when the project is parked.
+     * @param {string} gate - One of APPROVAL_GATES.
+     * @param {object} [details]
+     * @param {object} [details.subtask] - Subtask about to run (RISKY_SUBTASK).
+     * @param {object} [details.summary] - Data shown to the reviewer.
+     * @returns {Promise<boolean>}
+     */
+    async checkGate(projectName, projectState, gate, { subtask, summary } = {}) {
+        if (!this.isGateEnabled(gate, subtask)) return true;
+
+        const gateKey = this._gateKey(gate, subtask);
+        const approvals = projectState.execution?.approvals || {};
+        const existing = approvals[gateKey];
+        if (existing && existing.status !== APPROVAL_DECISIONS.PENDING) return true;
+        if (existing) return false; // Still waiting on the reviewer
+
+        await this._park(projectName, projectState, gate, gateKey, subtask, summary);
+        return false;
+    }
+
+    /**
+     * @param {object} projectState
+     * @returns {ApprovalRecord | null}
+     */
+    getPendingApproval(projectState) {
+        const pendingId = projectState?.execution?.pendingApprovalId;
+        if (!pendingId) return null;
+        return Object.values(projectState.execution.approvals || {}).find(a => a.id === pendingId) || null;
+    }
+
+    /**
+     * Approves the project's pending gate and resumes execution.
+     * @param {string} projectName
+     * @param {object} [decision]
+     * @param {string} [decision.approvalId] - Guards against deciding a different gate than the one reviewed.
+     * @param {string} [decision.reviewer]
+     * @param {string} [decision.comment]
+     * @returns {Promise<ApprovalRecord>}
+     */
+    async approve(projectName, decision = {}) {
+        return this._decide(projectName, APPROVAL_DECISIONS.APPROVED, decision);
+    }
+
+    /**
+     * Rejects the project's pending gate. A rejected plan or breakdown schedules a re-plan with the
+     * reviewer comment as the reason; a rejected risky subtask is skipped.
+     * @param {string} projectName
+     * @param {object} [decision] - Same shape as for approve().
+     * @returns {Promise<ApprovalRecord>}
+     */
+    async reject(projectName, decision = {}) {
+        return this._decide(projectName, APPROVAL_DECISIONS.REJECTED, decision);
+    }
+
+    async _park(projectName, projectState, gate, gateKey, subtask, summary) {
+        projectState.execution = projectState.execution || {};
+        projectState.metadata = projectState.metadata || {};
+        const record = {
+            id: uuidv4(),
+            gate,
+            gateKey,
+            ...(subtask ? { subtaskId: subtask.id } : {}),
+            status: APPROVAL_DECISIONS.PENDING,
+            summary: summary || this._defaultSummary(gate, projectState, subtask),
+            requestedAt: new Date().toISOString(),
+            previousStatus: projectState.metadata.status || PROJECT_STATUS.PROCESSING_TASKS
+        };
+        projectState.execution.approvals = { ...projectState.execution.approvals, [gateKey]: record };
+        projectState.execution.pendingApprovalId = record.id;
+        projectState.metadata.status = PROJECT_STATUS.AWAITING_APPROVAL;
+
+        await this.projectPersistence.saveProject(projectName, projectState);
+        console.log(`[ApprovalGates] Project ${projectName} awaiting approval at gate '${gateKey}' (approval ${record.id}).`);
+        this.eventBus?.projectStatusChanged(projectName, PROJECT_STATUS.AWAITING_APPROVAL, { details: `Awaiting approval: ${gateKey}`, approvalId: record.id });
+        return record;
+    }
+
+    async _decide(projectName, outcome, { approvalId, reviewer, comment } = {}) {
+        const projectState = this.activeProjects?.get(projectName) || await this.projectPersistence.loadProject(projectName);
+        if (!projectState) {
+            throw new ApprovalError(`Project "${projectName}" not found.`, 'APPROVAL_PROJECT_NOT_FOUND', { projectName });
+        }
+        const pending = this.getPendingApproval(projectState);
+        if (!pending || projectState.metadata?.status !== PROJECT_STATUS.AWAITING_APPROVAL) {
+            throw new ApprovalError(`Project "${projectName}" has no pending approval.`, 'APPROVAL_NOT_PENDING', { projectName });
+        }
+        if (approvalId && approvalId !== pending.id) {
+            throw new ApprovalError(`Approval ${approvalId} is not the pending approval for "${projectName}".`,
+                'APPROVAL_ID_MISMATCH', { projectName, approvalId, pendingApprovalId: pending.id });
+        }
+
+        const decided = {
+            ...pending,
+            status: outcome,
+            decidedAt: new Date().toISOString(),
+            ...(reviewer ? { reviewer } : {}),
+            ...(comment ? { comment } : {})
+        };
+        const execution = projectState.execution;
+        execution.approvals = { ...execution.approvals, [pending.gateKey]: decided };
+        execution.approvalHistory = [...(execution.approvalHistory || []), decided];
+        delete execution.pendingApprovalId;
+
+        if (outcome === APPROVAL_DECISIONS.REJECTED) {
+            this._applyRejection(projectState, decided);
+        }
+        projectState.metadata.status = decided.previousStatus;
+
+        await this.projectPersistence.saveProject(projectName, projectState);
+        console.log(`[ApprovalGates] Gate '${pending.gateKey}' for ${projectName} ${outcome}${reviewer ? ` by ${reviewer}` : ''}.`);
+        this.eventBus?.projectStatusChanged(projectName, decided.previousStatus, { details: `Approval ${outcome}: ${pending.gateKey}`, approvalId: pending.id });
+        return decided;
+    }
+
+    _applyRejection(projectState, decided) {
+        const execution = projectState.execution;
+        if (decided.gate === APPROVAL_GATES.RISKY_SUBTASK) {
+            // Remaining subtasks that build on the rejected one cannot run either
+            const skipped = this._withRemainingDependents(execution, decided.subtaskId);
+            execution.subtasksRemainingIds = (execution.subtasksRemainingIds || []).filter(id => !skipped.includes(id));
+            execution.skippedSubtaskIds = [...(execution.skippedSubtaskIds || []), ...skipped];
+            if (skipped.length > 1) {
+                console.log(`[ApprovalGates] Skipping ${skipped.slice(1).join(', ')} with ${decided.subtaskId}, which they depend on.`);
+            }
+            return;
+        }
+        // Picked up by SystemManager and passed to AgentCoordinator.orchestrateReplanningAnalysis
+        execution.pendingReplan = {
+            errorClassification: 'APPROVAL_REJECTED',
+            replanReason: decided.comment || `Reviewer rejected the ${decided.gate.replace('_', ' ')}.`,
+            rejectedGate: decided.gate,
+            checkpointId: execution.lastCheckpointId
+        };
+        // The re-planned result has to pass the same gate again
+        delete execution.approvals[decided.gateKey];
+    }
+
+    // The subtask followed by every remaining subtask that depends on it, directly or transitively
+    _withRemainingDependents(execution, subtaskId) {
+        const remaining = new Set(execution.subtasksRemainingIds || []);
+        const skipped = [subtaskId];
+        for (let i = 0; i < skipped.length; i++) {
+            for (const subtask of execution.subtasksFull || []) {
+                const id = getSubtaskId(subtask);
+                if (remaining.has(id) && !skipped.includes(id) && getDependencyIds(subtask).includes(skipped[i])) skipped.push(id);
+            }
+        }
+        return skipped;
+    }
+
+    _gateKey(gate, subtask) {
+        return gate === APPROVAL_GATES.RISKY_SUBTASK ? `${gate}:${subtask.id}` : gate;
+    }
+
+    _defaultSummary(gate, projectState, subtask) {
+        switch (gate) {
+            case APPROVAL_GATES.STRATEGIC_PLAN:
+                return { plan: projectState.plan || null };
+            case APPROVAL_GATES.SUBTASK_BREAKDOWN:
+                return { subtasks: (projectState.execution?.subtasksFull || []).map(t => ({ id: t.id, title: t.title, type: t.type })) };
+            default:
+                return { subtask: { id: subtask.id, title: subtask.title, type: subtask.type, description: subtask.description } };
+        }
+    }
+}
+
+export default ApprovalGateManager;
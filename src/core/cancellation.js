@@ -0,0 +1,216 @@
+// src/core/cancellation.js
+// Project cancellation. SystemManager.cancelProject() aborts the project's AbortSignal, which is
+// passed down to TaskExecutionSystem.executeSubtask, SandboxManager.executeCommand and the
+// VertexAI client's generateText calls; once running work has unwound the project is marked
+// 'cancelled' and a final checkpoint is written so the partial results stay inspectable.
+
+import { v4 as uuidv4 } from 'uuid';
+import { PlatformError } from './error-utils.js';
+import { PROJECT_STATUS, isTerminalStatus } from './project-status.js';
+
+const DEFAULT_SETTLE_TIMEOUT_MS = 10000;
+
+/**
+ * Raised by any operation interrupted through a project's AbortSignal. FATAL so that
+ * determineRecoveryStrategy halts instead of retrying or re-planning.
+ */
+export class ProjectCancelledError extends PlatformError {
+    constructor(message = 'Project was cancelled.', context = {}) {
+        super(message, 'PROJECT_CANCELLED', context, null, 'FATAL');
+    }
+}
+
+export class CancellationError extends PlatformError {
+    constructor(message, code = 'CANCELLATION_ERROR', context = {}, originalError = null, severity = 'WARNING') {
+        super(message, code, context, originalError, severity);
+    }
+}
+
+/**
+ * @param {AbortSignal} [signal]
+ * @param {object} [context]
+ * @throws {ProjectCancelledError} When the signal has been aborted.
+ */
+export function throwIfCancelled(signal, context = {}) {
+    if (signal?.aborted) {
+        throw signal.reason instanceof ProjectCancelledError ? signal.reason : new ProjectCancelledError(undefined, context);
+    }
+}
+
+/**
+ * Settles with `promise` unless `signal` aborts first, in which case `onAbort` is called (to kill
+ * the underlying work) and the result rejects with ProjectCancelledError. Used where the callee
+ * has no native signal support, e.g. Docker exec streams and older model SDK calls.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @param {object} [options]
+ * @param {() => any} [options.onAbort]
+ * @param {object} [options.context]
+ * @returns {Promise<T>}
+ */
+export async function raceWithAbort(promise, signal, { onAbort, context = {} } = {}) {
+    if (!signal) return promise;
+    throwIfCancelled(signal, context);
+
+    let removeListener;
+    const aborted = new Promise((_, reject) => {
+        const listener = () => {
+            Promise.resolve()
+                .then(() => onAbort?.())
+                .catch(error => console.error(`[Cancellation] Abort handler failed: ${error.message}`));
+            reject(signal.reason instanceof ProjectCancelledError ? signal.reason : new ProjectCancelledError(undefined, context));
+        };
+        signal.addEventListener('abort', listener, { once: true });
+        removeListener = () => signal.removeEventListener('abort', listener);
+    });
+    return Promise.race([promise, aborted]).finally(removeListener);
+}
+
+/**
+ * Abort handler for SandboxManager.executeCommand: stops reading the exec stream and kills the
+ * container, since the Docker API has no way to stop a single exec instance.
+ * @param {object} params
+ * @param {object} params.container - dockerode Container running the exec.
+ * @param {import('stream').Duplex} [params.stream] - Hijacked exec stream.
+ * @param {string} [params.containerId]
+ * @returns {() => Promise<void>}
+ */
+export function createSandboxExecAbortHandler({ container, stream, containerId }) {
+    return async () => {
+        console.log(`[Cancellation] Killing exec in container ${containerId || container.id}.`);
+        stream?.destroy();
+        try {
+            await container.kill();
+        } catch (error) {
+            // 409/404: the container already stopped or was removed
+            if (error.statusCode !== 409 && error.statusCode !== 404) throw error;
+        }
+    };
+}
+
+export class ProjectCancellationManager {
+    /**
+     * @param {object} projectPersistence - ProjectPersistence instance (saveProject, createCheckpoint).
+     * @param {object} [configManager] - Reads `cancellation.settleTimeoutMs`.
+     * @param {object} [options]
+     * @param {Map<string, object>} [options.activeProjects] - SystemManager's in-memory project states.
+     * @param {import('./system-events.js').SystemEventBus} [options.eventBus]
+     * @param {import('./project-scheduler.js').ProjectScheduler} [options.projectScheduler] - Forgets cancelled
+     *   projects; set automatically when the scheduler is constructed with this manager.
+     */
+    constructor(projectPersistence, configManager, options = {}) {
+        this.projectPersistence = projectPersistence;
+        this.activeProjects = options.activeProjects || new Map();
+        this.eventBus = options.eventBus || null;
+        this.projectScheduler = options.projectScheduler || null;
+        this.settleTimeoutMs = configManager?.get('cancellation.settleTimeoutMs', DEFAULT_SETTLE_TIMEOUT_MS) ?? DEFAULT_SETTLE_TIMEOUT_MS;
+        /** @type {Map<string, { controller: AbortController, inFlight: Set<Promise<any>> }>} */
+        this.projects = new Map();
+    }
+
+    /**
+     * The signal to pass to every operation run on behalf of the project.
+     * @param {string} projectName
+     * @returns {AbortSignal}
+     */
+    signalFor(projectName) {
+        return this._entry(projectName).controller.signal;
+    }
+
+    /**
+     * Registers running work so cancelProject() can wait for it to unwind before the final checkpoint.
+     * @template T
+     * @param {string} projectName
+     * @param {Promise<T>} promise
+     * @returns {Promise<T>}
+     */
+    track(projectName, promise) {
+        const { inFlight } = this._entry(projectName);
+        inFlight.add(promise);
+        const untrack = () => inFlight.delete(promise);
+        promise.then(untrack, untrack);
+        return promise;
+    }
+
+    /**
+     * Aborts everything running for the project, waits (bounded by `cancellation.settleTimeoutMs`)
+     * for it to unwind, then marks the project 'cancelled' and writes a final checkpoint.
+     * @param {string} projectName
+     * @param {object} [options]
+     * @param {string} [options.reason]
+     * @returns {Promise<{ projectName: string, status: string, checkpointId: string | null }>}
+     */
+    async cancelProject(projectName, { reason } = {}) {
+        const projectState = this.activeProjects.get(projectName) || await this.projectPersistence.loadProject(projectName);
+        if (!projectState) {
+            throw new CancellationError(`Project "${projectName}" not found.`, 'CANCELLATION_PROJECT_NOT_FOUND', { projectName });
+        }
+        const status = projectState.metadata?.status;
+        if (isTerminalStatus(status)) {
+            throw new CancellationError(`Project "${projectName}" already finished with status '${status}'.`,
+                'CANCELLATION_INVALID_STATE', { projectName, status });
+        }
+
+        const entry = this._entry(projectName);
+        entry.controller.abort(new ProjectCancelledError(`Project "${projectName}" was cancelled${reason ? `: ${reason}` : '.'}`, { projectName }));
+        await this._settle(projectName, entry.inFlight);
+
+        projectState.metadata = { ...projectState.metadata, status: PROJECT_STATUS.CANCELLED, cancelledAt: new Date().toISOString() };
+        if (reason) projectState.metadata.cancelReason = reason;
+        projectState.execution = projectState.execution || {};
+        delete projectState.execution.runningSubtaskIds;
+
+        const checkpointId = await this._finalCheckpoint(projectName, projectState);
+        this.projects.delete(projectName);
+        this.projectScheduler?.remove(projectName);
+        console.log(`[Cancellation] Project ${projectName} cancelled${checkpointId ? ` (final checkpoint ${checkpointId})` : ''}.`);
+        this.eventBus?.projectStatusChanged(projectName, PROJECT_STATUS.CANCELLED, { details: reason || 'Cancelled by user', checkpointId });
+        return { projectName, status: PROJECT_STATUS.CANCELLED, checkpointId };
+    }
+
+    /**
+     * Drops the project's controller once it finished normally.
+     * @param {string} projectName
+     */
+    release(projectName) {
+        this.projects.delete(projectName);
+    }
+
+    _entry(projectName) {
+        let entry = this.projects.get(projectName);
+        if (!entry) {
+            entry = { controller: new AbortController(), inFlight: new Set() };
+            this.projects.set(projectName, entry);
+        }
+        return entry;
+    }
+
+    async _settle(projectName, inFlight) {
+        if (inFlight.size === 0) return;
+        let timer;
+        const timeout = new Promise(resolve => { timer = setTimeout(() => resolve('timeout'), this.settleTimeoutMs); });
+        const outcome = await Promise.race([Promise.allSettled([...inFlight]), timeout]);
+        clearTimeout(timer);
+        if (outcome === 'timeout') {
+            console.warn(`[Cancellation] ${inFlight.size} operation(s) of ${projectName} did not stop within ${this.settleTimeoutMs}ms; cancelling anyway.`);
+        }
+    }
+
+    async _finalCheckpoint(projectName, projectState) {
+        await this.projectPersistence.saveProject(projectName, projectState);
+        const checkpointId = `cancelled-${uuidv4()}`;
+        try {
+            await this.projectPersistence.createCheckpoint(projectName, checkpointId);
+        } catch (error) {
+            // The project itself is saved as cancelled; only the extra snapshot is missing
+            console.error(`[Cancellation] Final checkpoint for ${projectName} failed: ${error.message}`);
+            return null;
+        }
+        projectState.execution.lastCheckpointId = checkpointId;
+        await this.projectPersistence.saveProject(projectName, projectState);
+        return checkpointId;
+    }
+}
+
+export default ProjectCancellationManager;
@@ -0,0 +1,209 @@
+// src/core/clarification.js
+// Turns `clarification_needed` model responses into a conversation with the user.
+// AgentCoordinator raises ClarificationNeededError from understandRequest / developStrategicPlan;
+// SystemManager parks the project in 'needs_clarification' through ClarificationManager and, once
+// the user answers, resumes analysis at the stage that asked with the answers in the prompt context.
+
+import { v4 as uuidv4 } from 'uuid';
+import { CoordinationError } from './error-utils.js';
+import { PROJECT_STATUS } from './project-status.js';
+
+/**
+ * Analysis stages that may ask the user for clarification.
+ * @readonly
+ * @enum {string}
+ */
+export const CLARIFICATION_STAGES = Object.freeze({
+    REQUEST_UNDERSTANDING: 'request_understanding',
+    STRATEGIC_PLANNING: 'strategic_planning'
+});
+
+/**
+ * Raised by AgentCoordinator when the model asks questions instead of answering. The message keeps
+ * the "AI understanding failed: ..." / "AI planning failed: ..." wording of the old failure path.
+ */
+export class ClarificationNeededError extends CoordinationError {
+    /**
+     * @param {string} message
+     * @param {string} stage - One of CLARIFICATION_STAGES.
+     * @param {string[]} questions
+     * @param {object} [context] - May carry `partialResult` (e.g. the understanding that planning was based on).
+     */
+    constructor(message, stage, questions, context = {}) {
+        super(message, 'CLARIFICATION_NEEDED', { ...context, stage, questions }, null, 'WARNING');
+        this.stage = stage;
+        this.questions = questions;
+        this.partialResult = context.partialResult ?? null;
+    }
+}
+
+export class ClarificationError extends CoordinationError {
+    constructor(message, code = 'CLARIFICATION_ERROR', context = {}, originalError = null, severity = 'WARNING') {
+        super(message, code, context, originalError, severity);
+    }
+}
+
+/**
+ * Checks a parsed model response for `clarification_needed` and builds the error to raise.
+ * @param {object} parsedResponse
+ * @param {string} stage - One of CLARIFICATION_STAGES.
+ * @param {object} [context] - Extra error context, e.g. `{ projectName, partialResult }`.
+ * @returns {ClarificationNeededError | null}
+ */
+export function detectClarificationRequest(parsedResponse, stage, context = {}) {
+    const raw = parsedResponse?.clarification_needed;
+    const questions = (Array.isArray(raw) ? raw : [raw])
+        .filter(q => typeof q === 'string' && q.trim())
+        .map(q => q.trim());
+    if (questions.length === 0) return null;
+
+    const prefix = stage === CLARIFICATION_STAGES.STRATEGIC_PLANNING ? 'AI planning failed' : 'AI understanding failed';
+    const reason = parsedResponse.error || 'clarification needed';
+    return new ClarificationNeededError(`${prefix}: ${reason}`, stage, questions, context);
+}
+
+/**
+ * Renders answered questions for inclusion in the understanding / planning prompts.
+ * @param {Array<{ question: string, answer: string }>} clarifications
+ * @returns {string}
+ */
+export function formatClarificationsForPrompt(clarifications = []) {
+    if (!clarifications.length) return '';
+    const lines = clarifications.map((c, i) => `${i + 1}. Q: ${c.question}\n   A: ${c.answer}`);
+    return `The user answered the following clarification questions:\n${lines.join('\n')}`;
+}
+
+export class ClarificationManager {
+    /**
+     * @param {object} projectPersistence - ProjectPersistence instance used to persist parked projects.
+     * @param {object} [options]
+     * @param {Map<string, object>} [options.activeProjects] - SystemManager's in-memory project states.
+     * @param {import('./system-events.js').SystemEventBus} [options.eventBus]
+     */
+    constructor(projectPersistence, options = {}) {
+        this.projectPersistence = projectPersistence;
+        this.activeProjects = options.activeProjects || null;
+        this.eventBus = options.eventBus || null;
+    }
+
+    /**
+     * Parks a project in 'needs_clarification' with the model's questions.
+     * @param {string} projectName
+     * @param {object} projectState - Mutated in place and persisted.
+     * @param {ClarificationNeededError} error
+     * @returns {Promise<object>} The pending clarification record.
+     */
+    async requestClarification(projectName, projectState, error) {
+        projectState.execution = projectState.execution || {};
+        projectState.metadata = projectState.metadata || {};
+        const previousStatus = projectState.metadata.status === PROJECT_STATUS.NEEDS_CLARIFICATION
+            ? projectState.execution.pendingClarification?.previousStatus
+            : projectState.metadata.status;
+
+        const record = {
+            id: uuidv4(),
+            stage: error.stage,
+            questions: error.questions,
+            reason: error.message,
+            askedAt: new Date().toISOString(),
+            previousStatus: previousStatus || PROJECT_STATUS.ACTIVE,
+            // Lets planning resume without re-running understanding
+            ...(error.partialResult ? { partialResult: error.partialResult } : {})
+        };
+        projectState.execution.pendingClarification = record;
+        projectState.metadata.status = PROJECT_STATUS.NEEDS_CLARIFICATION;
+
+        await this.projectPersistence.saveProject(projectName, projectState);
+        console.log(`[Clarification] Project ${projectName} needs clarification at ${record.stage} (${record.questions.length} question(s)).`);
+        this.eventBus?.projectStatusChanged(projectName, PROJECT_STATUS.NEEDS_CLARIFICATION, {
+            details: record.questions.join(' '),
+            clarificationId: record.id,
+            questions: record.questions
+        });
+        return record;
+    }
+
+    /**
+     * @param {object} projectState
+     * @returns {object | null}
+     */
+    getPendingClarification(projectState) {
+        return projectState?.execution?.pendingClarification || null;
+    }
+
+    /**
+     * Records the user's answers and schedules analysis to resume at the stage that asked.
+     * @param {string} projectName
+     * @param {string[] | Object<string, string>} answers - In question order, or keyed by question text.
+     * @param {object} [options]
+     * @param {string} [options.clarificationId] - Guards against answering an older set of questions.
+     * @returns {Promise<{ stage: string, clarifications: Array<{ question: string, answer: string }> }>}
+     */
+    async answerClarification(projectName, answers, { clarificationId } = {}) {
+        const projectState = this.activeProjects?.get(projectName) || await this.projectPersistence.loadProject(projectName);
+        if (!projectState) {
+            throw new ClarificationError(`Project "${projectName}" not found.`, 'CLARIFICATION_PROJECT_NOT_FOUND', { projectName });
+        }
+        const pending = this.getPendingClarification(projectState);
+        if (!pending || projectState.metadata?.status !== PROJECT_STATUS.NEEDS_CLARIFICATION) {
+            throw new ClarificationError(`Project "${projectName}" is not waiting for clarification.`, 'CLARIFICATION_NOT_PENDING', { projectName });
+        }
+        if (clarificationId && clarificationId !== pending.id) {
+            throw new ClarificationError(`Clarification ${clarificationId} is not the pending one for "${projectName}".`,
+                'CLARIFICATION_ID_MISMATCH', { projectName, clarificationId, pendingClarificationId: pending.id });
+        }
+
+        const answered = this._pairAnswers(pending.questions, answers, projectName);
+        projectState.context = projectState.context || {};
+        projectState.context.clarifications = [...(projectState.context.clarifications || []), ...answered];
+
+        const execution = projectState.execution;
+        execution.clarificationHistory = [...(execution.clarificationHistory || []), { ...pending, answers: answered, answeredAt: new Date().toISOString() }];
+        execution.pendingResume = {
+            stage: pending.stage,
+            ...(pending.partialResult ? { partialResult: pending.partialResult } : {})
+        };
+        delete execution.pendingClarification;
+        projectState.metadata.status = pending.previousStatus;
+
+        await this.projectPersistence.saveProject(projectName, projectState);
+        console.log(`[Clarification] Project ${projectName} received ${answered.length} answer(s); resuming at ${pending.stage}.`);
+        this.eventBus?.projectStatusChanged(projectName, pending.previousStatus, { details: `Clarification answered; resuming ${pending.stage}` });
+        return { stage: pending.stage, clarifications: projectState.context.clarifications };
+    }
+
+    /**
+     * Builds the generateRequestUnderstandingPrompt context for a resumed project: the original
+     * input plus every answered question, so the model sees the whole conversation.
+     * @param {string} userInput - The original request.
+     * @param {object} projectState
+     * @param {object} [projectContext]
+     * @returns {{ userInput: string, projectContext: object }}
+     */
+    buildUnderstandingContext(userInput, projectState, projectContext = {}) {
+        const clarifications = projectState?.context?.clarifications || [];
+        if (clarifications.length === 0) return { userInput, projectContext };
+        return {
+            userInput,
+            projectContext: {
+                ...projectContext,
+                clarifications,
+                clarificationSummary: formatClarificationsForPrompt(clarifications)
+            }
+        };
+    }
+
+    _pairAnswers(questions, answers, projectName) {
+        const answerFor = Array.isArray(answers)
+            ? (question, index) => answers[index]
+            : (question) => answers?.[question];
+        const paired = questions.map((question, index) => ({ question, answer: answerFor(question, index) }));
+        const missing = paired.filter(p => typeof p.answer !== 'string' || !p.answer.trim()).map(p => p.question);
+        if (missing.length > 0) {
+            throw new ClarificationError(`Missing answers for ${missing.length} question(s).`, 'CLARIFICATION_ANSWERS_INCOMPLETE', { projectName, missing });
+        }
+        return paired.map(p => ({ question: p.question, answer: p.answer.trim() }));
+    }
+}
+
+export default ClarificationManager;
@@ -0,0 +1,211 @@
+// src/core/container-pool.js
+// Warm pool of pre-started sandbox containers. executeSubtask creates and cleans up a container
+// per subtask, so for short subtasks container startup dominates. The pool keeps up to
+// `sizePerImage` idle containers per image and creation options. createAndStartContainer
+// hands out an idle one (starting a spare in the background when that was the last), and
+// cleanupContainer resets the workspace and returns the container to the pool instead of
+// removing it.
+
+import { SandboxError } from './sandbox-errors.js';
+
+const DEFAULT_SIZE_PER_IMAGE = 2;
+const DEFAULT_MAX_USES = 20;
+// Used for backends without resetContainer() (the Docker SandboxManager)
+const RESET_COMMAND = ['sh', '-c', 'find /sandbox_project -mindepth 1 -delete'];
+
+export class ContainerPool {
+    /**
+     * @param {object} backend - A sandbox backend (see SANDBOX_BACKEND_METHODS).
+     * @param {object} [config] - `sandbox.pool`.
+     * @param {number} [config.sizePerImage] - Idle containers kept per image and option set.
+     * @param {number} [config.maxUses] - A container is removed instead of reset after this many subtasks.
+     * @param {Array<string | { image: string, count?: number }>} [config.images] - Pre-warmed by warmAll().
+     */
+    constructor(backend, config = {}) {
+        this.backend = backend;
+        this.sizePerImage = config.sizePerImage ?? DEFAULT_SIZE_PER_IMAGE;
+        this.maxUses = config.maxUses ?? DEFAULT_MAX_USES;
+        this.images = config.images || [];
+        /** @type {Map<string, string[]>} Pool key -> idle container IDs */
+        this.idle = new Map();
+        /** @type {Map<string, { key: string, uses: number }>} Every pooled container, idle or in use */
+        this.containers = new Map();
+        /** @type {Map<string, Promise<void>>} Pool key -> latest fill */
+        this.filling = new Map();
+        this.refills = new Set();
+        // Bumped by drain(); fills started before it remove what they create instead of pooling it
+        this.generation = 0;
+        this.stats = { hits: 0, misses: 0, resets: 0, discarded: 0 };
+    }
+
+    /**
+     * Per-session mounts cannot be changed on a running container, so those are never pooled.
+     * @returns {string | null}
+     */
+    _key(imageId, options = {}) {
+        if (options.volumeMounts?.length) return null;
+        const { envVars, networkMode, resourceLimits, readonlyRootfs, workingDir } = options;
+        return JSON.stringify([imageId ?? null, envVars ?? [], networkMode ?? null, resourceLimits ?? null, readonlyRootfs ?? null, workingDir ?? null]);
+    }
+
+    /**
+     * Starts containers until `imageId` has `count` idle ones.
+     * @param {string} [imageId]
+     * @param {number} [count]
+     * @param {object} [options] - createAndStartContainer options.
+     */
+    async warm(imageId, count = this.sizePerImage, options = {}) {
+        const key = this._key(imageId, options);
+        if (key === null) {
+            throw new SandboxError('Containers with volume mounts cannot be pooled.', 'CONFIG_ERROR', { imageId });
+        }
+        // Fills for the same key run one after another so concurrent refills do not overshoot
+        const generation = this.generation;
+        const fill = (this.filling.get(key) || Promise.resolve())
+            .catch(() => {})
+            .then(() => this._fill(key, imageId, Math.min(count, this.sizePerImage), options, generation));
+        this.filling.set(key, fill);
+        try {
+            await fill;
+        } finally {
+            if (this.filling.get(key) === fill) this.filling.delete(key);
+        }
+    }
+
+    /**
+     * Pre-warms the configured images. Failures are logged; subtasks then start containers on demand.
+     */
+    async warmAll() {
+        await Promise.all(this.images.map(async (entry) => {
+            const { image, count } = typeof entry === 'string' ? { image: entry } : entry;
+            try {
+                await this.warm(image, count);
+                console.log(`[ContainerPool] Warmed ${this._idleList(this._key(image)).length} container(s) for ${image}.`);
+            } catch (error) {
+                console.warn(`[ContainerPool] Failed to warm containers for ${image}: ${error.message}`);
+            }
+        }));
+    }
+
+    /**
+     * @param {string} [imageId]
+     * @param {object} [options] - createAndStartContainer options.
+     * @returns {Promise<string>} A started container with an empty /sandbox_project.
+     */
+    async acquire(imageId, options = {}) {
+        const key = this._key(imageId, options);
+        // Most recently reset first, so warm spares stay spare
+        const containerId = key === null ? undefined : this.idle.get(key)?.pop();
+        if (containerId) {
+            this.stats.hits++;
+            this.containers.get(containerId).uses++;
+            if (this.idle.get(key).length === 0) this._refill(imageId, options);
+            console.log(`[ContainerPool] Reusing warm container ${containerId}.`);
+            return containerId;
+        }
+        this.stats.misses++;
+        const created = await this.backend.createAndStartContainer(imageId, options);
+        if (key !== null) {
+            this.containers.set(created, { key, uses: 1 });
+            this._refill(imageId, options);
+        }
+        return created;
+    }
+
+    /**
+     * Resets the container and returns it to the pool, or removes it when the pool is full, the
+     * container was not pooled, it reached maxUses or the reset failed.
+     * @param {string} containerId
+     * @param {object} [options] - cleanupContainer options; `force` always removes the container.
+     */
+    async release(containerId, options = {}) {
+        const pooled = this.containers.get(containerId);
+        const idle = pooled ? this._idleList(pooled.key) : null;
+        if (!pooled || options.force || pooled.uses >= this.maxUses || idle.length >= this.sizePerImage) {
+            await this._discard(containerId, options);
+            return;
+        }
+        try {
+            if (typeof this.backend.resetContainer === 'function') {
+                await this.backend.resetContainer(containerId);
+            } else {
+                const result = await this.backend.executeCommand(containerId, RESET_COMMAND);
+                if (result.exitCode !== 0) throw new Error(result.errorOutput || `reset exited with ${result.exitCode}`);
+            }
+        } catch (error) {
+            console.warn(`[ContainerPool] Failed to reset container ${containerId}; removing it: ${error.message}`);
+            await this._discard(containerId, options);
+            return;
+        }
+        this.stats.resets++;
+        idle.push(containerId);
+    }
+
+    /**
+     * Waits for in-flight fills (warmAll() is not awaited by createSandboxBackend) and refills,
+     * then removes every idle and in-use container.
+     */
+    async drain() {
+        this.generation++;
+        await Promise.allSettled([...this.refills, ...this.filling.values()]);
+        this.idle.clear();
+        this.containers.clear();
+        await this.backend.cleanupAllContainers();
+    }
+
+    getStats() {
+        let idle = 0;
+        for (const ids of this.idle.values()) idle += ids.length;
+        return { ...this.stats, idle, inUse: this.containers.size - idle };
+    }
+
+    /**
+     * The backend with createAndStartContainer, cleanupContainer and cleanupAllContainers routed
+     * through the pool. Every other method is the backend's own.
+     * @returns {object}
+     */
+    wrapBackend() {
+        const pool = this;
+        const wrapped = Object.create(this.backend);
+        wrapped.createAndStartContainer = (imageId, options) => pool.acquire(imageId, options);
+        wrapped.cleanupContainer = (containerId, options) => pool.release(containerId, options);
+        wrapped.cleanupAllContainers = () => pool.drain();
+        wrapped.containerPool = pool;
+        return wrapped;
+    }
+
+    async _fill(key, imageId, count, options, generation) {
+        if (this.generation !== generation) return;
+        const idle = this._idleList(key);
+        while (idle.length < count) {
+            const containerId = await this.backend.createAndStartContainer(imageId, options);
+            if (this.generation !== generation) {
+                await this.backend.cleanupContainer(containerId);
+                return;
+            }
+            idle.push(containerId);
+            this.containers.set(containerId, { key, uses: 0 });
+        }
+    }
+
+    _idleList(key) {
+        if (!this.idle.has(key)) this.idle.set(key, []);
+        return this.idle.get(key);
+    }
+
+    // Keeps one spare so the next subtask does not wait for a container start
+    _refill(imageId, options) {
+        const refill = this.warm(imageId, 1, options)
+            .catch(error => console.warn(`[ContainerPool] Refill for ${imageId ?? 'default image'} failed: ${error.message}`))
+            .finally(() => this.refills.delete(refill));
+        this.refills.add(refill);
+    }
+
+    async _discard(containerId, options) {
+        this.containers.delete(containerId);
+        this.stats.discarded++;
+        await this.backend.cleanupContainer(containerId, options);
+    }
+}
+
+export default ContainerPool;
@@ -0,0 +1,214 @@
+// src/core/crash-recovery.js
+// Write-ahead records for running subtasks, crash-resume on SystemManager.initialize() and
+// graceful draining on stopOperation(). A subtask's record is persisted before it starts and
+// removed once it settles, so a record found at startup means the process died mid-subtask.
+
+import { v4 as uuidv4 } from 'uuid';
+import { PlatformError } from './error-utils.js';
+import { PROJECT_STATUS } from './project-status.js';
+
+const CHECKPOINT_NAME_MARKER = '_checkpoint_';
+const DEFAULT_DRAIN_TIMEOUT_MS = 60000;
+
+export class ShutdownInProgressError extends PlatformError {
+    constructor(message, context = {}) {
+        super(message, 'SHUTDOWN_IN_PROGRESS', context, null, 'RETRYABLE_TRANSIENT');
+    }
+}
+
+/**
+ * Tracks running subtasks through write-ahead records in `execution.inFlightSubtasks` and drains
+ * them on shutdown.
+ */
+export class InFlightSubtaskTracker {
+    /**
+     * @param {object} projectPersistence - ProjectPersistence instance (saveProject, createCheckpoint).
+     * @param {object} [configManager] - Reads `system.shutdownDrainTimeoutMs`.
+     */
+    constructor(projectPersistence, configManager) {
+        this.projectPersistence = projectPersistence;
+        this.drainTimeoutMs = configManager?.get('system.shutdownDrainTimeoutMs', DEFAULT_DRAIN_TIMEOUT_MS) ?? DEFAULT_DRAIN_TIMEOUT_MS;
+        this.draining = false;
+        /** @type {Map<string, { projectName: string, projectState: object, subtaskId: string, promise: Promise<any> }>} */
+        this.running = new Map();
+    }
+
+    /**
+     * Wraps a subtask executor (e.g. for SubtaskScheduler.run) so every run is bracketed by a
+     * persisted write-ahead record.
+     * @param {string} projectName
+     * @param {object} projectState
+     * @param {(subtask: object) => Promise<object>} executeSubtask
+     * @returns {(subtask: object) => Promise<object>}
+     */
+    wrap(projectName, projectState, executeSubtask) {
+        return subtask => this.run(projectName, projectState, subtask, executeSubtask);
+    }
+
+    /**
+     * Persists the write-ahead record, runs the subtask and clears the record again. Refuses to
+     * start new subtasks once draining has begun.
+     * @param {string} projectName
+     * @param {object} projectState
+     * @param {object} subtask
+     * @param {(subtask: object) => Promise<object>} executeSubtask
+     * @returns {Promise<object>}
+     */
+    async run(projectName, projectState, subtask, executeSubtask) {
+        if (this.draining) {
+            throw new ShutdownInProgressError(`Not starting subtask ${subtask.id} of ${projectName}: shutdown in progress.`,
+                { projectName, subtaskId: subtask.id });
+        }
+        const execution = projectState.execution;
+        execution.inFlightSubtasks = {
+            ...execution.inFlightSubtasks,
+            [subtask.id]: {
+                startedAt: new Date().toISOString(),
+                attempt: execution.subtaskAttempts?.[subtask.id] ?? 1,
+                checkpointId: execution.lastCheckpointId ?? null
+            }
+        };
+        await this.projectPersistence.saveProject(projectName, projectState);
+
+        const key = `${projectName}:${subtask.id}`;
+        const promise = (async () => {
+            try {
+                return await executeSubtask(subtask);
+            } finally {
+                delete execution.inFlightSubtasks[subtask.id];
+                this.running.delete(key);
+            }
+        })();
+        this.running.set(key, { projectName, projectState, subtaskId: subtask.id, promise });
+        return promise;
+    }
+
+    /**
+     * Stops new subtasks from starting and waits for running ones. Subtasks still running when
+     * the timeout expires are left with their write-ahead record and their project is
+     * checkpointed, so the next initialize() resumes them.
+     * @param {object} [options]
+     * @param {number} [options.timeoutMs]
+     * @returns {Promise<{ finished: number, interrupted: Array<{ projectName: string, subtaskId: string, checkpointId: string | null }> }>}
+     */
+    async drain({ timeoutMs = this.drainTimeoutMs } = {}) {
+        this.draining = true;
+        const pending = [...this.running.values()];
+        if (pending.length === 0) return { finished: 0, interrupted: [] };
+
+        console.log(`[Shutdown] Draining ${pending.length} running subtask(s) (timeout ${timeoutMs}ms)...`);
+        let timer;
+        const timeout = new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); });
+        await Promise.race([Promise.allSettled(pending.map(p => p.promise)), timeout]);
+        clearTimeout(timer);
+
+        const leftOver = [...this.running.values()];
+        const interrupted = [];
+        const checkpointed = new Map();
+        for (const { projectName, projectState, subtaskId } of leftOver) {
+            if (!checkpointed.has(projectName)) {
+                checkpointed.set(projectName, await this._checkpointInterrupted(projectName, projectState));
+            }
+            interrupted.push({ projectName, subtaskId, checkpointId: checkpointed.get(projectName) });
+        }
+        console.log(`[Shutdown] Drain complete: ${pending.length - leftOver.length} finished, ${leftOver.length} left for resume.`);
+        return { finished: pending.length - leftOver.length, interrupted };
+    }
+
+    /**
+     * Accepts new subtasks again after drain(). SystemManager.initialize() should call it so a
+     * stop/start cycle in the same process does not leave the tracker refusing work.
+     */
+    resume() {
+        this.draining = false;
+    }
+
+    async _checkpointInterrupted(projectName, projectState) {
+        try {
+            await this.projectPersistence.saveProject(projectName, projectState);
+            const checkpointId = `shutdown-${uuidv4()}`;
+            await this.projectPersistence.createCheckpoint(projectName, checkpointId);
+            projectState.execution.lastCheckpointId = checkpointId;
+            await this.projectPersistence.saveProject(projectName, projectState);
+            return checkpointId;
+        } catch (error) {
+            // The write-ahead record from before the subtask started is still on disk
+            console.error(`[Shutdown] Failed to checkpoint ${projectName}: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+/**
+ * Finds projects left in 'processing_tasks' by a previous process and prepares them to run again:
+ * removes orphaned sandbox containers, restores each project from its last checkpoint and puts
+ * the subtasks named in its write-ahead records back in the queue. The interrupted run counts as
+ * an attempt so a subtask that keeps crashing the process still reaches its retry limit.
+ * @param {object} projectPersistence
+ * @param {object} [sandboxManager] - Its cleanupAllContainers() is called once when anything was interrupted.
+ * @returns {Promise<Array<{ projectName: string, projectState: object, interruptedSubtaskIds: string[] }>>}
+ */
+export async function resumeInterruptedProjects(projectPersistence, sandboxManager) {
+    const names = (await projectPersistence.listProjects()).filter(name => !name.includes(CHECKPOINT_NAME_MARKER));
+    const interruptedProjects = [];
+    for (const projectName of names) {
+        const projectState = await projectPersistence.loadProject(projectName);
+        if (projectState?.metadata?.status === PROJECT_STATUS.PROCESSING_TASKS) {
+            interruptedProjects.push({ projectName, projectState });
+        }
+    }
+    if (interruptedProjects.length === 0) return [];
+
+    console.log(`[Recovery] Found ${interruptedProjects.length} project(s) interrupted mid-execution.`);
+    if (sandboxManager?.cleanupAllContainers) {
+        try {
+            await sandboxManager.cleanupAllContainers();
+        } catch (error) {
+            console.error(`[Recovery] Orphaned container cleanup failed: ${error.message}`);
+        }
+    }
+
+    const resumed = [];
+    for (const { projectName, projectState: crashedState } of interruptedProjects) {
+        try {
+            resumed.push(await resumeProject(projectPersistence, projectName, crashedState));
+        } catch (error) {
+            console.error(`[Recovery] Could not resume ${projectName}: ${error.message}`);
+        }
+    }
+    return resumed;
+}
+
+async function resumeProject(projectPersistence, projectName, crashedState) {
+    const crashedExecution = crashedState.execution || {};
+    const inFlight = crashedExecution.inFlightSubtasks || {};
+    const interruptedSubtaskIds = Object.keys(inFlight);
+    const checkpointId = crashedExecution.lastCheckpointId;
+
+    let projectState = crashedState;
+    if (checkpointId) {
+        await projectPersistence.restoreFromCheckpoint(projectName, checkpointId);
+        projectState = await projectPersistence.loadProject(projectName);
+    }
+
+    const execution = projectState.execution = projectState.execution || {};
+    execution.subtaskAttempts = { ...execution.subtaskAttempts };
+    for (const [subtaskId, record] of Object.entries(inFlight)) {
+        execution.subtaskAttempts[subtaskId] = Math.max(
+            execution.subtaskAttempts[subtaskId] ?? 0,
+            crashedExecution.subtaskAttempts?.[subtaskId] ?? 0,
+            record.attempt ?? 0
+        );
+        if (!(execution.subtasksRemainingIds || []).includes(subtaskId)) {
+            execution.subtasksRemainingIds = [subtaskId, ...(execution.subtasksRemainingIds || [])];
+        }
+    }
+    delete execution.inFlightSubtasks;
+    delete execution.runningSubtaskIds;
+    execution.lastRecovery = { recoveredAt: new Date().toISOString(), checkpointId: checkpointId ?? null, interruptedSubtaskIds };
+
+    await projectPersistence.saveProject(projectName, projectState);
+    console.log(`[Recovery] Resuming ${projectName} from ${checkpointId ? `checkpoint ${checkpointId}` : 'its last saved state'}` +
+        `${interruptedSubtaskIds.length ? `; re-queued ${interruptedSubtaskIds.join(', ')}` : ''}.`);
+    return { projectName, projectState, interruptedSubtaskIds };
+}
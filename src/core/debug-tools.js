@@ -0,0 +1,217 @@
+// src/core/debug-tools.js
+// Tool calling for the debugging agent. Instead of one generateCodeDebuggingPrompt round trip, the
+// code-chat model can ask for actions mid-conversation (read a repository file, list files, run a
+// command in the sandbox, grep the workspace) until it has enough to propose a fix. The loop is
+// bounded by a step limit and every tool invocation is appended to the subtask's execution trace.
+
+import path from 'path';
+import { PlatformError } from './error-utils.js';
+import { throwIfCancelled } from './cancellation.js';
+
+const DEFAULT_REPO_ROOT = '/sandbox_project/cloned_repo';
+const DEFAULT_MAX_STEPS = 8;
+const DEFAULT_COMMAND_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_OUTPUT_CHARS = 8000;
+const TRACE_PREVIEW_CHARS = 500;
+const MAX_GREP_MATCHES_PER_FILE = 20;
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const DEBUG_TOOL_NAMES = Object.freeze({
+    READ_FILE: 'read_repository_file',
+    LIST_FILES: 'list_files',
+    RUN_COMMAND: 'run_command',
+    GREP_WORKSPACE: 'grep_workspace'
+});
+
+/**
+ * Function declarations in the Vertex AI `tools: [{ functionDeclarations }]` format.
+ */
+export const DEBUG_TOOL_DECLARATIONS = Object.freeze([
+    {
+        name: DEBUG_TOOL_NAMES.READ_FILE,
+        description: 'Read a file from the repository. Paths are relative to the repository root.',
+        parameters: {
+            type: 'OBJECT',
+            properties: { path: { type: 'STRING', description: 'File path, e.g. src/index.js' } },
+            required: ['path']
+        }
+    },
+    {
+        name: DEBUG_TOOL_NAMES.LIST_FILES,
+        description: 'List the files under a repository directory.',
+        parameters: {
+            type: 'OBJECT',
+            properties: { directory: { type: 'STRING', description: 'Directory relative to the repository root; defaults to the root.' } }
+        }
+    },
+    {
+        name: DEBUG_TOOL_NAMES.RUN_COMMAND,
+        description: 'Run a shell command in the sandbox from the repository root, e.g. to reproduce the failure or run a single test.',
+        parameters: {
+            type: 'OBJECT',
+            properties: { command: { type: 'STRING' } },
+            required: ['command']
+        }
+    },
+    {
+        name: DEBUG_TOOL_NAMES.GREP_WORKSPACE,
+        description: 'Search repository files for a regular expression. Returns matching lines with file and line number.',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                pattern: { type: 'STRING', description: 'Extended regular expression.' },
+                directory: { type: 'STRING', description: 'Directory relative to the repository root; defaults to the root.' }
+            },
+            required: ['pattern']
+        }
+    }
+]);
+
+export class ToolLoopError extends PlatformError {
+    constructor(message, code = 'TOOL_LOOP_ERROR', context = {}, originalError = null, severity = 'RECOVERABLE_WITH_MODIFICATION') {
+        super(message, code, context, originalError, severity);
+    }
+}
+
+function truncate(text, maxChars) {
+    const value = String(text ?? '');
+    return value.length > maxChars ? `${value.slice(0, maxChars)}\n... [truncated ${value.length - maxChars} characters]` : value;
+}
+
+/**
+ * Resolves a model-supplied path inside the repository root.
+ * @param {string} repoRoot
+ * @param {string} [relativePath]
+ * @returns {string}
+ * @throws {ToolLoopError} TOOL_PATH_OUTSIDE_REPOSITORY
+ */
+export function resolveRepositoryPath(repoRoot, relativePath = '.') {
+    const resolved = path.posix.resolve(repoRoot, String(relativePath).replace(/^\/+/, ''));
+    if (resolved !== repoRoot && !resolved.startsWith(`${repoRoot}/`)) {
+        throw new ToolLoopError(`Path "${relativePath}" is outside the repository.`, 'TOOL_PATH_OUTSIDE_REPOSITORY', { path: relativePath });
+    }
+    return resolved;
+}
+
+/**
+ * The debugging tools backed by a sandbox container.
+ * @param {object} sandboxManager - readRepositoryFile, listRepositoryFiles and executeCommand.
+ * @param {string} containerId
+ * @param {object} [options]
+ * @param {string} [options.repoRoot]
+ * @param {number} [options.commandTimeoutMs]
+ * @param {number} [options.maxOutputChars] - Longer tool output is truncated before it reaches the model.
+ * @returns {{ declarations: object[], execute: (name: string, args: object) => Promise<object> }}
+ */
+export function createSandboxDebugTools(sandboxManager, containerId, options = {}) {
+    const repoRoot = path.posix.normalize(options.repoRoot || DEFAULT_REPO_ROOT).replace(/\/$/, '');
+    const commandTimeoutMs = options.commandTimeoutMs ?? DEFAULT_COMMAND_TIMEOUT_MS;
+    const maxOutputChars = options.maxOutputChars ?? DEFAULT_MAX_OUTPUT_CHARS;
+
+    const handlers = {
+        [DEBUG_TOOL_NAMES.READ_FILE]: async ({ path: filePath }) => ({
+            path: filePath,
+            content: truncate(await sandboxManager.readRepositoryFile(containerId, resolveRepositoryPath(repoRoot, filePath)), maxOutputChars)
+        }),
+        [DEBUG_TOOL_NAMES.LIST_FILES]: async ({ directory = '.' }) => {
+            const files = await sandboxManager.listRepositoryFiles(containerId, resolveRepositoryPath(repoRoot, directory));
+            return { directory, files: truncate(files.join('\n'), maxOutputChars) };
+        },
+        [DEBUG_TOOL_NAMES.RUN_COMMAND]: async ({ command }) => {
+            const result = await sandboxManager.executeCommand(containerId, ['sh', '-c', command], { timeoutMs: commandTimeoutMs, workingDir: repoRoot });
+            return { exitCode: result.exitCode, output: truncate(result.output, maxOutputChars), errorOutput: truncate(result.errorOutput, maxOutputChars) };
+        },
+        [DEBUG_TOOL_NAMES.GREP_WORKSPACE]: async ({ pattern, directory = '.' }) => {
+            const result = await sandboxManager.executeCommand(containerId,
+                ['grep', '-rnIE', '--exclude-dir=.git', '--exclude-dir=node_modules', '-m', String(MAX_GREP_MATCHES_PER_FILE), '-e', pattern, '--', resolveRepositoryPath(repoRoot, directory)],
+                { timeoutMs: commandTimeoutMs, workingDir: repoRoot });
+            // grep exits 1 when nothing matched, 2 on errors such as an invalid pattern
+            if (result.exitCode > 1) return { error: truncate(result.errorOutput || `grep exited with ${result.exitCode}`, maxOutputChars) };
+            return { matches: truncate(result.output.split(`${repoRoot}/`).join(''), maxOutputChars) };
+        }
+    };
+
+    return {
+        declarations: DEBUG_TOOL_DECLARATIONS,
+        execute: async (name, args = {}) => {
+            const handler = handlers[name];
+            if (!handler) {
+                throw new ToolLoopError(`Unknown tool "${name}".`, 'TOOL_UNKNOWN', { tool: name });
+            }
+            return handler(args);
+        }
+    };
+}
+
+/**
+ * @typedef {object} ToolChatSession
+ * @property {(message: string | Array<{ name: string, response: object }>) => Promise<{ text: string, functionCalls: Array<{ name: string, args: object }> }>} sendMessage
+ *   Sends the user prompt or the results of the previous turn's function calls.
+ */
+
+/**
+ * Drives a tool-calling conversation until the model answers without requesting tools. Once
+ * `maxSteps` tool turns have run, further calls are answered with an error asking for the final
+ * answer; a model that still insists on tools fails the loop.
+ * @param {ToolChatSession} chat - From LLMProvider#startToolChat().
+ * @param {string} prompt - Typically generateCodeDebuggingPrompt().
+ * @param {{ execute: (name: string, args: object) => Promise<object> }} tools
+ * @param {object} [options]
+ * @param {number} [options.maxSteps]
+ * @param {object[]} [options.trace] - The subtask's execution trace; one entry is appended per tool call.
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ text: string, steps: number, trace: object[] }>}
+ * @throws {ToolLoopError} TOOL_LOOP_STEP_LIMIT
+ */
+export async function runToolLoop(chat, prompt, tools, options = {}) {
+    const maxSteps = options.maxSteps ?? DEFAULT_MAX_STEPS;
+    const trace = options.trace || [];
+    let response = await chat.sendMessage(prompt);
+    let steps = 0;
+
+    while (response.functionCalls.length > 0) {
+        throwIfCancelled(options.signal);
+        if (steps >= maxSteps) {
+            if (steps > maxSteps) {
+                throw new ToolLoopError(`Debugging agent kept requesting tools after the ${maxSteps}-step limit.`, 'TOOL_LOOP_STEP_LIMIT',
+                    { maxSteps, requestedTools: response.functionCalls.map(call => call.name) });
+            }
+            console.log(`[DebugTools] Step limit of ${maxSteps} reached; asking for a final answer.`);
+            steps++;
+            response = await chat.sendMessage(response.functionCalls.map(call => ({
+                name: call.name,
+                response: { error: `Tool step limit (${maxSteps}) reached. Do not call any more tools; give your final answer now.` }
+            })));
+            continue;
+        }
+
+        steps++;
+        const results = [];
+        for (const call of response.functionCalls) {
+            const startedAt = Date.now();
+            const entry = { type: 'tool_call', step: steps, tool: call.name, args: call.args, timestamp: new Date(startedAt).toISOString() };
+            let result;
+            try {
+                result = await tools.execute(call.name, call.args);
+                entry.status = result?.error ? 'error' : 'ok';
+                entry.outputPreview = truncate(JSON.stringify(result), TRACE_PREVIEW_CHARS);
+            } catch (error) {
+                throwIfCancelled(options.signal);
+                // Tool failures go back to the model, which can often recover (e.g. a wrong path)
+                result = { error: error.message };
+                entry.status = 'error';
+                entry.error = { message: error.message, code: error.code ?? null };
+            }
+            entry.durationMs = Date.now() - startedAt;
+            trace.push(entry);
+            console.log(`[DebugTools] Step ${steps}: ${call.name} -> ${entry.status}`);
+            results.push({ name: call.name, response: result });
+        }
+        response = await chat.sendMessage(results);
+    }
+
+    return { text: response.text, steps: Math.min(steps, maxSteps), trace };
+}
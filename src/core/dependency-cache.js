@@ -0,0 +1,220 @@
+// src/core/dependency-cache.js
+// Dependency caching for sandbox installs, keyed on the lockfile hash. A successful npm install
+// stores node_modules on the host and a pip install stores the built wheels, so a later subtask
+// or debug attempt with the same lockfile and image restores them instead of reinstalling from the
+// network. Within one container, a repeated install with an unchanged lockfile is skipped.
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+const DEFAULT_MAX_ENTRIES = 20;
+const NPM_LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json'];
+const WHEELHOUSE_PATH = '/sandbox_project/.wheelhouse';
+
+/**
+ * @param {object} inputs - Everything the installed result depends on.
+ * @returns {string}
+ */
+export function dependencyCacheKey(inputs) {
+    return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+}
+
+export class DependencyCache {
+    /**
+     * @param {object} backend - A sandbox backend (see SANDBOX_BACKEND_METHODS).
+     * @param {object} [config] - `sandbox.dependencyCache`.
+     * @param {string} [config.cacheDir] - Host directory holding one entry per key.
+     * @param {number} [config.maxEntries] - Least recently used entries beyond this are removed.
+     */
+    constructor(backend, config = {}) {
+        this.backend = backend;
+        this.cacheDir = path.resolve(config.cacheDir || './sandbox_cache/dependencies');
+        this.maxEntries = config.maxEntries ?? DEFAULT_MAX_ENTRIES;
+        /** @type {Map<string, string | null>} Container ID -> image it was started from */
+        this.containerImages = new Map();
+        /** @type {Map<string, Map<string, string>>} Container ID -> project path -> installed key */
+        this.installed = new Map();
+        this.stats = { hits: 0, misses: 0, skipped: 0, uncacheable: 0 };
+        fs.ensureDirSync(this.cacheDir);
+    }
+
+    /**
+     * Same contract as the backend's installNpmDependencies. Projects without package-lock.json
+     * or npm-shrinkwrap.json are installed without caching.
+     */
+    async installNpmDependencies(containerId, projectPath, options = {}) {
+        const lockfile = await this._readLockfile(containerId, projectPath, NPM_LOCKFILES);
+        if (!lockfile) {
+            this.stats.uncacheable++;
+            return this.backend.installNpmDependencies(containerId, projectPath, options);
+        }
+        const key = dependencyCacheKey(['npm', this.containerImages.get(containerId) ?? null, lockfile.content, Boolean(options.production)]);
+        const target = path.posix.join(projectPath, 'node_modules');
+
+        return this._withCache(containerId, projectPath, key, 'node_modules', target, async () => {
+            return this.backend.installNpmDependencies(containerId, projectPath, options);
+        });
+    }
+
+    /**
+     * Same contract as the backend's installPythonDependencies. Wheels are built into a wheelhouse
+     * that is cached and installed from offline.
+     */
+    async installPythonDependencies(containerId, projectPath, options = {}) {
+        const requirementsFile = options.requirementsFile || 'requirements.txt';
+        const lockfile = await this._readLockfile(containerId, projectPath, [requirementsFile]);
+        if (!lockfile) {
+            this.stats.uncacheable++;
+            return this.backend.installPythonDependencies(containerId, projectPath, options);
+        }
+        const key = dependencyCacheKey(['pip', this.containerImages.get(containerId) ?? null, lockfile.content]);
+        const run = command => this.backend.executeCommand(containerId, command,
+            { workingDir: projectPath, timeoutMs: options.timeoutMs, networkAccess: true });
+        const installFromWheelhouse = () => run(['pip', 'install', '--no-index', '--find-links', WHEELHOUSE_PATH, '-r', requirementsFile]);
+
+        return this._withCache(containerId, projectPath, key, 'wheelhouse', WHEELHOUSE_PATH, async () => {
+            const built = await run(['pip', 'wheel', '-r', requirementsFile, '-w', WHEELHOUSE_PATH]);
+            if (built.exitCode !== 0) {
+                // Some requirements (e.g. editable installs) cannot be built as wheels
+                console.warn(`[DependencyCache] pip wheel failed (exit ${built.exitCode}); installing without the cache.`);
+                return { ...(await this.backend.installPythonDependencies(containerId, projectPath, options)), uncached: true };
+            }
+            return installFromWheelhouse();
+        }, installFromWheelhouse);
+    }
+
+    /**
+     * Forgets what was installed in a container; called when it is cleaned up or reset.
+     * @param {string} containerId
+     */
+    forgetContainer(containerId) {
+        this.containerImages.delete(containerId);
+        this.installed.delete(containerId);
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * The backend with dependency installs going through the cache. Container creation and
+     * cleanup are tracked so keys include the image and per-container records are dropped.
+     * @returns {object}
+     */
+    wrapBackend() {
+        const cache = this;
+        const backend = this.backend;
+        const wrapped = Object.create(backend);
+        wrapped.createAndStartContainer = async (imageId, options) => {
+            const containerId = await backend.createAndStartContainer.call(wrapped, imageId, options);
+            cache.containerImages.set(containerId, imageId ?? null);
+            return containerId;
+        };
+        wrapped.cleanupContainer = (containerId, options) => {
+            cache.forgetContainer(containerId);
+            return backend.cleanupContainer.call(wrapped, containerId, options);
+        };
+        wrapped.cleanupAllContainers = () => {
+            cache.containerImages.clear();
+            cache.installed.clear();
+            return backend.cleanupAllContainers.call(wrapped);
+        };
+        wrapped.installNpmDependencies = (...args) => cache.installNpmDependencies(...args);
+        wrapped.installPythonDependencies = (...args) => cache.installPythonDependencies(...args);
+        wrapped.dependencyCache = cache;
+        return wrapped;
+    }
+
+    /**
+     * Skips, restores or installs and stores, in that order of preference.
+     * @param {string} artifactName - Directory name inside the cache entry.
+     * @param {string} containerPath - Where the artifact lives in the container.
+     * @param {() => Promise<object>} install - Full install on a miss; must leave the artifact at containerPath.
+     * @param {() => Promise<object>} [afterRestore] - Run after restoring, e.g. an offline install.
+     */
+    async _withCache(containerId, projectPath, key, artifactName, containerPath, install, afterRestore) {
+        if (this.installed.get(containerId)?.get(projectPath) === key) {
+            this.stats.skipped++;
+            console.log(`[DependencyCache] Dependencies in ${projectPath} are current; skipping install.`);
+            return { output: 'Dependencies already installed for this lockfile.', errorOutput: '', exitCode: 0, cached: true };
+        }
+
+        const entryDir = path.join(this.cacheDir, key);
+        if (await fs.pathExists(path.join(entryDir, artifactName))) {
+            try {
+                await this.backend.executeCommand(containerId, ['rm', '-rf', containerPath]);
+                await this.backend.copyToContainer(containerId, path.join(entryDir, artifactName), containerPath);
+                const now = new Date();
+                await fs.utimes(entryDir, now, now);
+                const result = afterRestore
+                    ? await afterRestore()
+                    : { output: `Restored ${artifactName} from the dependency cache.`, errorOutput: '', exitCode: 0 };
+                if (result.exitCode === 0) {
+                    this.stats.hits++;
+                    this._markInstalled(containerId, projectPath, key);
+                    console.log(`[DependencyCache] Restored ${artifactName} for ${projectPath} (${key.slice(0, 12)}).`);
+                    return { ...result, cached: true };
+                }
+                console.warn(`[DependencyCache] Install from cached ${artifactName} failed (exit ${result.exitCode}); reinstalling.`);
+            } catch (error) {
+                console.warn(`[DependencyCache] Failed to restore ${artifactName} (${key.slice(0, 12)}); reinstalling: ${error.message}`);
+            }
+        }
+
+        this.stats.misses++;
+        const result = await install();
+        if (result.exitCode !== 0 || result.uncached) return result;
+        this._markInstalled(containerId, projectPath, key);
+        await this._store(containerId, key, artifactName, containerPath);
+        return result;
+    }
+
+    async _store(containerId, key, artifactName, containerPath) {
+        const entryDir = path.join(this.cacheDir, key);
+        const stagingDir = `${entryDir}.tmp-${process.pid}-${Date.now()}`;
+        try {
+            await this.backend.copyFromContainer(containerId, containerPath, path.join(stagingDir, artifactName));
+            // Another subtask may have stored the same key meanwhile; either copy is valid
+            if (await fs.pathExists(entryDir)) await fs.remove(stagingDir);
+            else await fs.move(stagingDir, entryDir);
+            await this._prune();
+        } catch (error) {
+            await fs.remove(stagingDir).catch(() => {});
+            // Caching is an optimization; the install itself succeeded
+            console.warn(`[DependencyCache] Failed to cache ${artifactName} (${key.slice(0, 12)}): ${error.message}`);
+        }
+    }
+
+    async _prune() {
+        const entries = [];
+        for (const name of await fs.readdir(this.cacheDir)) {
+            if (name.includes('.tmp-')) continue;
+            const { mtimeMs } = await fs.stat(path.join(this.cacheDir, name));
+            entries.push({ name, mtimeMs });
+        }
+        entries.sort((a, b) => b.mtimeMs - a.mtimeMs);
+        for (const { name } of entries.slice(this.maxEntries)) {
+            await fs.remove(path.join(this.cacheDir, name));
+            console.log(`[DependencyCache] Evicted ${name.slice(0, 12)}.`);
+        }
+    }
+
+    async _readLockfile(containerId, projectPath, candidates) {
+        for (const name of candidates) {
+            try {
+                return { name, content: await this.backend.readRepositoryFile(containerId, path.posix.join(projectPath, name)) };
+            } catch {
+                // Try the next candidate
+            }
+        }
+        return null;
+    }
+
+    _markInstalled(containerId, projectPath, key) {
+        if (!this.installed.has(containerId)) this.installed.set(containerId, new Map());
+        this.installed.get(containerId).set(projectPath, key);
+    }
+}
+
+export default DependencyCache;
@@ -0,0 +1,458 @@
+// src/core/environment-detector.js
+// Detects a cloned repository's runtime environment from its manifests (package.json, .nvmrc,
+// requirements.txt, pyproject.toml, go.mod, pom.xml, build.gradle, Cargo.toml). The result gives
+// the language, runtime version, package manager and install/build/test/lint commands, and a
+// base image matching them. A Dockerfile is composed when the repository needs a second runtime.
+// TaskExecutionSystem uses it through inferLanguage() and executionCommandFor() instead of
+// assuming JavaScript and `npm test`.
+
+import path from 'path';
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const LANGUAGES = Object.freeze({
+    JAVASCRIPT: 'javascript',
+    TYPESCRIPT: 'typescript',
+    PYTHON: 'python',
+    GO: 'go',
+    JAVA: 'java',
+    RUST: 'rust'
+});
+
+export const LANGUAGE_EXTENSIONS = Object.freeze({
+    '.js': LANGUAGES.JAVASCRIPT,
+    '.jsx': LANGUAGES.JAVASCRIPT,
+    '.mjs': LANGUAGES.JAVASCRIPT,
+    '.cjs': LANGUAGES.JAVASCRIPT,
+    '.ts': LANGUAGES.TYPESCRIPT,
+    '.tsx': LANGUAGES.TYPESCRIPT,
+    '.py': LANGUAGES.PYTHON,
+    '.go': LANGUAGES.GO,
+    '.java': LANGUAGES.JAVA,
+    '.kt': LANGUAGES.JAVA,
+    '.rs': LANGUAGES.RUST
+});
+
+const RUNTIMES = Object.freeze({
+    [LANGUAGES.JAVASCRIPT]: 'node',
+    [LANGUAGES.TYPESCRIPT]: 'node',
+    [LANGUAGES.PYTHON]: 'python',
+    [LANGUAGES.GO]: 'go',
+    [LANGUAGES.JAVA]: 'java',
+    [LANGUAGES.RUST]: 'rust'
+});
+
+const DEFAULT_VERSIONS = Object.freeze({ node: '20', python: '3.12', go: '1.22', java: '17', rust: '1' });
+
+// `{version}` is replaced with the detected or default runtime version
+const DEFAULT_IMAGES = Object.freeze({
+    node: 'node:{version}-slim',
+    python: 'python:{version}-slim',
+    go: 'golang:{version}',
+    maven: 'maven:3-eclipse-temurin-{version}',
+    gradle: 'gradle:jdk{version}',
+    rust: 'rust:{version}-slim'
+});
+
+// Debian packages that add a secondary runtime to another language's image
+const SECONDARY_RUNTIME_PACKAGES = Object.freeze({
+    node: ['nodejs', 'npm'],
+    python: ['python3', 'python3-pip', 'python3-venv'],
+    go: ['golang'],
+    java: ['default-jdk-headless', 'maven'],
+    rust: ['cargo']
+});
+
+// Used when no environment was detected, matching the behavior before detection existed
+const FALLBACK_COMMANDS = Object.freeze({
+    [LANGUAGES.JAVASCRIPT]: { install: ['npm', 'install'], build: null, test: ['npm', 'test'], lint: null },
+    [LANGUAGES.TYPESCRIPT]: { install: ['npm', 'install'], build: ['npx', 'tsc', '--noEmit'], test: ['npm', 'test'], lint: null },
+    [LANGUAGES.PYTHON]: { install: ['pip', 'install', '-r', 'requirements.txt'], build: null, test: ['python', '-m', 'pytest'], lint: null },
+    [LANGUAGES.GO]: { install: ['go', 'mod', 'download'], build: ['go', 'build', './...'], test: ['go', 'test', './...'], lint: ['go', 'vet', './...'] },
+    [LANGUAGES.JAVA]: { install: null, build: ['mvn', '-B', 'package', '-DskipTests'], test: ['mvn', '-B', 'test'], lint: null },
+    [LANGUAGES.RUST]: { install: ['cargo', 'fetch'], build: ['cargo', 'build'], test: ['cargo', 'test'], lint: ['cargo', 'clippy'] }
+});
+
+const ROOT_MANIFESTS = [
+    'package.json', '.nvmrc', '.node-version', 'tsconfig.json', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml',
+    'requirements.txt', 'pyproject.toml', 'setup.py', 'Pipfile', 'poetry.lock', 'uv.lock', '.python-version', 'runtime.txt',
+    'pytest.ini', 'conftest.py', 'go.mod', 'pom.xml', 'build.gradle', 'build.gradle.kts', 'gradlew',
+    'Cargo.toml', 'rust-toolchain', 'rust-toolchain.toml'
+];
+
+const NPM_PLACEHOLDER_TEST = /no test specified/;
+
+/**
+ * @typedef {object} DetectedEnvironment
+ * @property {string | null} language - Primary language; null when nothing was recognized.
+ * @property {string[]} languages - Every language with a manifest or source files, primary first.
+ * @property {{ name: string, version: string, source: string } | null} runtime - `source` names the file the version came from, or 'default'.
+ * @property {string | null} packageManager - npm, yarn, pnpm, pip, poetry, pipenv, uv, go, maven, gradle or cargo.
+ * @property {{ install: string[] | null, build: string[] | null, test: string[] | null, lint: string[] | null }} commands
+ * @property {string[]} manifests - Root manifests the detection used.
+ * @property {string} image
+ * @property {string | null} dockerfile - Set when a secondary runtime has to be added to `image`.
+ */
+
+/**
+ * Runtime version to use for a semver or PEP 440 range: `defaultVersion` when the range is a
+ * lower bound it satisfies (">=18" and ">=18 <21" pick the default 20), otherwise the range's own
+ * lower version ("^18.2" picks 18). Alternatives ("16 || 18") resolve to the newest.
+ * @param {string} range
+ * @param {string} defaultVersion - "20" for major-versioned runtimes, "3.12" for Python.
+ * @returns {string | null}
+ */
+export function versionFromRange(range, defaultVersion) {
+    const compare = (a, b) => {
+        const [aMajor, aMinor = 0] = a.split('.').map(Number);
+        const [bMajor, bMinor = 0] = b.split('.').map(Number);
+        return aMajor - bMajor || aMinor - bMinor;
+    };
+    const precision = defaultVersion.includes('.') ? 2 : 1;
+    let best = null;
+    for (const alternative of String(range).split('||')) {
+        const lower = alternative.match(/(?:^|[\s,])(?:>=?|\^|~=?|==?|v)?\s*(\d+(?:\.\d+)?)/);
+        if (!lower) continue;
+        const version = lower[1].split('.').slice(0, precision).join('.');
+        const upper = alternative.match(/<(=?)\s*(\d+(?:\.\d+)?)/);
+        const belowUpper = !upper || (upper[1] ? compare(defaultVersion, upper[2]) <= 0 : compare(defaultVersion, upper[2]) < 0);
+        const defaultFits = /^\s*>=?/.test(alternative) && compare(defaultVersion, version) >= 0 && belowUpper;
+        const candidate = defaultFits ? defaultVersion : version;
+        if (!best || compare(candidate, best) > 0) best = candidate;
+    }
+    return best;
+}
+
+function parseJson(text, name) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        console.warn(`[EnvironmentDetector] Ignoring unparseable ${name}: ${error.message}`);
+        return null;
+    }
+}
+
+// Minimal TOML lookup: `key = "value"` inside `[table]` (or at the top level when table is null)
+function tomlValue(text, table, key) {
+    let current = null;
+    for (const line of text.split('\n')) {
+        const header = line.match(/^\s*\[+([^\]]+)\]+\s*$/);
+        if (header) {
+            current = header[1].trim();
+            continue;
+        }
+        const entry = line.match(/^\s*([\w.-]+)\s*=\s*["']([^"']*)["']/);
+        if (entry && current === table && entry[1] === key) return entry[2];
+    }
+    return null;
+}
+
+function scriptCommand(packageManager, scripts, name) {
+    if (!scripts?.[name] || (name === 'test' && NPM_PLACEHOLDER_TEST.test(scripts[name]))) return null;
+    return name === 'test' ? [packageManager, 'test'] : [packageManager, 'run', name];
+}
+
+function detectNode(files, read, defaults) {
+    const pkg = files.has('package.json') ? parseJson(read('package.json'), 'package.json') : null;
+    let runtime = null;
+    for (const name of ['.nvmrc', '.node-version']) {
+        const pinned = files.has(name) ? read(name).trim().replace(/^v/, '') : '';
+        if (/^\d/.test(pinned)) {
+            runtime = { name: 'node', version: pinned.split('.')[0], source: name };
+            break;
+        }
+    }
+    if (!runtime && pkg?.engines?.node) {
+        const version = versionFromRange(pkg.engines.node, defaults.node);
+        if (version) runtime = { name: 'node', version, source: 'package.json' };
+    }
+
+    let packageManager = typeof pkg?.packageManager === 'string' ? pkg.packageManager.split('@')[0] : null;
+    if (!['npm', 'yarn', 'pnpm'].includes(packageManager)) {
+        packageManager = files.has('pnpm-lock.yaml') ? 'pnpm' : files.has('yarn.lock') ? 'yarn' : 'npm';
+    }
+    const install = {
+        npm: files.has('package-lock.json') ? ['npm', 'ci'] : ['npm', 'install'],
+        yarn: ['yarn', 'install', '--frozen-lockfile'],
+        pnpm: ['pnpm', 'install', '--frozen-lockfile']
+    }[packageManager];
+    const scripts = pkg?.scripts;
+    const typescript = files.has('tsconfig.json');
+    return {
+        language: typescript ? LANGUAGES.TYPESCRIPT : LANGUAGES.JAVASCRIPT,
+        runtime,
+        packageManager,
+        commands: {
+            install,
+            build: scriptCommand(packageManager, scripts, 'build') || (typescript ? ['npx', 'tsc', '--noEmit'] : null),
+            test: scriptCommand(packageManager, scripts, 'test'),
+            lint: scriptCommand(packageManager, scripts, 'lint')
+        }
+    };
+}
+
+function detectPython(files, read, defaults) {
+    const pyproject = files.has('pyproject.toml') ? read('pyproject.toml') : '';
+    const requirements = files.has('requirements.txt') ? read('requirements.txt') : '';
+    let runtime = null;
+    const pinned = files.has('.python-version') ? read('.python-version').trim() : '';
+    const runtimeTxt = files.has('runtime.txt') ? read('runtime.txt').match(/python-(\d+\.\d+)/) : null;
+    if (/^\d+\.\d+/.test(pinned)) {
+        runtime = { name: 'python', version: pinned.match(/^\d+\.\d+/)[0], source: '.python-version' };
+    } else if (runtimeTxt) {
+        runtime = { name: 'python', version: runtimeTxt[1], source: 'runtime.txt' };
+    } else {
+        const range = tomlValue(pyproject, 'project', 'requires-python') || tomlValue(pyproject, 'tool.poetry.dependencies', 'python');
+        const version = range ? versionFromRange(range, defaults.python) : null;
+        if (version) runtime = { name: 'python', version, source: 'pyproject.toml' };
+    }
+
+    let packageManager = 'pip';
+    if (files.has('poetry.lock') || /^\s*\[tool\.poetry\]/m.test(pyproject)) packageManager = 'poetry';
+    else if (files.has('uv.lock')) packageManager = 'uv';
+    else if (files.has('Pipfile')) packageManager = 'pipenv';
+    const install = {
+        poetry: ['poetry', 'install', '--no-interaction'],
+        uv: ['uv', 'sync'],
+        pipenv: ['pipenv', 'install', '--dev'],
+        pip: files.has('requirements.txt') ? ['pip', 'install', '-r', 'requirements.txt'] : ['pip', 'install', '-e', '.']
+    }[packageManager];
+    const run = { poetry: ['poetry', 'run'], uv: ['uv', 'run'], pipenv: ['pipenv', 'run'], pip: [] }[packageManager];
+    const usesPytest = files.has('pytest.ini') || files.has('conftest.py') || /\bpytest\b/.test(`${requirements}\n${pyproject}`);
+    const lint = /\bruff\b/.test(`${requirements}\n${pyproject}`) ? [...run, 'ruff', 'check', '.']
+        : /\bflake8\b/.test(`${requirements}\n${pyproject}`) ? [...run, 'flake8'] : null;
+    return {
+        language: LANGUAGES.PYTHON,
+        runtime,
+        packageManager,
+        commands: {
+            install,
+            build: null,
+            test: usesPytest ? [...run, 'python', '-m', 'pytest'] : [...run, 'python', '-m', 'unittest', 'discover'],
+            lint
+        }
+    };
+}
+
+function detectGo(files, read) {
+    const version = read('go.mod').match(/^go\s+(\d+\.\d+)/m)?.[1];
+    return {
+        language: LANGUAGES.GO,
+        runtime: version ? { name: 'go', version, source: 'go.mod' } : null,
+        packageManager: 'go',
+        commands: { ...FALLBACK_COMMANDS[LANGUAGES.GO] }
+    };
+}
+
+function detectJava(files, read) {
+    if (files.has('pom.xml')) {
+        const pom = read('pom.xml');
+        const version = pom.match(/<(?:maven\.compiler\.release|maven\.compiler\.source|java\.version)>\s*(?:1\.)?(\d+)/)?.[1];
+        return {
+            language: LANGUAGES.JAVA,
+            runtime: version ? { name: 'java', version, source: 'pom.xml' } : null,
+            packageManager: 'maven',
+            commands: {
+                install: ['mvn', '-B', 'dependency:go-offline'],
+                build: ['mvn', '-B', 'package', '-DskipTests'],
+                test: ['mvn', '-B', 'test'],
+                lint: null
+            }
+        };
+    }
+    const buildFile = files.has('build.gradle.kts') ? 'build.gradle.kts' : 'build.gradle';
+    const gradle = read(buildFile);
+    const version = gradle.match(/JavaLanguageVersion\.of\((\d+)\)/)?.[1]
+        || gradle.match(/sourceCompatibility\s*=\s*(?:JavaVersion\.VERSION_)?['"]?(?:1[._])?(\d+)/)?.[1];
+    const gradleCommand = files.has('gradlew') ? './gradlew' : 'gradle';
+    return {
+        language: LANGUAGES.JAVA,
+        runtime: version ? { name: 'java', version, source: buildFile } : null,
+        packageManager: 'gradle',
+        commands: {
+            install: [gradleCommand, 'dependencies', '--no-daemon'],
+            build: [gradleCommand, 'build', '-x', 'test', '--no-daemon'],
+            test: [gradleCommand, 'test', '--no-daemon'],
+            lint: null
+        }
+    };
+}
+
+function detectRust(files, read) {
+    let runtime = null;
+    for (const name of ['rust-toolchain.toml', 'rust-toolchain']) {
+        if (!files.has(name)) continue;
+        const text = read(name);
+        const channel = tomlValue(text, 'toolchain', 'channel') || text.trim();
+        if (/^\d+\.\d+/.test(channel)) {
+            runtime = { name: 'rust', version: channel.match(/^\d+\.\d+/)[0], source: name };
+            break;
+        }
+    }
+    const minimum = tomlValue(read('Cargo.toml'), 'package', 'rust-version');
+    if (!runtime && minimum) runtime = { name: 'rust', version: minimum.match(/^\d+\.\d+/)?.[0] || minimum, source: 'Cargo.toml' };
+    return { language: LANGUAGES.RUST, runtime, packageManager: 'cargo', commands: { ...FALLBACK_COMMANDS[LANGUAGES.RUST] } };
+}
+
+const DETECTORS = [
+    { manifests: ['package.json'], detect: detectNode },
+    { manifests: ['requirements.txt', 'pyproject.toml', 'setup.py', 'Pipfile'], detect: detectPython },
+    { manifests: ['go.mod'], detect: detectGo },
+    { manifests: ['pom.xml', 'build.gradle', 'build.gradle.kts'], detect: detectJava },
+    { manifests: ['Cargo.toml'], detect: detectRust }
+];
+
+/**
+ * @param {DetectedEnvironment} environment
+ * @param {object} [images] - Per-runtime (or `maven`/`gradle`) image templates overriding DEFAULT_IMAGES.
+ * @param {string} [fallbackImage] - Used when no language was detected.
+ * @returns {string}
+ */
+export function selectImage(environment, images = {}, fallbackImage = 'ubuntu:latest') {
+    if (!environment.runtime) return fallbackImage;
+    const templateKey = environment.runtime.name === 'java' ? environment.packageManager : environment.runtime.name;
+    const template = images[templateKey] || DEFAULT_IMAGES[templateKey];
+    return template ? template.replace('{version}', environment.runtime.version) : fallbackImage;
+}
+
+/**
+ * A Dockerfile adding the runtimes of secondary languages to `environment.image`, or null when
+ * the image already has everything.
+ * @param {DetectedEnvironment} environment
+ * @returns {string | null}
+ */
+export function composeDockerfile(environment) {
+    const primaryRuntime = environment.runtime?.name;
+    const packages = [...new Set(environment.languages
+        .map(language => RUNTIMES[language])
+        .filter(runtime => runtime && runtime !== primaryRuntime)
+        .flatMap(runtime => SECONDARY_RUNTIME_PACKAGES[runtime] || []))];
+    if (!primaryRuntime || packages.length === 0) return null;
+    return [
+        `FROM ${environment.image}`,
+        'USER root',
+        `RUN apt-get update && apt-get install -y --no-install-recommends ${packages.join(' ')} && rm -rf /var/lib/apt/lists/*`
+    ].join('\n');
+}
+
+/**
+ * Detects the environment from a repository's file list and root manifests.
+ * @param {string[]} fileList - Paths relative to the repository root.
+ * @param {(name: string) => Promise<string>} readFile - Reads a root manifest.
+ * @param {object} [options]
+ * @param {object} [options.defaultVersions] - Per-runtime versions used when a manifest pins none.
+ * @param {object} [options.images] - See selectImage().
+ * @param {string} [options.fallbackImage]
+ * @returns {Promise<DetectedEnvironment>}
+ */
+export async function detectEnvironment(fileList, readFile, options = {}) {
+    const defaults = { ...DEFAULT_VERSIONS, ...options.defaultVersions };
+    const files = new Set(fileList);
+    const contents = new Map();
+    const manifests = ROOT_MANIFESTS.filter(name => files.has(name));
+    for (const name of manifests) {
+        contents.set(name, await readFile(name));
+    }
+    const read = name => contents.get(name) ?? '';
+
+    // Source file counts rank languages when a repository has several manifests
+    const sourceCounts = {};
+    for (const file of fileList) {
+        if (file.split('/').some(part => part === 'node_modules' || part === 'vendor' || part === 'target')) continue;
+        const language = LANGUAGE_EXTENSIONS[path.posix.extname(file)];
+        if (language) sourceCounts[language] = (sourceCounts[language] || 0) + 1;
+    }
+    const weight = language => (sourceCounts[language] || 0)
+        + (language === LANGUAGES.TYPESCRIPT ? sourceCounts[LANGUAGES.JAVASCRIPT] || 0 : 0);
+
+    const candidates = DETECTORS
+        .filter(detector => detector.manifests.some(name => files.has(name)))
+        .map(detector => detector.detect(files, read, defaults))
+        .sort((a, b) => weight(b.language) - weight(a.language));
+
+    const primary = candidates[0];
+    const extensionLanguages = Object.keys(sourceCounts).sort((a, b) => sourceCounts[b] - sourceCounts[a]);
+    const languages = [...new Set([...candidates.map(candidate => candidate.language), ...extensionLanguages])];
+    const language = primary?.language || extensionLanguages[0] || null;
+    const runtimeName = RUNTIMES[language];
+    const runtime = primary?.runtime || (runtimeName ? { name: runtimeName, version: defaults[runtimeName], source: 'default' } : null);
+
+    const environment = {
+        language,
+        languages,
+        runtime,
+        packageManager: primary?.packageManager || null,
+        commands: primary?.commands || (language ? { ...FALLBACK_COMMANDS[language] } : { install: null, build: null, test: null, lint: null }),
+        manifests
+    };
+    environment.image = selectImage(environment, options.images, options.fallbackImage);
+    environment.dockerfile = composeDockerfile(environment);
+    return environment;
+}
+
+/**
+ * Language of a subtask: its code artifacts' extensions, then `subtask.language`, then the
+ * detected environment. Without an environment this stays 'javascript', as before detection.
+ * @param {object} subtask
+ * @param {DetectedEnvironment | null} [environment]
+ * @returns {string}
+ */
+export function inferLanguage(subtask, environment = null) {
+    for (const artifact of subtask?.expected_artifacts || []) {
+        const language = artifact.path && LANGUAGE_EXTENSIONS[path.posix.extname(artifact.path)];
+        if (language) return language;
+    }
+    return subtask?.language || environment?.language || LANGUAGES.JAVASCRIPT;
+}
+
+/**
+ * Command for running a subtask: an explicit `execution_command`, else the detected build or
+ * test command, else the language's conventional one.
+ * @param {object} subtask
+ * @param {DetectedEnvironment | null} [environment]
+ * @returns {string[] | null}
+ */
+export function executionCommandFor(subtask, environment = null) {
+    if (subtask?.execution_command) return subtask.execution_command;
+    const language = inferLanguage(subtask, environment);
+    const kind = /build|compile/.test(subtask?.type || '') ? 'build' : 'test';
+    const sameStack = environment && RUNTIMES[environment.language] === RUNTIMES[language];
+    const commands = sameStack ? environment.commands : FALLBACK_COMMANDS[language];
+    return commands?.[kind] || FALLBACK_COMMANDS[language]?.[kind] || null;
+}
+
+export class EnvironmentDetector {
+    /**
+     * @param {object} configManager - Reads `sandbox.environmentDetection` and `sandbox.baseImage`.
+     */
+    constructor(configManager) {
+        const config = configManager.get('sandbox.environmentDetection', {}) || {};
+        this.enabled = config.enabled ?? true;
+        this.images = config.images || {};
+        this.defaultVersions = config.defaultVersions || {};
+        this.fallbackImage = configManager.get('sandbox.baseImage', 'ubuntu:latest');
+    }
+
+    /**
+     * Detects the environment of a repository cloned into a sandbox container.
+     * @param {object} sandboxManager - listRepositoryFiles and readRepositoryFile.
+     * @param {string} containerId
+     * @param {string} repoPath - Container path of the repository root.
+     * @returns {Promise<DetectedEnvironment | null>} Null when detection is disabled.
+     */
+    async detect(sandboxManager, containerId, repoPath) {
+        if (!this.enabled) return null;
+        const files = await sandboxManager.listRepositoryFiles(containerId, repoPath);
+        const environment = await detectEnvironment(files,
+            name => sandboxManager.readRepositoryFile(containerId, path.posix.join(repoPath, name)),
+            { defaultVersions: this.defaultVersions, images: this.images, fallbackImage: this.fallbackImage });
+        const version = environment.runtime ? ` ${environment.runtime.name} ${environment.runtime.version}` : '';
+        console.log(`[EnvironmentDetector] ${repoPath}: ${environment.language || 'unknown language'}${version}` +
+            ` (${environment.packageManager || 'no package manager'}) -> ${environment.image}${environment.dockerfile ? ' + secondary runtimes' : ''}`);
+        return environment;
+    }
+}
+
+export default EnvironmentDetector;
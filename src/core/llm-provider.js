@@ -0,0 +1,313 @@
+// src/core/llm-provider.js
+// Provider-neutral LLM interface. AgentCoordinator and TaskExecutionSystem talk to a provider's
+// role models (getModel('chat' | 'code' | 'codeChat')), which keep the generateText /
+// generateCode / reviewCode / debugCode surface of the Vertex AI model classes, so the backend
+// can be swapped through ConfigurationManager (`llm.provider`).
+
+import { PlatformError } from './error-utils.js';
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const LLM_ROLES = Object.freeze({
+    CHAT: 'chat',
+    CODE: 'code',
+    CODE_CHAT: 'codeChat'
+});
+
+/**
+ * Provider-neutral error codes. Providers map their backend failures onto these so retry and
+ * recovery logic does not depend on which backend is configured.
+ * @readonly
+ * @enum {string}
+ */
+export const LLM_ERROR_CODES = Object.freeze({
+    RATE_LIMIT: 'LLM_RATE_LIMIT',
+    UNAVAILABLE: 'LLM_UNAVAILABLE',
+    TIMEOUT: 'LLM_TIMEOUT',
+    TOKEN_LIMIT: 'LLM_TOKEN_LIMIT',
+    AUTH: 'LLM_AUTH_ERROR',
+    INVALID_RESPONSE: 'LLM_INVALID_RESPONSE',
+    API_ERROR: 'LLM_API_ERROR',
+    CONFIGURATION: 'LLM_CONFIGURATION_ERROR',
+    REPLAY_MISS: 'LLM_REPLAY_MISS',
+    GENERIC: 'LLM_GENERIC'
+});
+
+/**
+ * classifyError() outcome for each neutral code, mirroring how the VERTEX_* codes are handled.
+ * classifyError consults this table for LLMProviderError instances via classifyLLMError().
+ */
+export const LLM_ERROR_CLASSIFICATION = Object.freeze({
+    [LLM_ERROR_CODES.RATE_LIMIT]: { severity: 'RETRYABLE_TRANSIENT', isRetryable: true, suggestedAction: 'RETRY_SUBTASK_AS_IS' },
+    [LLM_ERROR_CODES.UNAVAILABLE]: { severity: 'RETRYABLE_TRANSIENT', isRetryable: true, suggestedAction: 'RETRY_SUBTASK_AS_IS' },
+    [LLM_ERROR_CODES.TIMEOUT]: { severity: 'RETRYABLE_TRANSIENT', isRetryable: true, suggestedAction: 'RETRY_SUBTASK_AS_IS' },
+    [LLM_ERROR_CODES.TOKEN_LIMIT]: { severity: 'RECOVERABLE_WITH_MODIFICATION', isRetryable: true, suggestedAction: 'RETRY_SUBTASK_MODIFIED' },
+    [LLM_ERROR_CODES.INVALID_RESPONSE]: { severity: 'CRITICAL', isRetryable: false, suggestedAction: 'REPLAN_PROJECT' },
+    [LLM_ERROR_CODES.API_ERROR]: { severity: 'CRITICAL', isRetryable: false, suggestedAction: 'REPLAN_PROJECT' },
+    [LLM_ERROR_CODES.AUTH]: { severity: 'FATAL', isRetryable: false, suggestedAction: 'HALT' },
+    [LLM_ERROR_CODES.CONFIGURATION]: { severity: 'FATAL', isRetryable: false, suggestedAction: 'HALT' },
+    [LLM_ERROR_CODES.REPLAY_MISS]: { severity: 'FATAL', isRetryable: false, suggestedAction: 'HALT' },
+    [LLM_ERROR_CODES.GENERIC]: { severity: 'CRITICAL', isRetryable: false, suggestedAction: 'HALT' }
+});
+
+// Vertex AI client codes and their neutral equivalents
+const VERTEX_CODE_MAP = Object.freeze({
+    VERTEX_RATE_LIMIT: LLM_ERROR_CODES.RATE_LIMIT,
+    VERTEX_RESOURCE_EXHAUSTED: LLM_ERROR_CODES.RATE_LIMIT,
+    VERTEX_UNAVAILABLE: LLM_ERROR_CODES.UNAVAILABLE,
+    VERTEX_MODEL_UNAVAILABLE: LLM_ERROR_CODES.UNAVAILABLE,
+    VERTEX_TOKEN_LIMIT: LLM_ERROR_CODES.TOKEN_LIMIT,
+    VERTEX_TOKEN_LIMIT_ERROR: LLM_ERROR_CODES.TOKEN_LIMIT,
+    VERTEX_API_ERROR: LLM_ERROR_CODES.API_ERROR,
+    MODEL_ERROR_INVALID_RESPONSE: LLM_ERROR_CODES.INVALID_RESPONSE,
+    VERTEX_AI_GENERIC: LLM_ERROR_CODES.GENERIC
+});
+
+/**
+ * Base class of the provider-neutral error family. `provider` names the backend and
+ * `providerCode` keeps the backend's own code (e.g. VERTEX_RATE_LIMIT or an HTTP status).
+ */
+export class LLMProviderError extends PlatformError {
+    constructor(message, code = LLM_ERROR_CODES.GENERIC, context = {}, originalError = null, severity) {
+        super(message, code, context, originalError, severity ?? LLM_ERROR_CLASSIFICATION[code]?.severity ?? 'CRITICAL');
+        this.provider = context.provider ?? null;
+        this.providerCode = context.providerCode ?? null;
+    }
+}
+
+/**
+ * classifyError() result for an LLMProviderError.
+ * @param {LLMProviderError} error
+ * @returns {{ classifiedType: string, severity: string, isRetryable: boolean, suggestedAction: string, details: string }}
+ */
+export function classifyLLMError(error) {
+    const classification = LLM_ERROR_CLASSIFICATION[error.code] || LLM_ERROR_CLASSIFICATION[LLM_ERROR_CODES.GENERIC];
+    const provider = error.provider ? ` (${error.provider})` : '';
+    return {
+        classifiedType: error.code,
+        ...classification,
+        details: error.code === LLM_ERROR_CODES.TOKEN_LIMIT
+            ? `LLM token limit exceeded${provider}. Context: ${JSON.stringify(error.context)}. Consider summarizing or reducing input.`
+            : `${error.message}${provider}`
+    };
+}
+
+/**
+ * Wraps a Vertex AI client error (VertexAIError or a raw SDK error) in the neutral family.
+ * @param {Error} error
+ * @param {object} [context]
+ * @returns {LLMProviderError}
+ */
+export function fromVertexError(error, context = {}) {
+    if (error instanceof LLMProviderError) return error;
+    const message = error.message || String(error);
+    let code = VERTEX_CODE_MAP[error.code];
+    if (!code) {
+        if (/quota|rate limit|429|resource.?exhausted/i.test(message)) code = LLM_ERROR_CODES.RATE_LIMIT;
+        else if (/token|context length/i.test(message) && /limit|exceed/i.test(message)) code = LLM_ERROR_CODES.TOKEN_LIMIT;
+        else if (/unavailable|503|ECONNRESET|ETIMEDOUT/i.test(message)) code = LLM_ERROR_CODES.UNAVAILABLE;
+        else code = LLM_ERROR_CODES.GENERIC;
+    }
+    return new LLMProviderError(message, code, { ...error.context, ...context, provider: 'vertex', providerCode: error.code ?? null }, error);
+}
+
+/**
+ * Strips a single fenced code block down to its contents, as the Vertex code model does.
+ * @param {string} text
+ * @returns {string}
+ */
+export function extractCodeBlock(text) {
+    const match = /```[\w+-]*\n([\s\S]*?)```/.exec(text);
+    return (match ? match[1] : text).trim();
+}
+
+function codePrompt(language, prompt) {
+    return `Write ${language} code for the following request. Reply with a single fenced code block.\n\n${prompt}`;
+}
+
+/**
+ * Interface every backend implements. Subclasses must provide generateText(); the code helpers
+ * default to prompts over generateText() and can be overridden where the backend has dedicated
+ * models.
+ */
+export class LLMProvider {
+    /**
+     * @param {string} name
+     * @param {object} [config]
+     */
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = config;
+    }
+
+    /**
+     * @param {string} prompt
+     * @param {object} [options]
+     * @param {string} [options.role] - One of LLM_ROLES; defaults to chat.
+     * @param {AbortSignal} [options.signal]
+     * @param {(usage: { promptTokens: number, completionTokens: number, totalTokens: number, model?: string }) => void} [options.onUsage] -
+     *   Called with the token usage of every backend call made for this request.
+     * @returns {Promise<string>}
+     */
+    async generateText(_prompt, _options = {}) {
+        throw new LLMProviderError(`${this.constructor.name} does not implement generateText().`, LLM_ERROR_CODES.CONFIGURATION, { provider: this.name });
+    }
+
+    /**
+     * @param {string} prompt
+     * @param {object} [options]
+     * @param {string} [options.language]
+     * @returns {Promise<string>} Code without markdown fences.
+     */
+    async generateCode(prompt, options = {}) {
+        const language = options.language || this.config.defaultLanguage || 'javascript';
+        const text = await this.generateText(codePrompt(language, prompt), { ...options, role: LLM_ROLES.CODE });
+        return extractCodeBlock(text);
+    }
+
+    /**
+     * @param {string} code
+     * @param {object} [options]
+     * @returns {Promise<{ type: 'review', review: string, timestamp: string }>}
+     */
+    async reviewCode(code, options = {}) {
+        const review = await this.generateText(`Review the following code. List problems and concrete improvements.\n\n\`\`\`\n${code}\n\`\`\``,
+            { ...options, role: LLM_ROLES.CODE_CHAT });
+        return { type: 'review', review, timestamp: new Date().toISOString() };
+    }
+
+    /**
+     * @param {string} code
+     * @param {string} error
+     * @param {object} [options]
+     * @returns {Promise<{ type: 'debug', debug: string, timestamp: string }>}
+     */
+    async debugCode(code, error, options = {}) {
+        const debug = await this.generateText(`The following code fails with this error:\n${error}\n\nExplain the cause and suggest a fix.\n\n\`\`\`\n${code}\n\`\`\``,
+            { ...options, role: LLM_ROLES.CODE_CHAT });
+        return { type: 'debug', debug, timestamp: new Date().toISOString() };
+    }
+
+    /**
+     * Streams a text response as `chunk` events followed by one `done` event with the full text and
+     * token usage (see vertex-streaming.js). The default yields the whole generateText() result as
+     * a single chunk; backends with native streaming override it.
+     * @param {string} prompt
+     * @param {object} [options] - As for generateText().
+     * @returns {AsyncGenerator<{ type: string, text: string, usage?: object | null, finishReason?: string | null }>}
+     */
+    async *streamText(prompt, options = {}) {
+        const text = await this.generateText(prompt, options);
+        yield { type: 'chunk', text };
+        yield { type: 'done', text, usage: null, finishReason: null };
+    }
+
+    /**
+     * Streams generated code. Chunks carry raw model text; the `done` event adds `code`, the
+     * contents of the fenced block.
+     * @param {string} prompt
+     * @param {object} [options]
+     * @param {string} [options.language]
+     * @returns {AsyncGenerator<object>}
+     */
+    async *streamCode(prompt, options = {}) {
+        const language = options.language || this.config.defaultLanguage || 'javascript';
+        for await (const event of this.streamText(codePrompt(language, prompt), { ...options, role: LLM_ROLES.CODE })) {
+            yield event.type === 'done' ? { ...event, code: extractCodeBlock(event.text) } : event;
+        }
+    }
+
+    /**
+     * Opens a tool-calling conversation with the code-chat model (see debug-tools.js).
+     * @param {object[]} functionDeclarations - Vertex AI FunctionDeclaration objects.
+     * @param {object} [options]
+     * @param {Function} [options.onUsage] - Called with the token usage of every turn.
+     * @returns {import('./debug-tools.js').ToolChatSession}
+     */
+    startToolChat(_functionDeclarations, _options = {}) {
+        throw new LLMProviderError(`${this.constructor.name} does not support tool calling.`, LLM_ERROR_CODES.CONFIGURATION, { provider: this.name });
+    }
+
+    /**
+     * A model object for one role with the same surface as the Vertex AI model classes, so it can
+     * stand in for `chatModel`, `codeModel` or `codeChatModel`.
+     * @param {string} role - One of LLM_ROLES.
+     * @returns {{ provider: LLMProvider, role: string, generateText: Function, generateCode: Function, reviewCode: Function, debugCode: Function, streamText: Function, streamCode: Function }}
+     */
+    getModel(role) {
+        if (!Object.values(LLM_ROLES).includes(role)) {
+            throw new LLMProviderError(`Unknown model role "${role}".`, LLM_ERROR_CODES.CONFIGURATION, { provider: this.name, role });
+        }
+        return {
+            provider: this,
+            role,
+            generateText: (prompt, options = {}) => this.generateText(prompt, { ...options, role }),
+            generateCode: (prompt, options = {}) => this.generateCode(prompt, options),
+            reviewCode: (code, options = {}) => this.reviewCode(code, options),
+            debugCode: (code, error, options = {}) => this.debugCode(code, error, options),
+            streamText: (prompt, options = {}) => this.streamText(prompt, { ...options, role }),
+            streamCode: (prompt, options = {}) => this.streamCode(prompt, options)
+        };
+    }
+}
+
+// Factories are imported lazily so an offline setup never loads the Vertex SDK
+const PROVIDER_FACTORIES = {
+    vertex: async (config) => {
+        const { VertexAIProvider } = await import('./vertex-provider.js');
+        return VertexAIProvider.create(config);
+    },
+    'openai-compatible': async (config) => {
+        const { OpenAICompatibleProvider } = await import('./openai-compatible-provider.js');
+        return new OpenAICompatibleProvider(config);
+    },
+    'record-replay': async (config, configManager) => {
+        const { RecordReplayProvider } = await import('./record-replay-provider.js');
+        let delegate = null;
+        if (config.mode === 'record') {
+            const delegateName = config.delegate || 'vertex';
+            // The delegate reads its usual `llm.<delegate>` section unless delegateConfig overrides it
+            const delegateConfig = config.delegateConfig || configManager?.get(`llm.${configKeyFor(delegateName)}`, {}) || {};
+            delegate = await createProviderByName(delegateName, delegateConfig, configManager);
+        }
+        return new RecordReplayProvider({ ...config, delegate });
+    }
+};
+
+/**
+ * Registers an additional backend under `name` for `llm.provider`.
+ * @param {string} name
+ * @param {(config: object, configManager?: object) => Promise<LLMProvider> | LLMProvider} factory
+ */
+export function registerLLMProvider(name, factory) {
+    PROVIDER_FACTORIES[name] = factory;
+}
+
+/**
+ * Creates the provider selected by `llm.provider` (default 'vertex'), passing it the
+ * `llm.<provider>` configuration section.
+ * @param {object} configManager
+ * @returns {Promise<LLMProvider>}
+ */
+export async function createLLMProvider(configManager) {
+    const name = configManager.get('llm.provider', 'vertex');
+    const provider = await createProviderByName(name, configManager.get(`llm.${configKeyFor(name)}`, {}) || {}, configManager);
+    console.log(`[LLMProvider] Using provider "${name}".`);
+    return provider;
+}
+
+// 'record-replay' is configured under llm.recordReplay
+function configKeyFor(name) {
+    return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+async function createProviderByName(name, config, configManager) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+        throw new LLMProviderError(`Unknown LLM provider "${name}". Available: ${Object.keys(PROVIDER_FACTORIES).join(', ')}.`,
+            LLM_ERROR_CODES.CONFIGURATION, { provider: name });
+    }
+    return factory(config, configManager);
+}
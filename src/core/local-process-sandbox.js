@@ -0,0 +1,482 @@
+// src/core/local-process-sandbox.js
+// Sandbox backend that runs commands as confined local processes, for CI runners and laptops
+// without a Docker daemon. Each "container" is a temporary workspace directory standing in for
+// /sandbox_project. Commands get a scrubbed environment, ulimits and a timeout, and run under
+// bubblewrap (workspace mounted at /sandbox_project, namespaces unshared) or `unshare` when
+// either is available. Without bubblewrap, /sandbox_project paths in commands and output are
+// translated to and from the workspace.
+
+import { spawn, spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import {
+    CommandExecutionError,
+    CommandTimeoutError,
+    ContainerCreationError,
+    FileSystemError,
+    SandboxError,
+    SecurityViolationError
+} from './sandbox-errors.js';
+
+export const CONTAINER_ROOT = '/sandbox_project';
+const REPO_DIR = 'cloned_repo';
+const SAFE_PATH = '/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin';
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_OUTPUT_BYTES = 10 * 1024 * 1024;
+const DEFAULT_ULIMITS = Object.freeze({ cpuSeconds: 300, fileSizeMb: 512, openFiles: 1024, virtualMemoryMb: 4096 });
+// Read-only system directories visible inside bubblewrap; missing ones are skipped
+const BWRAP_SYSTEM_DIRS = ['/usr', '/bin', '/sbin', '/lib', '/lib64', '/lib32', '/etc'];
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const ISOLATION_MODES = Object.freeze({
+    AUTO: 'auto',
+    BUBBLEWRAP: 'bubblewrap',
+    UNSHARE: 'unshare',
+    NONE: 'none'
+});
+
+let detectedIsolation = null;
+
+/**
+ * Best isolation this host supports: bubblewrap, then unprivileged `unshare`, then none.
+ * Probed once per process.
+ * @returns {string} One of ISOLATION_MODES except AUTO.
+ */
+export function detectIsolation() {
+    if (detectedIsolation) return detectedIsolation;
+    const works = (command, args) => spawnSync(command, args, { stdio: 'ignore', timeout: 5000 }).status === 0;
+    if (works('bwrap', ['--ro-bind', '/', '/', '--unshare-all', 'true'])) detectedIsolation = ISOLATION_MODES.BUBBLEWRAP;
+    else if (works('unshare', ['--user', '--map-root-user', 'true'])) detectedIsolation = ISOLATION_MODES.UNSHARE;
+    else detectedIsolation = ISOLATION_MODES.NONE;
+    return detectedIsolation;
+}
+
+// `ulimit -f` counts 512-byte blocks in POSIX sh; -v counts KiB
+function ulimitScript(limits) {
+    const settings = [
+        ['-t', limits.cpuSeconds],
+        ['-f', limits.fileSizeMb != null ? limits.fileSizeMb * 2048 : null],
+        ['-n', limits.openFiles],
+        ['-v', limits.virtualMemoryMb != null ? limits.virtualMemoryMb * 1024 : null]
+    ].filter(([, value]) => value != null);
+    // Fail closed: a limit that cannot be applied stops the command
+    return `${settings.map(([flag, value]) => `ulimit ${flag} ${Math.floor(value)} || exit 125; `).join('')}exec "$@"`;
+}
+
+export class LocalProcessSandbox {
+    /**
+     * @param {object} [config] - `sandbox.localProcess`.
+     * @param {string} [config.tempHostDir] - Parent of the workspaces; defaults to the OS temp dir.
+     * @param {string} [config.isolation] - One of ISOLATION_MODES; 'auto' picks the best available.
+     * @param {boolean} [config.networkAccess] - Whether commands may use the network (cloning always may).
+     * @param {object} [config.ulimits] - `cpuSeconds`, `fileSizeMb`, `openFiles`, `virtualMemoryMb`; null disables one.
+     * @param {string[]} [config.envPassthrough] - Host variables copied into the scrubbed environment.
+     * @param {number} [config.defaultTimeoutMs] - Applied when a command sets no timeoutMs.
+     * @param {number} [config.maxOutputBytes] - Combined stdout and stderr; the command is killed beyond it.
+     */
+    constructor(config = {}) {
+        this.tempHostDir = path.resolve(config.tempHostDir || path.join(os.tmpdir(), 'ai-platform-sandbox'));
+        const requested = config.isolation || ISOLATION_MODES.AUTO;
+        if (!Object.values(ISOLATION_MODES).includes(requested)) {
+            throw new SandboxError(`Unknown isolation mode "${requested}".`, 'CONFIG_ERROR', { isolation: requested });
+        }
+        this.isolation = requested === ISOLATION_MODES.AUTO ? detectIsolation() : requested;
+        this.networkAccess = config.networkAccess ?? false;
+        this.ulimits = { ...DEFAULT_ULIMITS, ...config.ulimits };
+        this.envPassthrough = config.envPassthrough || ['LANG', 'TZ'];
+        this.defaultTimeoutMs = config.defaultTimeoutMs ?? DEFAULT_TIMEOUT_MS;
+        this.maxOutputBytes = config.maxOutputBytes ?? DEFAULT_MAX_OUTPUT_BYTES;
+        /** @type {Map<string, { workspace: string, env: string[], processes: Set<import('child_process').ChildProcess> }>} */
+        this.activeContainers = new Map();
+        fs.ensureDirSync(this.tempHostDir);
+        console.log(`[Sandbox] Local-process backend initialized (isolation: ${this.isolation}). Workspaces under ${this.tempHostDir}`);
+        if (this.isolation === ISOLATION_MODES.NONE && !this.networkAccess) {
+            console.warn(`[Sandbox] WARNING: isolation is 'none'${requested === ISOLATION_MODES.AUTO ? ' (neither bubblewrap nor unshare works on this host)' : ''}, `
+                + 'so networkAccess: false is NOT enforced and commands can reach the network. Install bubblewrap or allow unprivileged user namespaces.');
+        }
+    }
+
+    /**
+     * Creates a workspace. `imageId` is ignored; `volumeMounts` ("host:container[:ro]") are copied in.
+     * @param {string} [imageId]
+     * @param {object} [options]
+     * @param {string[]} [options.volumeMounts]
+     * @param {string[]} [options.envVars] - "KEY=value" entries for every command in this workspace.
+     * @returns {Promise<string>} The workspace ("container") ID.
+     */
+    async createAndStartContainer(_imageId, options = {}) {
+        const containerId = `local-${uuidv4()}`;
+        let workspace;
+        try {
+            workspace = await fs.mkdtemp(path.join(this.tempHostDir, 'ws-'));
+            await fs.ensureDir(path.join(workspace, '.tmp'));
+        } catch (error) {
+            throw new ContainerCreationError(`Failed to create workspace: ${error.message}`, { tempHostDir: this.tempHostDir }, error);
+        }
+        this.activeContainers.set(containerId, { workspace, env: options.envVars || [], processes: new Set() });
+        try {
+            for (const mount of options.volumeMounts || []) {
+                const [hostPath, containerPath] = mount.split(':');
+                await this.copyToContainer(containerId, hostPath, containerPath);
+            }
+        } catch (error) {
+            await this.cleanupContainer(containerId);
+            throw error;
+        }
+        console.log(`[Sandbox] Workspace ${containerId} created at ${workspace}`);
+        return containerId;
+    }
+
+    /**
+     * @param {string} containerId
+     * @param {string | string[]} command - A string is split on spaces, as in SandboxManager.
+     * @param {object} [options]
+     * @param {number} [options.timeoutMs]
+     * @param {string} [options.workingDir] - Container path; defaults to /sandbox_project.
+     * @param {string[]} [options.envVars] - "KEY=value" entries.
+     * @param {boolean} [options.networkAccess] - Overrides the backend default for this command.
+     * @param {AbortSignal} [options.signal] - Kills the command when aborted.
+     * @returns {Promise<{ output: string, errorOutput: string, exitCode: number }>}
+     */
+    async executeCommand(containerId, command, options = {}) {
+        const container = this._container(containerId);
+        const cmdArray = Array.isArray(command) ? command : command.split(' ');
+        const workingDir = options.workingDir || CONTAINER_ROOT;
+        this._hostPath(container, workingDir); // Rejects working directories outside the workspace
+        const timeoutMs = options.timeoutMs || this.defaultTimeoutMs;
+        const { file, args, cwd } = this._commandLine(container, cmdArray, workingDir, options.networkAccess ?? this.networkAccess);
+        console.log(`[Sandbox] Executing in ${containerId}: ${cmdArray.join(' ')}`);
+
+        return new Promise((resolve, reject) => {
+            let child;
+            try {
+                // detached: the command gets its own process group so a timeout can kill all of it
+                child = spawn(file, args, { cwd, env: this._environment(container, options.envVars), detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+            } catch (error) {
+                reject(new CommandExecutionError(`Failed to start command in ${containerId}`, { containerId, command: cmdArray }, error));
+                return;
+            }
+            container.processes.add(child);
+            const stdout = [];
+            const stderr = [];
+            let outputBytes = 0;
+            let failure = null;
+            let settled = false;
+            const kill = (error) => {
+                failure ??= error;
+                try {
+                    process.kill(-child.pid, 'SIGKILL');
+                } catch {
+                    // Already exited, or never started
+                }
+            };
+            const collect = chunks => (chunk) => {
+                outputBytes += chunk.length;
+                if (outputBytes > this.maxOutputBytes) {
+                    kill(new CommandExecutionError(`Command output exceeded ${this.maxOutputBytes} bytes.`, { containerId, command: cmdArray }));
+                    return;
+                }
+                chunks.push(chunk);
+            };
+            child.stdout.on('data', collect(stdout));
+            child.stderr.on('data', collect(stderr));
+
+            const timer = setTimeout(() => {
+                console.warn(`[Sandbox] Command in ${containerId} timed out after ${timeoutMs}ms.`);
+                kill(new CommandTimeoutError(`Command timed out after ${timeoutMs}ms`, { containerId, command: cmdArray }));
+            }, timeoutMs);
+            const onAbort = () => kill(options.signal.reason instanceof Error ? options.signal.reason
+                : new CommandExecutionError('Command aborted.', { containerId, command: cmdArray }));
+            if (options.signal?.aborted) onAbort();
+            else options.signal?.addEventListener('abort', onAbort, { once: true });
+
+            const settle = () => {
+                settled = true;
+                clearTimeout(timer);
+                options.signal?.removeEventListener('abort', onAbort);
+                container.processes.delete(child);
+            };
+            child.on('error', (error) => {
+                kill(new CommandExecutionError(`Failed to run command in ${containerId}: ${error.message}`, { containerId, command: cmdArray }, error));
+                // A command that never started emits no 'close'
+                if (child.pid === undefined && !settled) {
+                    settle();
+                    reject(failure);
+                }
+            });
+            child.on('close', (code, signal) => {
+                if (settled) return;
+                settle();
+                if (failure) {
+                    reject(failure);
+                    return;
+                }
+                const exitCode = code ?? 128 + (os.constants.signals[signal] || 0);
+                console.log(`[Sandbox] Command in ${containerId} finished. Exit code: ${exitCode}`);
+                resolve({
+                    output: this._containerPaths(container, Buffer.concat(stdout).toString('utf8')).trim(),
+                    errorOutput: this._containerPaths(container, Buffer.concat(stderr).toString('utf8')).trim(),
+                    exitCode
+                });
+            });
+        });
+    }
+
+    async copyToContainer(containerId, hostPath, containerPath) {
+        const target = await this._realHostPath(this._container(containerId), containerPath);
+        try {
+            await fs.copy(hostPath, target);
+        } catch (error) {
+            throw new FileSystemError(`Failed to copy ${hostPath} into ${containerId}:${containerPath}`, { containerId, hostPath, containerPath }, error);
+        }
+    }
+
+    async copyFromContainer(containerId, containerPath, hostPath) {
+        const source = await this._realHostPath(this._container(containerId), containerPath);
+        try {
+            await fs.copy(source, hostPath);
+        } catch (error) {
+            throw new FileSystemError(`Failed to copy ${containerId}:${containerPath} to ${hostPath}`, { containerId, hostPath, containerPath }, error);
+        }
+    }
+
+    /**
+     * Kills the workspace's running commands and deletes it.
+     * @param {string} containerId
+     */
+    async cleanupContainer(containerId) {
+        const container = this.activeContainers.get(containerId);
+        if (!container) return;
+        this._killProcesses(container);
+        this.activeContainers.delete(containerId);
+        await fs.remove(container.workspace);
+        console.log(`[Sandbox] Workspace ${containerId} removed.`);
+    }
+
+    /**
+     * Kills running commands and empties the workspace so ContainerPool can hand it out again.
+     * @param {string} containerId
+     */
+    async resetContainer(containerId) {
+        const container = this._container(containerId);
+        this._killProcesses(container);
+        try {
+            await fs.emptyDir(container.workspace);
+            await fs.ensureDir(path.join(container.workspace, '.tmp'));
+        } catch (error) {
+            throw new FileSystemError(`Failed to reset workspace ${containerId}: ${error.message}`, { containerId }, error);
+        }
+    }
+
+    async cleanupAllContainers() {
+        await Promise.all([...this.activeContainers.keys()].map(containerId => this.cleanupContainer(containerId)));
+    }
+
+    /**
+     * Clones into /sandbox_project/cloned_repo of a new workspace. Only HTTPS URLs are accepted.
+     * @param {string} repoUrl
+     * @param {object} [options]
+     * @param {string} [options.branch]
+     * @param {number} [options.timeoutMs]
+     * @returns {Promise<{ sessionHostDir: string, repoHostPath: string, containerId: string }>}
+     */
+    async cloneRepository(repoUrl, options = {}) {
+        let parsed;
+        try {
+            parsed = new URL(repoUrl);
+        } catch {
+            parsed = null;
+        }
+        if (parsed?.protocol !== 'https:') {
+            throw new SecurityViolationError('Only HTTPS repository URLs are allowed.', { repoUrl });
+        }
+        const containerId = await this.createAndStartContainer();
+        const container = this._container(containerId);
+        const repoContainerPath = path.posix.join(CONTAINER_ROOT, REPO_DIR);
+        const repoHostPath = this._hostPath(container, repoContainerPath);
+
+        const branchArgs = options.branch ? ['--branch', options.branch] : [];
+        let result;
+        try {
+            await fs.ensureDir(repoHostPath);
+            result = await this.executeCommand(containerId, ['git', 'clone', ...branchArgs, repoUrl, '.'],
+                { workingDir: repoContainerPath, timeoutMs: options.timeoutMs, networkAccess: true, envVars: ['GIT_TERMINAL_PROMPT=0'] });
+        } catch (error) {
+            await this.cleanupContainer(containerId);
+            throw error;
+        }
+        if (result.exitCode !== 0) {
+            await this.cleanupContainer(containerId);
+            throw new CommandExecutionError(`git clone failed with exit code ${result.exitCode}: ${result.errorOutput}`,
+                { repoUrl, branch: options.branch ?? null, exitCode: result.exitCode });
+        }
+        return { sessionHostDir: container.workspace, repoHostPath, containerId };
+    }
+
+    /**
+     * @param {string} containerId
+     * @param {string} dirPath - Container path.
+     * @returns {Promise<string[]>} File paths relative to `dirPath`, excluding .git.
+     */
+    async listRepositoryFiles(containerId, dirPath) {
+        const root = await this._realHostPath(this._container(containerId), dirPath);
+        const files = [];
+        const walk = async (directory) => {
+            for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+                if (entry.name === '.git') continue;
+                const fullPath = path.join(directory, entry.name);
+                if (entry.isDirectory()) await walk(fullPath);
+                else if (entry.isFile()) files.push(path.relative(root, fullPath).split(path.sep).join('/'));
+            }
+        };
+        try {
+            await walk(root);
+        } catch (error) {
+            throw new FileSystemError(`Cannot list ${dirPath} in ${containerId}: ${error.message}`, { containerId, dirPath }, error);
+        }
+        return files.sort();
+    }
+
+    /**
+     * @param {string} containerId
+     * @param {string} filePath - Container path.
+     * @returns {Promise<string>}
+     */
+    async readRepositoryFile(containerId, filePath) {
+        const hostPath = await this._realHostPath(this._container(containerId), filePath);
+        try {
+            return await fs.readFile(hostPath, 'utf8');
+        } catch (error) {
+            throw new FileSystemError(`Cannot read ${filePath} in ${containerId}: ${error.message}`, { containerId, filePath }, error);
+        }
+    }
+
+    async installNpmDependencies(containerId, projectPath, options = {}) {
+        const command = ['npm', 'install', ...(options.production ? ['--production'] : [])];
+        return this.executeCommand(containerId, command, { workingDir: projectPath, timeoutMs: options.timeoutMs, networkAccess: true });
+    }
+
+    async installPythonDependencies(containerId, projectPath, options = {}) {
+        const command = ['pip', 'install', '-r', options.requirementsFile || 'requirements.txt'];
+        return this.executeCommand(containerId, command, { workingDir: projectPath, timeoutMs: options.timeoutMs, networkAccess: true });
+    }
+
+    async runLinter(containerId, projectPath, linterCommand, options = {}) {
+        return this.executeCommand(containerId, linterCommand, { ...options, workingDir: projectPath });
+    }
+
+    async runTests(containerId, projectPath, testCommand, options = {}) {
+        return this.executeCommand(containerId, testCommand, { ...options, workingDir: projectPath });
+    }
+
+    _killProcesses(container) {
+        for (const child of container.processes) {
+            try {
+                process.kill(-child.pid, 'SIGKILL');
+            } catch {
+                // Already exited
+            }
+        }
+        container.processes.clear();
+    }
+
+    _container(containerId) {
+        const container = this.activeContainers.get(containerId);
+        if (!container) {
+            throw new CommandExecutionError(`Container ${containerId} not found or not active.`, { containerId });
+        }
+        return container;
+    }
+
+    // Maps a /sandbox_project path (or one relative to it) into the workspace
+    _hostPath(container, containerPath) {
+        const normalized = path.posix.resolve(CONTAINER_ROOT, containerPath || '.');
+        if (normalized !== CONTAINER_ROOT && !normalized.startsWith(`${CONTAINER_ROOT}/`)) {
+            throw new SecurityViolationError(`Path ${containerPath} is outside the sandbox.`, { containerPath });
+        }
+        return path.join(container.workspace, normalized.slice(CONTAINER_ROOT.length));
+    }
+
+    /**
+     * _hostPath() with symlinks resolved. File operations run on the host, so a symlink the
+     * repository or a command placed in the workspace must not lead them outside it. Paths that do
+     * not exist yet are checked through their deepest existing ancestor.
+     */
+    async _realHostPath(container, containerPath) {
+        const hostPath = this._hostPath(container, containerPath);
+        const missing = [];
+        let existing = hostPath;
+        let resolved;
+        try {
+            const workspace = await fs.realpath(container.workspace);
+            for (;;) {
+                try {
+                    resolved = path.join(await fs.realpath(existing), ...missing);
+                    break;
+                } catch (error) {
+                    if (error.code !== 'ENOENT' || existing === container.workspace) throw error;
+                    missing.unshift(path.basename(existing));
+                    existing = path.dirname(existing);
+                }
+            }
+            if (resolved === workspace || resolved.startsWith(`${workspace}${path.sep}`)) return resolved;
+        } catch (error) {
+            throw new FileSystemError(`Cannot resolve ${containerPath}: ${error.message}`, { containerPath }, error);
+        }
+        throw new SecurityViolationError(`Path ${containerPath} resolves outside the sandbox.`, { containerPath });
+    }
+
+    _environment(container, envVars = []) {
+        const inBubblewrap = this.isolation === ISOLATION_MODES.BUBBLEWRAP;
+        const home = inBubblewrap ? CONTAINER_ROOT : container.workspace;
+        const env = { PATH: SAFE_PATH, HOME: home, TMPDIR: path.posix.join(home, '.tmp'), LANG: 'C.UTF-8', CI: 'true' };
+        for (const name of this.envPassthrough) {
+            if (process.env[name] !== undefined) env[name] = process.env[name];
+        }
+        for (const entry of [...container.env, ...envVars]) {
+            const separator = entry.indexOf('=');
+            if (separator > 0) env[entry.slice(0, separator)] = entry.slice(separator + 1);
+        }
+        return env;
+    }
+
+    _commandLine(container, cmdArray, workingDir, networkAccess) {
+        const limited = ['/bin/sh', '-c', ulimitScript(this.ulimits), 'sandbox', ...cmdArray];
+        if (this.isolation === ISOLATION_MODES.BUBBLEWRAP) {
+            const binds = BWRAP_SYSTEM_DIRS.flatMap(dir => ['--ro-bind-try', dir, dir]);
+            return {
+                file: 'bwrap',
+                args: [
+                    '--die-with-parent', '--new-session', '--unshare-all', ...(networkAccess ? ['--share-net'] : []),
+                    ...binds, '--bind', container.workspace, CONTAINER_ROOT,
+                    '--dev', '/dev', '--proc', '/proc', '--tmpfs', '/tmp',
+                    '--chdir', path.posix.resolve(CONTAINER_ROOT, workingDir), '--', ...limited
+                ],
+                cwd: container.workspace
+            };
+        }
+        const translated = limited.map(arg => this._workspacePaths(container, arg));
+        const cwd = this._hostPath(container, workingDir);
+        if (this.isolation === ISOLATION_MODES.UNSHARE) {
+            return { file: 'unshare', args: ['--user', '--map-root-user', '--pid', '--fork', ...(networkAccess ? [] : ['--net']), ...translated], cwd };
+        }
+        return { file: translated[0], args: translated.slice(1), cwd };
+    }
+
+    // Without a mount namespace, /sandbox_project in arguments has to point at the workspace...
+    _workspacePaths(container, text) {
+        return text.replace(/(^|[\s'"=:])\/sandbox_project(?=\/|$|[\s'"])/g, `$1${container.workspace}`);
+    }
+
+    // ...and output should show container paths, as under Docker
+    _containerPaths(container, text) {
+        return this.isolation === ISOLATION_MODES.BUBBLEWRAP ? text : text.split(container.workspace).join(CONTAINER_ROOT);
+    }
+}
+
+export default LocalProcessSandbox;
@@ -0,0 +1,238 @@
+// src/core/model-routing.js
+// Tiered model routing and fallback chains per role. Routing rules pick the model for a call from
+// its phase, prompt size and the project's remaining budget; when the chosen model fails with an
+// unavailable, rate-limit or token-limit error, the call moves down the role's fallback chain
+// instead of going straight to retry or halt. Every fallback is logged to LearningSystem.
+
+import { PlatformError } from './error-utils.js';
+import { LLMProviderError, LLM_ERROR_CODES, LLM_ROLES, fromVertexError } from './llm-provider.js';
+import { estimateTokens } from './prompt-budget.js';
+
+/**
+ * Errors that move a call to the next model in the chain.
+ * @readonly
+ * @enum {string}
+ */
+export const FALLBACK_TRIGGERS = Object.freeze({
+    UNAVAILABLE: 'unavailable',
+    RATE_LIMIT: 'rate_limit',
+    TOKEN_LIMIT: 'token_limit'
+});
+
+const TRIGGER_BY_CODE = Object.freeze({
+    [LLM_ERROR_CODES.UNAVAILABLE]: FALLBACK_TRIGGERS.UNAVAILABLE,
+    [LLM_ERROR_CODES.TIMEOUT]: FALLBACK_TRIGGERS.UNAVAILABLE,
+    [LLM_ERROR_CODES.RATE_LIMIT]: FALLBACK_TRIGGERS.RATE_LIMIT,
+    [LLM_ERROR_CODES.TOKEN_LIMIT]: FALLBACK_TRIGGERS.TOKEN_LIMIT
+});
+
+const ROUTED_METHODS = ['generateText', 'generateCode', 'reviewCode', 'debugCode'];
+
+export class ModelRoutingError extends PlatformError {
+    constructor(message, code = 'MODEL_ROUTING_ERROR', context = {}, originalError = null, severity = 'FATAL') {
+        super(message, code, context, originalError, severity);
+    }
+}
+
+/**
+ * Only model errors are classified: other platform errors (an exhausted token budget, a
+ * cancellation) can mention tokens or limits in their message but must not fall back.
+ * @param {Error} error - LLMProviderError, VertexAIError or a raw SDK error.
+ * @returns {string | null} One of FALLBACK_TRIGGERS, or null when the error should not fall back.
+ */
+export function fallbackTriggerFor(error) {
+    if (error instanceof LLMProviderError) return TRIGGER_BY_CODE[error.code] ?? null;
+    if (error instanceof PlatformError && !String(error.code).startsWith('VERTEX_')) return null;
+    return TRIGGER_BY_CODE[fromVertexError(error).code] ?? null;
+}
+
+function matchesList(expected, actual) {
+    if (expected == null) return true;
+    return (Array.isArray(expected) ? expected : [expected]).includes(actual);
+}
+
+/**
+ * @typedef {object} RouteRequest
+ * @property {string} [phase] - One of USAGE_PHASES, or any label the rules use.
+ * @property {number} [promptTokens]
+ * @property {string} [projectName]
+ */
+
+export class ModelRouter {
+    /**
+     * @param {object} configManager - Reads `modelRouting.roles.<role>` (`{ primary, fallbacks:
+     *   [{ model, on? }] }`) and `modelRouting.rules` (`[{ when: { phase?, role?, minPromptTokens?,
+     *   maxPromptTokens?, maxBudgetRemaining? }, model }]`, first match wins).
+     * @param {object} options
+     * @param {(modelName: string, role: string) => object | Promise<object>} options.modelFactory -
+     *   Returns a client with the generateText / generateCode / reviewCode / debugCode surface.
+     * @param {object} [options.learningSystem] - Receives a MODEL_FALLBACK experience per fallback.
+     * @param {import('./token-budget.js').TokenUsageTracker} [options.tokenUsage] - For budget rules.
+     * @param {import('./prompt-budget.js').PromptBudgeter} [options.promptBudgeter] - Lets token-limit
+     *   fallbacks skip models whose context window is no larger than the one that overflowed.
+     */
+    constructor(configManager, options = {}) {
+        if (typeof options.modelFactory !== 'function') {
+            throw new ModelRoutingError('ModelRouter requires a modelFactory.', 'MODEL_ROUTING_CONFIGURATION');
+        }
+        this.configManager = configManager;
+        this.modelFactory = options.modelFactory;
+        this.learningSystem = options.learningSystem || null;
+        this.tokenUsage = options.tokenUsage || null;
+        this.promptBudgeter = options.promptBudgeter || null;
+        /** @type {Map<string, Promise<object>>} */
+        this.clients = new Map();
+    }
+
+    /**
+     * The role's models in fallback order, primary first.
+     * @param {string} role - One of LLM_ROLES.
+     * @returns {Array<{ model: string, on: string[] }>}
+     */
+    chainFor(role) {
+        if (!Object.values(LLM_ROLES).includes(role)) {
+            throw new ModelRoutingError(`Unknown model role "${role}".`, 'MODEL_ROUTING_CONFIGURATION', { role });
+        }
+        const roleConfig = this.configManager.get(`modelRouting.roles.${role}`, null);
+        if (!roleConfig?.primary) {
+            throw new ModelRoutingError(`No primary model configured for role "${role}" (modelRouting.roles.${role}.primary).`,
+                'MODEL_ROUTING_CONFIGURATION', { role });
+        }
+        const allTriggers = Object.values(FALLBACK_TRIGGERS);
+        return [
+            { model: roleConfig.primary, on: allTriggers },
+            ...(roleConfig.fallbacks || []).map(entry => (typeof entry === 'string'
+                ? { model: entry, on: allTriggers }
+                : { model: entry.model, on: entry.on || allTriggers }))
+        ];
+    }
+
+    /**
+     * Picks the model for a call: the first matching routing rule, else the role's primary model.
+     * @param {string} role
+     * @param {RouteRequest} [request]
+     * @returns {Promise<{ model: string, rule: number | null }>}
+     */
+    async selectModel(role, { phase, promptTokens = 0, projectName } = {}) {
+        const chain = this.chainFor(role);
+        const rules = this.configManager.get('modelRouting.rules', []) || [];
+        let remainingBudget;
+        for (const [index, rule] of rules.entries()) {
+            const when = rule.when || {};
+            if (!matchesList(when.role, role) || !matchesList(when.phase, phase)) continue;
+            if (when.minPromptTokens != null && promptTokens < when.minPromptTokens) continue;
+            if (when.maxPromptTokens != null && promptTokens > when.maxPromptTokens) continue;
+            if (when.maxBudgetRemaining != null) {
+                if (remainingBudget === undefined) {
+                    remainingBudget = projectName && this.tokenUsage ? await this.tokenUsage.remainingBudgetFraction(projectName) : null;
+                }
+                if (remainingBudget == null || remainingBudget > when.maxBudgetRemaining) continue;
+            }
+            return { model: rule.model, rule: index };
+        }
+        return { model: chain[0].model, rule: null };
+    }
+
+    /**
+     * A role model whose calls are routed and fall back along the chain. Per-call options may set
+     * `phase` to override the default from `context`.
+     * @param {string} role
+     * @param {object} [context]
+     * @param {string} [context.projectName]
+     * @param {string} [context.phase]
+     * @param {string} [context.subtaskId]
+     * @returns {object} Model with generateText / generateCode / reviewCode / debugCode.
+     */
+    getModel(role, context = {}) {
+        this.chainFor(role); // Fail fast on a misconfigured role
+        const routed = { role };
+        for (const method of ROUTED_METHODS) {
+            const optionsIndex = method === 'debugCode' ? 2 : 1;
+            routed[method] = (...args) => this._call(role, method, args, optionsIndex, context);
+        }
+        return routed;
+    }
+
+    async _call(role, method, args, optionsIndex, context) {
+        const options = args[optionsIndex] || {};
+        const promptTokens = args.slice(0, optionsIndex).reduce((sum, input) => sum + estimateTokens(String(input ?? '')), 0);
+        const request = { phase: options.phase ?? context.phase, promptTokens, projectName: context.projectName };
+        const chain = this.chainFor(role);
+        const selected = await this.selectModel(role, request);
+        if (selected.rule !== null) {
+            console.log(`[ModelRouter] Routing ${role}.${method} to ${selected.model} (rule ${selected.rule}, phase ${request.phase ?? 'n/a'}, ~${promptTokens} tokens).`);
+        }
+
+        const tried = [selected.model];
+        let currentModel = selected.model;
+        let fallback = null;
+        for (;;) {
+            const startedAt = Date.now();
+            try {
+                const client = await this._client(currentModel, role);
+                const result = await client[method](...args);
+                if (fallback) await this._logFallback(fallback, { status: 'SUCCESS', durationMs: Date.now() - startedAt });
+                return result;
+            } catch (error) {
+                const trigger = fallbackTriggerFor(error);
+                if (fallback) {
+                    await this._logFallback(fallback, { status: 'FAILURE', durationMs: Date.now() - startedAt, errorCode: error.code ?? null });
+                }
+                const next = trigger ? this._nextInChain(chain, tried, trigger, currentModel) : null;
+                if (!next) throw error;
+                console.log(`[ModelRouter] ${currentModel} failed for ${role}.${method} (${trigger}); falling back to ${next}.`);
+                fallback = {
+                    role,
+                    method,
+                    fromModel: currentModel,
+                    toModel: next,
+                    trigger,
+                    errorCode: error.code ?? null,
+                    promptTokens,
+                    phase: request.phase ?? null,
+                    projectName: context.projectName ?? null,
+                    subtaskId: context.subtaskId ?? null
+                };
+                tried.push(next);
+                currentModel = next;
+            }
+        }
+    }
+
+    _nextInChain(chain, tried, trigger, failedModel) {
+        const failedWindow = this.promptBudgeter?.budgetFor(failedModel);
+        const next = chain.find(entry => {
+            if (tried.includes(entry.model) || !entry.on.includes(trigger)) return false;
+            // A model with no more room than the one that overflowed would fail the same way
+            if (trigger === FALLBACK_TRIGGERS.TOKEN_LIMIT && this.promptBudgeter) return this.promptBudgeter.budgetFor(entry.model) > failedWindow;
+            return true;
+        });
+        return next?.model ?? null;
+    }
+
+    _client(modelName, role) {
+        const key = `${role}:${modelName}`;
+        if (!this.clients.has(key)) {
+            const client = Promise.resolve().then(() => this.modelFactory(modelName, role));
+            client.catch(() => this.clients.delete(key)); // Let a failed construction be retried
+            this.clients.set(key, client);
+        }
+        return this.clients.get(key);
+    }
+
+    async _logFallback(fallback, outcome) {
+        if (!this.learningSystem) return;
+        try {
+            await this.learningSystem.logExperience({
+                type: 'MODEL_FALLBACK',
+                context: fallback,
+                outcome,
+                metadata: { source: 'ModelRouter' }
+            });
+        } catch (error) {
+            console.log(`[ModelRouter] Could not log fallback experience: ${error.message}`);
+        }
+    }
+}
+
+export default ModelRouter;
@@ -0,0 +1,126 @@
+// src/core/openai-compatible-provider.js
+// LLM provider for any server speaking the OpenAI chat completions API (OpenAI, vLLM, llama.cpp,
+// Ollama, LM Studio, ...). Lets the platform run offline against a local model server.
+
+import { LLMProvider, LLMProviderError, LLM_ERROR_CODES, LLM_ROLES } from './llm-provider.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_TIMEOUT_MS = 120000;
+
+export class OpenAICompatibleProvider extends LLMProvider {
+    /**
+     * @param {object} config - `llm.openaiCompatible`.
+     * @param {string} [config.baseUrl] - API root including the version segment, e.g. http://localhost:11434/v1.
+     * @param {string} [config.apiKey] - Sent as a bearer token when set.
+     * @param {string} config.model - Model used for the chat role.
+     * @param {object} [config.models] - Per-role model names (`code`, `codeChat`); fall back to `model`.
+     * @param {number} [config.temperature]
+     * @param {number} [config.maxTokens]
+     * @param {number} [config.timeoutMs]
+     * @param {typeof fetch} [config.fetchImpl] - Override for tests.
+     */
+    constructor(config = {}) {
+        super('openai-compatible', config);
+        if (!config.model) {
+            throw new LLMProviderError('OpenAI-compatible provider requires "model".', LLM_ERROR_CODES.CONFIGURATION, { provider: this.name });
+        }
+        this.baseUrl = (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.apiKey = config.apiKey || null;
+        this.timeoutMs = config.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+        this.fetch = config.fetchImpl || globalThis.fetch;
+    }
+
+    /**
+     * @param {string} prompt
+     * @param {object} [options]
+     * @param {string} [options.role]
+     * @param {string} [options.systemInstruction]
+     * @param {number} [options.temperature]
+     * @param {number} [options.maxTokens]
+     * @param {AbortSignal} [options.signal]
+     * @param {(usage: object) => void} [options.onUsage] - Receives the call's token usage.
+     * @returns {Promise<string>}
+     */
+    async generateText(prompt, options = {}) {
+        const role = options.role || LLM_ROLES.CHAT;
+        const messages = [];
+        if (options.systemInstruction) messages.push({ role: 'system', content: options.systemInstruction });
+        messages.push({ role: 'user', content: prompt });
+
+        const model = this.config.models?.[role] || this.config.model;
+        const body = await this._post('/chat/completions', {
+            model,
+            messages,
+            temperature: options.temperature ?? this.config.temperature,
+            max_tokens: options.maxTokens ?? this.config.maxTokens
+        }, { role, signal: options.signal });
+
+        if (body?.usage) {
+            options.onUsage?.({
+                promptTokens: body.usage.prompt_tokens ?? 0,
+                completionTokens: body.usage.completion_tokens ?? 0,
+                totalTokens: body.usage.total_tokens ?? 0,
+                model: body.model || model
+            });
+        }
+        const content = body?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new LLMProviderError('Response contained no message content.', LLM_ERROR_CODES.INVALID_RESPONSE,
+                { provider: this.name, role });
+        }
+        return content;
+    }
+
+    async _post(path, payload, { role, signal }) {
+        const timeoutSignal = AbortSignal.timeout(this.timeoutMs);
+        const context = { provider: this.name, role, url: `${this.baseUrl}${path}` };
+        let response;
+        try {
+            response = await this.fetch(context.url, {
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                    ...(this.apiKey ? { authorization: `Bearer ${this.apiKey}` } : {})
+                },
+                body: JSON.stringify(payload),
+                signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+            });
+        } catch (error) {
+            if (signal?.aborted) throw signal.reason ?? error; // Cancellation, not a provider failure
+            if (timeoutSignal.aborted) {
+                throw new LLMProviderError(`Request timed out after ${this.timeoutMs}ms.`, LLM_ERROR_CODES.TIMEOUT, context, error);
+            }
+            throw new LLMProviderError(`Could not reach ${this.baseUrl}: ${error.cause?.code || error.message}`,
+                LLM_ERROR_CODES.UNAVAILABLE, context, error);
+        }
+
+        const text = await response.text();
+        let body = null;
+        try {
+            body = text ? JSON.parse(text) : null;
+        } catch (error) {
+            if (response.ok) {
+                throw new LLMProviderError('Response was not valid JSON.', LLM_ERROR_CODES.INVALID_RESPONSE, context, error);
+            }
+        }
+        if (!response.ok) throw this._httpError(response.status, body, text, context);
+        return body;
+    }
+
+    _httpError(status, body, text, context) {
+        const apiError = body?.error || {};
+        const message = apiError.message || text || `HTTP ${status}`;
+        const errorContext = { ...context, providerCode: apiError.code || apiError.type || status, httpStatus: status };
+        let code = LLM_ERROR_CODES.API_ERROR;
+        if (status === 429) code = LLM_ERROR_CODES.RATE_LIMIT;
+        else if (status === 401 || status === 403) code = LLM_ERROR_CODES.AUTH;
+        else if (status === 408 || status === 504) code = LLM_ERROR_CODES.TIMEOUT;
+        else if (status >= 500) code = LLM_ERROR_CODES.UNAVAILABLE;
+        else if (apiError.code === 'context_length_exceeded' || /context length|maximum context|too many tokens/i.test(message)) {
+            code = LLM_ERROR_CODES.TOKEN_LIMIT;
+        }
+        return new LLMProviderError(message, code, errorContext);
+    }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,300 @@
+// src/core/project-scheduler.js
+// Fair-share scheduling across SystemManager.activeProjects. Each loop iteration asks
+// selectNext() which project to advance; projects are picked by weighted stride scheduling so a
+// large project cannot starve the others, and per-project quotas cap concurrent subtasks and
+// AI calls. Also owns the pause / resume / reprioritise controls; cancel() is forwarded to the
+// ProjectCancellationManager.
+
+import { PlatformError } from './error-utils.js';
+import { PROJECT_STATUS, isTerminalStatus } from './project-status.js';
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const PROJECT_PRIORITIES = Object.freeze({
+    HIGH: 'high',
+    NORMAL: 'normal',
+    LOW: 'low'
+});
+
+// Share of scheduling turns relative to the other priorities
+const PRIORITY_WEIGHTS = Object.freeze({ high: 4, normal: 2, low: 1 });
+const STRIDE = 1;
+
+// Already parked until a user answers; pausing would hide the pending decision from approve() / answer()
+const AWAITING_USER_STATUSES = Object.freeze([PROJECT_STATUS.AWAITING_APPROVAL, PROJECT_STATUS.NEEDS_CLARIFICATION]);
+
+export class ProjectSchedulingError extends PlatformError {
+    constructor(message, code = 'PROJECT_SCHEDULING_ERROR', context = {}, originalError = null, severity = 'WARNING') {
+        super(message, code, context, originalError, severity);
+    }
+}
+
+/**
+ * Counting semaphore used for the per-project quotas.
+ */
+export class ConcurrencyQuota {
+    /**
+     * @param {number} limit
+     */
+    constructor(limit) {
+        this.limit = Math.max(1, limit);
+        this.inUse = 0;
+        this.waiters = [];
+    }
+
+    /** @returns {boolean} true when a slot was taken. */
+    tryAcquire() {
+        if (this.inUse >= this.limit) return false;
+        this.inUse++;
+        return true;
+    }
+
+    /** Waits for a free slot. */
+    acquire() {
+        if (this.tryAcquire()) return Promise.resolve();
+        return new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    release() {
+        const next = this.waiters.shift();
+        if (next) {
+            next(); // Hand the slot over without dropping inUse
+            return;
+        }
+        this.inUse = Math.max(0, this.inUse - 1);
+    }
+}
+
+export class ProjectScheduler {
+    /**
+     * @param {object} projectPersistence - Persists status and priority changes.
+     * @param {object} [configManager] - Reads `scheduling.maxConcurrentSubtasksPerProject`,
+     *   `scheduling.maxConcurrentAiCallsPerProject` and `scheduling.defaultPriority`.
+     * @param {object} [options]
+     * @param {Map<string, object>} [options.activeProjects] - SystemManager's in-memory project states.
+     * @param {import('./system-events.js').SystemEventBus} [options.eventBus]
+     * @param {import('./cancellation.js').ProjectCancellationManager} [options.cancellationManager] - Performs
+     *   cancel(); it is given this scheduler so it can drop the project's entry once cancelled.
+     */
+    constructor(projectPersistence, configManager, options = {}) {
+        this.projectPersistence = projectPersistence;
+        this.activeProjects = options.activeProjects || new Map();
+        this.eventBus = options.eventBus || null;
+        this.cancellationManager = options.cancellationManager || null;
+        if (this.cancellationManager) this.cancellationManager.projectScheduler = this;
+        this.config = {
+            maxConcurrentSubtasksPerProject: configManager?.get('scheduling.maxConcurrentSubtasksPerProject', 2) ?? 2,
+            maxConcurrentAiCallsPerProject: configManager?.get('scheduling.maxConcurrentAiCallsPerProject', 2) ?? 2,
+            defaultPriority: configManager?.get('scheduling.defaultPriority', PROJECT_PRIORITIES.NORMAL) ?? PROJECT_PRIORITIES.NORMAL
+        };
+        /** @type {Map<string, { priority: string, pass: number, subtaskQuota: ConcurrencyQuota, aiCallQuota: ConcurrencyQuota }>} */
+        this.entries = new Map();
+    }
+
+    /**
+     * Picks the next project to advance: the runnable project with the lowest pass value, i.e.
+     * the one furthest behind its weighted share. Returns null when nothing is runnable.
+     * @returns {string | null}
+     */
+    selectNext() {
+        let selected = null;
+        for (const [projectName, projectState] of this.activeProjects) {
+            if (projectState.metadata?.status !== PROJECT_STATUS.PROCESSING_TASKS) continue;
+            const entry = this._entry(projectName);
+            if (entry.subtaskQuota.inUse >= entry.subtaskQuota.limit) continue;
+            if (!selected || entry.pass < selected.entry.pass) selected = { projectName, entry };
+        }
+        if (!selected) return null;
+        selected.entry.pass += STRIDE / PRIORITY_WEIGHTS[selected.entry.priority];
+        return selected.projectName;
+    }
+
+    /**
+     * Takes one of the project's subtask slots without waiting.
+     * @param {string} projectName
+     * @returns {(() => void) | null} Release function, or null when the quota is used up.
+     */
+    tryAcquireSubtaskSlot(projectName) {
+        const quota = this._entry(projectName).subtaskQuota;
+        return quota.tryAcquire() ? this._releaseOnce(quota) : null;
+    }
+
+    /**
+     * Runs an AI call within the project's AI call quota, waiting for a slot if needed.
+     * @template T
+     * @param {string} projectName
+     * @param {() => Promise<T>} callFn
+     * @returns {Promise<T>}
+     */
+    async runAiCall(projectName, callFn) {
+        const quota = this._entry(projectName).aiCallQuota;
+        await quota.acquire();
+        try {
+            return await callFn();
+        } finally {
+            quota.release();
+        }
+    }
+
+    /**
+     * @param {string} projectName
+     * @returns {{ priority: string, runningSubtasks: number, runningAiCalls: number }}
+     */
+    getSchedulingInfo(projectName) {
+        const entry = this._entry(projectName);
+        return {
+            priority: entry.priority,
+            runningSubtasks: entry.subtaskQuota.inUse,
+            runningAiCalls: entry.aiCallQuota.inUse
+        };
+    }
+
+    /**
+     * Stops scheduling new work for the project. In-flight subtasks finish normally. Projects
+     * waiting for an approval or clarification cannot be paused; they are not scheduled anyway.
+     * @param {string} projectName
+     * @param {object} [options]
+     * @param {string} [options.reason]
+     * @returns {Promise<object>} The updated project metadata.
+     */
+    async pause(projectName, { reason } = {}) {
+        return this._updateProject(projectName, (projectState) => {
+            const status = projectState.metadata.status;
+            if (status === PROJECT_STATUS.PAUSED) return false;
+            this._assertNotTerminal(projectName, status, 'pause');
+            if (AWAITING_USER_STATUSES.includes(status)) {
+                throw new ProjectSchedulingError(`Cannot pause project "${projectName}" while it is in status '${status}'; answer or cancel it instead.`,
+                    'PROJECT_SCHEDULING_INVALID_STATE', { projectName, status });
+            }
+            projectState.execution = projectState.execution || {};
+            projectState.execution.pausedFromStatus = status;
+            projectState.metadata.status = PROJECT_STATUS.PAUSED;
+            if (reason) projectState.metadata.pauseReason = reason;
+            return true;
+        }, 'paused');
+    }
+
+    /**
+     * @param {string} projectName
+     * @returns {Promise<object>} The updated project metadata.
+     */
+    async resume(projectName) {
+        return this._updateProject(projectName, (projectState) => {
+            if (projectState.metadata.status !== PROJECT_STATUS.PAUSED) {
+                throw new ProjectSchedulingError(`Project "${projectName}" is not paused.`,
+                    'PROJECT_SCHEDULING_INVALID_STATE', { projectName, status: projectState.metadata.status });
+            }
+            projectState.metadata.status = projectState.execution?.pausedFromStatus || PROJECT_STATUS.PROCESSING_TASKS;
+            delete projectState.execution?.pausedFromStatus;
+            delete projectState.metadata.pauseReason;
+            // Rejoin at the current front of the queue rather than with credit for the time paused
+            const entry = this._entry(projectName);
+            entry.pass = Math.max(entry.pass, this._minPass(projectName));
+            return true;
+        }, 'resumed');
+    }
+
+    /**
+     * @param {string} projectName
+     * @param {string} priority - One of PROJECT_PRIORITIES.
+     * @returns {Promise<object>} The updated project metadata.
+     */
+    async setPriority(projectName, priority) {
+        if (!PRIORITY_WEIGHTS[priority]) {
+            throw new ProjectSchedulingError(`Unknown priority "${priority}". Expected one of: ${Object.values(PROJECT_PRIORITIES).join(', ')}.`,
+                'PROJECT_SCHEDULING_INVALID_PRIORITY', { projectName, priority });
+        }
+        return this._updateProject(projectName, (projectState) => {
+            this._assertNotTerminal(projectName, projectState.metadata.status, 'reprioritise');
+            projectState.metadata.priority = priority;
+            this._entry(projectName).priority = priority;
+            return true;
+        }, `priority set to ${priority}`);
+    }
+
+    /**
+     * Cancels the project through the cancellation manager, which aborts running work, marks the
+     * project 'cancelled', writes a final checkpoint and then calls remove().
+     * @param {string} projectName
+     * @param {object} [options]
+     * @param {string} [options.reason]
+     * @returns {Promise<{ projectName: string, status: string, checkpointId: string | null }>}
+     */
+    async cancel(projectName, { reason } = {}) {
+        if (!this.cancellationManager) {
+            throw new ProjectSchedulingError('Project cancellation is not configured.', 'PROJECT_SCHEDULING_CANCELLATION_UNAVAILABLE',
+                { projectName }, null, 'CRITICAL');
+        }
+        return this.cancellationManager.cancelProject(projectName, { reason });
+    }
+
+    /**
+     * Forgets scheduling state for a project that left activeProjects.
+     * @param {string} projectName
+     */
+    remove(projectName) {
+        this.entries.delete(projectName);
+    }
+
+    _entry(projectName) {
+        let entry = this.entries.get(projectName);
+        if (!entry) {
+            const priority = this.activeProjects.get(projectName)?.metadata?.priority;
+            entry = {
+                priority: PRIORITY_WEIGHTS[priority] ? priority : this.config.defaultPriority,
+                // New projects join at the current front so they neither jump the queue nor wait behind everyone
+                pass: this._minPass(),
+                subtaskQuota: new ConcurrencyQuota(this.config.maxConcurrentSubtasksPerProject),
+                aiCallQuota: new ConcurrencyQuota(this.config.maxConcurrentAiCallsPerProject)
+            };
+            this.entries.set(projectName, entry);
+        }
+        return entry;
+    }
+
+    // Lowest pass among the other runnable projects; paused or parked projects do not hold it back
+    _minPass(excludeProjectName) {
+        let min = null;
+        for (const [projectName, entry] of this.entries) {
+            if (projectName === excludeProjectName) continue;
+            if (this.activeProjects.get(projectName)?.metadata?.status !== PROJECT_STATUS.PROCESSING_TASKS) continue;
+            if (min === null || entry.pass < min) min = entry.pass;
+        }
+        return min ?? 0;
+    }
+
+    _releaseOnce(quota) {
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            quota.release();
+        };
+    }
+
+    _assertNotTerminal(projectName, status, action) {
+        if (isTerminalStatus(status)) {
+            throw new ProjectSchedulingError(`Cannot ${action} project "${projectName}" in status '${status}'.`,
+                'PROJECT_SCHEDULING_INVALID_STATE', { projectName, status });
+        }
+    }
+
+    async _updateProject(projectName, mutate, description) {
+        const projectState = this.activeProjects.get(projectName) || await this.projectPersistence.loadProject(projectName);
+        if (!projectState) {
+            throw new ProjectSchedulingError(`Project "${projectName}" not found.`, 'PROJECT_SCHEDULING_NOT_FOUND', { projectName });
+        }
+        projectState.metadata = projectState.metadata || {};
+        if (mutate(projectState)) {
+            projectState.metadata.lastModified = new Date().toISOString();
+            await this.projectPersistence.saveProject(projectName, projectState);
+            console.log(`[ProjectScheduler] Project ${projectName} ${description}.`);
+            this.eventBus?.projectStatusChanged(projectName, projectState.metadata.status, { details: `Project ${description}` });
+        }
+        return projectState.metadata;
+    }
+}
+
+export default ProjectScheduler;
@@ -0,0 +1,34 @@
+// src/core/project-status.js
+// Project lifecycle statuses stored in `projectState.metadata.status`.
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const PROJECT_STATUS = Object.freeze({
+    ACTIVE: 'active',
+    PROCESSING_TASKS: 'processing_tasks',
+    AWAITING_APPROVAL: 'awaiting_approval',
+    NEEDS_CLARIFICATION: 'needs_clarification',
+    PAUSED: 'paused',
+    COMPLETED_SUCCESSFULLY: 'completed_successfully',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+});
+
+/** Statuses after which the operational loop no longer touches the project. */
+export const TERMINAL_PROJECT_STATUSES = Object.freeze([
+    PROJECT_STATUS.COMPLETED_SUCCESSFULLY,
+    PROJECT_STATUS.COMPLETED,
+    PROJECT_STATUS.FAILED,
+    PROJECT_STATUS.CANCELLED
+]);
+
+/**
+ * @param {string} status
+ * @returns {boolean}
+ */
+export function isTerminalStatus(status) {
+    return TERMINAL_PROJECT_STATUSES.includes(status);
+}
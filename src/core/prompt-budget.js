@@ -0,0 +1,267 @@
+// src/core/prompt-budget.js
+// Context-window-aware prompt assembly. Estimates tokens per prompt section, ranks code snippets
+// by relevance to the subtask and truncates, outlines or summarizes lower-priority context so the
+// prompt fits the target model's window. Token-limit recoveries shrink the budget on each retry.
+
+import { PlatformError } from './error-utils.js';
+
+const DEFAULT_CONTEXT_WINDOW = 32768;
+const DEFAULT_RESERVED_OUTPUT_TOKENS = 8192;
+const DEFAULT_RETRY_SHRINK_FACTOR = 0.6;
+const MIN_BUDGET_SCALE = 0.1;
+// Rough characters-per-token ratio for code and English prose
+const CHARS_PER_TOKEN = 4;
+
+// Error codes that mean the prompt was too large for the model
+const TOKEN_LIMIT_CODES = new Set(['VERTEX_TOKEN_LIMIT', 'VERTEX_TOKEN_LIMIT_ERROR', 'LLM_TOKEN_LIMIT']);
+
+export class PromptBudgetError extends PlatformError {
+    constructor(message, context = {}) {
+        super(message, 'PROMPT_BUDGET_EXCEEDED', context, null, 'RECOVERABLE_WITH_MODIFICATION');
+    }
+}
+
+/**
+ * Cheap token estimate; close enough for budgeting without a tokenizer round trip.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    return text ? Math.ceil(String(text).length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Keeps the start and end of the text within `maxTokens`, marking what was cut. Budgets too
+ * small for the marker get a plain cut of the start instead.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+export function truncateToTokens(text, maxTokens) {
+    if (estimateTokens(text) <= maxTokens) return text;
+    const marker = '\n/* ... truncated to fit the context window ... */\n';
+    const budgetChars = Math.max(0, Math.floor(maxTokens) * CHARS_PER_TOKEN);
+    if (budgetChars <= marker.length) return text.slice(0, budgetChars);
+    const keepChars = budgetChars - marker.length;
+    const head = Math.ceil(keepChars * 0.7);
+    return `${text.slice(0, head)}${marker}${keepChars - head > 0 ? text.slice(-(keepChars - head)) : ''}`;
+}
+
+const DECLARATION_PATTERN = /^\s*(export\s|import\s|(async\s+)?function\s|class\s|interface\s|type\s|def\s|public\s|private\s|protected\s|func\s|fn\s|pub\s|const\s+\w+\s*=\s*(async\s*)?\()/;
+
+/**
+ * Structural summary of a source file: its import, export and declaration lines.
+ * @param {string} code
+ * @returns {string}
+ */
+export function outlineCode(code) {
+    const lines = String(code).split('\n').filter(line => DECLARATION_PATTERN.test(line));
+    return lines.length > 0 ? `/* outline: declarations only */\n${lines.join('\n')}` : '';
+}
+
+function wordsOf(text) {
+    return new Set(String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2));
+}
+
+function artifactPaths(list) {
+    return (list || []).map(item => (typeof item === 'string' ? item : item?.path)).filter(Boolean);
+}
+
+/**
+ * Orders code snippets by relevance to the subtask: declared inputs first, then files the subtask
+ * is expected to produce or modify, then files whose path or content shares words with the
+ * subtask's title and description. Smaller files win ties.
+ * @param {Object<string, string>} snippets - path → content, as returned by _getRelevantCodeSnippets.
+ * @param {object} subtask
+ * @returns {{ path: string, content: string, score: number }[]}
+ */
+export function rankCodeSnippets(snippets, subtask = {}) {
+    const inputs = new Set(artifactPaths(subtask.input_artifacts_needed));
+    const outputs = new Set([...artifactPaths(subtask.output_artifacts_expected), ...artifactPaths(subtask.expected_artifacts)]);
+    const keywords = wordsOf(`${subtask.title || ''} ${subtask.description || ''}`);
+
+    return Object.entries(snippets || {}).map(([path, content]) => {
+        let score = 0;
+        if (inputs.has(path)) score += 100;
+        if (outputs.has(path)) score += 50;
+        const pathWords = wordsOf(path);
+        const contentWords = wordsOf(String(content).slice(0, 20000));
+        for (const word of keywords) {
+            if (pathWords.has(word)) score += 5;
+            if (contentWords.has(word)) score += 1;
+        }
+        return { path, content: String(content), score };
+    }).sort((a, b) => b.score - a.score || a.content.length - b.content.length || a.path.localeCompare(b.path));
+}
+
+/**
+ * Adds a `promptBudgetScale` to RETRY_WITH_PARAMS recoveries caused by token-limit errors, so each
+ * retry assembles a smaller prompt. Other strategies pass through unchanged.
+ * @param {object} strategy - determineRecoveryStrategy() result.
+ * @param {object} classification - classifyError() result.
+ * @param {object} [configManager] - Reads `promptBudget.retryShrinkFactor`.
+ * @returns {object}
+ */
+export function applyTokenLimitRecovery(strategy, classification, configManager) {
+    if (strategy?.type !== 'RETRY_WITH_PARAMS') return strategy;
+    const hint = strategy.params?.modificationHint || classification?.classifiedType;
+    if (!TOKEN_LIMIT_CODES.has(hint)) return strategy;
+    const factor = configManager?.get('promptBudget.retryShrinkFactor', DEFAULT_RETRY_SHRINK_FACTOR) ?? DEFAULT_RETRY_SHRINK_FACTOR;
+    const scale = Math.max(MIN_BUDGET_SCALE, (strategy.params?.promptBudgetScale ?? 1) * factor);
+    return { ...strategy, params: { ...strategy.params, promptBudgetScale: scale } };
+}
+
+/**
+ * @typedef {object} PromptSection
+ * @property {string} name
+ * @property {string} content
+ * @property {number} [priority] - Higher is kept first; required sections are always kept.
+ * @property {boolean} [required] - Instructions, the subtask itself, output format.
+ */
+
+export class PromptBudgeter {
+    /**
+     * @param {object} [configManager] - Reads `promptBudget.*`: `contextWindows.<model>`,
+     *   `defaultContextWindow`, `reservedOutputTokens`, `retryShrinkFactor`.
+     * @param {object} [options]
+     * @param {(text: string, maxTokens: number, meta: object) => Promise<string>} [options.summarize] -
+     *   Summarizer for context that does not fit, typically the chat model. Without it, code is
+     *   reduced to an outline and other text is truncated.
+     */
+    constructor(configManager, options = {}) {
+        this.configManager = configManager;
+        this.summarize = options.summarize || null;
+    }
+
+    /**
+     * Input tokens available for a model, after reserving room for the response.
+     * @param {string} [model]
+     * @param {object} [options]
+     * @param {number} [options.scale] - `promptBudgetScale` from a token-limit retry.
+     * @returns {number}
+     */
+    budgetFor(model, { scale = 1 } = {}) {
+        const windows = this._config('promptBudget.contextWindows', {}) || {};
+        const contextWindow = (model && windows[model]) || this._config('promptBudget.defaultContextWindow', DEFAULT_CONTEXT_WINDOW);
+        const reserved = this._config('promptBudget.reservedOutputTokens', DEFAULT_RESERVED_OUTPUT_TOKENS);
+        return Math.max(0, Math.floor((contextWindow - reserved) * scale));
+    }
+
+    /**
+     * Fits prompt sections into `maxTokens`: required sections are kept verbatim, then optional
+     * sections are added by priority and the first one that overflows is reduced to the space left.
+     * @param {PromptSection[]} sections
+     * @param {number} maxTokens
+     * @returns {Promise<{ sections: PromptSection[], estimatedTokens: number, reduced: string[], dropped: string[] }>}
+     */
+    async fitSections(sections, maxTokens) {
+        const required = sections.filter(section => section.required);
+        let used = required.reduce((sum, section) => sum + estimateTokens(section.content), 0);
+        if (used > maxTokens) {
+            throw new PromptBudgetError(`Required prompt sections need ~${used} tokens but only ${maxTokens} are available.`,
+                { requiredTokens: used, maxTokens, sections: required.map(section => section.name) });
+        }
+
+        const kept = new Set(required);
+        const replaced = new Map();
+        const reduced = [];
+        const dropped = [];
+        const optional = sections.filter(section => !section.required).sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0));
+        for (const section of optional) {
+            const tokens = estimateTokens(section.content);
+            if (used + tokens <= maxTokens) {
+                kept.add(section);
+                used += tokens;
+                continue;
+            }
+            const content = await this._reduce(section.content, maxTokens - used, { section: section.name });
+            if (content) {
+                kept.add(section);
+                replaced.set(section, { ...section, content });
+                used += estimateTokens(content);
+                reduced.push(section.name);
+            } else {
+                dropped.push(section.name);
+            }
+        }
+        // Original order, so templates read the same whatever was reduced
+        const fitted = sections.filter(section => kept.has(section)).map(section => replaced.get(section) || section);
+        return { sections: fitted, estimatedTokens: used, reduced, dropped };
+    }
+
+    /**
+     * Ranks snippets and fits them into `maxTokens`, ready to pass as `existingCodeSnippets` to
+     * generateCodeGenerationPrompt. Files that do not fit whole are outlined or summarized;
+     * those with no room left are listed in `omitted`.
+     * @param {Object<string, string>} snippets
+     * @param {object} subtask
+     * @param {number} maxTokens
+     * @returns {Promise<{ snippets: Object<string, string>, omitted: string[], estimatedTokens: number }>}
+     */
+    async fitCodeSnippets(snippets, subtask, maxTokens) {
+        const ranked = rankCodeSnippets(snippets, subtask);
+        const fitted = {};
+        const omitted = [];
+        let used = 0;
+        for (const { path, content } of ranked) {
+            // Each entry also costs its path header in the template
+            const overhead = estimateTokens(path) + 4;
+            const available = maxTokens - used - overhead;
+            const text = estimateTokens(content) <= available ? content : await this._reduce(content, available, { path, code: true });
+            if (!text) {
+                omitted.push(path);
+                continue;
+            }
+            fitted[path] = text;
+            used += estimateTokens(text) + overhead;
+        }
+        if (omitted.length > 0) {
+            console.log(`[PromptBudgeter] Omitted ${omitted.length} code snippet(s) to fit ${maxTokens} tokens: ${omitted.join(', ')}`);
+        }
+        return { snippets: fitted, omitted, estimatedTokens: used };
+    }
+
+    /**
+     * Fits repository manifests (generateRepoLevelAnalysisPrompt `manifestFiles`) into
+     * `maxTokens`, sharing the space evenly and truncating the largest files first.
+     * @param {{ path: string, content: string, type?: string }[]} manifestFiles
+     * @param {number} maxTokens
+     * @returns {{ path: string, content: string, type?: string }[]}
+     */
+    fitManifestFiles(manifestFiles, maxTokens) {
+        const bySize = [...manifestFiles].sort((a, b) => a.content.length - b.content.length);
+        const limits = new Map();
+        let remaining = maxTokens;
+        bySize.forEach((file, index) => {
+            const share = Math.floor(remaining / (bySize.length - index));
+            const limit = Math.min(estimateTokens(file.content), share);
+            limits.set(file, limit);
+            remaining -= limit;
+        });
+        return manifestFiles.map(file => ({ ...file, content: truncateToTokens(file.content, limits.get(file)) }));
+    }
+
+    async _reduce(text, maxTokens, meta) {
+        // Below this there is no room for a useful excerpt
+        if (maxTokens < 32) return '';
+        if (meta.code) {
+            const outline = outlineCode(text);
+            if (outline && estimateTokens(outline) <= maxTokens) return outline;
+        }
+        if (this.summarize) {
+            try {
+                const summary = await this.summarize(text, maxTokens, meta);
+                if (summary) return truncateToTokens(summary, maxTokens);
+            } catch (error) {
+                console.log(`[PromptBudgeter] Summarization failed (${error.message}); truncating instead.`);
+            }
+        }
+        return truncateToTokens(text, maxTokens);
+    }
+
+    _config(key, defaultValue) {
+        return this.configManager?.get(key, defaultValue) ?? defaultValue;
+    }
+}
+
+export default PromptBudgeter;
@@ -0,0 +1,320 @@
+// src/core/prompt-registry.js
+// Versioned prompt template registry. Each template (understanding, planning, breakdown, ...) has
+// named versions; a configurable traffic split routes requests between them and every
+// AI_PROMPT_EXECUTION experience records the version that produced it, so the LearningSystem's
+// PROMPT_EFFECTIVENESS analysis yields success rates per version to promote or retire.
+
+import crypto from 'crypto';
+import { PlatformError } from './error-utils.js';
+
+/**
+ * Template names and the prompt-templates.js functions that implement their first version.
+ * @readonly
+ */
+export const PROMPT_TEMPLATE_FUNCTIONS = Object.freeze({
+    request_understanding: 'generateRequestUnderstandingPrompt',
+    project_planning: 'generateProjectPlanningPrompt',
+    task_breakdown: 'generateTaskBreakdownPrompt',
+    code_generation: 'generateCodeGenerationPrompt',
+    code_debugging: 'generateCodeDebuggingPrompt',
+    self_reflection: 'generateSelfReflectionPrompt',
+    test_generation: 'generateTestGenerationPrompt',
+    code_analysis: 'generateCodeAnalysisPrompt',
+    repo_level_analysis: 'generateRepoLevelAnalysisPrompt',
+    file_level_analysis: 'generateFileLevelAnalysisPrompt',
+    dependency_analysis: 'generateDependencyAnalysisPrompt'
+});
+
+export const DEFAULT_TEMPLATE_VERSION = 'v1';
+const PROMPT_EXECUTION_EXPERIENCE = 'AI_PROMPT_EXECUTION';
+
+export class PromptTemplateError extends PlatformError {
+    constructor(message, code = 'PROMPT_TEMPLATE_ERROR', context = {}, originalError = null) {
+        super(message, code, context, originalError, 'CRITICAL');
+    }
+}
+
+/**
+ * The promptId recorded for a template version; PROMPT_EFFECTIVENESS insights group by it.
+ * @param {string} templateName
+ * @param {string} version
+ * @returns {string}
+ */
+export function versionedPromptId(templateName, version) {
+    return `${templateName}@${version}`;
+}
+
+// Position of a routing key in [0, 1); the same key always lands on the same version
+function routingPoint(templateName, routingKey) {
+    if (routingKey == null) return Math.random();
+    const digest = crypto.createHash('sha256').update(`${templateName}:${routingKey}`).digest();
+    return digest.readUInt32BE(0) / 0x100000000;
+}
+
+export class PromptTemplateRegistry {
+    /**
+     * @param {object} [configManager] - Reads `promptTemplates.<templateName>.default` and
+     *   `promptTemplates.<templateName>.traffic` ({ version: weight }).
+     * @param {object} [options]
+     * @param {object} [options.learningSystem] - LearningSystem (logExperience, experienceStore).
+     */
+    constructor(configManager, options = {}) {
+        this.configManager = configManager;
+        this.learningSystem = options.learningSystem || null;
+        /** @type {Map<string, { versions: Map<string, { render: Function, description: string, registeredAt: string }>, defaultVersion: string | null, promoted: boolean, traffic: Object<string, number> | null }>} */
+        this.templates = new Map();
+    }
+
+    /**
+     * Registry with the functions of prompt-templates.js registered as version v1.
+     * @param {object} [configManager]
+     * @param {object} [options] - As for the constructor.
+     * @returns {Promise<PromptTemplateRegistry>}
+     */
+    static async createDefault(configManager, options = {}) {
+        const promptTemplates = await import('./prompt-templates.js');
+        const registry = new PromptTemplateRegistry(configManager, options);
+        registry.registerDefaults(promptTemplates);
+        return registry;
+    }
+
+    /**
+     * Registers the generate*Prompt functions of a prompt-templates module as version v1.
+     * @param {object} promptTemplates - Module namespace of prompt-templates.js.
+     */
+    registerDefaults(promptTemplates) {
+        for (const [templateName, functionName] of Object.entries(PROMPT_TEMPLATE_FUNCTIONS)) {
+            if (typeof promptTemplates[functionName] === 'function') {
+                this.register(templateName, DEFAULT_TEMPLATE_VERSION, promptTemplates[functionName], { description: `prompt-templates.js ${functionName}` });
+            }
+        }
+    }
+
+    /**
+     * Adds a template version. The first version of a template becomes its default.
+     * @param {string} templateName
+     * @param {string} version
+     * @param {(context: object) => string} render
+     * @param {object} [options]
+     * @param {string} [options.description]
+     */
+    register(templateName, version, render, { description = '' } = {}) {
+        if (typeof render !== 'function') {
+            throw new PromptTemplateError(`Template ${templateName}@${version} needs a render function.`, 'PROMPT_TEMPLATE_INVALID', { templateName, version });
+        }
+        const template = this.templates.get(templateName) || { versions: new Map(), defaultVersion: null, promoted: false, traffic: null };
+        if (template.versions.has(version)) {
+            throw new PromptTemplateError(`Template ${templateName}@${version} is already registered.`, 'PROMPT_TEMPLATE_DUPLICATE', { templateName, version });
+        }
+        template.versions.set(version, { render, description, registeredAt: new Date().toISOString() });
+        template.defaultVersion ??= version;
+        this.templates.set(templateName, template);
+    }
+
+    /**
+     * Routes traffic between versions, e.g. `{ v1: 90, v2: 10 }`. Weights are relative.
+     * @param {string} templateName
+     * @param {Object<string, number>} traffic
+     */
+    setTrafficSplit(templateName, traffic) {
+        const template = this._template(templateName);
+        this._validateTraffic(templateName, template, traffic);
+        template.traffic = { ...traffic };
+        console.log(`[PromptTemplateRegistry] Traffic for ${templateName}: ${JSON.stringify(template.traffic)}`);
+    }
+
+    /**
+     * Picks the version for one request. A routing key (e.g. `${projectName}:${subtaskId}`) keeps
+     * retries of the same work on the same version.
+     * @param {string} templateName
+     * @param {object} [options]
+     * @param {string} [options.routingKey]
+     * @returns {{ templateName: string, version: string, promptId: string }}
+     */
+    select(templateName, { routingKey } = {}) {
+        const template = this._template(templateName);
+        const traffic = this._traffic(templateName, template);
+        const entries = Object.entries(traffic).filter(([, weight]) => weight > 0);
+        let version = this._defaultVersion(templateName, template);
+        if (entries.length > 0) {
+            const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+            let point = routingPoint(templateName, routingKey) * total;
+            for (const [candidate, weight] of entries) {
+                version = candidate;
+                point -= weight;
+                if (point < 0) break;
+            }
+        }
+        return { templateName, version, promptId: versionedPromptId(templateName, version) };
+    }
+
+    /**
+     * Selects a version and renders it.
+     * @param {string} templateName
+     * @param {object} context - Template input, as for the prompt-templates.js functions.
+     * @param {object} [options]
+     * @param {string} [options.routingKey]
+     * @param {string} [options.version] - Bypass routing, e.g. to replay a recorded run.
+     * @returns {{ prompt: string, templateName: string, version: string, promptId: string }}
+     */
+    render(templateName, context, { routingKey, version } = {}) {
+        const selection = version
+            ? { templateName, version, promptId: versionedPromptId(templateName, version) }
+            : this.select(templateName, { routingKey });
+        const entry = this._template(templateName).versions.get(selection.version);
+        if (!entry) {
+            throw new PromptTemplateError(`Template ${selection.promptId} is not registered.`, 'PROMPT_TEMPLATE_NOT_FOUND', selection);
+        }
+        try {
+            return { ...selection, prompt: entry.render(context) };
+        } catch (error) {
+            throw new PromptTemplateError(`Rendering ${selection.promptId} failed: ${error.message}`, 'PROMPT_TEMPLATE_RENDER_ERROR', selection, error);
+        }
+    }
+
+    /**
+     * Logs the AI_PROMPT_EXECUTION experience for a rendered prompt, tagged with its version.
+     * @param {{ templateName: string, version: string, promptId: string }} selection - From render() or select().
+     * @param {object} execution
+     * @param {string} execution.status - 'SUCCESS' or 'FAILURE'.
+     * @param {string} [execution.projectName]
+     * @param {string} [execution.subtaskId]
+     * @param {string} [execution.modelName]
+     * @param {number} [execution.durationMs]
+     * @param {{ promptTokens?: number, completionTokens?: number, totalTokens?: number }} [execution.usage]
+     * @param {Error} [execution.error]
+     * @returns {Promise<string | null>} Experience id, or null without a LearningSystem.
+     */
+    async recordExecution({ templateName, version, promptId }, { status, projectName, subtaskId, modelName, durationMs, usage, error } = {}) {
+        if (!this.learningSystem) return null;
+        return this.learningSystem.logExperience({
+            type: PROMPT_EXECUTION_EXPERIENCE,
+            context: { promptId, templateName, templateVersion: version, projectName, subtaskId, modelName },
+            outcome: {
+                status,
+                durationMs,
+                metrics: usage ? { tokensUsed: { input: usage.promptTokens, output: usage.completionTokens, total: usage.totalTokens } } : undefined,
+                error: error ? { code: error.code, message: error.message } : undefined
+            }
+        });
+    }
+
+    /**
+     * Success rates per version from the logged AI_PROMPT_EXECUTION experiences.
+     * @param {string} templateName
+     * @returns {Promise<Object<string, { executions: number, successes: number, successRate: number | null, avgDurationMs: number | null, trafficShare: number }>>}
+     */
+    async getVersionStats(templateName) {
+        const template = this._template(templateName);
+        const traffic = this._traffic(templateName, template);
+        const totalWeight = Object.values(traffic).reduce((sum, weight) => sum + weight, 0);
+        const stats = {};
+        for (const version of template.versions.keys()) {
+            stats[version] = {
+                executions: 0,
+                successes: 0,
+                successRate: null,
+                avgDurationMs: null,
+                trafficShare: totalWeight > 0 ? (traffic[version] || 0) / totalWeight : Number(version === this._defaultVersion(templateName, template))
+            };
+        }
+        const experiences = this.learningSystem
+            ? await this.learningSystem.experienceStore.findExperiences({ type: PROMPT_EXECUTION_EXPERIENCE }, Number.MAX_SAFE_INTEGER)
+            : [];
+        const durations = {};
+        for (const experience of experiences) {
+            const { templateName: name, templateVersion } = experience.context || {};
+            if (name !== templateName || !stats[templateVersion]) continue;
+            const entry = stats[templateVersion];
+            entry.executions += 1;
+            if (experience.outcome?.status === 'SUCCESS') entry.successes += 1;
+            (durations[templateVersion] ??= []).push(experience.outcome?.durationMs || 0);
+        }
+        for (const [version, entry] of Object.entries(stats)) {
+            if (entry.executions === 0) continue;
+            entry.successRate = entry.successes / entry.executions;
+            entry.avgDurationMs = durations[version].reduce((sum, ms) => sum + ms, 0) / entry.executions;
+        }
+        return stats;
+    }
+
+    /**
+     * Makes a version the default and sends it all traffic.
+     * @param {string} templateName
+     * @param {string} version
+     */
+    promote(templateName, version) {
+        const template = this._template(templateName);
+        this._requireVersion(templateName, template, version);
+        template.defaultVersion = version;
+        template.promoted = true;
+        template.traffic = { [version]: 100 };
+        console.log(`[PromptTemplateRegistry] Promoted ${versionedPromptId(templateName, version)}.`);
+    }
+
+    /**
+     * Removes a version from routing. The default version cannot be retired; promote another first.
+     * @param {string} templateName
+     * @param {string} version
+     */
+    retire(templateName, version) {
+        const template = this._template(templateName);
+        this._requireVersion(templateName, template, version);
+        if (this._defaultVersion(templateName, template) === version) {
+            throw new PromptTemplateError(`Cannot retire ${versionedPromptId(templateName, version)}: it is the default version.`,
+                'PROMPT_TEMPLATE_INVALID', { templateName, version });
+        }
+        const { [version]: _retired, ...traffic } = this._traffic(templateName, template);
+        template.traffic = traffic;
+        console.log(`[PromptTemplateRegistry] Retired ${versionedPromptId(templateName, version)}.`);
+    }
+
+    /**
+     * @param {string} templateName
+     * @returns {string[]}
+     */
+    listVersions(templateName) {
+        return [...this._template(templateName).versions.keys()];
+    }
+
+    _template(templateName) {
+        const template = this.templates.get(templateName);
+        if (!template) {
+            throw new PromptTemplateError(`Unknown prompt template "${templateName}".`, 'PROMPT_TEMPLATE_NOT_FOUND', { templateName });
+        }
+        return template;
+    }
+
+    _requireVersion(templateName, template, version) {
+        if (!template.versions.has(version)) {
+            throw new PromptTemplateError(`Template ${versionedPromptId(templateName, version)} is not registered.`, 'PROMPT_TEMPLATE_NOT_FOUND', { templateName, version });
+        }
+    }
+
+    // A runtime promotion wins over configuration, as runtime splits do in _traffic()
+    _defaultVersion(templateName, template) {
+        if (template.promoted) return template.defaultVersion;
+        const configured = this.configManager?.get(`promptTemplates.${templateName}.default`, null);
+        return configured && template.versions.has(configured) ? configured : template.defaultVersion;
+    }
+
+    // Runtime splits win over configuration; unregistered versions in config are ignored
+    _traffic(templateName, template) {
+        if (template.traffic) return template.traffic;
+        const configured = this.configManager?.get(`promptTemplates.${templateName}.traffic`, null);
+        if (!configured) return {};
+        return Object.fromEntries(Object.entries(configured).filter(([version]) => template.versions.has(version)));
+    }
+
+    _validateTraffic(templateName, template, traffic) {
+        for (const [version, weight] of Object.entries(traffic)) {
+            this._requireVersion(templateName, template, version);
+            if (typeof weight !== 'number' || weight < 0 || !Number.isFinite(weight)) {
+                throw new PromptTemplateError(`Traffic weight for ${versionedPromptId(templateName, version)} must be a non-negative number.`,
+                    'PROMPT_TEMPLATE_INVALID', { templateName, version, weight });
+            }
+        }
+    }
+}
+
+export default PromptTemplateRegistry;
@@ -0,0 +1,326 @@
+// src/core/rate-limiter.js
+// Client-side rate limiting for model APIs. Every call takes a request and its estimated tokens
+// from a token bucket per model and one per project before it is sent, so parallel agents stay
+// under quota instead of relying on VertexAIBaseModel's backoff after a 429. Calls that cannot
+// proceed wait in one shared queue ordered by priority: planning first, bulk file analysis last.
+
+import { PlatformError } from './error-utils.js';
+import { ProjectCancelledError, throwIfCancelled } from './cancellation.js';
+import { estimateTokens } from './prompt-budget.js';
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const CALL_PRIORITIES = Object.freeze({
+    PLANNING: 'planning',
+    EXECUTION: 'execution',
+    BULK_ANALYSIS: 'bulk_analysis'
+});
+
+// Lower rank is served first
+const PRIORITY_RANKS = Object.freeze({ planning: 0, execution: 1, bulk_analysis: 2 });
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_MAX_QUEUE_DEPTH = 1000;
+const LIMITED_METHODS = ['generateText', 'generateCode', 'reviewCode', 'debugCode'];
+
+export class RateLimiterError extends PlatformError {
+    constructor(message, code = 'RATE_LIMITER_ERROR', context = {}, originalError = null, severity = 'RETRYABLE_TRANSIENT') {
+        super(message, code, context, originalError, severity);
+    }
+}
+
+/**
+ * Refills continuously at `perMinute` up to a capacity of `perMinute`. The level may go negative
+ * when a call used more tokens than it reserved; later calls then wait for the debt to refill.
+ */
+export class TokenBucket {
+    /**
+     * @param {number} perMinute
+     * @param {() => number} [now]
+     */
+    constructor(perMinute, now = Date.now) {
+        this.capacity = perMinute;
+        this.refillPerMs = perMinute / MINUTE_MS;
+        this.now = now;
+        this.level = perMinute;
+        this.updatedAt = now();
+    }
+
+    /**
+     * @param {number} amount
+     * @returns {number} Milliseconds until `amount` is available; 0 when it is available now.
+     */
+    waitTime(amount) {
+        this._refill();
+        const needed = Math.min(amount, this.capacity) - this.level;
+        return needed <= 0 ? 0 : Math.ceil(needed / this.refillPerMs);
+    }
+
+    /**
+     * Takes `amount` (capped at the capacity, so oversized calls cannot wait forever).
+     * @param {number} amount
+     */
+    take(amount) {
+        this._refill();
+        this.level -= Math.min(amount, this.capacity);
+    }
+
+    /**
+     * Corrects an earlier reservation by the difference between actual and estimated use.
+     * @param {number} delta - Positive takes more, negative gives back.
+     */
+    adjust(delta) {
+        this._refill();
+        this.level = Math.min(this.capacity, this.level - delta);
+    }
+
+    _refill() {
+        const now = this.now();
+        this.level = Math.min(this.capacity, this.level + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+}
+
+/**
+ * @typedef {object} CallDescriptor
+ * @property {string} model - Model name, e.g. 'gemini-pro'.
+ * @property {string} [projectName]
+ * @property {string} [priority] - One of CALL_PRIORITIES; defaults to 'execution'.
+ * @property {number} [estimatedTokens] - Tokens reserved up front against tokens-per-minute.
+ * @property {AbortSignal} [signal] - Aborting removes the call from the queue.
+ */
+
+export class ModelRateLimiter {
+    /**
+     * @param {object} [configManager] - Reads `rateLimits.models` (`<model>: { requestsPerMinute,
+     *   tokensPerMinute }`, with `default` for unlisted models), `rateLimits.perProject` (same
+     *   shape) and `rateLimits.maxQueueDepth`. A missing limit means unlimited.
+     * @param {object} [options]
+     * @param {() => number} [options.now]
+     */
+    constructor(configManager, options = {}) {
+        this.config = {
+            models: configManager?.get('rateLimits.models', {}) ?? {},
+            perProject: configManager?.get('rateLimits.perProject', {}) ?? {},
+            maxQueueDepth: configManager?.get('rateLimits.maxQueueDepth', DEFAULT_MAX_QUEUE_DEPTH) ?? DEFAULT_MAX_QUEUE_DEPTH
+        };
+        this.now = options.now || Date.now;
+        /** @type {Map<string, { requests: TokenBucket | null, tokens: TokenBucket | null }>} */
+        this.buckets = new Map();
+        /** @type {Array<object>} Kept sorted by priority rank, then arrival. */
+        this.queue = [];
+        this.timer = null;
+        this.stats = { granted: 0, throttled: 0, totalWaitMs: 0, maxWaitMs: 0 };
+    }
+
+    /**
+     * Waits until the call fits within its model's and project's limits and reserves it.
+     * @param {CallDescriptor} descriptor
+     * @returns {Promise<{ waitedMs: number, settle: (actualTokens?: number) => void }>} Call
+     *   `settle` with the actual token count once known to correct the reservation.
+     * @throws {RateLimiterError} RATE_LIMIT_QUEUE_FULL when too many calls are already waiting.
+     * @throws {ProjectCancelledError} When the signal aborts while queued.
+     */
+    acquire(descriptor) {
+        const priority = PRIORITY_RANKS[descriptor.priority] !== undefined ? descriptor.priority : CALL_PRIORITIES.EXECUTION;
+        const request = {
+            ...descriptor,
+            priority,
+            estimatedTokens: Math.max(0, Math.ceil(descriptor.estimatedTokens || 0)),
+            buckets: this._bucketsFor(descriptor),
+            enqueuedAt: this.now()
+        };
+        try {
+            throwIfCancelled(descriptor.signal, { model: descriptor.model, projectName: descriptor.projectName });
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        if (this.queue.length === 0 && this._waitTime(request) === 0) {
+            return Promise.resolve(this._grant(request));
+        }
+        if (this.queue.length >= this.config.maxQueueDepth) {
+            return Promise.reject(new RateLimiterError(`Model call queue is full (${this.queue.length} waiting).`, 'RATE_LIMIT_QUEUE_FULL',
+                { model: descriptor.model, projectName: descriptor.projectName, maxQueueDepth: this.config.maxQueueDepth }));
+        }
+
+        return new Promise((resolve, reject) => {
+            request.resolve = resolve;
+            request.reject = reject;
+            if (descriptor.signal) {
+                request.onAbort = () => this._cancel(request);
+                descriptor.signal.addEventListener('abort', request.onAbort, { once: true });
+            }
+            const index = this.queue.findIndex(queued => PRIORITY_RANKS[queued.priority] > PRIORITY_RANKS[priority]);
+            this.queue.splice(index === -1 ? this.queue.length : index, 0, request);
+            this._pump();
+        });
+    }
+
+    /**
+     * Runs `callFn` once the call is admitted.
+     * @template T
+     * @param {CallDescriptor} descriptor
+     * @param {(reportTokens: (actualTokens: number) => void) => Promise<T>} callFn - Receives a
+     *   callback for the call's actual token usage.
+     * @returns {Promise<T>}
+     */
+    async schedule(descriptor, callFn) {
+        const { settle } = await this.acquire(descriptor);
+        let actualTokens;
+        try {
+            return await callFn(tokens => { actualTokens = tokens; });
+        } finally {
+            settle(actualTokens);
+        }
+    }
+
+    /**
+     * Wraps a model client so every call goes through the limiter. Per-call options may set
+     * `priority`, `projectName` and `signal`; the token estimate is taken from the prompt and
+     * corrected from `onUsage` when the client reports usage.
+     * @param {object} model
+     * @param {object} descriptor
+     * @param {string} descriptor.modelName
+     * @param {string} [descriptor.projectName]
+     * @param {string} [descriptor.priority]
+     * @returns {object} Model with the same methods.
+     */
+    wrapModel(model, { modelName, projectName, priority }) {
+        const limited = Object.create(model);
+        for (const method of LIMITED_METHODS) {
+            if (typeof model[method] !== 'function') continue;
+            const optionsIndex = method === 'debugCode' ? 2 : 1;
+            limited[method] = (...args) => {
+                const options = args[optionsIndex] || {};
+                const descriptor = {
+                    model: modelName,
+                    projectName: options.projectName ?? projectName,
+                    priority: options.priority ?? priority,
+                    estimatedTokens: args.slice(0, optionsIndex).reduce((sum, input) => sum + estimateTokens(String(input ?? '')), 0),
+                    signal: options.signal
+                };
+                return this.schedule(descriptor, (reportTokens) => {
+                    const callArgs = [...args];
+                    callArgs[optionsIndex] = {
+                        ...options,
+                        onUsage: (usage) => {
+                            if (usage?.totalTokens != null) reportTokens(usage.totalTokens);
+                            options.onUsage?.(usage);
+                        }
+                    };
+                    return model[method](...callArgs);
+                });
+            };
+        }
+        return limited;
+    }
+
+    /**
+     * Queue depth and wait times for system health.
+     * @returns {{ queueDepth: number, queuedByPriority: object, granted: number, throttled: number, averageWaitMs: number | null, maxWaitMs: number, oldestWaitMs: number }}
+     */
+    getMetrics() {
+        const now = this.now();
+        const queuedByPriority = Object.fromEntries(Object.values(CALL_PRIORITIES).map(priority => [priority, 0]));
+        for (const request of this.queue) queuedByPriority[request.priority]++;
+        const { granted, throttled, totalWaitMs, maxWaitMs } = this.stats;
+        return {
+            queueDepth: this.queue.length,
+            queuedByPriority,
+            granted,
+            throttled,
+            averageWaitMs: granted > 0 ? Math.round(totalWaitMs / granted) : null,
+            maxWaitMs,
+            oldestWaitMs: this.queue.reduce((oldest, request) => Math.max(oldest, now - request.enqueuedAt), 0)
+        };
+    }
+
+    _bucketsFor({ model, projectName }) {
+        const buckets = [this._bucketPair(`model:${model}`, this.config.models[model] || this.config.models.default)];
+        if (projectName) buckets.push(this._bucketPair(`project:${projectName}`, this.config.perProject));
+        return buckets.filter(pair => pair.requests || pair.tokens);
+    }
+
+    _bucketPair(key, limits = {}) {
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, {
+                key,
+                requests: limits.requestsPerMinute > 0 ? new TokenBucket(limits.requestsPerMinute, this.now) : null,
+                tokens: limits.tokensPerMinute > 0 ? new TokenBucket(limits.tokensPerMinute, this.now) : null
+            });
+        }
+        return this.buckets.get(key);
+    }
+
+    _waitTime(request) {
+        return request.buckets.reduce((wait, pair) => Math.max(wait,
+            pair.requests?.waitTime(1) ?? 0,
+            pair.tokens?.waitTime(request.estimatedTokens) ?? 0), 0);
+    }
+
+    _grant(request) {
+        for (const pair of request.buckets) {
+            pair.requests?.take(1);
+            pair.tokens?.take(request.estimatedTokens);
+        }
+        const waitedMs = this.now() - request.enqueuedAt;
+        this.stats.granted++;
+        this.stats.totalWaitMs += waitedMs;
+        this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitedMs);
+        if (waitedMs > 0) this.stats.throttled++;
+
+        let settled = false;
+        const settle = (actualTokens) => {
+            if (settled || actualTokens == null) return;
+            settled = true;
+            for (const pair of request.buckets) {
+                if (pair.tokens) pair.tokens.adjust(actualTokens - Math.min(request.estimatedTokens, pair.tokens.capacity));
+            }
+            if (actualTokens < request.estimatedTokens && this.queue.length > 0) this._pump(); // Returned tokens may unblock waiting calls
+        };
+        return { waitedMs, settle };
+    }
+
+    // Admits queued calls in priority order. A call that cannot proceed blocks lower-priority
+    // calls on the same buckets, so bulk analysis cannot starve planning of the capacity it waits for.
+    _pump() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        const blocked = new Set();
+        let nextWaitMs = Infinity;
+        for (const request of [...this.queue]) {
+            if (request.buckets.some(pair => blocked.has(pair.key))) continue;
+            const waitMs = this._waitTime(request);
+            if (waitMs > 0) {
+                request.buckets.forEach(pair => blocked.add(pair.key));
+                nextWaitMs = Math.min(nextWaitMs, waitMs);
+                continue;
+            }
+            this._remove(request);
+            request.resolve(this._grant(request));
+        }
+        if (this.queue.length > 0 && nextWaitMs !== Infinity) {
+            this.timer = setTimeout(() => this._pump(), nextWaitMs);
+            this.timer.unref?.();
+        }
+    }
+
+    _cancel(request) {
+        if (!this.queue.includes(request)) return;
+        this._remove(request);
+        const reason = request.signal.reason;
+        request.reject(reason instanceof ProjectCancelledError ? reason
+            : new ProjectCancelledError(undefined, { model: request.model, projectName: request.projectName }));
+        this._pump();
+    }
+
+    _remove(request) {
+        this.queue.splice(this.queue.indexOf(request), 1);
+        request.signal?.removeEventListener('abort', request.onAbort);
+    }
+}
+
+export default ModelRateLimiter;
@@ -0,0 +1,209 @@
+// src/core/record-replay-provider.js
+// Deterministic record/replay LLM provider for offline and integration testing. In record mode
+// every call is forwarded to a real provider and the response is stored in a fixture file, keyed
+// by prompt-template name plus a hash of the normalized prompt; in replay mode the fixtures are
+// served back and any prompt without a fixture fails loudly.
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { LLMProvider, LLMProviderError, LLM_ERROR_CODES, LLM_ROLES } from './llm-provider.js';
+
+export const RECORD_REPLAY_MODES = Object.freeze({
+    RECORD: 'record',
+    REPLAY: 'replay'
+});
+
+const FIXTURE_VERSION = 1;
+const UNTEMPLATED = 'untemplated';
+
+/**
+ * Normalizes a prompt so values that change between runs do not change its hash: whitespace is
+ * collapsed and ISO timestamps, UUIDs and sandbox temp paths are replaced by placeholders.
+ * @param {string} prompt
+ * @returns {string}
+ */
+export function normalizePrompt(prompt) {
+    return String(prompt)
+        .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})?/g, '<timestamp>')
+        .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+        .replace(/(\/tmp\/|[A-Za-z]:\\Temp\\)[^\s'"]+/g, '<tmp-path>')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * @param {object} call
+ * @param {string} call.operation - generateText, generateCode, reviewCode or debugCode.
+ * @param {string} call.role
+ * @param {string} [call.templateName]
+ * @param {string[]} call.inputs - Prompt, or code and error for debugCode.
+ * @returns {{ key: string, templateName: string, hash: string }}
+ */
+export function fixtureKey({ operation, role, templateName, inputs }) {
+    const hash = crypto.createHash('sha256').update(inputs.map(normalizePrompt).join('\u0000')).digest('hex').slice(0, 16);
+    const name = templateName || UNTEMPLATED;
+    return { key: `${name}:${operation}:${role}:${hash}`, templateName: name, hash };
+}
+
+export class RecordReplayProvider extends LLMProvider {
+    /**
+     * @param {object} config - `llm.recordReplay`.
+     * @param {string} config.mode - One of RECORD_REPLAY_MODES.
+     * @param {string} config.fixturePath - JSON fixture file to read (replay) or merge recordings into (record).
+     * @param {LLMProvider} [config.delegate] - Provider whose responses are recorded (record mode).
+     * @param {object} [fixtures] - Preloaded fixture data, instead of reading `fixturePath`.
+     */
+    constructor(config, fixtures) {
+        super('record-replay', config);
+        if (!Object.values(RECORD_REPLAY_MODES).includes(config.mode)) {
+            throw new LLMProviderError(`Record/replay mode must be "record" or "replay", got "${config.mode}".`,
+                LLM_ERROR_CODES.CONFIGURATION, { provider: this.name });
+        }
+        if (config.mode === RECORD_REPLAY_MODES.RECORD && !config.delegate) {
+            throw new LLMProviderError('Record mode needs a delegate provider to record from.', LLM_ERROR_CODES.CONFIGURATION, { provider: this.name });
+        }
+        this.mode = config.mode;
+        this.fixturePath = config.fixturePath || null;
+        this.delegate = config.delegate || null;
+        this.fixtures = fixtures || this._loadFixtures();
+        // Position within each key's recorded responses; repeated prompts replay in recorded order
+        this.replayCursor = new Map();
+        // Keys recorded by this instance; their earlier responses in the file are replaced
+        this.recordedKeys = new Set();
+        this._writeChain = Promise.resolve();
+        // First failed fixture write since the last flush(); later writes are still attempted
+        this._writeError = null;
+    }
+
+    async generateText(prompt, options = {}) {
+        const { role = LLM_ROLES.CHAT } = options;
+        return this._handle({ operation: 'generateText', role, options, inputs: [prompt] },
+            () => this.delegate.generateText(prompt, { ...options, role }));
+    }
+
+    async generateCode(prompt, options = {}) {
+        return this._handle({ operation: 'generateCode', role: LLM_ROLES.CODE, options, inputs: [prompt, options.language || ''] },
+            () => this.delegate.generateCode(prompt, options));
+    }
+
+    async reviewCode(code, options = {}) {
+        return this._handle({ operation: 'reviewCode', role: LLM_ROLES.CODE_CHAT, options, inputs: [code] },
+            () => this.delegate.reviewCode(code, options));
+    }
+
+    async debugCode(code, error, options = {}) {
+        return this._handle({ operation: 'debugCode', role: LLM_ROLES.CODE_CHAT, options, inputs: [code, String(error)] },
+            () => this.delegate.debugCode(code, error, options));
+    }
+
+    /**
+     * Resolves once every recorded response has been written to the fixture file.
+     * @returns {Promise<void>}
+     * @throws {LLMProviderError} When a fixture write since the last flush() failed.
+     */
+    async flush() {
+        await this._writeChain;
+        const error = this._writeError;
+        this._writeError = null;
+        if (error) throw error;
+    }
+
+    async _handle({ operation, role, options, inputs }, callDelegate) {
+        const templateName = options.templateName || options.promptId;
+        const { key, hash } = fixtureKey({ operation, role, templateName, inputs });
+
+        if (this.mode === RECORD_REPLAY_MODES.REPLAY) {
+            return this._replay(key, { operation, role, templateName, hash, inputs });
+        }
+        const response = await callDelegate();
+        this._record(key, { operation, role, templateName, inputs, response });
+        return response;
+    }
+
+    _replay(key, { operation, role, templateName, hash, inputs }) {
+        const entry = this.fixtures.entries[key];
+        if (!entry) {
+            const preview = normalizePrompt(inputs[0]).slice(0, 200);
+            throw new LLMProviderError(
+                `No recorded response for ${operation} (template "${templateName || UNTEMPLATED}", role ${role}, hash ${hash})` +
+                ` in ${this.fixturePath || 'the loaded fixtures'}. Re-record with llm.recordReplay.mode = "record". Prompt: "${preview}"`,
+                LLM_ERROR_CODES.REPLAY_MISS,
+                { provider: this.name, key, templateName, operation, role, fixturePath: this.fixturePath }
+            );
+        }
+        const cursor = this.replayCursor.get(key) || 0;
+        // Calls beyond the recorded count keep getting the last response
+        this.replayCursor.set(key, cursor + 1);
+        return structuredClone(entry.responses[Math.min(cursor, entry.responses.length - 1)]);
+    }
+
+    _record(key, { operation, role, templateName, inputs, response }) {
+        const entry = (this.recordedKeys.has(key) && this.fixtures.entries[key]) || {
+            templateName: templateName || UNTEMPLATED,
+            operation,
+            role,
+            promptPreview: normalizePrompt(inputs[0]).slice(0, 200),
+            responses: []
+        };
+        this.recordedKeys.add(key);
+        entry.responses.push(response);
+        this.fixtures.entries[key] = entry;
+        if (this.fixturePath) {
+            this._writeChain = this._writeChain
+                .then(() => this._writeFixtures())
+                .catch((error) => {
+                    console.error(`[RecordReplayProvider] Writing fixtures to ${this.fixturePath} failed: ${error.message}`);
+                    this._writeError ??= new LLMProviderError(`Cannot write fixtures to ${this.fixturePath}: ${error.message}`,
+                        LLM_ERROR_CODES.CONFIGURATION, { provider: this.name, fixturePath: this.fixturePath }, error);
+                });
+        }
+    }
+
+    _loadFixtures() {
+        // Recording merges into the existing file, which other tests' fixtures share
+        if (!this.fixturePath || (this.mode === RECORD_REPLAY_MODES.RECORD && !fs.existsSync(this.fixturePath))) {
+            return { version: FIXTURE_VERSION, entries: {} };
+        }
+        let data;
+        try {
+            data = fs.readJsonSync(this.fixturePath);
+        } catch (error) {
+            throw new LLMProviderError(`Cannot read replay fixtures from ${this.fixturePath}: ${error.message}`,
+                LLM_ERROR_CODES.CONFIGURATION, { provider: this.name, fixturePath: this.fixturePath }, error);
+        }
+        if (data?.version !== FIXTURE_VERSION || typeof data.entries !== 'object') {
+            throw new LLMProviderError(`Unsupported fixture file format in ${this.fixturePath}.`,
+                LLM_ERROR_CODES.CONFIGURATION, { provider: this.name, fixturePath: this.fixturePath });
+        }
+        return data;
+    }
+
+    async _writeFixtures() {
+        // Sorted keys keep re-recorded fixtures diffable
+        const entries = Object.fromEntries(Object.keys(this.fixtures.entries).sort().map(key => [key, this.fixtures.entries[key]]));
+        const tempPath = `${this.fixturePath}.${process.pid}.tmp`;
+        await fs.ensureDir(path.dirname(this.fixturePath));
+        await fs.writeFile(tempPath, `${JSON.stringify({ version: FIXTURE_VERSION, entries }, null, 2)}\n`, 'utf8');
+        await fs.rename(tempPath, this.fixturePath);
+    }
+}
+
+/**
+ * Replay-mode models for tests, ready to stand in for `chatModel`, `codeModel` and `codeChatModel`.
+ * @param {string | object} fixtures - Fixture file path or fixture data.
+ * @returns {{ provider: RecordReplayProvider, chatModel: object, codeModel: object, codeChatModel: object }}
+ */
+export function createReplayModels(fixtures) {
+    const provider = typeof fixtures === 'string'
+        ? new RecordReplayProvider({ mode: RECORD_REPLAY_MODES.REPLAY, fixturePath: fixtures })
+        : new RecordReplayProvider({ mode: RECORD_REPLAY_MODES.REPLAY }, fixtures);
+    return {
+        provider,
+        chatModel: provider.getModel(LLM_ROLES.CHAT),
+        codeModel: provider.getModel(LLM_ROLES.CODE),
+        codeChatModel: provider.getModel(LLM_ROLES.CODE_CHAT)
+    };
+}
+
+export default RecordReplayProvider;
@@ -0,0 +1,352 @@
+// src/core/response-cache.js
+// Content-addressed cache in front of the model clients. Keys combine operation, model name,
+// temperature, template version and a hash of the prompt and call options, so re-analyzing the
+// same commit reuses the earlier responses. Sampled calls (temperature > 0, or no known
+// temperature) bypass the cache unless explicitly allowed.
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { PlatformError } from './error-utils.js';
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MEMORY_MAX_BYTES = 50 * 1024 * 1024;
+const DEFAULT_DISK_MAX_BYTES = 200 * 1024 * 1024;
+const DEFAULT_DIRECTORY = path.join('.cache', 'llm-responses');
+const CACHED_METHODS = ['generateText', 'generateCode', 'reviewCode', 'debugCode'];
+// Options that control the call or the cache rather than the response; temperature and the
+// template version have their own key parts
+const UNKEYED_OPTIONS = new Set(['cache', 'cacheTtlMs', 'onUsage', 'signal', 'temperature', 'templateVersion', 'promptId']);
+
+export class ResponseCacheError extends PlatformError {
+    constructor(message, context = {}, originalError = null) {
+        super(message, 'RESPONSE_CACHE_ERROR', context, originalError, 'WARNING');
+    }
+}
+
+// JSON with object keys sorted, so option order does not change the key
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort().filter(key => value[key] !== undefined && typeof value[key] !== 'function');
+        return `{${entries.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * The call options that affect the response, e.g. `language`, `systemInstruction`, `maxTokens`.
+ * @param {object} [options]
+ * @returns {object}
+ */
+function keyedOptions(options = {}) {
+    return Object.fromEntries(Object.entries(options).filter(([name]) => !UNKEYED_OPTIONS.has(name)));
+}
+
+/**
+ * @param {object} parts
+ * @param {string} parts.operation
+ * @param {string} parts.model
+ * @param {number | null} parts.temperature
+ * @param {string | null} [parts.templateVersion]
+ * @param {Array<*>} parts.inputs - Prompt (and code / error for the code-chat operations).
+ * @param {object} [parts.options] - Call options that affect the response.
+ * @returns {string} Hex sha256.
+ */
+export function responseCacheKey({ operation, model, temperature, templateVersion = null, inputs, options = {} }) {
+    const promptHash = crypto.createHash('sha256').update(stableStringify([inputs, options])).digest('hex');
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([operation, model, temperature, templateVersion, promptHash]))
+        .digest('hex');
+}
+
+function sizeOf(value) {
+    return Buffer.byteLength(JSON.stringify(value) ?? '', 'utf8');
+}
+
+/**
+ * LRU cache in process memory, bounded by entry count and approximate size.
+ */
+export class MemoryCacheBackend {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxEntries]
+     * @param {number} [options.maxBytes]
+     */
+    constructor({ maxEntries = DEFAULT_MAX_ENTRIES, maxBytes = DEFAULT_MEMORY_MAX_BYTES } = {}) {
+        this.name = 'memory';
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        /** @type {Map<string, { value: *, expiresAt: number, size: number }>} */
+        this.entries = new Map();
+        this.bytes = 0;
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        this.entries.delete(key);
+        if (entry.expiresAt <= Date.now()) {
+            this.bytes -= entry.size;
+            return undefined;
+        }
+        // Re-insert to mark as most recently used
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    async set(key, value, ttlMs) {
+        await this.delete(key);
+        const size = sizeOf(value);
+        if (size > this.maxBytes) return;
+        // Stored as a copy so callers mutating the response they got back cannot alter the entry
+        this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs, size });
+        this.bytes += size;
+        for (const [oldestKey, oldest] of this.entries) {
+            if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+            this.entries.delete(oldestKey);
+            this.bytes -= oldest.size;
+        }
+    }
+
+    async delete(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.bytes -= entry.size;
+        }
+    }
+
+    async clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+
+    async stats() {
+        return { entries: this.entries.size, bytes: this.bytes };
+    }
+}
+
+/**
+ * One JSON file per entry under a directory, so cached analyses survive restarts. Bounded by total
+ * size; the oldest entries are evicted first.
+ */
+export class DiskCacheBackend {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.directory]
+     * @param {number} [options.maxBytes]
+     */
+    constructor({ directory = DEFAULT_DIRECTORY, maxBytes = DEFAULT_DISK_MAX_BYTES } = {}) {
+        this.name = 'disk';
+        this.directory = directory;
+        this.maxBytes = maxBytes;
+        /** @type {Map<string, { size: number, createdAt: number }> | null} */
+        this.index = null;
+        this.bytes = 0;
+    }
+
+    async get(key) {
+        const index = await this._index();
+        if (!index.has(key)) return undefined;
+        let entry;
+        try {
+            entry = await fs.readJson(this._file(key));
+        } catch {
+            await this.delete(key); // Unreadable or removed behind our back
+            return undefined;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            await this.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    async set(key, value, ttlMs) {
+        const index = await this._index();
+        await this.delete(key);
+        const body = JSON.stringify({ key, value, createdAt: Date.now(), expiresAt: Date.now() + ttlMs });
+        const size = Buffer.byteLength(body, 'utf8');
+        if (size > this.maxBytes) return;
+        const file = this._file(key);
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, body, 'utf8');
+        await fs.rename(tempFile, file);
+        index.set(key, { size, createdAt: Date.now() });
+        this.bytes += size;
+        // Map order is insertion order, i.e. oldest first
+        for (const oldestKey of index.keys()) {
+            if (this.bytes <= this.maxBytes) break;
+            await this.delete(oldestKey);
+        }
+    }
+
+    async delete(key) {
+        const index = await this._index();
+        const entry = index.get(key);
+        if (!entry) return;
+        index.delete(key);
+        this.bytes -= entry.size;
+        await fs.remove(this._file(key));
+    }
+
+    async clear() {
+        await fs.emptyDir(this.directory);
+        this.index = new Map();
+        this.bytes = 0;
+    }
+
+    async stats() {
+        const index = await this._index();
+        return { entries: index.size, bytes: this.bytes, directory: this.directory };
+    }
+
+    _file(key) {
+        return path.join(this.directory, `${key}.json`);
+    }
+
+    async _index() {
+        if (this.index) return this.index;
+        await fs.ensureDir(this.directory);
+        const files = (await fs.readdir(this.directory)).filter(file => /^[0-9a-f]{64}\.json$/.test(file));
+        const entries = await Promise.all(files.map(async file => {
+            const stat = await fs.stat(path.join(this.directory, file));
+            return [file.slice(0, -'.json'.length), { size: stat.size, createdAt: stat.mtimeMs }];
+        }));
+        entries.sort((a, b) => a[1].createdAt - b[1].createdAt);
+        this.index = new Map(entries);
+        this.bytes = entries.reduce((sum, [, entry]) => sum + entry.size, 0);
+        return this.index;
+    }
+}
+
+export class ResponseCache {
+    /**
+     * @param {object} [configManager] - Reads `responseCache.*`: `ttlMs`, `allowNonDeterministic`.
+     * @param {object} [options]
+     * @param {MemoryCacheBackend | DiskCacheBackend} [options.backend]
+     */
+    constructor(configManager, options = {}) {
+        this.backend = options.backend || new MemoryCacheBackend();
+        this.ttlMs = configManager?.get('responseCache.ttlMs', DEFAULT_TTL_MS) ?? DEFAULT_TTL_MS;
+        this.allowNonDeterministic = configManager?.get('responseCache.allowNonDeterministic', false) ?? false;
+        this.counters = { hits: 0, misses: 0, bypassed: 0, errors: 0 };
+    }
+
+    /**
+     * Wraps a model client (chatModel, codeModel, codeChatModel or a provider role model). Calls are
+     * served from the cache when deterministic: temperature 0, or any temperature when
+     * `options.cache === true` or `responseCache.allowNonDeterministic` is set. `options.cache ===
+     * false` always bypasses, and so does a call without a temperature on a model without
+     * `defaultTemperature`.
+     * @param {object} model
+     * @param {object} descriptor
+     * @param {string} descriptor.modelName - Part of the key, e.g. 'gemini-pro'.
+     * @param {number} [descriptor.defaultTemperature] - The model's configured temperature, used when a call sets none.
+     * @returns {object} Model with the same methods.
+     */
+    wrapModel(model, { modelName, defaultTemperature = null }) {
+        const cached = Object.create(model);
+        for (const method of CACHED_METHODS) {
+            if (typeof model[method] !== 'function') continue;
+            // The options object is always the last argument of these methods
+            const optionsIndex = method === 'debugCode' ? 2 : 1;
+            cached[method] = (...args) => {
+                const options = args[optionsIndex] || {};
+                const inputs = args.slice(0, optionsIndex);
+                return this._cached({
+                    operation: method,
+                    model: modelName,
+                    temperature: options.temperature ?? defaultTemperature,
+                    templateVersion: options.templateVersion ?? options.promptId ?? null,
+                    inputs,
+                    options: keyedOptions(options)
+                }, options, () => model[method](...args));
+            };
+        }
+        return cached;
+    }
+
+    /**
+     * Counters for system health.
+     * @returns {Promise<{ backend: string, hits: number, misses: number, bypassed: number, errors: number, hitRate: number | null, entries: number, bytes: number }>}
+     */
+    async getStats() {
+        const { hits, misses } = this.counters;
+        let backendStats = {};
+        try {
+            backendStats = await this.backend.stats();
+        } catch (error) {
+            console.log(`[ResponseCache] Could not read ${this.backend.name} cache stats: ${error.message}`);
+        }
+        return {
+            backend: this.backend.name,
+            ...this.counters,
+            hitRate: hits + misses > 0 ? Number((hits / (hits + misses)).toFixed(3)) : null,
+            ...backendStats
+        };
+    }
+
+    async clear() {
+        await this.backend.clear();
+    }
+
+    async _cached(keyParts, options, call) {
+        const allowed = options.cache === true || (options.cache !== false && ((keyParts.temperature != null && keyParts.temperature <= 0) || this.allowNonDeterministic));
+        if (!allowed) {
+            this.counters.bypassed += 1;
+            return call();
+        }
+        const key = responseCacheKey(keyParts);
+        const hit = await this._backendCall('get', key);
+        if (hit !== undefined) {
+            this.counters.hits += 1;
+            return structuredClone(hit);
+        }
+        this.counters.misses += 1;
+        const value = await call();
+        await this._backendCall('set', key, value, options.cacheTtlMs ?? this.ttlMs);
+        return value;
+    }
+
+    // A broken cache must never fail the model call
+    async _backendCall(method, ...args) {
+        try {
+            return await this.backend[method](...args);
+        } catch (error) {
+            this.counters.errors += 1;
+            console.log(`[ResponseCache] ${this.backend.name} ${method} failed: ${error.message}`);
+            return undefined;
+        }
+    }
+}
+
+/**
+ * Builds the cache from `responseCache.*`, or returns null when `responseCache.enabled` is false.
+ * @param {object} configManager
+ * @returns {ResponseCache | null}
+ */
+export function createResponseCache(configManager) {
+    if (!configManager.get('responseCache.enabled', true)) return null;
+    const backendName = configManager.get('responseCache.backend', 'memory');
+    let backend;
+    if (backendName === 'memory') {
+        backend = new MemoryCacheBackend({
+            maxEntries: configManager.get('responseCache.maxEntries', DEFAULT_MAX_ENTRIES),
+            maxBytes: configManager.get('responseCache.maxBytes', DEFAULT_MEMORY_MAX_BYTES)
+        });
+    } else if (backendName === 'disk') {
+        backend = new DiskCacheBackend({
+            directory: configManager.get('responseCache.directory', DEFAULT_DIRECTORY),
+            maxBytes: configManager.get('responseCache.maxBytes', DEFAULT_DISK_MAX_BYTES)
+        });
+    } else {
+        throw new ResponseCacheError(`Unknown response cache backend "${backendName}". Use "memory" or "disk".`, { backend: backendName });
+    }
+    console.log(`[ResponseCache] Using ${backendName} backend.`);
+    return new ResponseCache(configManager, { backend });
+}
+
+export default ResponseCache;
@@ -0,0 +1,144 @@
+// src/core/response-schemas.js
+// JSON Schemas (draft-07 subset, see response-validation.js) for every structured model response.
+// Field names follow the prompts in prompt-templates.js and the parsing in AgentCoordinator and
+// TaskExecutionSystem.
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+// Understanding and planning responses may consist of only `clarification_needed`, as a single
+// question or a list (see detectClarificationRequest in clarification.js)
+const clarificationNeeded = { type: ['string', 'array'], items: { type: 'string' } };
+const clarificationOnly = {
+    required: ['clarification_needed'],
+    properties: { clarification_needed: { minLength: 1, minItems: 1 } }
+};
+
+// { files: [{ path, content }], explanation } from code generation and self-debugging
+const fileList = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        required: ['path', 'content'],
+        properties: {
+            path: { type: 'string', minLength: 1 },
+            content: { type: 'string' }
+        }
+    }
+};
+
+/**
+ * @readonly
+ * @enum {object}
+ */
+export const RESPONSE_SCHEMAS = Object.freeze({
+    understanding: {
+        title: 'understanding',
+        type: 'object',
+        anyOf: [{ required: ['parsed_intent'] }, clarificationOnly],
+        properties: {
+            parsed_intent: { type: 'string', minLength: 1 },
+            required_skills: stringArray,
+            complexity_assessment: { type: 'string' },
+            clarification_needed: clarificationNeeded
+        }
+    },
+
+    plan: {
+        title: 'plan',
+        type: 'object',
+        anyOf: [{ required: ['project_title', 'high_level_steps'] }, clarificationOnly],
+        properties: {
+            project_title: { type: 'string', minLength: 1 },
+            high_level_steps: { type: 'array', minItems: 1, items: { type: ['string', 'object'] } },
+            estimated_time: { type: 'string' },
+            clarification_needed: clarificationNeeded
+        }
+    },
+
+    subtasks: {
+        title: 'subtasks',
+        type: 'array',
+        minItems: 1,
+        items: {
+            type: 'object',
+            required: ['title', 'description'],
+            anyOf: [{ required: ['subtask_id'] }, { required: ['id'] }],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                subtask_id: { type: 'string', minLength: 1 },
+                title: { type: 'string', minLength: 1 },
+                description: { type: 'string', minLength: 1 },
+                dependencies: stringArray,
+                assigned_persona: { type: 'string' },
+                expected_artifacts: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['path'],
+                        properties: { type: { type: 'string' }, path: { type: 'string', minLength: 1 }, description: { type: 'string' } }
+                    }
+                },
+                success_criteria: stringArray,
+                estimated_complexity: { type: 'string' }
+            }
+        }
+    },
+
+    codeFiles: {
+        title: 'codeFiles',
+        type: 'object',
+        required: ['files'],
+        properties: {
+            files: fileList,
+            explanation: { type: 'string' }
+        }
+    },
+
+    review: {
+        title: 'review',
+        type: 'object',
+        required: ['summary', 'issues'],
+        properties: {
+            summary: { type: 'string' },
+            issues: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['description'],
+                    properties: {
+                        severity: { enum: ['critical', 'major', 'minor', 'info'] },
+                        description: { type: 'string', minLength: 1 },
+                        path: { type: 'string' },
+                        suggestion: { type: 'string' }
+                    }
+                }
+            },
+            approved: { type: 'boolean' }
+        }
+    },
+
+    debug: {
+        title: 'debug',
+        type: 'object',
+        required: ['files'],
+        properties: {
+            root_cause: { type: 'string' },
+            files: fileList,
+            explanation: { type: 'string' }
+        }
+    },
+
+    reflection: {
+        title: 'reflection',
+        type: 'object',
+        required: ['self_critique_solution_quality'],
+        properties: {
+            self_critique_solution_quality: { type: ['string', 'object'] },
+            lessons_learned: stringArray,
+            suggested_improvements: stringArray
+        }
+    }
+});
+
+export default RESPONSE_SCHEMAS;
@@ -0,0 +1,215 @@
+// src/core/response-validation.js
+// Shared parsing, validation and auto-repair of structured model responses. Every JSON-returning
+// call goes through generateValidated(): the text is repaired (markdown fences, surrounding prose,
+// trailing commas), parsed and checked against its schema from response-schemas.js; if it still
+// fails, the model is re-prompted once with the field-level errors before a PlanningError is raised.
+
+import { PlanningError } from './error-utils.js';
+import { RESPONSE_SCHEMAS } from './response-schemas.js';
+
+const DEFAULT_REPAIR_ATTEMPTS = 1;
+const RESPONSE_PREVIEW_LENGTH = 500;
+
+/**
+ * @typedef {object} ValidationIssue
+ * @property {string} path - JSON path of the offending value, e.g. `$[0].title`.
+ * @property {string} keyword - Schema keyword that failed.
+ * @property {string} message
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function childPath(path, key) {
+    return typeof key === 'number' ? `${path}[${key}]` : /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Validates a value against a JSON Schema subset: type, enum, required, properties,
+ * additionalProperties, items, minItems, maxItems, minLength, pattern and anyOf.
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [path]
+ * @returns {ValidationIssue[]} Empty when valid.
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+    const issues = [];
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [{ path, keyword: 'type', message: `expected ${types.join(' or ')}, got ${typeOf(value)}` }];
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        issues.push({ path, keyword: 'enum', message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength != null && value.length < schema.minLength) {
+            issues.push({ path, keyword: 'minLength', message: schema.minLength === 1 ? 'must not be empty' : `must have at least ${schema.minLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            issues.push({ path, keyword: 'pattern', message: `must match ${schema.pattern}` });
+        }
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems != null && value.length < schema.minItems) {
+            issues.push({ path, keyword: 'minItems', message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.maxItems != null && value.length > schema.maxItems) {
+            issues.push({ path, keyword: 'maxItems', message: `must have at most ${schema.maxItems} item(s)` });
+        }
+        if (schema.items) value.forEach((item, index) => issues.push(...validateAgainstSchema(item, schema.items, childPath(path, index))));
+    }
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) issues.push({ path: childPath(path, key), keyword: 'required', message: 'is required' });
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) issues.push(...validateAgainstSchema(value[key], propertySchema, childPath(path, key)));
+        }
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!schema.properties?.[key]) issues.push({ path: childPath(path, key), keyword: 'additionalProperties', message: 'is not allowed' });
+            }
+        }
+    }
+    if (schema.anyOf && !schema.anyOf.some(option => validateAgainstSchema(value, option, path).length === 0)) {
+        const alternatives = schema.anyOf.map(option => (option.required ? option.required.join(' + ') : option.type || 'schema'));
+        issues.push({ path, keyword: 'anyOf', message: `must satisfy one of: ${alternatives.join(' | ')}` });
+    }
+    return issues;
+}
+
+/**
+ * @param {ValidationIssue[]} issues
+ * @returns {string}
+ */
+export function formatValidationIssues(issues) {
+    return issues.map(issue => `${issue.path} ${issue.message}`).join('; ');
+}
+
+// Removes commas directly before a closing bracket, ignoring string contents
+function stripTrailingCommas(text) {
+    let result = '';
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            result += char;
+            if (char === '\\') result += text[++i] ?? '';
+            else if (char === '"') inString = false;
+            continue;
+        }
+        if (char === '"') inString = true;
+        if (char === ',') {
+            const rest = text.slice(i + 1).match(/^\s*([}\]])/);
+            if (rest) continue;
+        }
+        result += char;
+    }
+    return result;
+}
+
+/**
+ * Mechanical fixes for common model formatting mistakes: a markdown code fence around the JSON,
+ * prose before or after it, and trailing commas.
+ * @param {string} text
+ * @returns {string}
+ */
+export function repairJsonText(text) {
+    let candidate = String(text ?? '').replace(/^\uFEFF/, '').trim();
+    const fenced = /```(?:json|JSON)?\s*\n?([\s\S]*?)```/.exec(candidate);
+    if (fenced) candidate = fenced[1].trim();
+    const start = candidate.search(/[[{]/);
+    if (start > 0 || (start === 0 && !/[}\]]$/.test(candidate))) {
+        const closing = candidate[start] === '{' ? '}' : ']';
+        const end = candidate.lastIndexOf(closing);
+        if (end > start) candidate = candidate.slice(start, end + 1);
+    }
+    return stripTrailingCommas(candidate);
+}
+
+/**
+ * Parses (repairing if needed) and validates a model response.
+ * @param {string} text
+ * @param {object} schema - A RESPONSE_SCHEMAS entry or any schema in the supported subset.
+ * @returns {{ value: *, issues: ValidationIssue[], parseError: Error | null, repaired: boolean }}
+ */
+export function parseStructuredResponse(text, schema) {
+    let value;
+    let repaired = false;
+    try {
+        value = JSON.parse(text);
+    } catch {
+        try {
+            value = JSON.parse(repairJsonText(text));
+            repaired = true;
+        } catch (error) {
+            return { value: undefined, issues: [], parseError: error, repaired: false };
+        }
+    }
+    return { value, issues: validateAgainstSchema(value, schema), parseError: null, repaired };
+}
+
+function repairPrompt(originalPrompt, result) {
+    const problem = result.parseError
+        ? `It was not valid JSON (${result.parseError.message}).`
+        : `It did not match the required structure:\n${result.issues.map(issue => `- ${issue.path} ${issue.message}`).join('\n')}`;
+    return `${originalPrompt}\n\nYour previous response could not be used. ${problem}\nRespond again with only the corrected JSON, no markdown and no commentary.`;
+}
+
+/**
+ * Calls the model and returns its response parsed and validated against a schema. Invalid output
+ * is repaired mechanically first; if that is not enough the model is re-prompted (once by default)
+ * with the validation errors.
+ * @param {{ generateText: Function }} model - chatModel, codeModel or a provider role model.
+ * @param {string} prompt
+ * @param {string | object} schema - RESPONSE_SCHEMAS key or a schema object.
+ * @param {object} [options]
+ * @param {string} [options.responseName] - Used in error messages, e.g. 'request_understanding'.
+ * @param {object} [options.generateOptions] - Passed to generateText().
+ * @param {number} [options.repairAttempts]
+ * @returns {Promise<*>}
+ * @throws {PlanningError} When the response is still invalid after the repair attempts.
+ */
+export async function generateValidated(model, prompt, schema, options = {}) {
+    const resolvedSchema = typeof schema === 'string' ? RESPONSE_SCHEMAS[schema] : schema;
+    if (!resolvedSchema) {
+        throw new PlanningError(`Unknown response schema "${schema}".`, { schema });
+    }
+    const responseName = options.responseName || resolvedSchema.title || 'response';
+    const repairAttempts = options.repairAttempts ?? DEFAULT_REPAIR_ATTEMPTS;
+
+    let currentPrompt = prompt;
+    let result;
+    let text;
+    for (let attempt = 0; attempt <= repairAttempts; attempt++) {
+        text = await model.generateText(currentPrompt, options.generateOptions || {});
+        result = parseStructuredResponse(text, resolvedSchema);
+        if (!result.parseError && result.issues.length === 0) {
+            if (result.repaired || attempt > 0) {
+                console.log(`[ResponseValidation] ${responseName} response accepted after ${attempt > 0 ? `${attempt} re-prompt(s)` : 'mechanical repair'}.`);
+            }
+            return result.value;
+        }
+        if (attempt < repairAttempts) {
+            console.log(`[ResponseValidation] Invalid ${responseName} response, re-prompting: ${result.parseError?.message || formatValidationIssues(result.issues)}`);
+            currentPrompt = repairPrompt(prompt, result);
+        }
+    }
+
+    const context = { responseName, issues: result.issues, responsePreview: String(text).slice(0, RESPONSE_PREVIEW_LENGTH) };
+    if (result.parseError) {
+        throw new PlanningError(`LLM response for ${responseName} was not valid JSON: ${result.parseError.message}`, context, result.parseError);
+    }
+    throw new PlanningError(`LLM response for ${responseName} did not match the expected structure: ${formatValidationIssues(result.issues)}`, context);
+}
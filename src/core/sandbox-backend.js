@@ -0,0 +1,95 @@
+// src/core/sandbox-backend.js
+// Pluggable sandbox backends. TaskExecutionSystem and AgentCoordinator only use the methods in
+// SANDBOX_BACKEND_METHODS, so the Docker-based SandboxManager can be swapped for the local-process
+// backend on machines without a Docker daemon. Selected through ConfigurationManager
+// (`sandbox.backend`).
+
+import { ContainerPool } from './container-pool.js';
+import { DependencyCache } from './dependency-cache.js';
+import { LocalProcessSandbox } from './local-process-sandbox.js';
+import { SandboxError } from './sandbox-errors.js';
+
+/**
+ * The interface every backend implements. "Container" IDs are opaque handles: a Docker container
+ * for SandboxManager, a confined workspace directory for LocalProcessSandbox. Paths inside a
+ * container are rooted at /sandbox_project in both.
+ */
+export const SANDBOX_BACKEND_METHODS = Object.freeze([
+    'createAndStartContainer',
+    'executeCommand',
+    'copyToContainer',
+    'copyFromContainer',
+    'cleanupContainer',
+    'cleanupAllContainers',
+    'cloneRepository',
+    'listRepositoryFiles',
+    'readRepositoryFile',
+    'installNpmDependencies',
+    'installPythonDependencies',
+    'runLinter',
+    'runTests'
+]);
+
+/**
+ * @param {object} backend
+ * @returns {string[]} Interface methods the backend does not implement.
+ */
+export function missingSandboxMethods(backend) {
+    return SANDBOX_BACKEND_METHODS.filter(method => typeof backend?.[method] !== 'function');
+}
+
+const BACKEND_FACTORIES = {
+    // Imported lazily so hosts using the local-process backend need neither dockerode nor a daemon
+    docker: async (config) => {
+        const { SandboxManager } = await import('./sandbox-manager.js');
+        return new SandboxManager(config);
+    },
+    'local-process': config => new LocalProcessSandbox(config)
+};
+
+/**
+ * Registers an additional backend under `name` for `sandbox.backend`.
+ * @param {string} name
+ * @param {(config: object) => Promise<object> | object} factory
+ */
+export function registerSandboxBackend(name, factory) {
+    BACKEND_FACTORIES[name] = factory;
+}
+
+/**
+ * Creates the backend selected by `sandbox.backend` (default 'docker'), passing it the
+ * `sandbox.<backend>` configuration section (`sandbox.docker`, `sandbox.localProcess`). When
+ * enabled, the backend is wrapped by the warm ContainerPool (`sandbox.pool`) and the
+ * DependencyCache (`sandbox.dependencyCache`).
+ * @param {object} configManager
+ * @returns {Promise<object>}
+ */
+export async function createSandboxBackend(configManager) {
+    const name = configManager.get('sandbox.backend', 'docker');
+    const factory = BACKEND_FACTORIES[name];
+    if (!factory) {
+        throw new SandboxError(`Unknown sandbox backend "${name}". Available: ${Object.keys(BACKEND_FACTORIES).join(', ')}.`,
+            'CONFIG_ERROR', { backend: name });
+    }
+    const configKey = name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    const backend = await factory(configManager.get(`sandbox.${configKey}`, {}) || {});
+    const missing = missingSandboxMethods(backend);
+    if (missing.length > 0) {
+        throw new SandboxError(`Sandbox backend "${name}" does not implement: ${missing.join(', ')}.`, 'CONFIG_ERROR', { backend: name, missing });
+    }
+    console.log(`[Sandbox] Using ${name} backend.`);
+
+    let sandbox = backend;
+    const poolConfig = configManager.get('sandbox.pool', {}) || {};
+    if (poolConfig.enabled) {
+        const pool = new ContainerPool(backend, poolConfig);
+        sandbox = pool.wrapBackend();
+        // Not awaited: until warming finishes, subtasks start containers on demand
+        pool.warmAll();
+    }
+    const cacheConfig = configManager.get('sandbox.dependencyCache', {}) || {};
+    if (cacheConfig.enabled) {
+        sandbox = new DependencyCache(sandbox, cacheConfig).wrapBackend();
+    }
+    return sandbox;
+}
@@ -0,0 +1,42 @@
+// src/core/sandbox-errors.js
+// Error classes shared by the sandbox backends. Kept free of backend dependencies so the
+// local-process backend works where dockerode is not installed. Codes match the ones
+// SandboxManager has always raised.
+
+import { PlatformError } from './error-utils.js';
+
+export class SandboxError extends PlatformError {
+    constructor(message, code = 'SANDBOX_ERROR', context = {}, originalError = null, severity = 'CRITICAL') {
+        super(message, code, context, originalError, severity);
+    }
+}
+
+export class ContainerCreationError extends SandboxError {
+    constructor(message, context = {}, originalError = null) {
+        super(message, 'CONTAINER_CREATE_FAILED', context, originalError);
+    }
+}
+
+export class CommandExecutionError extends SandboxError {
+    constructor(message, context = {}, originalError = null) {
+        super(message, 'COMMAND_EXECUTION_ERROR', context, originalError);
+    }
+}
+
+export class CommandTimeoutError extends SandboxError {
+    constructor(message, context = {}, originalError = null) {
+        super(message, 'COMMAND_TIMEOUT_ERROR', context, originalError, 'RECOVERABLE_WITH_MODIFICATION');
+    }
+}
+
+export class FileSystemError extends SandboxError {
+    constructor(message, context = {}, originalError = null) {
+        super(message, 'FILESYSTEM_ERROR', context, originalError);
+    }
+}
+
+export class SecurityViolationError extends SandboxError {
+    constructor(message, context = {}, originalError = null) {
+        super(message, 'SECURITY_VIOLATION_ERROR', context, originalError, 'FATAL');
+    }
+}
@@ -0,0 +1,487 @@
+// src/core/static-analysis.js
+// Static analysis framework (design-docs/sandbox-manager-advanced-features.md, 2.2). Each
+// StaticAnalyzer runs one tool in the sandbox through runLinter and parses its machine-readable
+// output into a unified diagnostic: file, line, column, rule, severity and message. A
+// StaticAnalysisRegistry picks the analyzers that apply to a repository, runs them with a timeout
+// and aggregates the diagnostics. Comparing a run against a baseline gives the "no new errors"
+// acceptance criterion.
+
+import path from 'path';
+import { PlatformError } from './error-utils.js';
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const DIAGNOSTIC_SEVERITIES = Object.freeze({
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFO: 'info'
+});
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const ANALYZER_STATUSES = Object.freeze({
+    OK: 'ok',
+    FAILED: 'failed',
+    TIMEOUT: 'timeout',
+    UNAVAILABLE: 'unavailable'
+});
+
+const DEFAULT_TIMEOUT_MS = 120000;
+const MAX_FILES_PER_COMMAND = 200;
+const DEFAULT_MAX_DIAGNOSTICS = 20;
+
+/**
+ * @typedef {object} Diagnostic
+ * @property {string} tool - Analyzer name.
+ * @property {string | null} file - Relative to the project.
+ * @property {number | null} line
+ * @property {number | null} column
+ * @property {string | null} rule
+ * @property {string} severity - One of DIAGNOSTIC_SEVERITIES.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} AnalysisReport
+ * @property {Diagnostic[]} diagnostics - Sorted by file, line and column.
+ * @property {{ errors: number, warnings: number, info: number }} summary
+ * @property {Array<{ tool: string, status: string, diagnostics: number, durationMs: number, error: string | null }>} tools
+ */
+
+export class StaticAnalysisError extends PlatformError {
+    constructor(message, code = 'STATIC_ANALYSIS_ERROR', context = {}, originalError = null, severity = 'CRITICAL') {
+        super(message, code, context, originalError, severity);
+    }
+}
+
+function relativeFile(file, projectPath) {
+    if (!file) return null;
+    const normalized = file.split(path.sep).join('/').replace(/^\.\//, '');
+    return normalized.startsWith(`${projectPath}/`) ? normalized.slice(projectPath.length + 1) : normalized;
+}
+
+function hasExtension(files, extensions) {
+    return files.some(file => extensions.includes(path.posix.extname(file)) && !file.split('/').includes('node_modules'));
+}
+
+/**
+ * Base class for analyzers. Subclasses set `name` and `languages`, and implement appliesTo(),
+ * command() and parse().
+ */
+export class StaticAnalyzer {
+    /**
+     * @param {string} name - Registry key and the `tool` of its diagnostics.
+     * @param {object} [options]
+     * @param {string[]} [options.languages]
+     * @param {number} [options.timeoutMs]
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.languages = options.languages || [];
+        this.timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    }
+
+    /**
+     * @param {string[]} files - Repository files relative to the project.
+     * @returns {boolean}
+     */
+    appliesTo(_files) {
+        return false;
+    }
+
+    /**
+     * @param {{ files: string[], projectPath: string }} context
+     * @returns {string[]}
+     */
+    command(_context) {
+        throw new StaticAnalysisError(`${this.constructor.name} does not implement command().`, 'NOT_IMPLEMENTED', { analyzer: this.name });
+    }
+
+    /**
+     * @param {{ output: string, errorOutput: string, exitCode: number }} result
+     * @param {{ files: string[], projectPath: string }} context
+     * @returns {Array<Omit<Diagnostic, 'tool'>>}
+     */
+    parse(_result, _context) {
+        throw new StaticAnalysisError(`${this.constructor.name} does not implement parse().`, 'NOT_IMPLEMENTED', { analyzer: this.name });
+    }
+
+    /**
+     * Runs the tool in the sandbox. Never throws for tool problems: a missing tool, a timeout
+     * or unparseable output is reported in `status` so the other analyzers still count.
+     * @param {object} sandboxManager - runLinter.
+     * @param {string} containerId
+     * @param {string} projectPath - Container path of the project.
+     * @param {string[]} files
+     * @param {object} [options]
+     * @param {number} [options.timeoutMs]
+     * @returns {Promise<{ tool: string, status: string, diagnostics: Diagnostic[], durationMs: number, error: string | null }>}
+     */
+    async run(sandboxManager, containerId, projectPath, files, options = {}) {
+        const context = { files, projectPath };
+        const startedAt = Date.now();
+        const outcome = (status, diagnostics = [], error = null) => ({ tool: this.name, status, diagnostics, durationMs: Date.now() - startedAt, error });
+        let result;
+        try {
+            result = await sandboxManager.runLinter(containerId, projectPath, this.command(context), { timeoutMs: options.timeoutMs ?? this.timeoutMs });
+        } catch (error) {
+            if (error.code === 'COMMAND_TIMEOUT_ERROR') return outcome(ANALYZER_STATUSES.TIMEOUT, [], error.message);
+            return outcome(ANALYZER_STATUSES.FAILED, [], error.message);
+        }
+        // 127: command not found in the image; npx reports a missing local package differently
+        if (result.exitCode === 127 || /command not found|could not determine executable/i.test(result.errorOutput || '')) {
+            return outcome(ANALYZER_STATUSES.UNAVAILABLE, [], (result.errorOutput || '').trim() || null);
+        }
+        try {
+            const diagnostics = this.parse(result, context).map(diagnostic => ({ tool: this.name, ...diagnostic }));
+            return outcome(ANALYZER_STATUSES.OK, diagnostics);
+        } catch (error) {
+            const detail = (result.errorOutput || result.output || '').trim().split('\n').slice(0, 5).join('\n');
+            return outcome(ANALYZER_STATUSES.FAILED, [], `Could not parse ${this.name} output: ${error.message}${detail ? `\n${detail}` : ''}`);
+        }
+    }
+}
+
+const ESLINT_CONFIGS = /^(eslint\.config\.(js|mjs|cjs|ts)|\.eslintrc(\.(js|cjs|json|ya?ml))?)$/;
+
+export class EslintAnalyzer extends StaticAnalyzer {
+    constructor(options = {}) {
+        super('eslint', { languages: ['javascript', 'typescript'], ...options });
+    }
+
+    appliesTo(files) {
+        return files.some(file => ESLINT_CONFIGS.test(file)) && hasExtension(files, ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx']);
+    }
+
+    command() {
+        return ['npx', '--no-install', 'eslint', '--format', 'json', '.'];
+    }
+
+    parse(result, { projectPath }) {
+        return JSON.parse(result.output).flatMap(file => file.messages.map(message => ({
+            file: relativeFile(file.filePath, projectPath),
+            line: message.line ?? null,
+            column: message.column ?? null,
+            rule: message.ruleId ?? (message.fatal ? 'parse-error' : null),
+            severity: message.severity === 2 || message.fatal ? DIAGNOSTIC_SEVERITIES.ERROR : DIAGNOSTIC_SEVERITIES.WARNING,
+            message: message.message
+        })));
+    }
+}
+
+export class TypeScriptAnalyzer extends StaticAnalyzer {
+    constructor(options = {}) {
+        super('tsc', { languages: ['typescript'], ...options });
+    }
+
+    appliesTo(files) {
+        return files.includes('tsconfig.json');
+    }
+
+    command() {
+        return ['npx', '--no-install', 'tsc', '--noEmit', '--pretty', 'false'];
+    }
+
+    // tsc has no JSON output: "src/app.ts(3,7): error TS2322: Type ..." plus indented continuation lines
+    parse(result, { projectPath }) {
+        const diagnostics = [];
+        for (const line of `${result.output}\n${result.errorOutput}`.split('\n')) {
+            const match = line.match(/^(.+?)\((\d+),(\d+)\): (error|warning|message) (TS\d+): (.*)$/);
+            if (match) {
+                diagnostics.push({
+                    file: relativeFile(match[1], projectPath),
+                    line: Number(match[2]),
+                    column: Number(match[3]),
+                    rule: match[5],
+                    severity: match[4] === 'error' ? DIAGNOSTIC_SEVERITIES.ERROR : match[4] === 'warning' ? DIAGNOSTIC_SEVERITIES.WARNING : DIAGNOSTIC_SEVERITIES.INFO,
+                    message: match[6]
+                });
+            } else if (/^\s+\S/.test(line) && diagnostics.length > 0) {
+                diagnostics.at(-1).message += `\n${line.trim()}`;
+            } else if (/^error TS\d+:/.test(line)) {
+                // Project-level errors, e.g. an invalid tsconfig.json
+                const [, rule, message] = line.match(/^error (TS\d+): (.*)$/);
+                diagnostics.push({ file: 'tsconfig.json', line: null, column: null, rule, severity: DIAGNOSTIC_SEVERITIES.ERROR, message });
+            }
+        }
+        if (result.exitCode !== 0 && diagnostics.length === 0) {
+            throw new Error(`tsc exited with ${result.exitCode} without diagnostics`);
+        }
+        return diagnostics;
+    }
+}
+
+// Python projects get one of ruff and pylint: pylint when the project configures it, ruff otherwise
+export class RuffAnalyzer extends StaticAnalyzer {
+    constructor(options = {}) {
+        super('ruff', { languages: ['python'], ...options });
+    }
+
+    appliesTo(files) {
+        return hasExtension(files, ['.py']) && !files.some(file => /^\.?pylintrc$/.test(file));
+    }
+
+    command() {
+        return ['ruff', 'check', '--output-format', 'json', '--exit-zero', '.'];
+    }
+
+    parse(result, { projectPath }) {
+        return JSON.parse(result.output).map(item => ({
+            file: relativeFile(item.filename, projectPath),
+            line: item.location?.row ?? null,
+            column: item.location?.column ?? null,
+            rule: item.code ?? 'syntax-error',
+            // Pyflakes (F) and E9 syntax/IO findings break the code; style rules do not
+            severity: !item.code || /^(F|E9)/.test(item.code) ? DIAGNOSTIC_SEVERITIES.ERROR : DIAGNOSTIC_SEVERITIES.WARNING,
+            message: item.message
+        }));
+    }
+}
+
+export class PylintAnalyzer extends StaticAnalyzer {
+    constructor(options = {}) {
+        super('pylint', { languages: ['python'], ...options });
+    }
+
+    appliesTo(files) {
+        return hasExtension(files, ['.py']) && files.some(file => /^\.?pylintrc$/.test(file));
+    }
+
+    command({ files }) {
+        const modules = files.filter(file => file.endsWith('.py')).slice(0, MAX_FILES_PER_COMMAND);
+        return ['pylint', '--output-format=json', '--exit-zero', ...modules];
+    }
+
+    parse(result, { projectPath }) {
+        const severities = { fatal: DIAGNOSTIC_SEVERITIES.ERROR, error: DIAGNOSTIC_SEVERITIES.ERROR, warning: DIAGNOSTIC_SEVERITIES.WARNING };
+        return JSON.parse(result.output || '[]').map(item => ({
+            file: relativeFile(item.path, projectPath),
+            line: item.line ?? null,
+            column: item.column != null ? item.column + 1 : null, // pylint columns are zero-based
+            rule: item.symbol || item['message-id'] || null,
+            severity: severities[item.type] || DIAGNOSTIC_SEVERITIES.INFO,
+            message: item.message
+        }));
+    }
+}
+
+export class ShellcheckAnalyzer extends StaticAnalyzer {
+    constructor(options = {}) {
+        super('shellcheck', { languages: ['shell'], ...options });
+    }
+
+    appliesTo(files) {
+        return hasExtension(files, ['.sh', '.bash']);
+    }
+
+    command({ files }) {
+        const scripts = files.filter(file => /\.(sh|bash)$/.test(file) && !file.split('/').includes('node_modules')).slice(0, MAX_FILES_PER_COMMAND);
+        return ['shellcheck', '--format', 'json', ...scripts];
+    }
+
+    parse(result, { projectPath }) {
+        const severities = { error: DIAGNOSTIC_SEVERITIES.ERROR, warning: DIAGNOSTIC_SEVERITIES.WARNING };
+        return JSON.parse(result.output || '[]').map(item => ({
+            file: relativeFile(item.file, projectPath),
+            line: item.line ?? null,
+            column: item.column ?? null,
+            rule: `SC${item.code}`,
+            severity: severities[item.level] || DIAGNOSTIC_SEVERITIES.INFO,
+            message: item.message
+        }));
+    }
+}
+
+const BUILT_IN_ANALYZERS = {
+    eslint: EslintAnalyzer,
+    tsc: TypeScriptAnalyzer,
+    ruff: RuffAnalyzer,
+    pylint: PylintAnalyzer,
+    shellcheck: ShellcheckAnalyzer
+};
+
+/**
+ * Aggregates analyzer runs into one report. Identical diagnostics reported twice by the same
+ * tool are kept once.
+ * @param {Array<{ tool: string, status: string, diagnostics: Diagnostic[], durationMs: number, error: string | null }>} runs
+ * @returns {AnalysisReport}
+ */
+export function aggregateDiagnostics(runs) {
+    const seen = new Set();
+    const diagnostics = [];
+    for (const run of runs) {
+        for (const diagnostic of run.diagnostics) {
+            const key = JSON.stringify([diagnostic.tool, diagnostic.file, diagnostic.line, diagnostic.column, diagnostic.rule, diagnostic.message]);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            diagnostics.push(diagnostic);
+        }
+    }
+    diagnostics.sort((a, b) => (a.file || '').localeCompare(b.file || '') || (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0));
+    const count = severity => diagnostics.filter(diagnostic => diagnostic.severity === severity).length;
+    return {
+        diagnostics,
+        summary: { errors: count(DIAGNOSTIC_SEVERITIES.ERROR), warnings: count(DIAGNOSTIC_SEVERITIES.WARNING), info: count(DIAGNOSTIC_SEVERITIES.INFO) },
+        tools: runs.map(({ tool, status, diagnostics: found, durationMs, error }) => ({ tool, status, diagnostics: found.length, durationMs, error }))
+    };
+}
+
+/**
+ * Diagnostics in `current` that `baseline` does not have. Matching ignores line and column, so
+ * edits that only move existing findings do not count as new; repeated findings are compared
+ * by count.
+ * @param {AnalysisReport | null} baseline
+ * @param {AnalysisReport} current
+ * @param {string} [severity] - Only compare diagnostics of this severity.
+ * @returns {Diagnostic[]}
+ */
+export function newDiagnostics(baseline, current, severity = null) {
+    const key = diagnostic => JSON.stringify([diagnostic.tool, diagnostic.file, diagnostic.rule, diagnostic.message]);
+    const remaining = new Map();
+    for (const diagnostic of baseline?.diagnostics || []) {
+        if (severity && diagnostic.severity !== severity) continue;
+        remaining.set(key(diagnostic), (remaining.get(key(diagnostic)) || 0) + 1);
+    }
+    return current.diagnostics.filter((diagnostic) => {
+        if (severity && diagnostic.severity !== severity) return false;
+        const count = remaining.get(key(diagnostic)) || 0;
+        if (count === 0) return true;
+        remaining.set(key(diagnostic), count - 1);
+        return false;
+    });
+}
+
+// Tools that ran in the baseline but not in the current run contribute no diagnostics there,
+// which would otherwise read as "nothing new"
+function toolsLostSince(baseline, report) {
+    const okIn = analysis => new Set((analysis?.tools || []).filter(tool => tool.status === ANALYZER_STATUSES.OK).map(tool => tool.tool));
+    const current = okIn(report);
+    return [...okIn(baseline)].filter(tool => !current.has(tool));
+}
+
+/**
+ * Evaluates a static-analysis success criterion: `no_new_errors`, `no_new_warnings`
+ * (both against `baseline`; without one every finding is new), `no_lint_errors` and
+ * `max_lint_warnings_<n>`. Fails when an analyzer that ran in the baseline did not finish in
+ * `report`, e.g. a crashed config or a timeout.
+ * @param {string} criterion
+ * @param {AnalysisReport | null} report
+ * @param {AnalysisReport | null} [baseline] - Analysis of the repository before the subtask's changes.
+ * @returns {boolean | null} Null when the criterion is not analysis-based; false when it is but there is no report.
+ */
+export function evaluateAnalysisCriterion(criterion, report, baseline = null) {
+    const maxWarnings = criterion.match(/^max_lint_warnings_(\d+)$/);
+    if (!['no_new_errors', 'no_new_warnings', 'no_lint_errors'].includes(criterion) && !maxWarnings) return null;
+    if (!report) return false;
+    const lostTools = toolsLostSince(baseline, report);
+    if (lostTools.length > 0) {
+        console.log(`[StaticAnalysis] ${criterion} fails: ${lostTools.join(', ')} ran in the baseline but not after the changes.`);
+        return false;
+    }
+    if (criterion === 'no_new_errors') return newDiagnostics(baseline, report, DIAGNOSTIC_SEVERITIES.ERROR).length === 0;
+    if (criterion === 'no_new_warnings') return newDiagnostics(baseline, report, DIAGNOSTIC_SEVERITIES.WARNING).length === 0;
+    if (criterion === 'no_lint_errors') return report.summary.errors === 0;
+    return report.summary.warnings <= Number(maxWarnings[1]);
+}
+
+/**
+ * Diagnostics as text for prompts, e.g. the new errors a debugging attempt has to fix.
+ * @param {Diagnostic[]} diagnostics
+ * @param {object} [options]
+ * @param {number} [options.maxDiagnostics]
+ * @returns {string}
+ */
+export function formatDiagnostics(diagnostics, options = {}) {
+    const maxDiagnostics = options.maxDiagnostics ?? DEFAULT_MAX_DIAGNOSTICS;
+    const lines = diagnostics.slice(0, maxDiagnostics).map((diagnostic) => {
+        const location = [diagnostic.file || '<project>', diagnostic.line, diagnostic.column].filter(part => part != null).join(':');
+        return `${location} ${diagnostic.severity} ${diagnostic.message}${diagnostic.rule ? ` (${diagnostic.tool}/${diagnostic.rule})` : ` (${diagnostic.tool})`}`;
+    });
+    if (diagnostics.length > maxDiagnostics) lines.push(`... and ${diagnostics.length - maxDiagnostics} more.`);
+    return lines.join('\n');
+}
+
+export class StaticAnalysisRegistry {
+    /**
+     * @param {object} [config] - `sandbox.staticAnalysis`.
+     * @param {string[]} [config.analyzers] - Built-in analyzers to register; defaults to all.
+     * @param {number} [config.timeoutMs] - Per-analyzer timeout.
+     */
+    constructor(config = {}) {
+        this.timeoutMs = config.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+        /** @type {Map<string, StaticAnalyzer>} */
+        this.analyzers = new Map();
+        for (const name of config.analyzers || Object.keys(BUILT_IN_ANALYZERS)) {
+            const Analyzer = BUILT_IN_ANALYZERS[name];
+            if (!Analyzer) {
+                throw new StaticAnalysisError(`Unknown analyzer "${name}". Built-in: ${Object.keys(BUILT_IN_ANALYZERS).join(', ')}.`,
+                    'CONFIG_ERROR', { analyzer: name });
+            }
+            this.register(new Analyzer({ timeoutMs: this.timeoutMs }));
+        }
+    }
+
+    /**
+     * @param {StaticAnalyzer} analyzer
+     */
+    register(analyzer) {
+        if (!(analyzer instanceof StaticAnalyzer)) {
+            throw new StaticAnalysisError('Analyzers must extend StaticAnalyzer.', 'INVALID_ANALYZER', { analyzer: analyzer?.name ?? null });
+        }
+        if (this.analyzers.has(analyzer.name)) {
+            throw new StaticAnalysisError(`Analyzer "${analyzer.name}" is already registered.`, 'DUPLICATE_ANALYZER', { analyzer: analyzer.name });
+        }
+        this.analyzers.set(analyzer.name, analyzer);
+    }
+
+    unregister(name) {
+        return this.analyzers.delete(name);
+    }
+
+    list() {
+        return [...this.analyzers.keys()];
+    }
+
+    /**
+     * Runs every registered analyzer that applies to the project (or the named ones) and
+     * aggregates their diagnostics. Analyzers run one at a time to keep sandbox load bounded.
+     * @param {object} sandboxManager - listRepositoryFiles and runLinter.
+     * @param {string} containerId
+     * @param {string} projectPath - Container path of the project.
+     * @param {object} [options]
+     * @param {string[]} [options.analyzers] - Names to run; each must be registered.
+     * @param {number} [options.timeoutMs]
+     * @returns {Promise<AnalysisReport>}
+     */
+    async analyze(sandboxManager, containerId, projectPath, options = {}) {
+        const files = await sandboxManager.listRepositoryFiles(containerId, projectPath);
+        let selected;
+        if (options.analyzers) {
+            selected = options.analyzers.map((name) => {
+                const analyzer = this.analyzers.get(name);
+                if (!analyzer) throw new StaticAnalysisError(`Analyzer "${name}" is not registered.`, 'UNKNOWN_ANALYZER', { analyzer: name });
+                return analyzer;
+            });
+        } else {
+            selected = [...this.analyzers.values()].filter(analyzer => analyzer.appliesTo(files));
+        }
+
+        const runs = [];
+        for (const analyzer of selected) {
+            const run = await analyzer.run(sandboxManager, containerId, projectPath, files, { timeoutMs: options.timeoutMs });
+            if (run.status !== ANALYZER_STATUSES.OK) {
+                console.warn(`[StaticAnalysis] ${analyzer.name} ${run.status}${run.error ? `: ${run.error.split('\n')[0]}` : ''}`);
+            }
+            runs.push(run);
+        }
+        const report = aggregateDiagnostics(runs);
+        console.log(`[StaticAnalysis] ${projectPath}: ${report.summary.errors} error(s), ${report.summary.warnings} warning(s) from ${selected.map(a => a.name).join(', ') || 'no analyzers'}.`);
+        return report;
+    }
+}
+
+export default StaticAnalysisRegistry;
@@ -0,0 +1,216 @@
+// src/core/subtask-scheduler.js
+// Runs a project's remaining subtasks in dependency order, executing independent subtasks
+// concurrently up to a configurable limit. Used by SystemManager._processProjectSubtasks in
+// place of walking `subtasksRemainingIds` one at a time.
+
+import { PlanningError } from './error-utils.js';
+
+export const MAX_CONCURRENT_CONFIG_KEY = 'features.aiSystem.agents.maxConcurrent';
+const DEFAULT_MAX_CONCURRENT = 4;
+
+/**
+ * @param {object} subtask
+ * @returns {string}
+ */
+export function getSubtaskId(subtask) {
+    return subtask.id ?? subtask.subtask_id;
+}
+
+/**
+ * @param {object} subtask
+ * @returns {string[]}
+ */
+export function getDependencyIds(subtask) {
+    const deps = subtask.dependencies ?? subtask.depends_on ?? [];
+    return (Array.isArray(deps) ? deps : [deps]).filter(Boolean).map(String);
+}
+
+// Checkpoints are persisted as JSON, so snapshot the same way: functions and undefined values are
+// dropped and class instances become plain objects instead of failing structuredClone()
+function jsonSnapshot(projectState) {
+    return JSON.parse(JSON.stringify(projectState));
+}
+
+/**
+ * Builds the dependency graph for the subtasks still to run. Dependencies on subtasks that are
+ * not remaining are treated as satisfied; dependencies on IDs absent from the plan and cycles are
+ * rejected with a PlanningError so the plan goes back to re-planning instead of dead-locking.
+ * @param {object[]} subtasksFull - Every subtask in the plan.
+ * @param {string[]} [remainingIds] - Subtasks still to run; defaults to all of them.
+ * @returns {{ nodes: Map<string, object>, dependencies: Map<string, Set<string>>, dependents: Map<string, string[]>, order: string[] }}
+ */
+export function buildSubtaskGraph(subtasksFull, remainingIds) {
+    const allIds = new Set(subtasksFull.map(getSubtaskId));
+    const remaining = new Set(remainingIds ?? allIds);
+    const nodes = new Map();
+    const dependencies = new Map();
+    const dependents = new Map();
+
+    for (const subtask of subtasksFull) {
+        const id = getSubtaskId(subtask);
+        if (!remaining.has(id)) continue;
+        const unknown = getDependencyIds(subtask).filter(dep => !allIds.has(dep));
+        if (unknown.length > 0) {
+            throw new PlanningError(`Subtask ${id} depends on unknown subtask(s): ${unknown.join(', ')}.`,
+                { subtaskId: id, unknownDependencies: unknown }, null, 'RECOVERABLE_WITH_REPLAN');
+        }
+        nodes.set(id, subtask);
+        dependencies.set(id, new Set(getDependencyIds(subtask).filter(dep => remaining.has(dep))));
+        dependents.set(id, []);
+    }
+    for (const id of remaining) {
+        if (!nodes.has(id)) {
+            throw new PlanningError(`Remaining subtask ${id} is missing from the plan.`, { subtaskId: id }, null, 'RECOVERABLE_WITH_REPLAN');
+        }
+    }
+    for (const [id, deps] of dependencies) {
+        for (const dep of deps) dependents.get(dep).push(id);
+    }
+
+    // Kahn's algorithm; anything left over sits on a cycle
+    const inDegree = new Map([...dependencies].map(([id, deps]) => [id, deps.size]));
+    const queue = [...nodes.keys()].filter(id => inDegree.get(id) === 0);
+    const order = [];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        order.push(id);
+        for (const next of dependents.get(id)) {
+            inDegree.set(next, inDegree.get(next) - 1);
+            if (inDegree.get(next) === 0) queue.push(next);
+        }
+    }
+    if (order.length < nodes.size) {
+        const cycle = findCycle(dependencies, [...nodes.keys()].filter(id => !order.includes(id)));
+        throw new PlanningError(`Subtask dependencies contain a cycle: ${cycle.join(' -> ')}.`,
+            { cycle }, null, 'RECOVERABLE_WITH_REPLAN');
+    }
+    return { nodes, dependencies, dependents, order };
+}
+
+function findCycle(dependencies, candidates) {
+    const visiting = [];
+    const visited = new Set();
+    const visit = (id) => {
+        const index = visiting.indexOf(id);
+        if (index !== -1) return [...visiting.slice(index), id];
+        if (visited.has(id)) return null;
+        visited.add(id);
+        visiting.push(id);
+        for (const dep of dependencies.get(id)) {
+            const cycle = visit(dep);
+            if (cycle) return cycle;
+        }
+        visiting.pop();
+        return null;
+    };
+    for (const id of candidates) {
+        const cycle = visit(id);
+        if (cycle) return cycle;
+    }
+    return candidates;
+}
+
+export class SubtaskScheduler {
+    /**
+     * @param {object} [configManager] - Reads MAX_CONCURRENT_CONFIG_KEY.
+     * @param {object} [options]
+     * @param {number} [options.maxConcurrent] - Overrides the configured limit.
+     */
+    constructor(configManager, options = {}) {
+        const configured = options.maxConcurrent ?? configManager?.get(MAX_CONCURRENT_CONFIG_KEY, DEFAULT_MAX_CONCURRENT);
+        this.maxConcurrent = Math.max(1, Number.parseInt(configured, 10) || DEFAULT_MAX_CONCURRENT);
+    }
+
+    /**
+     * Executes the project's remaining subtasks. Each launch increments
+     * `execution.subtaskAttempts[id]`; each success removes the ID from `subtasksRemainingIds`.
+     * After the first failure no new subtasks are started, in-flight ones are awaited and the
+     * caller applies its recovery strategy to the failed ones.
+     *
+     * Checkpoints are written one at a time, in completion order, each from a snapshot taken the
+     * moment its subtask settled, so a checkpoint never contains half-finished sibling state.
+     * A state that cannot be serialised skips that checkpoint. An error thrown by `onSettled` also
+     * stops new launches; run() rethrows it once the in-flight subtasks have settled.
+     *
+     * @param {string} projectName
+     * @param {object} projectState - `execution` is mutated in place.
+     * @param {(subtask: object) => Promise<{ success: boolean, error?: any }>} executeSubtask
+     * @param {object} [hooks]
+     * @param {(projectName: string, snapshot: object, info: { subtaskId: string, success: boolean }) => Promise<any>} [hooks.checkpoint]
+     * @param {(subtask: object, result: object) => void} [hooks.onSettled]
+     * @returns {Promise<{ completed: string[], failed: Array<{ id: string, error: any }>, notStarted: string[] }>}
+     */
+    async run(projectName, projectState, executeSubtask, hooks = {}) {
+        const execution = projectState.execution;
+        execution.subtaskAttempts = execution.subtaskAttempts || {};
+        const { nodes, dependencies, dependents } = buildSubtaskGraph(execution.subtasksFull || [], execution.subtasksRemainingIds || []);
+
+        const pendingDeps = new Map([...dependencies].map(([id, deps]) => [id, new Set(deps)]));
+        const ready = [...nodes.keys()].filter(id => pendingDeps.get(id).size === 0);
+        const running = new Map();
+        const completed = [];
+        const failed = [];
+        let checkpointChain = Promise.resolve();
+        let hookError = null;
+
+        const settle = (id, result) => {
+            running.delete(id);
+            execution.runningSubtaskIds = [...running.keys()];
+            if (result.success) {
+                completed.push(id);
+                execution.subtasksRemainingIds = execution.subtasksRemainingIds.filter(remainingId => remainingId !== id);
+                for (const next of dependents.get(id)) {
+                    pendingDeps.get(next).delete(id);
+                    if (pendingDeps.get(next).size === 0) ready.push(next);
+                }
+            } else {
+                failed.push({ id, error: result.error });
+            }
+            try {
+                hooks.onSettled?.(nodes.get(id), result);
+            } catch (error) {
+                hookError ??= error;
+            }
+            if (hooks.checkpoint) {
+                let snapshot;
+                try {
+                    snapshot = jsonSnapshot(projectState);
+                } catch (error) {
+                    console.error(`[SubtaskScheduler] Skipping checkpoint after subtask ${id} of ${projectName}: state is not serialisable (${error.message}).`);
+                    return;
+                }
+                checkpointChain = checkpointChain
+                    .then(() => hooks.checkpoint(projectName, snapshot, { subtaskId: id, success: result.success }))
+                    .catch(error => console.error(`[SubtaskScheduler] Checkpoint after subtask ${id} of ${projectName} failed: ${error.message}`));
+            }
+        };
+
+        const launch = (id) => {
+            execution.subtaskAttempts[id] = (execution.subtaskAttempts[id] || 0) + 1;
+            const promise = Promise.resolve()
+                .then(() => executeSubtask(nodes.get(id)))
+                .then(result => result || { success: false, error: new Error('Subtask returned no result.') },
+                    error => ({ success: false, error }))
+                .then(result => settle(id, result));
+            running.set(id, promise);
+            execution.runningSubtaskIds = [...running.keys()];
+        };
+
+        console.log(`[SubtaskScheduler] Running ${nodes.size} subtask(s) for ${projectName} with up to ${this.maxConcurrent} in parallel.`);
+        while (ready.length > 0 || running.size > 0) {
+            while (failed.length === 0 && !hookError && ready.length > 0 && running.size < this.maxConcurrent) {
+                launch(ready.shift());
+            }
+            if (running.size === 0) break;
+            await Promise.race(running.values());
+        }
+        await checkpointChain;
+        delete execution.runningSubtaskIds;
+        if (hookError) throw hookError;
+
+        const done = new Set([...completed, ...failed.map(f => f.id)]);
+        return { completed, failed, notStarted: [...nodes.keys()].filter(id => !done.has(id)) };
+    }
+}
+
+export default SubtaskScheduler;
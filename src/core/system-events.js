@@ -0,0 +1,124 @@
+// src/core/system-events.js
+// Typed event bus used by SystemManager (and the components it drives) to publish
+// live progress: project status changes, subtask lifecycle, debug attempts and
+// sandbox output. Consumers such as the WebSocket layer subscribe to it.
+
+import { EventEmitter } from 'events';
+import { PlatformError } from './error-utils.js';
+
+/**
+ * Event types, named after the message types in design-docs/ui-integration-checklist.md (section 2.2).
+ * @readonly
+ * @enum {string}
+ */
+export const SYSTEM_EVENT_TYPES = Object.freeze({
+    PROJECT_STATUS_UPDATE: 'project_status_update',
+    TASK_UPDATE: 'task_update',
+    DEBUG_ATTEMPT: 'debug_attempt',
+    SANDBOX_OUTPUT: 'sandbox_output',
+    SYSTEM_NOTIFICATION: 'system_notification'
+});
+
+const KNOWN_EVENT_TYPES = new Set(Object.values(SYSTEM_EVENT_TYPES));
+
+/**
+ * @typedef {object} SystemEvent
+ * @property {string} type - One of SYSTEM_EVENT_TYPES.
+ * @property {object} payload - Event data; always carries `timestamp`, and `projectName` for project-scoped events.
+ */
+
+export class SystemEventError extends PlatformError {
+    constructor(message, context = {}) {
+        super(message, 'SYSTEM_EVENT_ERROR', context, null, 'WARNING');
+    }
+}
+
+export class SystemEventBus extends EventEmitter {
+    constructor() {
+        super();
+        // Every WebSocket client adds a listener; the default limit of 10 is too low.
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * Publishes an event to 'event' listeners and to listeners of the specific type.
+     * Listener failures are logged and never propagate into the publishing component.
+     * @param {string} type - One of SYSTEM_EVENT_TYPES.
+     * @param {object} payload
+     * @returns {SystemEvent}
+     */
+    publish(type, payload = {}) {
+        if (!KNOWN_EVENT_TYPES.has(type)) {
+            throw new SystemEventError(`Unknown system event type: ${type}`, { type });
+        }
+        const event = { type, payload: { ...payload, timestamp: payload.timestamp || new Date().toISOString() } };
+        for (const channel of ['event', type]) {
+            for (const listener of this.listeners(channel)) {
+                try {
+                    listener(event);
+                } catch (err) {
+                    console.error(`[SystemEventBus] Listener for '${channel}' failed: ${err.message}`);
+                }
+            }
+        }
+        return event;
+    }
+
+    projectStatusChanged(projectName, status, details = {}) {
+        return this.publish(SYSTEM_EVENT_TYPES.PROJECT_STATUS_UPDATE, { projectName, status, ...details });
+    }
+
+    subtaskStarted(projectName, subtask, details = {}) {
+        return this.publish(SYSTEM_EVENT_TYPES.TASK_UPDATE, {
+            projectName,
+            taskId: subtask.id,
+            status: 'started',
+            details: { title: subtask.title, type: subtask.type, ...details }
+        });
+    }
+
+    /**
+     * @param {string} projectName
+     * @param {object} subtask
+     * @param {object} result
+     * @param {boolean} result.success
+     * @param {Error} [result.error]
+     */
+    subtaskFinished(projectName, subtask, { success, error, ...details } = {}) {
+        return this.publish(SYSTEM_EVENT_TYPES.TASK_UPDATE, {
+            projectName,
+            taskId: subtask.id,
+            status: success ? 'completed' : 'failed',
+            details: { title: subtask.title, type: subtask.type, ...(error ? { error: error.message, code: error.code } : {}), ...details }
+        });
+    }
+
+    debugAttempt(projectName, taskId, attemptNumber, details = {}) {
+        return this.publish(SYSTEM_EVENT_TYPES.DEBUG_ATTEMPT, { projectName, taskId, attemptNumber, ...details });
+    }
+
+    sandboxOutput(projectName, taskId, stream, content) {
+        return this.publish(SYSTEM_EVENT_TYPES.SANDBOX_OUTPUT, { projectName, taskId, stream, content });
+    }
+
+    notify(level, message, details) {
+        return this.publish(SYSTEM_EVENT_TYPES.SYSTEM_NOTIFICATION, { level, message, ...(details ? { details } : {}) });
+    }
+}
+
+/**
+ * Builds the `onOutput` callback passed to `SandboxManager.executeCommand` options so that
+ * stdout/stderr chunks of a subtask's command are relayed as SANDBOX_OUTPUT events.
+ * @param {SystemEventBus} eventBus
+ * @param {string} projectName
+ * @param {string} taskId
+ * @returns {(stream: 'stdout' | 'stderr', chunk: Buffer | string) => void}
+ */
+export function createSandboxOutputHandler(eventBus, projectName, taskId) {
+    return (stream, chunk) => {
+        const content = Buffer.isBuffer(chunk) ? chunk.toString('utf8') : String(chunk);
+        if (content.length > 0) eventBus.sandboxOutput(projectName, taskId, stream, content);
+    };
+}
+
+export default SystemEventBus;
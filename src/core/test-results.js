@@ -0,0 +1,433 @@
+// src/core/test-results.js
+// Structured results for sandbox test runs. runStructuredTests() adds a machine-readable reporter
+// to Jest, Vitest, Mocha, pytest and `go test` commands, and parses the report into one format:
+// per-test name, status, duration, failure message and stack, and file/line. Debugging prompts
+// receive the failing tests from formatTestFailures() instead of the raw output, and
+// evaluateTestCriterion() lets subtask success criteria check individual tests.
+
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { PlatformError } from './error-utils.js';
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const TEST_FRAMEWORKS = Object.freeze({
+    JEST: 'jest',
+    VITEST: 'vitest',
+    MOCHA: 'mocha',
+    PYTEST: 'pytest',
+    GO: 'go'
+});
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+export const TEST_STATUSES = Object.freeze({
+    PASSED: 'passed',
+    FAILED: 'failed',
+    SKIPPED: 'skipped'
+});
+
+const PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm'];
+const REPORT_DIR = '/sandbox_project';
+const DEFAULT_MAX_FAILURES = 10;
+const DEFAULT_MAX_STACK_LINES = 8;
+
+/**
+ * @typedef {object} TestCaseResult
+ * @property {string} name - Full name, including describe blocks, class or parent test.
+ * @property {string} status - One of TEST_STATUSES.
+ * @property {number | null} durationMs
+ * @property {string | null} failureMessage
+ * @property {string | null} stack
+ * @property {string | null} file - Relative to the project when the report allows it.
+ * @property {number | null} line
+ */
+
+/**
+ * @typedef {object} TestRunResults
+ * @property {string} framework
+ * @property {{ total: number, passed: number, failed: number, skipped: number, durationMs: number | null }} summary
+ * @property {TestCaseResult[]} tests
+ */
+
+/**
+ * The framework a test command runs. For `npm test` and the like, pass package.json's
+ * `scripts.test` as `testScript`.
+ * @param {string | string[]} command
+ * @param {object} [options]
+ * @param {string} [options.testScript]
+ * @returns {string | null} One of TEST_FRAMEWORKS.
+ */
+export function detectTestFramework(command, options = {}) {
+    const args = Array.isArray(command) ? command : command.split(' ');
+    const text = PACKAGE_MANAGERS.includes(args[0]) && args.includes('test') ? `${options.testScript || ''} ${args.join(' ')}` : args.join(' ');
+    if (/\bvitest\b/.test(text)) return TEST_FRAMEWORKS.VITEST;
+    if (/\bjest\b/.test(text)) return TEST_FRAMEWORKS.JEST;
+    if (/\bmocha\b/.test(text)) return TEST_FRAMEWORKS.MOCHA;
+    if (/\bpytest\b/.test(text)) return TEST_FRAMEWORKS.PYTEST;
+    if (/(^|\s)go test\b/.test(text)) return TEST_FRAMEWORKS.GO;
+    return null;
+}
+
+/**
+ * Adds the framework's machine-readable reporter to a test command.
+ * @param {string} framework
+ * @param {string | string[]} command
+ * @param {string | null} reportPath - Container path of the report; unused for Go, which reports on stdout.
+ * @returns {string[]}
+ */
+export function withReporter(framework, command, reportPath) {
+    const args = Array.isArray(command) ? [...command] : command.split(' ');
+    if (framework === TEST_FRAMEWORKS.GO) {
+        const testIndex = args.indexOf('test');
+        return [...args.slice(0, testIndex + 1), '-json', ...args.slice(testIndex + 1)];
+    }
+    const flags = {
+        [TEST_FRAMEWORKS.JEST]: ['--json', `--outputFile=${reportPath}`],
+        [TEST_FRAMEWORKS.VITEST]: ['--reporter=json', `--outputFile=${reportPath}`],
+        [TEST_FRAMEWORKS.MOCHA]: ['--reporter', 'json', '--reporter-option', `output=${reportPath}`],
+        // xunit2, the default since pytest 6, drops the file and line attributes
+        [TEST_FRAMEWORKS.PYTEST]: [`--junitxml=${reportPath}`, '-o', 'junit_family=xunit1']
+    }[framework];
+    // npm only forwards arguments to the script after `--`
+    const separator = args[0] === 'npm' && !args.includes('--') ? ['--'] : [];
+    return [...args, ...separator, ...flags];
+}
+
+function emptyResults(framework) {
+    return { framework, summary: { total: 0, passed: 0, failed: 0, skipped: 0, durationMs: null }, tests: [] };
+}
+
+function summarize(results, durationMs = null) {
+    const count = status => results.tests.filter(test => test.status === status).length;
+    results.summary = {
+        total: results.tests.length,
+        passed: count(TEST_STATUSES.PASSED),
+        failed: count(TEST_STATUSES.FAILED),
+        skipped: count(TEST_STATUSES.SKIPPED),
+        durationMs
+    };
+    return results;
+}
+
+function relativeFile(file, rootDir) {
+    if (!file) return null;
+    const normalized = file.split(path.sep).join('/');
+    return rootDir && normalized.startsWith(`${rootDir}/`) ? normalized.slice(rootDir.length + 1) : normalized;
+}
+
+// Splits "Error: message\n    at frame..." into the message and the stack frames
+function splitStack(text) {
+    if (!text) return { failureMessage: null, stack: null };
+    const lines = String(text).split('\n');
+    const firstFrame = lines.findIndex(line => /^\s+at\s/.test(line));
+    if (firstFrame === -1) return { failureMessage: String(text).trim(), stack: null };
+    return { failureMessage: lines.slice(0, firstFrame).join('\n').trim(), stack: lines.slice(firstFrame).join('\n') };
+}
+
+// Line of the first stack frame in `file`
+function lineInStack(stack, file) {
+    if (!stack || !file) return null;
+    const base = path.posix.basename(file);
+    for (const match of stack.matchAll(/([^\s()]+):(\d+):\d+/g)) {
+        if (match[1].endsWith(base)) return Number(match[2]);
+    }
+    return null;
+}
+
+function jestStatus(status) {
+    if (status === 'passed') return TEST_STATUSES.PASSED;
+    if (status === 'failed') return TEST_STATUSES.FAILED;
+    return TEST_STATUSES.SKIPPED; // pending, todo, skipped, disabled
+}
+
+/**
+ * Parses Jest `--json` output; Vitest's JSON reporter uses the same format.
+ */
+function parseJestReport(report, framework, rootDir) {
+    const data = JSON.parse(report);
+    const results = emptyResults(framework);
+    for (const suite of data.testResults || []) {
+        const file = relativeFile(suite.name, rootDir);
+        const assertions = suite.assertionResults || [];
+        for (const assertion of assertions) {
+            const { failureMessage, stack } = splitStack((assertion.failureMessages || []).join('\n'));
+            results.tests.push({
+                name: assertion.fullName || [...(assertion.ancestorTitles || []), assertion.title].join(' › '),
+                status: jestStatus(assertion.status),
+                durationMs: assertion.duration ?? null,
+                failureMessage,
+                stack,
+                file,
+                line: assertion.location?.line ?? lineInStack(stack, file)
+            });
+        }
+        // A suite that fails to load (syntax error, missing module) has no assertions
+        if (assertions.length === 0 && suite.status === 'failed') {
+            const { failureMessage, stack } = splitStack(suite.message || suite.failureMessage);
+            results.tests.push({ name: file, status: TEST_STATUSES.FAILED, durationMs: null, failureMessage, stack, file, line: lineInStack(stack, file) });
+        }
+    }
+    const durationMs = data.startTime && data.testResults?.length
+        ? Math.max(...data.testResults.map(suite => suite.endTime || data.startTime)) - data.startTime
+        : null;
+    return summarize(results, durationMs);
+}
+
+function parseMochaReport(report, rootDir) {
+    const data = JSON.parse(report);
+    const results = emptyResults(TEST_FRAMEWORKS.MOCHA);
+    const pending = new Set((data.pending || []).map(test => test.fullTitle));
+    for (const test of data.tests || []) {
+        const failed = test.err && Object.keys(test.err).length > 0;
+        const { failureMessage, stack } = failed ? splitStack(test.err.stack || test.err.message) : { failureMessage: null, stack: null };
+        const file = relativeFile(test.file, rootDir);
+        results.tests.push({
+            name: test.fullTitle || test.title,
+            status: failed ? TEST_STATUSES.FAILED : pending.has(test.fullTitle) ? TEST_STATUSES.SKIPPED : TEST_STATUSES.PASSED,
+            durationMs: test.duration ?? null,
+            failureMessage: failed ? test.err.message || failureMessage : null,
+            stack,
+            file,
+            line: lineInStack(stack, file)
+        });
+    }
+    return summarize(results, data.stats?.duration ?? null);
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+function xmlAttributes(tag) {
+    const attributes = {};
+    for (const match of tag.matchAll(/([\w:-]+)="([^"]*)"/g)) {
+        attributes[match[1]] = decodeXml(match[2]);
+    }
+    return attributes;
+}
+
+/**
+ * Parses JUnit XML, as written by `pytest --junitxml` and most other runners.
+ * @param {string} report
+ * @param {string} [framework]
+ * @param {string} [rootDir]
+ * @returns {TestRunResults}
+ */
+export function parseJUnitXml(report, framework = TEST_FRAMEWORKS.PYTEST, rootDir = null) {
+    const results = emptyResults(framework);
+    let durationMs = null;
+    for (const suite of report.matchAll(/<testsuite\b([^>]*)>/g)) {
+        const time = Number(xmlAttributes(suite[1]).time);
+        if (!Number.isNaN(time)) durationMs = (durationMs || 0) + Math.round(time * 1000);
+    }
+    for (const match of report.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)) {
+        const attributes = xmlAttributes(match[1]);
+        const body = match[2] || '';
+        const problem = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+        const skipped = /<skipped\b/.test(body);
+        const file = relativeFile(attributes.file || null, rootDir);
+        const stack = problem?.[3] ? decodeXml(problem[3]).trim() : null;
+        results.tests.push({
+            name: attributes.classname ? `${attributes.classname}::${attributes.name}` : attributes.name,
+            status: problem ? TEST_STATUSES.FAILED : skipped ? TEST_STATUSES.SKIPPED : TEST_STATUSES.PASSED,
+            durationMs: attributes.time !== undefined ? Math.round(Number(attributes.time) * 1000) : null,
+            failureMessage: problem ? xmlAttributes(problem[2]).message || stack?.split('\n')[0] || problem[1] : null,
+            stack,
+            file,
+            // pytest's line attribute is zero-based
+            line: attributes.line !== undefined ? Number(attributes.line) + (framework === TEST_FRAMEWORKS.PYTEST ? 1 : 0) : null
+        });
+    }
+    return summarize(results, durationMs);
+}
+
+/**
+ * Parses `go test -json` event lines. Also returns the plain-text output the events carry.
+ * @param {string} report
+ * @returns {TestRunResults & { output: string }}
+ */
+export function parseGoTestJson(report) {
+    const results = emptyResults(TEST_FRAMEWORKS.GO);
+    const tests = new Map();
+    const outputLines = [];
+    let elapsedMs = 0;
+    for (const line of report.split('\n')) {
+        let event;
+        try {
+            event = JSON.parse(line);
+        } catch {
+            if (line.trim()) outputLines.push(line);
+            continue;
+        }
+        if (event.Action === 'output') outputLines.push(event.Output.replace(/\n$/, ''));
+        if (!event.Test) {
+            if (['pass', 'fail'].includes(event.Action) && event.Elapsed !== undefined) elapsedMs += Math.round(event.Elapsed * 1000);
+            // A package that fails without failing tests did not build
+            if (event.Action === 'fail' && ![...tests.values()].some(test => test.package === event.Package)) {
+                tests.set(event.Package, { package: event.Package, name: event.Package, output: [], action: 'fail', buildFailure: true });
+            }
+            continue;
+        }
+        const key = `${event.Package} ${event.Test}`;
+        if (!tests.has(key)) tests.set(key, { package: event.Package, name: event.Test, output: [] });
+        const test = tests.get(key);
+        if (event.Action === 'output') test.output.push(event.Output);
+        if (['pass', 'fail', 'skip'].includes(event.Action)) {
+            test.action = event.Action;
+            test.elapsed = event.Elapsed;
+        }
+    }
+    for (const test of tests.values()) {
+        const status = { pass: TEST_STATUSES.PASSED, fail: TEST_STATUSES.FAILED, skip: TEST_STATUSES.SKIPPED }[test.action];
+        if (!status) continue;
+        const detail = test.output.filter(line => !/^(=== (RUN|PAUSE|CONT)|--- (PASS|FAIL|SKIP))/.test(line.trim())).join('').trim();
+        const location = detail.match(/^\s*([\w./-]+_test\.go):(\d+):/m);
+        const failed = status === TEST_STATUSES.FAILED;
+        results.tests.push({
+            name: test.buildFailure ? test.package : `${test.package}/${test.name}`,
+            status,
+            durationMs: test.elapsed !== undefined ? Math.round(test.elapsed * 1000) : null,
+            failureMessage: failed ? (detail.replace(/^\s*[\w./-]+_test\.go:\d+:\s*/m, '') || 'Package failed to build') : null,
+            stack: failed && detail ? detail : null,
+            file: location?.[1] ?? null,
+            line: location ? Number(location[2]) : null
+        });
+    }
+    return { ...summarize(results, elapsedMs || null), output: outputLines.join('\n').trim() };
+}
+
+/**
+ * @param {string} framework - One of TEST_FRAMEWORKS.
+ * @param {string} report - Report file contents, or stdout for Go.
+ * @param {object} [options]
+ * @param {string} [options.rootDir] - Project path; report file paths are made relative to it.
+ * @returns {TestRunResults}
+ */
+export function parseTestReport(framework, report, options = {}) {
+    const rootDir = options.rootDir ? options.rootDir.replace(/\/$/, '') : null;
+    switch (framework) {
+        case TEST_FRAMEWORKS.JEST:
+        case TEST_FRAMEWORKS.VITEST:
+            return parseJestReport(report, framework, rootDir);
+        case TEST_FRAMEWORKS.MOCHA:
+            return parseMochaReport(report, rootDir);
+        case TEST_FRAMEWORKS.PYTEST:
+            return parseJUnitXml(report, framework, rootDir);
+        case TEST_FRAMEWORKS.GO: {
+            const { output: _output, ...results } = parseGoTestJson(report);
+            return results;
+        }
+        default:
+            throw new PlatformError(`No parser for test framework "${framework}".`, 'TEST_FRAMEWORK_UNSUPPORTED', { framework });
+    }
+}
+
+/**
+ * Runs a test command with a machine-readable reporter and parses the results. When the framework
+ * is unknown or the report cannot be read, `testResults` is null and the raw result is unchanged.
+ * @param {object} sandboxManager - runTests, readRepositoryFile and executeCommand.
+ * @param {string} containerId
+ * @param {string} projectPath - Container path of the project.
+ * @param {string | string[]} testCommand
+ * @param {object} [options] - runTests options, plus:
+ * @param {string} [options.framework] - Skips detection.
+ * @returns {Promise<{ output: string, errorOutput: string, exitCode: number, testResults: TestRunResults | null }>}
+ */
+export async function runStructuredTests(sandboxManager, containerId, projectPath, testCommand, options = {}) {
+    const { framework: requestedFramework, ...runOptions } = options;
+    const command = Array.isArray(testCommand) ? testCommand : testCommand.split(' ');
+    let testScript;
+    if (!requestedFramework && PACKAGE_MANAGERS.includes(command[0])) {
+        try {
+            testScript = JSON.parse(await sandboxManager.readRepositoryFile(containerId, path.posix.join(projectPath, 'package.json'))).scripts?.test;
+        } catch {
+            // No readable package.json; detection falls back to the command itself
+        }
+    }
+    const framework = requestedFramework || detectTestFramework(command, { testScript });
+    if (!framework) {
+        return { ...(await sandboxManager.runTests(containerId, projectPath, command, runOptions)), testResults: null };
+    }
+
+    const reportPath = framework === TEST_FRAMEWORKS.GO ? null
+        : path.posix.join(REPORT_DIR, `.test-report-${uuidv4()}.${framework === TEST_FRAMEWORKS.PYTEST ? 'xml' : 'json'}`);
+    const result = await sandboxManager.runTests(containerId, projectPath, withReporter(framework, command, reportPath), runOptions);
+    let testResults = null;
+    try {
+        if (framework === TEST_FRAMEWORKS.GO) {
+            const { output, ...parsed } = parseGoTestJson(result.output);
+            testResults = parsed;
+            result.output = output; // Keep stdout readable for output-based success criteria
+        } else {
+            testResults = parseTestReport(framework, await sandboxManager.readRepositoryFile(containerId, reportPath), { rootDir: projectPath });
+        }
+        const { total, passed, failed, skipped } = testResults.summary;
+        console.log(`[TestResults] ${framework}: ${passed}/${total} passed, ${failed} failed, ${skipped} skipped.`);
+    } catch (error) {
+        console.warn(`[TestResults] Could not read the ${framework} report; using raw output: ${error.message}`);
+    } finally {
+        if (reportPath) await sandboxManager.executeCommand(containerId, ['rm', '-f', reportPath]).catch(() => {});
+    }
+    return { ...result, testResults };
+}
+
+/**
+ * @param {TestRunResults | null} testResults
+ * @returns {TestCaseResult[]}
+ */
+export function failingTests(testResults) {
+    return (testResults?.tests || []).filter(test => test.status === TEST_STATUSES.FAILED);
+}
+
+/**
+ * The failing tests as text for generateCodeDebuggingPrompt's error message.
+ * @param {TestRunResults | null} testResults
+ * @param {object} [options]
+ * @param {number} [options.maxFailures]
+ * @param {number} [options.maxStackLines]
+ * @returns {string | null} Null when there are no structured failures.
+ */
+export function formatTestFailures(testResults, options = {}) {
+    const failures = failingTests(testResults);
+    if (failures.length === 0) return null;
+    const maxFailures = options.maxFailures ?? DEFAULT_MAX_FAILURES;
+    const maxStackLines = options.maxStackLines ?? DEFAULT_MAX_STACK_LINES;
+    const { total } = testResults.summary;
+    const sections = failures.slice(0, maxFailures).map((test, index) => {
+        const location = test.file ? ` [${test.file}${test.line ? `:${test.line}` : ''}]` : '';
+        const stack = test.stack ? test.stack.split('\n').slice(0, maxStackLines).map(line => `   ${line.trim()}`) : [];
+        return [`${index + 1}. ${test.name}${location}`, ...(test.failureMessage ? [`   ${test.failureMessage.split('\n').join('\n   ')}`] : []), ...stack].join('\n');
+    });
+    const omitted = failures.length > maxFailures ? [`... and ${failures.length - maxFailures} more failing test(s).`] : [];
+    return [`${failures.length} of ${total} tests failed (${testResults.framework}).`, '', sections.join('\n\n'), ...omitted].join('\n');
+}
+
+/**
+ * Evaluates a test-based success criterion:
+ * `all_tests_pass` (at least one test ran and none failed), `no_failing_tests`,
+ * `min_tests_passed_<n>` and `test_passes_<name substring>`.
+ * @param {string} criterion
+ * @param {TestRunResults | null} testResults
+ * @returns {boolean | null} Null when the criterion is not test-based; false when it is but there are no structured results.
+ */
+export function evaluateTestCriterion(criterion, testResults) {
+    const minimum = criterion.match(/^min_tests_passed_(\d+)$/);
+    const named = criterion.match(/^test_passes_(.+)$/);
+    if (!['all_tests_pass', 'no_failing_tests'].includes(criterion) && !minimum && !named) return null;
+    if (!testResults) return false;
+    const { total, passed, failed } = testResults.summary;
+    if (criterion === 'all_tests_pass') return total > 0 && failed === 0;
+    if (criterion === 'no_failing_tests') return failed === 0;
+    if (minimum) return passed >= Number(minimum[1]);
+    const matching = testResults.tests.filter(test => test.name.includes(named[1]));
+    return matching.length > 0 && matching.every(test => test.status === TEST_STATUSES.PASSED);
+}
@@ -0,0 +1,331 @@
+// src/core/token-budget.js
+// Per-project token and cost accounting. Every model call reports its token usage through the
+// `onUsage` option; the tracker attributes it to project, phase and subtask, persists the totals
+// in `execution.tokenUsage` and enforces the project's budget with a classified error that
+// determineRecoveryStrategy can act on (halt, or retry with a cheaper model).
+
+import { PlatformError } from './error-utils.js';
+
+/**
+ * Phases usage is attributed to.
+ * @readonly
+ * @enum {string}
+ */
+export const USAGE_PHASES = Object.freeze({
+    UNDERSTANDING: 'understanding',
+    PLANNING: 'planning',
+    BREAKDOWN: 'breakdown',
+    CODE_GENERATION: 'code_generation',
+    DEBUGGING: 'debugging'
+});
+
+/**
+ * What happens when a project exceeds its budget (`budgets.onExceeded`).
+ * @readonly
+ * @enum {string}
+ */
+export const BUDGET_ACTIONS = Object.freeze({
+    HALT: 'halt',
+    DOWNGRADE: 'downgrade'
+});
+
+const DEFAULT_DOWNGRADE_HEADROOM = 0.25;
+
+/**
+ * Thrown once a project has used more tokens or dollars than its budget allows.
+ * `context.budgetAction` says whether recovery may continue on `context.downgradeModel`.
+ */
+export class TokenBudgetExceededError extends PlatformError {
+    constructor(message, context = {}) {
+        super(message, 'TOKEN_BUDGET_EXCEEDED', context, null,
+            context.budgetAction === BUDGET_ACTIONS.DOWNGRADE ? 'RECOVERABLE_WITH_MODIFICATION' : 'FATAL');
+    }
+}
+
+export class TokenBudgetError extends PlatformError {
+    constructor(message, code = 'TOKEN_BUDGET_ERROR', context = {}, originalError = null) {
+        super(message, code, context, originalError, 'CRITICAL');
+    }
+}
+
+/**
+ * classifyError() result for a TokenBudgetExceededError. A downgrade maps onto
+ * RETRY_SUBTASK_MODIFIED, so determineRecoveryStrategy returns RETRY_WITH_PARAMS with
+ * `modificationHint: 'TOKEN_BUDGET_EXCEEDED'` and the caller retries on `downgradeModel`.
+ * @param {TokenBudgetExceededError} error
+ * @returns {{ classifiedType: string, severity: string, isRetryable: boolean, suggestedAction: string, details: string }}
+ */
+export function classifyBudgetError(error) {
+    const downgrade = error.context?.budgetAction === BUDGET_ACTIONS.DOWNGRADE;
+    return {
+        classifiedType: error.code,
+        severity: error.severity,
+        isRetryable: downgrade,
+        suggestedAction: downgrade ? 'RETRY_SUBTASK_MODIFIED' : 'HALT',
+        details: downgrade ? `${error.message} Continue on model "${error.context.downgradeModel}".` : error.message
+    };
+}
+
+/**
+ * @typedef {object} UsageTotals
+ * @property {number} calls
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} totalTokens
+ * @property {number} costUsd
+ */
+
+function emptyTotals() {
+    return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+function addUsage(totals, usage, costUsd) {
+    totals.calls += 1;
+    totals.promptTokens += usage.promptTokens;
+    totals.completionTokens += usage.completionTokens;
+    totals.totalTokens += usage.totalTokens;
+    // Rounded to micro-dollars so repeated float addition stays readable in the saved state
+    totals.costUsd = Math.round((totals.costUsd + costUsd) * 1e6) / 1e6;
+}
+
+export class TokenUsageTracker {
+    /**
+     * @param {object} projectPersistence - ProjectPersistence instance (loadProject, saveProject).
+     * @param {object} configManager - Reads `budgets.*`.
+     * @param {object} [options]
+     * @param {Map<string, object>} [options.activeProjects] - SystemManager's in-memory project states.
+     * @param {import('./system-events.js').SystemEventBus} [options.eventBus]
+     */
+    constructor(projectPersistence, configManager, options = {}) {
+        this.projectPersistence = projectPersistence;
+        this.configManager = configManager;
+        this.activeProjects = options.activeProjects || new Map();
+        this.eventBus = options.eventBus || null;
+        // Load, update and save run one at a time per project so concurrent subtasks do not
+        // overwrite each other's totals when the project is read from persistence
+        this.updateChains = new Map();
+    }
+
+    /**
+     * Attributes one call's usage to the project and persists the updated totals.
+     * @param {string} projectName
+     * @param {{ promptTokens?: number, completionTokens?: number, totalTokens?: number, model?: string }} usage
+     * @param {object} attribution
+     * @param {string} attribution.phase - One of USAGE_PHASES.
+     * @param {string} [attribution.subtaskId]
+     * @returns {Promise<object>} The project's `execution.tokenUsage`.
+     */
+    async record(projectName, usage, { phase, subtaskId } = {}) {
+        if (!Object.values(USAGE_PHASES).includes(phase)) {
+            throw new TokenBudgetError(`Unknown usage phase "${phase}".`, 'TOKEN_BUDGET_INVALID_PHASE', { projectName, phase });
+        }
+        const promptTokens = usage.promptTokens || 0;
+        const completionTokens = usage.completionTokens || 0;
+        const normalized = { promptTokens, completionTokens, totalTokens: usage.totalTokens || promptTokens + completionTokens };
+        const costUsd = this.costOf(usage.model, normalized);
+
+        return this._update(projectName, (projectState) => {
+            const tokenUsage = this._usageOf(projectState);
+            addUsage(tokenUsage.totals, normalized, costUsd);
+            addUsage(tokenUsage.byPhase[phase] ??= emptyTotals(), normalized, costUsd);
+            if (subtaskId) addUsage(tokenUsage.bySubtask[subtaskId] ??= emptyTotals(), normalized, costUsd);
+            if (usage.model) addUsage(tokenUsage.byModel[usage.model] ??= emptyTotals(), normalized, costUsd);
+            tokenUsage.updatedAt = new Date().toISOString();
+            return tokenUsage;
+        });
+    }
+
+    /**
+     * Dollar cost of a call from `budgets.pricing.<model>` (or `budgets.pricing.default`), given
+     * as `inputPer1kTokens` / `outputPer1kTokens`. Unpriced models cost 0.
+     * @param {string} [model]
+     * @param {{ promptTokens: number, completionTokens: number }} usage
+     * @returns {number}
+     */
+    costOf(model, { promptTokens, completionTokens }) {
+        const pricing = this.configManager.get('budgets.pricing', {}) || {};
+        const price = (model && pricing[model]) || pricing.default;
+        if (!price) return 0;
+        return (promptTokens / 1000) * (price.inputPer1kTokens || 0) + (completionTokens / 1000) * (price.outputPer1kTokens || 0);
+    }
+
+    /**
+     * The project's budget: `context.budget` on the project overrides `budgets.perProject`.
+     * @param {object} projectState
+     * @returns {{ maxTokens: number | null, maxCostUsd: number | null }}
+     */
+    budgetFor(projectState) {
+        const defaults = this.configManager.get('budgets.perProject', {}) || {};
+        const override = projectState.context?.budget || {};
+        return {
+            maxTokens: override.maxTokens ?? defaults.maxTokens ?? null,
+            maxCostUsd: override.maxCostUsd ?? defaults.maxCostUsd ?? null
+        };
+    }
+
+    /**
+     * Throws TokenBudgetExceededError if the project is over budget. With `budgets.onExceeded:
+     * downgrade` and a `budgets.downgradeModel`, the first overrun asks for a downgrade; the
+     * downgraded project may then use `budgets.downgradeHeadroom` (fraction of the budget) more
+     * before it is halted.
+     * @param {string} projectName
+     * @returns {Promise<void>}
+     */
+    async checkBudget(projectName) {
+        const projectState = await this._state(projectName);
+        const tokenUsage = this._usageOf(projectState);
+        const budget = this.budgetFor(projectState);
+        const downgradeModel = this.configManager.get('budgets.downgradeModel', null);
+        const canDowngrade = this.configManager.get('budgets.onExceeded', BUDGET_ACTIONS.HALT) === BUDGET_ACTIONS.DOWNGRADE && !!downgradeModel;
+        const headroom = tokenUsage.downgradedAt ? 1 + this.configManager.get('budgets.downgradeHeadroom', DEFAULT_DOWNGRADE_HEADROOM) : 1;
+
+        const overrun = [];
+        if (budget.maxTokens != null && tokenUsage.totals.totalTokens > budget.maxTokens * headroom) {
+            overrun.push(`${tokenUsage.totals.totalTokens} tokens (budget ${budget.maxTokens})`);
+        }
+        if (budget.maxCostUsd != null && tokenUsage.totals.costUsd > budget.maxCostUsd * headroom) {
+            overrun.push(`$${tokenUsage.totals.costUsd.toFixed(4)} (budget $${budget.maxCostUsd})`);
+        }
+        if (overrun.length === 0) return;
+
+        const budgetAction = canDowngrade && !tokenUsage.downgradedAt ? BUDGET_ACTIONS.DOWNGRADE : BUDGET_ACTIONS.HALT;
+        const message = `Project ${projectName} exceeded its budget: ${overrun.join(', ')}.`;
+        console.log(`[TokenUsageTracker] ${message} Action: ${budgetAction}.`);
+        this.eventBus?.notify('warning', message, { projectName, budgetAction });
+        throw new TokenBudgetExceededError(message, {
+            projectName,
+            budgetAction,
+            downgradeModel: budgetAction === BUDGET_ACTIONS.DOWNGRADE ? downgradeModel : null,
+            budget,
+            totals: { ...tokenUsage.totals }
+        });
+    }
+
+    /**
+     * Share of the project's budget still unused, taking the tighter of the token and cost limits.
+     * @param {string} projectName
+     * @returns {Promise<number | null>} Between 0 and 1, or null when the project has no budget.
+     */
+    async remainingBudgetFraction(projectName) {
+        const projectState = await this._state(projectName);
+        const { totals } = this._usageOf(projectState);
+        const budget = this.budgetFor(projectState);
+        const fractions = [];
+        if (budget.maxTokens) fractions.push(1 - totals.totalTokens / budget.maxTokens);
+        if (budget.maxCostUsd) fractions.push(1 - totals.costUsd / budget.maxCostUsd);
+        return fractions.length > 0 ? Math.max(0, Math.min(...fractions)) : null;
+    }
+
+    /**
+     * Records that the project now runs on `budgets.downgradeModel`, which starts the headroom.
+     * @param {string} projectName
+     * @returns {Promise<string>} The model to switch to.
+     */
+    async markDowngraded(projectName) {
+        await this._update(projectName, (projectState) => {
+            this._usageOf(projectState).downgradedAt ??= new Date().toISOString();
+        });
+        return this.configManager.get('budgets.downgradeModel', null);
+    }
+
+    /**
+     * Wraps a role model (chatModel, codeModel, codeChatModel, LLMProvider#getModel() or the
+     * provider itself) so each call is checked against the budget before it starts and its usage
+     * is recorded afterwards. Streams are checked before the first chunk and recorded when they
+     * end; tool chats from startToolChat() are checked and recorded per turn. The call that
+     * crosses the budget still returns; the next one throws.
+     * @param {object} model
+     * @param {string} projectName
+     * @param {{ phase: string, subtaskId?: string }} attribution
+     * @returns {object} Model with the same methods.
+     */
+    meter(model, projectName, attribution) {
+        const tracker = this;
+        // Collects the usage a call reports through onUsage, still passing it on to the caller's
+        const collect = (options = {}) => {
+            const usages = [];
+            return {
+                options: { ...options, onUsage: usage => { usages.push(usage); options.onUsage?.(usage); } },
+                // Failed calls can still have consumed tokens, so this runs in `finally`
+                record: async () => {
+                    for (const usage of usages.splice(0)) await tracker.record(projectName, usage, attribution);
+                }
+            };
+        };
+
+        const metered = Object.create(model);
+        for (const method of ['generateText', 'generateCode', 'reviewCode', 'debugCode']) {
+            if (typeof model[method] !== 'function') continue;
+            metered[method] = async (...args) => {
+                await this.checkBudget(projectName);
+                // The options object is always the last argument of these methods
+                const optionsIndex = method === 'debugCode' ? 2 : 1;
+                const usage = collect(args[optionsIndex]);
+                args[optionsIndex] = usage.options;
+                try {
+                    return await model[method](...args);
+                } finally {
+                    await usage.record();
+                }
+            };
+        }
+        for (const method of ['streamText', 'streamCode']) {
+            if (typeof model[method] !== 'function') continue;
+            metered[method] = async function* (prompt, options) {
+                await tracker.checkBudget(projectName);
+                const usage = collect(options);
+                try {
+                    yield* model[method](prompt, usage.options);
+                } finally {
+                    await usage.record();
+                }
+            };
+        }
+        if (typeof model.startToolChat === 'function') {
+            metered.startToolChat = (functionDeclarations, options) => {
+                const usage = collect(options);
+                const session = model.startToolChat(functionDeclarations, usage.options);
+                return {
+                    ...session,
+                    sendMessage: async (message) => {
+                        await this.checkBudget(projectName);
+                        try {
+                            return await session.sendMessage(message);
+                        } finally {
+                            await usage.record();
+                        }
+                    }
+                };
+            };
+        }
+        return metered;
+    }
+
+    async _state(projectName) {
+        const projectState = this.activeProjects.get(projectName) || await this.projectPersistence.loadProject(projectName);
+        if (!projectState) {
+            throw new TokenBudgetError(`Project ${projectName} not found.`, 'TOKEN_BUDGET_PROJECT_NOT_FOUND', { projectName });
+        }
+        return projectState;
+    }
+
+    _usageOf(projectState) {
+        projectState.execution ??= {};
+        projectState.execution.tokenUsage ??= { totals: emptyTotals(), byPhase: {}, bySubtask: {}, byModel: {}, downgradedAt: null };
+        return projectState.execution.tokenUsage;
+    }
+
+    _update(projectName, mutate) {
+        const previous = this.updateChains.get(projectName) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            const projectState = await this._state(projectName);
+            const result = mutate(projectState);
+            await this.projectPersistence.saveProject(projectName, projectState);
+            return result;
+        });
+        this.updateChains.set(projectName, next);
+        return next;
+    }
+}
+
+export default TokenUsageTracker;
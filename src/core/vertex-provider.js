@@ -0,0 +1,162 @@
+// src/core/vertex-provider.js
+// Vertex AI implementation of the LLM provider interface, backed by the existing
+// VertexAIChatModel / VertexAICodeModel / VertexAICodeChatModel classes.
+
+import { LLMProvider, LLM_ROLES, fromVertexError } from './llm-provider.js';
+import { normalizeUsage, streamGenerateContent } from './vertex-streaming.js';
+
+// generateContent request for a single-turn prompt; unset options keep the SDK model's defaults
+function streamRequest(prompt, { temperature, maxTokens, systemInstruction }) {
+    const generationConfig = {};
+    if (temperature != null) generationConfig.temperature = temperature;
+    if (maxTokens != null) generationConfig.maxOutputTokens = maxTokens;
+    return {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        ...(Object.keys(generationConfig).length > 0 ? { generationConfig } : {}),
+        ...(systemInstruction ? { systemInstruction: { role: 'system', parts: [{ text: systemInstruction }] } } : {})
+    };
+}
+
+export class VertexAIProvider extends LLMProvider {
+    /**
+     * @param {object} config - `llm.vertex`: shared settings (projectId, location, credentials, ...)
+     *   plus optional per-role overrides under `chat`, `code` and `codeChat`.
+     * @param {{ chat: object, code: object, codeChat: object }} models - Vertex AI model instances per role.
+     */
+    constructor(config, models) {
+        super('vertex', config);
+        this.models = models;
+    }
+
+    /**
+     * Builds the three Vertex AI models from configuration.
+     * @param {object} config
+     * @returns {Promise<VertexAIProvider>}
+     */
+    static async create(config = {}) {
+        const { VertexAIChatModel, VertexAICodeModel, VertexAICodeChatModel } = await import('./vertexAI-client.js');
+        const { chat, code, codeChat, ...shared } = config;
+        try {
+            return new VertexAIProvider(config, {
+                [LLM_ROLES.CHAT]: new VertexAIChatModel({ ...shared, ...chat }),
+                [LLM_ROLES.CODE]: new VertexAICodeModel({ ...shared, ...code }),
+                [LLM_ROLES.CODE_CHAT]: new VertexAICodeChatModel({ ...shared, ...codeChat })
+            });
+        } catch (error) {
+            throw fromVertexError(error, { operation: 'create' });
+        }
+    }
+
+    async generateText(prompt, options = {}) {
+        const { role = LLM_ROLES.CHAT, onUsage, ...modelOptions } = options;
+        return this._call(role, 'generateText', onUsage, model => model.generateText(prompt, modelOptions));
+    }
+
+    async generateCode(prompt, options = {}) {
+        const { onUsage, ...modelOptions } = options;
+        return this._call(LLM_ROLES.CODE, 'generateCode', onUsage, model => model.generateCode(prompt, modelOptions));
+    }
+
+    async reviewCode(code, options = {}) {
+        const { onUsage, ...modelOptions } = options;
+        return this._call(LLM_ROLES.CODE_CHAT, 'reviewCode', onUsage, model => model.reviewCode(code, modelOptions));
+    }
+
+    async debugCode(code, error, options = {}) {
+        const { onUsage, ...modelOptions } = options;
+        return this._call(LLM_ROLES.CODE_CHAT, 'debugCode', onUsage, model => model.debugCode(code, error, modelOptions));
+    }
+
+    /**
+     * Streams from the role model's SDK model with streamGenerateContent(), using the model's own
+     * withRetry and wrapError; falls back to one-shot generation for models without an SDK model.
+     * streamCode() comes from LLMProvider and streams through here with the code role.
+     */
+    async *streamText(prompt, options = {}) {
+        const { role = LLM_ROLES.CHAT, onUsage, signal, ...generation } = options;
+        const model = this.models[role];
+        if (typeof model?.model?.generateContentStream !== 'function') {
+            yield* super.streamText(prompt, options);
+            return;
+        }
+        yield* this._stream(role, 'streamText', { signal, onUsage }, () => streamGenerateContent(model.model, streamRequest(prompt, generation), {
+            withRetry: typeof model.withRetry === 'function' ? model.withRetry.bind(model) : undefined,
+            wrapError: typeof model.wrapError === 'function' ? model.wrapError.bind(model) : undefined,
+            context: 'streamText',
+            signal
+        }));
+    }
+
+    /**
+     * Chat session on the code-chat model's SDK model with the given tools. Each turn runs inside
+     * the model's withRetry; the SDK only appends to the session history once a turn succeeds.
+     */
+    startToolChat(functionDeclarations, { onUsage } = {}) {
+        const model = this.models[LLM_ROLES.CODE_CHAT];
+        const session = model.model.startChat({ tools: [{ functionDeclarations }] });
+        const withRetry = typeof model.withRetry === 'function' ? model.withRetry.bind(model) : operation => operation();
+        return {
+            sendMessage: async (message) => {
+                const request = typeof message === 'string'
+                    ? message
+                    : message.map(result => ({ functionResponse: { name: result.name, response: result.response } }));
+                let result;
+                try {
+                    result = await withRetry(() => session.sendMessage(request), 'toolChat');
+                } catch (error) {
+                    throw fromVertexError(error, { role: LLM_ROLES.CODE_CHAT, operation: 'toolChat' });
+                }
+                const usage = normalizeUsage(result.response?.usageMetadata);
+                if (usage) onUsage?.({ ...usage, model: model.modelName ?? null });
+                const parts = result.response?.candidates?.[0]?.content?.parts || [];
+                return {
+                    text: parts.map(part => part.text || '').join(''),
+                    functionCalls: parts.filter(part => part.functionCall).map(part => ({ name: part.functionCall.name, args: part.functionCall.args || {} }))
+                };
+            }
+        };
+    }
+
+    // Streamed usage arrives on the final event
+    async *_stream(role, operation, { signal, onUsage }, open) {
+        try {
+            for await (const event of open()) {
+                if (event.type === 'done' && event.usage) onUsage?.({ ...event.usage, model: this.models[role].modelName ?? null });
+                yield event;
+            }
+        } catch (error) {
+            if (signal?.aborted) throw error; // Cancellation, not a provider failure
+            throw fromVertexError(error, { role, operation });
+        }
+    }
+
+    async _call(role, operation, onUsage, invoke) {
+        try {
+            return await invoke(onUsage ? this._reportingUsage(role, onUsage) : this.models[role]);
+        } catch (error) {
+            throw fromVertexError(error, { role, operation });
+        }
+    }
+
+    /**
+     * The role model's methods return only text, so usage is read from the SDK responses: the
+     * returned view runs the model's own methods against an SDK model whose generateContent()
+     * reports each response's usageMetadata. A view per call keeps concurrent calls apart.
+     */
+    _reportingUsage(role, onUsage) {
+        const model = this.models[role];
+        if (typeof model.model?.generateContent !== 'function') return model;
+        const generativeModel = Object.create(model.model);
+        generativeModel.generateContent = async (...args) => {
+            const result = await model.model.generateContent(...args);
+            const usage = normalizeUsage(result?.response?.usageMetadata);
+            if (usage) onUsage({ ...usage, model: model.modelName ?? null });
+            return result;
+        };
+        const view = Object.create(model);
+        view.model = generativeModel;
+        return view;
+    }
+}
+
+export default VertexAIProvider;
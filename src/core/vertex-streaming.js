@@ -0,0 +1,106 @@
+// src/core/vertex-streaming.js
+// Streaming generation over the Vertex AI SDK's generateContentStream(). VertexAIProvider streams
+// every role model's SDK model through it, so chat, code and code-chat models share one
+// implementation: retries apply until the first token arrives, text is yielded as it streams, and
+// token usage is reported once the response completes.
+
+/**
+ * @typedef {object} TokenUsage
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} totalTokens
+ */
+
+/**
+ * @typedef {{ type: 'chunk', text: string } | { type: 'done', text: string, usage: TokenUsage | null, finishReason: string | null }} StreamEvent
+ */
+
+/**
+ * Maps the SDK's usageMetadata onto the platform's usage shape.
+ * @param {object} [usageMetadata]
+ * @returns {TokenUsage | null}
+ */
+export function normalizeUsage(usageMetadata) {
+    if (!usageMetadata) return null;
+    const promptTokens = usageMetadata.promptTokenCount ?? 0;
+    const completionTokens = usageMetadata.candidatesTokenCount ?? 0;
+    return {
+        promptTokens,
+        completionTokens,
+        totalTokens: usageMetadata.totalTokenCount ?? promptTokens + completionTokens
+    };
+}
+
+function chunkText(chunk) {
+    const parts = chunk?.candidates?.[0]?.content?.parts || [];
+    return parts.map(part => part.text || '').join('');
+}
+
+/**
+ * Streams a generateContent request.
+ *
+ * Opening the stream and reading the first chunk run inside `withRetry`, so rate limits and
+ * transient failures before any output are retried with the model's usual backoff. Once text
+ * has been yielded a failure is thrown to the caller: a retry would repeat output it has
+ * already consumed.
+ *
+ * @param {object} generativeModel - SDK model from `getGenerativeModel()`.
+ * @param {object} request - generateContent request (`contents`, `generationConfig`, ...).
+ * @param {object} [options]
+ * @param {(operation: Function, context: string) => Promise<any>} [options.withRetry] - The model's
+ *   retry wrapper (VertexAIBaseModel#withRetry); without it the stream is opened once.
+ * @param {(error: Error, context: string) => Error} [options.wrapError] - The model's error wrapper.
+ * @param {string} [options.context] - Operation name for retries and errors.
+ * @param {AbortSignal} [options.signal] - Stops reading; the signal's reason is thrown.
+ * @returns {AsyncGenerator<StreamEvent>}
+ */
+export async function* streamGenerateContent(generativeModel, request, options = {}) {
+    const {
+        withRetry = operation => operation(),
+        wrapError = error => error,
+        context = 'streamGenerateContent',
+        signal
+    } = options;
+
+    const { result, iterator, first } = await withRetry(async () => {
+        signal?.throwIfAborted();
+        const result = await generativeModel.generateContentStream(request);
+        const iterator = result.stream[Symbol.asyncIterator]();
+        return { result, iterator, first: await iterator.next() };
+    }, context);
+
+    let text = '';
+    let usageMetadata = null;
+    let finishReason = null;
+    let next = first;
+    try {
+        while (!next.done) {
+            signal?.throwIfAborted();
+            const chunk = next.value;
+            usageMetadata = chunk?.usageMetadata || usageMetadata;
+            finishReason = chunk?.candidates?.[0]?.finishReason || finishReason;
+            const delta = chunkText(chunk);
+            if (delta) {
+                text += delta;
+                yield { type: 'chunk', text: delta };
+            }
+            next = await iterator.next();
+        }
+        // The aggregated response carries the final usage when chunks do not
+        const aggregated = await result.response;
+        usageMetadata = aggregated?.usageMetadata || usageMetadata;
+    } catch (error) {
+        if (signal?.aborted) throw signal.reason ?? error;
+        throw wrapError(error, context);
+    } finally {
+        if (!next.done) {
+            // Stopped early: nobody will await the aggregated response
+            Promise.resolve(result.response).catch(() => {});
+            await iterator.return?.();
+        }
+    }
+
+    yield { type: 'done', text, usage: normalizeUsage(usageMetadata), finishReason };
+}
+
+export default streamGenerateContent;
@@ -0,0 +1,349 @@
+// tests/api-server.test.js
+
+import { jest } from '@jest/globals';
+import { ApiServer, buildErrorResponse } from '../src/api/api-server.js';
+import { PlatformError } from '../src/core/error-utils.js';
+
+describe('ApiServer', () => {
+    let apiServer;
+    let baseUrl;
+    let mockSystemManager;
+    let mockProjectPersistence;
+    let projectStore;
+
+    const request = async (method, urlPath, body) => {
+        const response = await fetch(`${baseUrl}${urlPath}`, {
+            method,
+            headers: body ? { 'content-type': 'application/json' } : {},
+            body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        projectStore = {
+            'finished-app': {
+                metadata: { projectName: 'finished-app', status: 'completed_successfully', created: '2024-01-01T00:00:00.000Z', lastModified: '2024-01-02T00:00:00.000Z' },
+                context: { files: { 'index.html': '<h1>Hi</h1>' } },
+                execution: { subtasksFull: [{ id: 'T1' }, { id: 'T2' }], subtasksRemainingIds: [] }
+            }
+        };
+
+        mockProjectPersistence = {
+            listProjects: jest.fn(async () => [...Object.keys(projectStore), 'finished-app_checkpoint_cp1']),
+            projectExists: jest.fn(async name => !!projectStore[name]),
+            loadProject: jest.fn(async name => projectStore[name] || null),
+            getProjectMetadata: jest.fn(async name => projectStore[name]?.metadata || null)
+        };
+
+        mockSystemManager = {
+            state: { isRunning: true },
+            configManager: { get: jest.fn((key, defaultValue) => defaultValue) },
+            projectPersistence: mockProjectPersistence,
+            agentCoordinator: {},
+            taskExecutor: {},
+            sandboxManager: {},
+            learningSystem: {},
+            activeProjects: new Map([
+                ['running-app', {
+                    metadata: { projectName: 'running-app', status: 'processing_tasks' },
+                    execution: {
+                        subtasksFull: [{ id: 'T1', title: 'Setup' }, { id: 'T2', title: 'Build UI' }],
+                        subtasksRemainingIds: ['T2'],
+                        currentSubtaskId: 'T2'
+                    }
+                }]
+            ]),
+            submitNewRequest: jest.fn().mockResolvedValue(undefined)
+        };
+
+        apiServer = new ApiServer(mockSystemManager, { port: 0 });
+        const server = await apiServer.start();
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    afterEach(async () => {
+        await apiServer.stop();
+        jest.restoreAllMocks();
+    });
+
+    describe('POST /api/projects', () => {
+        it('should submit a new request through SystemManager', async () => {
+            const { status, body } = await request('POST', '/projects', { userInput: 'Create a todo app', projectName: 'todo-app' });
+
+            expect(status).toBe(202);
+            expect(body).toMatchObject({ projectName: 'todo-app', status: 'submitted' });
+            expect(body.projectId).toBe('todo-app');
+            expect(mockSystemManager.submitNewRequest).toHaveBeenCalledWith('Create a todo app', 'todo-app', {});
+        });
+
+        it('should reject requests with missing fields', async () => {
+            const { status, body } = await request('POST', '/projects', { projectName: 'todo-app' });
+
+            expect(status).toBe(400);
+            expect(body.error.code).toBe('API_VALIDATION_ERROR');
+            expect(mockSystemManager.submitNewRequest).not.toHaveBeenCalled();
+        });
+
+        it('should reject malformed JSON', async () => {
+            const { status, body } = await request('POST', '/projects', '{"userInput": ');
+
+            expect(status).toBe(400);
+            expect(body.error.code).toBe('API_VALIDATION_ERROR');
+        });
+
+        it('should return 409 for an existing project', async () => {
+            const { status, body } = await request('POST', '/projects', { userInput: 'Again', projectName: 'finished-app' });
+
+            expect(status).toBe(409);
+            expect(body.error.code).toBe('API_CONFLICT_ERROR');
+        });
+
+        it('should return 503 when the system is not initialized', async () => {
+            mockSystemManager.agentCoordinator = null;
+
+            const { status, body } = await request('POST', '/projects', { userInput: 'Create', projectName: 'new-app' });
+
+            expect(status).toBe(503);
+            expect(body.error.severity).toBe('RETRYABLE_TRANSIENT');
+        });
+    });
+
+    describe('GET /api/projects', () => {
+        it('should list persisted and active projects without checkpoints', async () => {
+            const { status, body } = await request('GET', '/projects');
+
+            expect(status).toBe(200);
+            expect(body.projects.map(p => p.projectName)).toEqual(['finished-app', 'running-app']);
+            expect(body.pagination).toEqual({ total: 2, limit: 50, offset: 0 });
+        });
+
+        it('should filter by status and paginate', async () => {
+            const { body } = await request('GET', '/projects?status=processing_tasks&limit=1');
+
+            expect(body.projects).toHaveLength(1);
+            expect(body.projects[0].projectName).toBe('running-app');
+        });
+
+        it('should validate pagination parameters', async () => {
+            const { status } = await request('GET', '/projects?limit=-1');
+            expect(status).toBe(400);
+        });
+    });
+
+    describe('GET /api/projects/:projectName/status', () => {
+        it('should report progress for an active project', async () => {
+            const { status, body } = await request('GET', '/projects/running-app/status');
+
+            expect(status).toBe(200);
+            expect(body.status).toBe('processing_tasks');
+            expect(body.currentPhase).toEqual({
+                name: 'execution',
+                progress: 50,
+                currentTask: { id: 'T2', title: 'Build UI', status: 'in_progress' }
+            });
+        });
+
+        it('should return 404 for unknown projects', async () => {
+            const { status, body } = await request('GET', '/projects/missing/status');
+
+            expect(status).toBe(404);
+            expect(body.error.code).toBe('API_NOT_FOUND');
+        });
+    });
+
+    describe('GET /api/projects/:projectName/results', () => {
+        it('should return artifacts and summary for a finished project', async () => {
+            const { status, body } = await request('GET', '/projects/finished-app/results');
+
+            expect(status).toBe(200);
+            expect(body.status).toBe('completed');
+            expect(body.artifacts).toEqual([{ path: 'index.html', type: 'file', content: '<h1>Hi</h1>', size: 11 }]);
+            expect(body.executionSummary).toMatchObject({ totalTasks: 2, completedTasks: 2, failedTasks: 0, skippedTasks: 0 });
+            expect(body.logs).toEqual({ path: '/api/projects/finished-app/status' });
+        });
+
+        it('should count failed and skipped subtasks separately from completed ones', async () => {
+            projectStore['finished-app'].metadata.status = 'failed';
+            projectStore['finished-app'].execution = {
+                subtasksFull: [{ id: 'T1' }, { id: 'T2' }, { id: 'T3' }, { id: 'T4' }],
+                subtasksRemainingIds: ['T4'],
+                failedSubtasks: { T2: { error: 'boom' } },
+                skippedSubtaskIds: ['T3']
+            };
+
+            const { body } = await request('GET', '/projects/finished-app/results');
+
+            expect(body.executionSummary).toMatchObject({ totalTasks: 4, completedTasks: 1, failedTasks: 1, skippedTasks: 1, errorCount: 1 });
+        });
+
+        it('should return 409 while the project is still running', async () => {
+            const { status } = await request('GET', '/projects/running-app/results');
+            expect(status).toBe(409);
+        });
+    });
+
+    describe('approval endpoints', () => {
+        beforeEach(() => {
+            mockSystemManager.approvalGates = {
+                getPendingApproval: jest.fn().mockReturnValue({ id: 'ap-1', gate: 'strategic_plan', status: 'pending' }),
+                approve: jest.fn().mockResolvedValue({ id: 'ap-1', status: 'approved' }),
+                reject: jest.fn().mockRejectedValue(new PlatformError('No pending approval', 'APPROVAL_NOT_PENDING', {}, null, 'WARNING'))
+            };
+        });
+
+        it('should return the pending approval', async () => {
+            const { status, body } = await request('GET', '/projects/running-app/approval');
+
+            expect(status).toBe(200);
+            expect(body.approval).toMatchObject({ id: 'ap-1', gate: 'strategic_plan' });
+        });
+
+        it('should forward approve decisions with the reviewer comment', async () => {
+            const { status, body } = await request('POST', '/projects/running-app/approval', {
+                decision: 'approve', approvalId: 'ap-1', reviewer: 'lead', comment: 'ok'
+            });
+
+            expect(status).toBe(200);
+            expect(body.approval.status).toBe('approved');
+            expect(mockSystemManager.approvalGates.approve).toHaveBeenCalledWith('running-app', { approvalId: 'ap-1', reviewer: 'lead', comment: 'ok' });
+        });
+
+        it('should map approval errors and validate the decision', async () => {
+            expect((await request('POST', '/projects/running-app/approval', { decision: 'reject' })).status).toBe(409);
+            expect((await request('POST', '/projects/running-app/approval', { decision: 'maybe' })).status).toBe(400);
+        });
+
+        it('should return 503 when approval gates are not configured', async () => {
+            delete mockSystemManager.approvalGates;
+            expect((await request('GET', '/projects/running-app/approval')).status).toBe(503);
+        });
+    });
+
+    describe('clarification endpoints', () => {
+        it('should forward answers to the clarification manager', async () => {
+            mockSystemManager.clarifications = {
+                getPendingClarification: jest.fn(),
+                answerClarification: jest.fn().mockResolvedValue({ stage: 'request_understanding', clarifications: [] })
+            };
+
+            const { status, body } = await request('POST', '/projects/running-app/clarification', { answers: ['PostgreSQL'], clarificationId: 'c-1' });
+
+            expect(status).toBe(200);
+            expect(body.stage).toBe('request_understanding');
+            expect(mockSystemManager.clarifications.answerClarification).toHaveBeenCalledWith('running-app', ['PostgreSQL'], { clarificationId: 'c-1' });
+            expect((await request('POST', '/projects/running-app/clarification', {})).status).toBe(400);
+        });
+    });
+
+    describe('project control endpoints', () => {
+        beforeEach(() => {
+            mockSystemManager.projectScheduler = {
+                pause: jest.fn().mockResolvedValue({ status: 'paused' }),
+                resume: jest.fn().mockResolvedValue({ status: 'processing_tasks' }),
+                setPriority: jest.fn().mockRejectedValue(new PlatformError('Unknown priority', 'PROJECT_SCHEDULING_INVALID_PRIORITY', {}, null, 'WARNING'))
+            };
+        });
+
+        it('should pause and resume through the project scheduler', async () => {
+            expect((await request('POST', '/projects/running-app/pause', { reason: 'later' })).body).toEqual({ projectName: 'running-app', status: 'paused' });
+            expect(mockSystemManager.projectScheduler.pause).toHaveBeenCalledWith('running-app', { reason: 'later' });
+            expect((await request('POST', '/projects/running-app/resume')).body.status).toBe('processing_tasks');
+        });
+
+        it('should cancel through SystemManager.cancelProject', async () => {
+            mockSystemManager.cancelProject = jest.fn().mockResolvedValue({ status: 'cancelled', checkpointId: 'cancelled-1' });
+
+            const { status, body } = await request('POST', '/projects/running-app/cancel', { reason: 'scope changed' });
+
+            expect(status).toBe(200);
+            expect(body).toEqual({ projectName: 'running-app', status: 'cancelled', checkpointId: 'cancelled-1' });
+            expect(mockSystemManager.cancelProject).toHaveBeenCalledWith('running-app', { reason: 'scope changed' });
+        });
+
+        it('should validate and map priority changes', async () => {
+            expect((await request('PUT', '/projects/running-app/priority', {})).status).toBe(400);
+            const { status, body } = await request('PUT', '/projects/running-app/priority', { priority: 'urgent' });
+            expect(status).toBe(400);
+            expect(body.error.code).toBe('PROJECT_SCHEDULING_INVALID_PRIORITY');
+        });
+    });
+
+    describe('GET /api/system/health', () => {
+        it('should report healthy components and metrics', async () => {
+            const { status, body } = await request('GET', '/system/health');
+
+            expect(status).toBe(200);
+            expect(body.status).toBe('healthy');
+            expect(body.metrics.activeProjects).toBe(1);
+            expect(body.metrics.responseCache).toBeNull();
+        });
+
+        it('should include response cache hit and miss counts', async () => {
+            mockSystemManager.responseCache = { getStats: jest.fn(async () => ({ backend: 'memory', hits: 3, misses: 1, bypassed: 2, errors: 0, hitRate: 0.75 })) };
+
+            const { body } = await request('GET', '/system/health');
+
+            expect(body.metrics.responseCache).toMatchObject({ hits: 3, misses: 1, hitRate: 0.75 });
+        });
+
+        it('should include model call queue metrics', async () => {
+            mockSystemManager.rateLimiter = { getMetrics: jest.fn(() => ({ queueDepth: 4, averageWaitMs: 1200 })) };
+
+            const { body } = await request('GET', '/system/health');
+
+            expect(body.metrics.rateLimiter).toEqual({ queueDepth: 4, averageWaitMs: 1200 });
+        });
+
+        it('should report degraded when persistence is unreachable', async () => {
+            mockProjectPersistence.listProjects.mockRejectedValueOnce(new Error('EACCES'));
+
+            const { body } = await request('GET', '/system/health');
+
+            expect(body.status).toBe('degraded');
+            expect(body.components.find(c => c.name === 'ProjectPersistence')).toMatchObject({ status: 'unavailable', message: 'EACCES' });
+        });
+    });
+
+    describe('error handling', () => {
+        it('should map PlatformError code and severity into the error body', async () => {
+            mockSystemManager.submitNewRequest.mockRejectedValueOnce(
+                new PlatformError('Disk full', 'PERSISTENCE_STORAGE_ACCESS_ERROR', { projectName: 'x' }, null, 'FATAL')
+            );
+
+            const { status, body } = await request('POST', '/projects', { userInput: 'Create', projectName: 'new-app' });
+
+            expect(status).toBe(503);
+            expect(body.error).toMatchObject({ code: 'PERSISTENCE_STORAGE_ACCESS_ERROR', severity: 'FATAL', message: 'Disk full' });
+            expect(body.error.requestId).toBeDefined();
+        });
+
+        it('should keep the status of client errors raised by body parsing', async () => {
+            const response = await fetch(`${baseUrl}/projects`, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json; charset=latin9' },
+                body: '{}'
+            });
+            const tooLarge = buildErrorResponse(Object.assign(new Error('request entity too large'), { status: 413, type: 'entity.too.large' }), 'req-1');
+
+            expect(response.status).toBe(415);
+            expect((await response.json()).error.code).toBe('API_UNSUPPORTED_MEDIA_TYPE');
+            expect(tooLarge.status).toBe(413);
+            expect(tooLarge.body.error).toMatchObject({ code: 'API_PAYLOAD_TOO_LARGE', details: { type: 'entity.too.large' } });
+        });
+
+        it('should fall back to severity when the code is unmapped', () => {
+            const { status } = buildErrorResponse(new PlatformError('Bad plan', 'PLANNING_ERROR', {}, null, 'CRITICAL'), 'req-1');
+            expect(status).toBe(500);
+        });
+
+        it('should return 404 for unknown routes', async () => {
+            const { status } = await request('GET', '/nothing-here');
+            expect(status).toBe(404);
+        });
+    });
+});
@@ -0,0 +1,186 @@
+// tests/approval-gates.test.js
+
+import { jest } from '@jest/globals';
+import { ApprovalGateManager, ApprovalError, APPROVAL_GATES } from '../src/core/approval-gates.js';
+
+describe('ApprovalGateManager', () => {
+    let gates;
+    let projectStore;
+    let mockProjectPersistence;
+    let mockConfigManager;
+    let activeProjects;
+    let eventBus;
+
+    const createProjectState = () => ({
+        metadata: { projectName: 'web-app', status: 'processing_tasks' },
+        plan: { project_title: 'Web App' },
+        execution: {
+            subtasksFull: [
+                { id: 'T1', title: 'Setup', type: 'code_generation' },
+                { id: 'T2', title: 'Migrate DB', type: 'database_migration' }
+            ],
+            subtasksRemainingIds: ['T1', 'T2'],
+            lastCheckpointId: 'cp-3'
+        }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        projectStore = {};
+        activeProjects = new Map();
+        mockProjectPersistence = {
+            saveProject: jest.fn(async (name, data) => { projectStore[name] = JSON.parse(JSON.stringify(data)); }),
+            loadProject: jest.fn(async name => projectStore[name] || null)
+        };
+        const config = {
+            'approvalGates.afterPlan': true,
+            'approvalGates.afterBreakdown': true,
+            'approvalGates.riskySubtaskTypes': ['database_migration']
+        };
+        mockConfigManager = { get: jest.fn((key, defaultValue) => config[key] ?? defaultValue) };
+        eventBus = { projectStatusChanged: jest.fn() };
+        gates = new ApprovalGateManager(mockProjectPersistence, mockConfigManager, { activeProjects, eventBus });
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    describe('isGateEnabled', () => {
+        it('should follow configuration and risky subtask types', () => {
+            expect(gates.isGateEnabled(APPROVAL_GATES.STRATEGIC_PLAN)).toBe(true);
+            expect(gates.isGateEnabled(APPROVAL_GATES.RISKY_SUBTASK, { id: 'T1', type: 'code_generation' })).toBe(false);
+            expect(gates.isGateEnabled(APPROVAL_GATES.RISKY_SUBTASK, { id: 'T2', type: 'database_migration' })).toBe(true);
+            expect(gates.isGateEnabled(APPROVAL_GATES.RISKY_SUBTASK, { id: 'T3', requires_approval: true })).toBe(true);
+        });
+
+        it('should be disabled by default', () => {
+            const defaults = new ApprovalGateManager(mockProjectPersistence, { get: (key, defaultValue) => defaultValue });
+            expect(defaults.isGateEnabled(APPROVAL_GATES.STRATEGIC_PLAN)).toBe(false);
+            expect(defaults.isGateEnabled(APPROVAL_GATES.SUBTASK_BREAKDOWN)).toBe(false);
+        });
+
+        it('should reject unknown gates', () => {
+            expect(() => gates.isGateEnabled('after_deploy')).toThrow(ApprovalError);
+        });
+    });
+
+    describe('checkGate', () => {
+        it('should park the project in awaiting_approval', async () => {
+            const projectState = createProjectState();
+
+            const proceed = await gates.checkGate('web-app', projectState, APPROVAL_GATES.STRATEGIC_PLAN);
+
+            expect(proceed).toBe(false);
+            expect(projectState.metadata.status).toBe('awaiting_approval');
+            expect(gates.getPendingApproval(projectState)).toMatchObject({
+                gate: 'strategic_plan',
+                status: 'pending',
+                previousStatus: 'processing_tasks',
+                summary: { plan: { project_title: 'Web App' } }
+            });
+            expect(projectStore['web-app'].metadata.status).toBe('awaiting_approval');
+            expect(eventBus.projectStatusChanged).toHaveBeenCalledWith('web-app', 'awaiting_approval', expect.any(Object));
+        });
+
+        it('should not re-park while a decision is pending', async () => {
+            const projectState = createProjectState();
+            await gates.checkGate('web-app', projectState, APPROVAL_GATES.STRATEGIC_PLAN);
+            mockProjectPersistence.saveProject.mockClear();
+
+            expect(await gates.checkGate('web-app', projectState, APPROVAL_GATES.STRATEGIC_PLAN)).toBe(false);
+            expect(mockProjectPersistence.saveProject).not.toHaveBeenCalled();
+        });
+
+        it('should let non-risky subtasks through without parking', async () => {
+            const projectState = createProjectState();
+
+            expect(await gates.checkGate('web-app', projectState, APPROVAL_GATES.RISKY_SUBTASK, { subtask: projectState.execution.subtasksFull[0] })).toBe(true);
+            expect(projectState.metadata.status).toBe('processing_tasks');
+        });
+    });
+
+    describe('approve and reject', () => {
+        it('should resume after approval and record the reviewer comment', async () => {
+            const projectState = createProjectState();
+            activeProjects.set('web-app', projectState);
+            await gates.checkGate('web-app', projectState, APPROVAL_GATES.SUBTASK_BREAKDOWN);
+            const { id } = gates.getPendingApproval(projectState);
+
+            const decision = await gates.approve('web-app', { approvalId: id, reviewer: 'lead', comment: 'Looks good' });
+
+            expect(decision).toMatchObject({ status: 'approved', reviewer: 'lead', comment: 'Looks good' });
+            expect(projectState.metadata.status).toBe('processing_tasks');
+            expect(gates.getPendingApproval(projectState)).toBeNull();
+            expect(projectState.execution.approvalHistory).toHaveLength(1);
+            expect(await gates.checkGate('web-app', projectState, APPROVAL_GATES.SUBTASK_BREAKDOWN)).toBe(true);
+        });
+
+        it('should schedule a re-plan when the plan is rejected', async () => {
+            const projectState = createProjectState();
+            activeProjects.set('web-app', projectState);
+            await gates.checkGate('web-app', projectState, APPROVAL_GATES.STRATEGIC_PLAN);
+
+            await gates.reject('web-app', { comment: 'Use PostgreSQL instead of MongoDB' });
+
+            expect(projectState.metadata.status).toBe('processing_tasks');
+            expect(projectState.execution.pendingReplan).toEqual({
+                errorClassification: 'APPROVAL_REJECTED',
+                replanReason: 'Use PostgreSQL instead of MongoDB',
+                rejectedGate: 'strategic_plan',
+                checkpointId: 'cp-3'
+            });
+            // The revised plan must be approved again
+            expect(await gates.checkGate('web-app', projectState, APPROVAL_GATES.STRATEGIC_PLAN)).toBe(false);
+        });
+
+        it('should skip a rejected risky subtask', async () => {
+            const projectState = createProjectState();
+            activeProjects.set('web-app', projectState);
+            await gates.checkGate('web-app', projectState, APPROVAL_GATES.RISKY_SUBTASK, { subtask: projectState.execution.subtasksFull[1] });
+
+            await gates.reject('web-app');
+
+            expect(projectState.execution.subtasksRemainingIds).toEqual(['T1']);
+            expect(projectState.execution.skippedSubtaskIds).toEqual(['T2']);
+            expect(projectState.execution.pendingReplan).toBeUndefined();
+        });
+
+        it('should also skip the subtasks that depend on a rejected one', async () => {
+            const projectState = createProjectState();
+            projectState.execution.subtasksFull.push(
+                { id: 'T3', title: 'Seed data', dependencies: ['T2'] },
+                { id: 'T4', title: 'Reports', depends_on: 'T3' },
+                { id: 'T5', title: 'Docs', dependencies: ['T1'] }
+            );
+            projectState.execution.subtasksRemainingIds = ['T1', 'T2', 'T3', 'T4', 'T5'];
+            activeProjects.set('web-app', projectState);
+            await gates.checkGate('web-app', projectState, APPROVAL_GATES.RISKY_SUBTASK, { subtask: projectState.execution.subtasksFull[1] });
+
+            await gates.reject('web-app');
+
+            expect(projectState.execution.subtasksRemainingIds).toEqual(['T1', 'T5']);
+            expect(projectState.execution.skippedSubtaskIds).toEqual(['T2', 'T3', 'T4']);
+        });
+
+        it('should decide persisted projects that are not in memory', async () => {
+            await gates.checkGate('web-app', createProjectState(), APPROVAL_GATES.STRATEGIC_PLAN);
+
+            await gates.approve('web-app');
+
+            expect(projectStore['web-app'].metadata.status).toBe('processing_tasks');
+        });
+
+        it('should reject decisions without a pending approval or with a stale id', async () => {
+            const projectState = createProjectState();
+            activeProjects.set('web-app', projectState);
+
+            await expect(gates.approve('web-app')).rejects.toMatchObject({ code: 'APPROVAL_NOT_PENDING' });
+            await expect(gates.approve('unknown')).rejects.toMatchObject({ code: 'APPROVAL_PROJECT_NOT_FOUND' });
+
+            await gates.checkGate('web-app', projectState, APPROVAL_GATES.STRATEGIC_PLAN);
+            await expect(gates.approve('web-app', { approvalId: 'stale' })).rejects.toMatchObject({ code: 'APPROVAL_ID_MISMATCH' });
+        });
+    });
+});
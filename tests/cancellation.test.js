@@ -0,0 +1,135 @@
+// tests/cancellation.test.js
+
+import { jest } from '@jest/globals';
+import {
+    ProjectCancellationManager,
+    ProjectCancelledError,
+    raceWithAbort,
+    throwIfCancelled,
+    createSandboxExecAbortHandler
+} from '../src/core/cancellation.js';
+import { classifyError, determineRecoveryStrategy } from '../src/core/error-utils.js';
+
+describe('Project cancellation', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('abort helpers', () => {
+        it('should reject with ProjectCancelledError and run the abort handler', async () => {
+            const controller = new AbortController();
+            const onAbort = jest.fn();
+
+            const racing = raceWithAbort(new Promise(() => {}), controller.signal, { onAbort });
+            controller.abort();
+
+            await expect(racing).rejects.toThrow(ProjectCancelledError);
+            expect(onAbort).toHaveBeenCalledTimes(1);
+        });
+
+        it('should pass results through and reject immediately for aborted signals', async () => {
+            const controller = new AbortController();
+            expect(await raceWithAbort(Promise.resolve('ok'), controller.signal)).toBe('ok');
+            expect(await raceWithAbort(Promise.resolve('ok'), undefined)).toBe('ok');
+
+            const reason = new ProjectCancelledError('Project "x" was cancelled.');
+            controller.abort(reason);
+            expect(() => throwIfCancelled(controller.signal)).toThrow(reason);
+            await expect(raceWithAbort(Promise.resolve('late'), controller.signal)).rejects.toBe(reason);
+        });
+
+        it('should make the recovery strategy halt instead of retrying', () => {
+            const classification = classifyError(new ProjectCancelledError());
+            expect(determineRecoveryStrategy(classification, {}, { get: (key, defaultValue) => defaultValue }))
+                .toEqual({ type: 'HALT_PROJECT_PROCESSING' });
+        });
+
+        it('should kill the container and tolerate one that already stopped', async () => {
+            const stream = { destroy: jest.fn() };
+            const container = { id: 'c1', kill: jest.fn().mockRejectedValue(Object.assign(new Error('not running'), { statusCode: 409 })) };
+
+            await createSandboxExecAbortHandler({ container, stream })();
+
+            expect(stream.destroy).toHaveBeenCalled();
+            expect(container.kill).toHaveBeenCalled();
+        });
+    });
+
+    describe('ProjectCancellationManager', () => {
+        let manager;
+        let activeProjects;
+        let projectStore;
+        let mockProjectPersistence;
+        let eventBus;
+
+        beforeEach(() => {
+            activeProjects = new Map();
+            projectStore = {};
+            mockProjectPersistence = {
+                saveProject: jest.fn(async (name, data) => { projectStore[name] = JSON.parse(JSON.stringify(data)); }),
+                loadProject: jest.fn(async name => projectStore[name] || null),
+                createCheckpoint: jest.fn().mockResolvedValue(undefined)
+            };
+            eventBus = { projectStatusChanged: jest.fn() };
+            manager = new ProjectCancellationManager(mockProjectPersistence, { get: (key, defaultValue) => defaultValue }, { activeProjects, eventBus });
+        });
+
+        it('should abort running work, wait for it and write a final checkpoint', async () => {
+            const projectState = {
+                metadata: { status: 'processing_tasks' },
+                context: { files: { 'index.html': '<h1>partial</h1>' } },
+                execution: { subtasksRemainingIds: ['T2'], runningSubtaskIds: ['T2'] }
+            };
+            activeProjects.set('web-app', projectState);
+            const signal = manager.signalFor('web-app');
+            const running = manager.track('web-app', raceWithAbort(new Promise(() => {}), signal));
+            running.catch(() => {});
+
+            const result = await manager.cancelProject('web-app', { reason: 'scope changed' });
+
+            expect(signal.aborted).toBe(true);
+            await expect(running).rejects.toThrow('Project "web-app" was cancelled: scope changed');
+            expect(result).toEqual({ projectName: 'web-app', status: 'cancelled', checkpointId: expect.stringMatching(/^cancelled-/) });
+            expect(mockProjectPersistence.createCheckpoint).toHaveBeenCalledWith('web-app', result.checkpointId);
+            expect(projectStore['web-app'].metadata).toMatchObject({ status: 'cancelled', cancelReason: 'scope changed' });
+            expect(projectStore['web-app'].execution).toEqual({ subtasksRemainingIds: ['T2'], lastCheckpointId: result.checkpointId });
+            expect(projectStore['web-app'].context.files['index.html']).toBe('<h1>partial</h1>');
+            expect(eventBus.projectStatusChanged).toHaveBeenCalledWith('web-app', 'cancelled', expect.any(Object));
+            expect(manager.signalFor('web-app').aborted).toBe(false); // Fresh controller afterwards
+        });
+
+        it('should not wait forever for work that ignores the signal', async () => {
+            manager.settleTimeoutMs = 5;
+            activeProjects.set('web-app', { metadata: { status: 'processing_tasks' } });
+            manager.track('web-app', new Promise(() => {}));
+
+            const { status } = await manager.cancelProject('web-app');
+
+            expect(status).toBe('cancelled');
+            expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('did not stop within 5ms'));
+        });
+
+        it('should still cancel when the final checkpoint fails', async () => {
+            projectStore['old-app'] = { metadata: { status: 'paused' } };
+            mockProjectPersistence.createCheckpoint.mockRejectedValueOnce(new Error('disk full'));
+
+            const result = await manager.cancelProject('old-app');
+
+            expect(result.checkpointId).toBeNull();
+            expect(projectStore['old-app'].metadata.status).toBe('cancelled');
+        });
+
+        it('should refuse unknown and finished projects', async () => {
+            projectStore.done = { metadata: { status: 'completed_successfully' } };
+
+            await expect(manager.cancelProject('missing')).rejects.toMatchObject({ code: 'CANCELLATION_PROJECT_NOT_FOUND' });
+            await expect(manager.cancelProject('done')).rejects.toMatchObject({ code: 'CANCELLATION_INVALID_STATE' });
+        });
+    });
+});
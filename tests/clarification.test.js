@@ -0,0 +1,138 @@
+// tests/clarification.test.js
+
+import { jest } from '@jest/globals';
+import {
+    ClarificationManager,
+    ClarificationNeededError,
+    CLARIFICATION_STAGES,
+    detectClarificationRequest,
+    formatClarificationsForPrompt
+} from '../src/core/clarification.js';
+
+describe('Clarification handling', () => {
+    describe('detectClarificationRequest', () => {
+        it('should build an error carrying the questions and the old failure wording', () => {
+            const error = detectClarificationRequest({
+                error: 'Invalid request',
+                clarification_needed: ['Please specify component requirements', '  ']
+            }, CLARIFICATION_STAGES.REQUEST_UNDERSTANDING, { projectName: 'web-app' });
+
+            expect(error).toBeInstanceOf(ClarificationNeededError);
+            expect(error.message).toBe('AI understanding failed: Invalid request');
+            expect(error.code).toBe('CLARIFICATION_NEEDED');
+            expect(error.questions).toEqual(['Please specify component requirements']);
+            expect(error.context).toMatchObject({ projectName: 'web-app', stage: 'request_understanding' });
+        });
+
+        it('should accept a single question string and ignore responses without questions', () => {
+            const error = detectClarificationRequest({ clarification_needed: 'Which database?' }, CLARIFICATION_STAGES.STRATEGIC_PLANNING);
+            expect(error.message).toBe('AI planning failed: clarification needed');
+            expect(error.questions).toEqual(['Which database?']);
+
+            expect(detectClarificationRequest({ parsed_intent: 'x' }, CLARIFICATION_STAGES.REQUEST_UNDERSTANDING)).toBeNull();
+        });
+    });
+
+    describe('ClarificationManager', () => {
+        let manager;
+        let projectStore;
+        let mockProjectPersistence;
+        let activeProjects;
+        let eventBus;
+
+        const askPlanningQuestions = (projectState) => manager.requestClarification('web-app', projectState, detectClarificationRequest(
+            { error: 'Insufficient context', clarification_needed: ['Which database?', 'Is auth required?'] },
+            CLARIFICATION_STAGES.STRATEGIC_PLANNING,
+            { partialResult: { understanding: { parsed_intent: 'create_new_webapp' } } }
+        ));
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            projectStore = {};
+            activeProjects = new Map();
+            mockProjectPersistence = {
+                saveProject: jest.fn(async (name, data) => { projectStore[name] = JSON.parse(JSON.stringify(data)); }),
+                loadProject: jest.fn(async name => projectStore[name] || null)
+            };
+            eventBus = { projectStatusChanged: jest.fn() };
+            manager = new ClarificationManager(mockProjectPersistence, { activeProjects, eventBus });
+        });
+
+        afterEach(() => {
+            console.log.mockRestore();
+        });
+
+        it('should park the project in needs_clarification with the questions', async () => {
+            const projectState = { metadata: { status: 'active' } };
+
+            const record = await askPlanningQuestions(projectState);
+
+            expect(projectState.metadata.status).toBe('needs_clarification');
+            expect(record).toMatchObject({
+                stage: 'strategic_planning',
+                questions: ['Which database?', 'Is auth required?'],
+                previousStatus: 'active',
+                partialResult: { understanding: { parsed_intent: 'create_new_webapp' } }
+            });
+            expect(projectStore['web-app'].execution.pendingClarification.id).toBe(record.id);
+            expect(eventBus.projectStatusChanged).toHaveBeenCalledWith('web-app', 'needs_clarification',
+                expect.objectContaining({ questions: record.questions }));
+        });
+
+        it('should fold answers into the context and resume at the asking stage', async () => {
+            const projectState = { metadata: { status: 'active' }, context: { files: {} } };
+            activeProjects.set('web-app', projectState);
+            const { id } = await askPlanningQuestions(projectState);
+
+            const result = await manager.answerClarification('web-app', ['PostgreSQL', 'Yes, email login'], { clarificationId: id });
+
+            expect(result.stage).toBe('strategic_planning');
+            expect(projectState.metadata.status).toBe('active');
+            expect(projectState.context.clarifications).toEqual([
+                { question: 'Which database?', answer: 'PostgreSQL' },
+                { question: 'Is auth required?', answer: 'Yes, email login' }
+            ]);
+            expect(projectState.execution.pendingResume).toEqual({
+                stage: 'strategic_planning',
+                partialResult: { understanding: { parsed_intent: 'create_new_webapp' } }
+            });
+            expect(manager.getPendingClarification(projectState)).toBeNull();
+            expect(projectState.execution.clarificationHistory).toHaveLength(1);
+        });
+
+        it('should build an understanding context that includes earlier answers', async () => {
+            const projectState = { metadata: { status: 'active' } };
+            await askPlanningQuestions(projectState);
+            await manager.answerClarification('web-app', { 'Which database?': 'SQLite', 'Is auth required?': 'No' });
+
+            const context = manager.buildUnderstandingContext('Create a todo app', projectStore['web-app'], { repositoryUrl: 'https://x' });
+
+            expect(context.userInput).toBe('Create a todo app');
+            expect(context.projectContext.repositoryUrl).toBe('https://x');
+            expect(context.projectContext.clarifications).toHaveLength(2);
+            expect(context.projectContext.clarificationSummary).toContain('A: SQLite');
+            expect(manager.buildUnderstandingContext('Create', {}, {})).toEqual({ userInput: 'Create', projectContext: {} });
+        });
+
+        it('should reject incomplete or unexpected answers', async () => {
+            const projectState = { metadata: { status: 'active' } };
+            activeProjects.set('web-app', projectState);
+
+            await expect(manager.answerClarification('web-app', ['x'])).rejects.toMatchObject({ code: 'CLARIFICATION_NOT_PENDING' });
+            await expect(manager.answerClarification('missing', ['x'])).rejects.toMatchObject({ code: 'CLARIFICATION_PROJECT_NOT_FOUND' });
+
+            await askPlanningQuestions(projectState);
+            await expect(manager.answerClarification('web-app', ['PostgreSQL'])).rejects.toMatchObject({ code: 'CLARIFICATION_ANSWERS_INCOMPLETE' });
+            await expect(manager.answerClarification('web-app', ['a', 'b'], { clarificationId: 'old' })).rejects.toMatchObject({ code: 'CLARIFICATION_ID_MISMATCH' });
+            expect(projectState.metadata.status).toBe('needs_clarification');
+        });
+    });
+
+    describe('formatClarificationsForPrompt', () => {
+        it('should render numbered question and answer pairs', () => {
+            expect(formatClarificationsForPrompt([{ question: 'Which database?', answer: 'PostgreSQL' }]))
+                .toBe('The user answered the following clarification questions:\n1. Q: Which database?\n   A: PostgreSQL');
+            expect(formatClarificationsForPrompt([])).toBe('');
+        });
+    });
+});
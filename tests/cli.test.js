@@ -0,0 +1,251 @@
+// tests/cli.test.js
+
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { PlatformCli, parseArgs, formatTable } from '../src/cli/cli.js';
+
+describe('PlatformCli', () => {
+    let cli;
+    let stdout;
+    let stderr;
+    let mockProcess;
+    let mockSystemManager;
+    let projectStore;
+    let pidFile;
+
+    const createStream = () => {
+        const stream = { data: '', write: chunk => { stream.data += chunk; return true; } };
+        return stream;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        stdout = createStream();
+        stderr = createStream();
+        pidFile = path.join(os.tmpdir(), `ai-platform-cli-test-${process.pid}-${Date.now()}.pid`);
+
+        mockProcess = new EventEmitter();
+        mockProcess.pid = 4242;
+        mockProcess.kill = jest.fn();
+
+        projectStore = {
+            'web-app': {
+                metadata: { projectName: 'web-app', status: 'processing_tasks', lastModified: '2024-03-01T10:00:00.000Z' },
+                execution: {
+                    subtasksFull: [{ id: 'T1', title: 'Setup' }, { id: 'T2', title: 'Build UI' }],
+                    subtasksRemainingIds: ['T2'],
+                    subtaskAttempts: { T1: 1 },
+                    lastCheckpointId: 'cp-1'
+                }
+            }
+        };
+
+        mockSystemManager = {
+            state: { isRunning: false },
+            activeProjects: new Map(),
+            initialize: jest.fn().mockResolvedValue(undefined),
+            start: jest.fn(() => { mockSystemManager.state.isRunning = true; }),
+            stop: jest.fn(async () => { mockSystemManager.state.isRunning = false; }),
+            submitNewRequest: jest.fn(async (userInput, projectName) => {
+                mockSystemManager.activeProjects.set(projectName, { metadata: { status: 'completed_successfully' } });
+            }),
+            projectPersistence: {
+                listProjects: jest.fn(async () => [...Object.keys(projectStore), 'web-app_checkpoint_cp-1']),
+                getProjectMetadata: jest.fn(async name => projectStore[name]?.metadata || null),
+                loadProject: jest.fn(async name => projectStore[name] || null),
+                listCheckpoints: jest.fn().mockResolvedValue(['cp-1', 'cp-2']),
+                restoreFromCheckpoint: jest.fn().mockResolvedValue(undefined)
+            },
+            learningSystem: {
+                experienceStore: {
+                    findExperiences: jest.fn().mockResolvedValue([
+                        { id: 'e2', timestamp: '2024-03-01T10:01:00.000Z', type: 'SUBTASK_EXECUTION', context: { subtaskId: 'T1' }, outcome: { status: 'SUCCESS' } },
+                        { id: 'e1', timestamp: '2024-03-01T10:00:00.000Z', type: 'PROJECT_ANALYSIS_ORCHESTRATION', context: {}, outcome: { status: 'SUCCESS' } }
+                    ])
+                }
+            }
+        };
+
+        cli = new PlatformCli({
+            createSystemManager: jest.fn(() => mockSystemManager),
+            stdout,
+            stderr,
+            processRef: mockProcess,
+            pollIntervalMs: 5
+        });
+    });
+
+    afterEach(async () => {
+        await fs.remove(pidFile);
+    });
+
+    describe('argument parsing', () => {
+        it('should separate positionals, flags and value options', () => {
+            expect(parseArgs(['logs', 'web-app', '--json', '--limit', '5', '--pid-file=/tmp/x.pid'])).toEqual({
+                positionals: ['logs', 'web-app'],
+                options: { json: true, limit: '5', 'pid-file': '/tmp/x.pid' }
+            });
+        });
+
+        it('should return usage exit code for unknown options', async () => {
+            expect(await cli.run(['list', '--bogus'])).toBe(2);
+            expect(stderr.data).toContain('Unknown option: --bogus');
+        });
+
+        it('should print help', async () => {
+            expect(await cli.run(['--help'])).toBe(0);
+            expect(stdout.data).toContain('Usage: ai-platform');
+        });
+    });
+
+    describe('formatTable', () => {
+        it('should align columns', () => {
+            const table = formatTable([{ a: 'x', b: 'long value' }], [{ key: 'a', header: 'A' }, { key: 'b', header: 'B' }]);
+            expect(table.split('\n')).toEqual(['A  B', '-  ----------', 'x  long value']);
+        });
+    });
+
+    describe('commands', () => {
+        it('should list projects without checkpoints as a table', async () => {
+            expect(await cli.run(['list'])).toBe(0);
+
+            expect(stdout.data).toContain('PROJECT');
+            expect(stdout.data).toContain('web-app  processing_tasks');
+            expect(stdout.data).not.toContain('_checkpoint_');
+        });
+
+        it('should print status as JSON', async () => {
+            expect(await cli.run(['status', 'web-app', '--json'])).toBe(0);
+
+            const output = JSON.parse(stdout.data);
+            expect(output).toMatchObject({ projectName: 'web-app', status: 'processing_tasks', lastCheckpointId: 'cp-1' });
+            expect(output.subtasks).toEqual([
+                { id: 'T1', title: 'Setup', state: 'done', attempts: 1 },
+                { id: 'T2', title: 'Build UI', state: 'pending', attempts: 0 }
+            ]);
+        });
+
+        it('should show failed and skipped subtasks apart from finished ones', async () => {
+            projectStore['web-app'].execution = {
+                subtasksFull: [{ id: 'T1', title: 'Setup' }, { subtask_id: 'T2', title: 'API' }, { id: 'T3', title: 'UI' }, { id: 'T4', title: 'Docs' }],
+                subtasksRemainingIds: ['T4'],
+                failedSubtasks: { T2: { error: 'compile error' } },
+                skippedSubtaskIds: ['T3'],
+                subtaskAttempts: { T1: 1, T2: 3 }
+            };
+
+            await cli.run(['status', 'web-app', '--json']);
+            expect(JSON.parse(stdout.data).subtasks.map(({ id, state, attempts }) => [id, state, attempts])).toEqual([
+                ['T1', 'done', 1], ['T2', 'failed', 3], ['T3', 'skipped', 0], ['T4', 'pending', 0]
+            ]);
+
+            stdout.data = '';
+            await cli.run(['status', 'web-app']);
+            expect(stdout.data).toContain('Progress:        1/4 subtasks done (1 failed, 1 skipped)');
+        });
+
+        it('should fail for unknown projects', async () => {
+            expect(await cli.run(['status', 'missing'])).toBe(2);
+            expect(stderr.data).toContain('not found');
+        });
+
+        it('should list and restore checkpoints', async () => {
+            await cli.run(['checkpoints', 'web-app', '--json']);
+            expect(JSON.parse(stdout.data)).toEqual({ projectName: 'web-app', checkpoints: ['cp-1', 'cp-2'] });
+
+            expect(await cli.run(['restore', 'web-app', 'cp-2'])).toBe(0);
+            expect(mockSystemManager.projectPersistence.restoreFromCheckpoint).toHaveBeenCalledWith('web-app', 'cp-2');
+        });
+
+        it('should show the experience log oldest first', async () => {
+            await cli.run(['logs', 'web-app', '--limit', '2']);
+
+            expect(mockSystemManager.learningSystem.experienceStore.findExperiences).toHaveBeenCalledWith({ projectName: 'web-app' }, 2);
+            const lines = stdout.data.trim().split('\n');
+            expect(lines[0]).toContain('PROJECT_ANALYSIS_ORCHESTRATION');
+            expect(lines[1]).toContain('SUBTASK_EXECUTION  SUCCESS subtask=T1');
+        });
+
+        it('should submit a request and drive the loop until the project finishes', async () => {
+            const exitCode = await cli.run(['submit', 'new-app', 'Create', 'a', 'todo', 'app', '--json', '--pid-file', pidFile]);
+
+            expect(exitCode).toBe(0);
+            expect(mockSystemManager.submitNewRequest).toHaveBeenCalledWith('Create a todo app', 'new-app');
+            expect(mockSystemManager.start).toHaveBeenCalled();
+            expect(mockSystemManager.stop).toHaveBeenCalled();
+            expect(JSON.parse(stdout.data)).toEqual({ projectName: 'new-app', status: 'completed_successfully' });
+            expect(await fs.pathExists(pidFile)).toBe(false);
+            expect(mockProcess.listenerCount('SIGINT')).toBe(0);
+        });
+
+        it('should run the loop until a stop signal arrives', async () => {
+            const runPromise = cli.run(['run', '--pid-file', pidFile]);
+            for (let i = 0; i < 100 && !(await fs.pathExists(pidFile)); i++) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            expect(await fs.readFile(pidFile, 'utf8')).toBe('4242');
+
+            mockProcess.emit('SIGTERM', 'SIGTERM');
+
+            expect(await runPromise).toBe(0);
+            expect(mockSystemManager.stop).toHaveBeenCalled();
+            expect(stdout.data).toContain('Orchestration loop stopped.');
+        });
+
+        it('should signal the running loop on stop', async () => {
+            await fs.writeFile(pidFile, '9999');
+
+            expect(await cli.run(['stop', '--pid-file', pidFile])).toBe(0);
+            expect(mockProcess.kill).toHaveBeenCalledWith(9999, 'SIGTERM');
+        });
+
+        it('should read cli.pidFile from the configuration on stop', async () => {
+            await fs.writeFile(pidFile, '9999');
+            const createConfigManager = jest.fn(() => ({ get: key => (key === 'cli.pidFile' ? pidFile : undefined) }));
+            cli = new PlatformCli({ createSystemManager: jest.fn(), createConfigManager, stdout, stderr, processRef: mockProcess });
+
+            expect(await cli.run(['stop', '--config', 'config/custom.yaml'])).toBe(0);
+            expect(createConfigManager).toHaveBeenCalledWith({ defaultConfigPath: path.resolve('config/custom.yaml') });
+            expect(mockProcess.kill).toHaveBeenCalledWith(9999, 'SIGTERM');
+        });
+
+        it('should exit non-zero when a submitted project does not succeed', async () => {
+            for (const status of ['cancelled', 'failed']) {
+                mockSystemManager.submitNewRequest.mockImplementationOnce(async (userInput, projectName) => {
+                    mockSystemManager.activeProjects.set(projectName, { metadata: { status } });
+                });
+                expect(await cli.run(['submit', `${status}-app`, 'Build', 'it', '--pid-file', pidFile])).toBe(1);
+            }
+        });
+
+        it('should refuse to overwrite the PID file of a running loop', async () => {
+            await fs.writeFile(pidFile, '9999');
+
+            expect(await cli.run(['run', '--pid-file', pidFile])).toBe(1);
+
+            expect(mockProcess.kill).toHaveBeenCalledWith(9999, 0);
+            expect(stderr.data).toContain('already running as process 9999');
+            expect(await fs.readFile(pidFile, 'utf8')).toBe('9999');
+            expect(mockSystemManager.start).not.toHaveBeenCalled();
+        });
+
+        it('should replace a stale PID file when starting', async () => {
+            await fs.writeFile(pidFile, '9999');
+            mockProcess.kill.mockImplementation(() => { throw Object.assign(new Error('no such process'), { code: 'ESRCH' }); });
+
+            expect(await cli.run(['submit', 'new-app', 'Build', 'it', '--pid-file', pidFile])).toBe(0);
+            expect(mockSystemManager.start).toHaveBeenCalled();
+        });
+
+        it('should remove stale PID files on stop', async () => {
+            await fs.writeFile(pidFile, '9999');
+            mockProcess.kill.mockImplementation(() => { throw Object.assign(new Error('no such process'), { code: 'ESRCH' }); });
+
+            expect(await cli.run(['stop', '--pid-file', pidFile])).toBe(1);
+            expect(await fs.pathExists(pidFile)).toBe(false);
+        });
+    });
+});
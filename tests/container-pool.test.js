@@ -0,0 +1,150 @@
+// tests/container-pool.test.js
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { ContainerPool } from '../src/core/container-pool.js';
+import { ISOLATION_MODES, LocalProcessSandbox } from '../src/core/local-process-sandbox.js';
+import { createSandboxBackend } from '../src/core/sandbox-backend.js';
+
+function createMockBackend() {
+    let nextId = 1;
+    return {
+        createAndStartContainer: jest.fn(async () => `container-${nextId++}`),
+        executeCommand: jest.fn().mockResolvedValue({ output: '', errorOutput: '', exitCode: 0 }),
+        cleanupContainer: jest.fn().mockResolvedValue(undefined),
+        cleanupAllContainers: jest.fn().mockResolvedValue(undefined),
+        runTests: jest.fn().mockResolvedValue({ output: 'ok', errorOutput: '', exitCode: 0 })
+    };
+}
+
+describe('ContainerPool', () => {
+    let backend;
+    let pool;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        backend = createMockBackend();
+        pool = new ContainerPool(backend, { sizePerImage: 1, maxUses: 2 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should hand out warm containers and refill the pool in the background', async () => {
+        await pool.warm('node:20');
+        expect(backend.createAndStartContainer).toHaveBeenCalledTimes(1);
+
+        const sandbox = pool.wrapBackend();
+        expect(await sandbox.createAndStartContainer('node:20')).toBe('container-1');
+        await Promise.all([...pool.refills]);
+        expect(backend.createAndStartContainer).toHaveBeenCalledTimes(2);
+        expect(pool.getStats()).toMatchObject({ hits: 1, misses: 0, idle: 1, inUse: 1 });
+
+        // Other images and option sets get their own containers
+        expect(await sandbox.createAndStartContainer('python:3.12')).toBe('container-3');
+        expect(await sandbox.createAndStartContainer('node:20', { envVars: ['CI=1'] })).not.toBe('container-2');
+        expect(sandbox.runTests).toBe(backend.runTests);
+    });
+
+    it('should wait for unawaited warm-up fills on drain and remove what they start', async () => {
+        let finishStart;
+        backend.createAndStartContainer.mockImplementationOnce(() => new Promise(resolve => { finishStart = () => resolve('late-container'); }));
+        pool = new ContainerPool(backend, { sizePerImage: 2, images: [{ image: 'node:20', count: 2 }] });
+
+        pool.warmAll();
+        await new Promise(resolve => setImmediate(resolve));
+        expect(backend.createAndStartContainer).toHaveBeenCalledTimes(1);
+        let drained = false;
+        const drain = pool.drain().then(() => { drained = true; });
+        await new Promise(resolve => setImmediate(resolve));
+        expect(drained).toBe(false);
+
+        finishStart();
+        await drain;
+
+        expect(backend.cleanupContainer).toHaveBeenCalledWith('late-container');
+        expect(backend.createAndStartContainer).toHaveBeenCalledTimes(1);
+        expect(pool.containers.size).toBe(0);
+        expect(pool.getStats().idle).toBe(0);
+    });
+
+    it('should reset released containers and reuse them until maxUses', async () => {
+        pool = new ContainerPool(backend, { sizePerImage: 2, maxUses: 2 });
+        const sandbox = pool.wrapBackend();
+        const first = await sandbox.createAndStartContainer('node:20');
+        await Promise.all([...pool.refills]);
+
+        await sandbox.cleanupContainer(first);
+        expect(backend.executeCommand).toHaveBeenCalledWith(first, ['sh', '-c', 'find /sandbox_project -mindepth 1 -delete']);
+        expect(backend.cleanupContainer).not.toHaveBeenCalled();
+        expect(pool.getStats()).toMatchObject({ resets: 1, idle: 2 });
+
+        expect(await sandbox.createAndStartContainer('node:20')).toBe(first);
+        await sandbox.cleanupContainer(first);
+        expect(backend.cleanupContainer).toHaveBeenCalledWith(first, {});
+        expect(pool.getStats()).toMatchObject({ hits: 1, misses: 1, resets: 1, discarded: 1, idle: 1, inUse: 0 });
+    });
+
+    it('should remove containers whose reset fails and never pool mounted ones', async () => {
+        const sandbox = pool.wrapBackend();
+        const mounted = await sandbox.createAndStartContainer('node:20', { volumeMounts: ['/host/session:/sandbox_project'] });
+        expect(pool.refills.size).toBe(0);
+        await sandbox.cleanupContainer(mounted);
+        expect(backend.cleanupContainer).toHaveBeenCalledWith(mounted, {});
+
+        const pooled = await sandbox.createAndStartContainer('node:20');
+        await Promise.all([...pool.refills]);
+        pool.idle.clear();
+        backend.executeCommand.mockResolvedValueOnce({ output: '', errorOutput: 'read-only file system', exitCode: 1 });
+        await sandbox.cleanupContainer(pooled);
+        expect(backend.cleanupContainer).toHaveBeenLastCalledWith(pooled, {});
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('read-only file system'));
+
+        await sandbox.cleanupAllContainers();
+        expect(backend.cleanupAllContainers).toHaveBeenCalled();
+        expect(pool.getStats()).toMatchObject({ idle: 0, inUse: 0 });
+    });
+
+    it('should empty local-process workspaces between subtasks', async () => {
+        const tempHostDir = await fs.mkdtemp(path.join(os.tmpdir(), 'container-pool-test-'));
+        const local = new LocalProcessSandbox({ tempHostDir, isolation: ISOLATION_MODES.NONE });
+        const localPool = new ContainerPool(local, { sizePerImage: 2 });
+        const sandbox = localPool.wrapBackend();
+        try {
+            const containerId = await sandbox.createAndStartContainer();
+            await sandbox.executeCommand(containerId, ['sh', '-c', 'echo stale > leftover.txt']);
+            await sandbox.cleanupContainer(containerId);
+            await Promise.all([...localPool.refills]);
+
+            expect(await sandbox.createAndStartContainer()).toBe(containerId);
+            expect(await sandbox.listRepositoryFiles(containerId, '/sandbox_project')).toEqual([]);
+            const { output } = await sandbox.executeCommand(containerId, ['sh', '-c', 'test -d "$TMPDIR" && echo ok']);
+            expect(output).toBe('ok');
+        } finally {
+            await sandbox.cleanupAllContainers();
+            await fs.remove(tempHostDir);
+        }
+    });
+
+    it('should be enabled through configuration', async () => {
+        const tempHostDir = await fs.mkdtemp(path.join(os.tmpdir(), 'container-pool-test-'));
+        const config = {
+            'sandbox.backend': 'local-process',
+            'sandbox.localProcess': { tempHostDir, isolation: 'none' },
+            'sandbox.pool': { enabled: true, sizePerImage: 1, images: ['default'] }
+        };
+        const sandbox = await createSandboxBackend({ get: (key, defaultValue) => config[key] ?? defaultValue });
+        try {
+            expect(sandbox.containerPool).toBeInstanceOf(ContainerPool);
+            await sandbox.containerPool.warmAll();
+            expect(sandbox.containerPool.getStats().idle).toBe(1);
+        } finally {
+            await sandbox.cleanupAllContainers();
+            await fs.remove(tempHostDir);
+        }
+    });
+});
@@ -0,0 +1,161 @@
+// tests/crash-recovery.test.js
+
+import { jest } from '@jest/globals';
+import { InFlightSubtaskTracker, resumeInterruptedProjects, ShutdownInProgressError } from '../src/core/crash-recovery.js';
+
+describe('Crash recovery', () => {
+    let projectStore;
+    let checkpointStore;
+    let mockProjectPersistence;
+
+    const clone = data => JSON.parse(JSON.stringify(data));
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        projectStore = {};
+        checkpointStore = {};
+        mockProjectPersistence = {
+            saveProject: jest.fn(async (name, data) => { projectStore[name] = clone(data); }),
+            loadProject: jest.fn(async name => (projectStore[name] ? clone(projectStore[name]) : null)),
+            listProjects: jest.fn(async () => [...Object.keys(projectStore), ...Object.keys(checkpointStore)]),
+            createCheckpoint: jest.fn(async (name, checkpointId) => { checkpointStore[`${name}_checkpoint_${checkpointId}`] = clone(projectStore[name]); }),
+            restoreFromCheckpoint: jest.fn(async (name, checkpointId) => { projectStore[name] = clone(checkpointStore[`${name}_checkpoint_${checkpointId}`]); })
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('InFlightSubtaskTracker', () => {
+        let tracker;
+        let projectState;
+
+        beforeEach(() => {
+            tracker = new InFlightSubtaskTracker(mockProjectPersistence, { get: (key, defaultValue) => defaultValue });
+            projectState = {
+                metadata: { status: 'processing_tasks' },
+                execution: { subtasksRemainingIds: ['T1'], subtaskAttempts: { T1: 2 }, lastCheckpointId: 'cp-1' }
+            };
+        });
+
+        it('should persist a write-ahead record before the subtask starts and clear it afterwards', async () => {
+            const execute = jest.fn(async () => {
+                expect(projectStore['web-app'].execution.inFlightSubtasks.T1).toMatchObject({ attempt: 2, checkpointId: 'cp-1' });
+                return { success: true };
+            });
+
+            const result = await tracker.run('web-app', projectState, { id: 'T1' }, execute);
+
+            expect(result).toEqual({ success: true });
+            expect(execute).toHaveBeenCalled();
+            expect(projectState.execution.inFlightSubtasks).toEqual({});
+            expect(tracker.running.size).toBe(0);
+        });
+
+        it('should let running subtasks finish and refuse new ones while draining', async () => {
+            let finish;
+            const runPromise = tracker.run('web-app', projectState, { id: 'T1' }, () => new Promise(resolve => { finish = resolve; }));
+            await new Promise(resolve => setImmediate(resolve));
+
+            const drainPromise = tracker.drain({ timeoutMs: 1000 });
+            await expect(tracker.run('web-app', projectState, { id: 'T2' }, jest.fn())).rejects.toThrow(ShutdownInProgressError);
+            finish({ success: true });
+
+            expect(await drainPromise).toEqual({ finished: 1, interrupted: [] });
+            expect(await runPromise).toEqual({ success: true });
+            expect(mockProjectPersistence.createCheckpoint).not.toHaveBeenCalled();
+        });
+
+        it('should accept subtasks again after a stop and start', async () => {
+            await tracker.drain({ timeoutMs: 10 });
+            await expect(tracker.run('web-app', projectState, { id: 'T1' }, jest.fn())).rejects.toThrow(ShutdownInProgressError);
+
+            tracker.resume();
+
+            expect(await tracker.run('web-app', projectState, { id: 'T1' }, async () => ({ success: true }))).toEqual({ success: true });
+        });
+
+        it('should checkpoint projects whose subtasks outlive the drain timeout', async () => {
+            const execute = tracker.wrap('web-app', projectState, () => new Promise(() => {}));
+            execute({ id: 'T1' });
+            await new Promise(resolve => setImmediate(resolve));
+
+            const { finished, interrupted } = await tracker.drain({ timeoutMs: 5 });
+
+            expect(finished).toBe(0);
+            expect(interrupted).toEqual([{ projectName: 'web-app', subtaskId: 'T1', checkpointId: expect.stringMatching(/^shutdown-/) }]);
+            expect(projectStore['web-app'].execution.lastCheckpointId).toBe(interrupted[0].checkpointId);
+            expect(checkpointStore[`web-app_checkpoint_${interrupted[0].checkpointId}`].execution.inFlightSubtasks.T1).toBeDefined();
+        });
+    });
+
+    describe('resumeInterruptedProjects', () => {
+        let mockSandboxManager;
+
+        beforeEach(() => {
+            mockSandboxManager = { cleanupAllContainers: jest.fn().mockResolvedValue(undefined) };
+        });
+
+        it('should restore interrupted projects from their checkpoint and re-queue in-flight subtasks', async () => {
+            checkpointStore['web-app_checkpoint_cp-1'] = {
+                metadata: { status: 'processing_tasks' },
+                execution: { subtasksRemainingIds: ['T2', 'T3'], subtaskAttempts: { T1: 1 }, lastCheckpointId: 'cp-1' }
+            };
+            projectStore['web-app'] = {
+                metadata: { status: 'processing_tasks' },
+                execution: {
+                    subtasksRemainingIds: ['T2', 'T3'],
+                    subtaskAttempts: { T1: 1, T2: 1 },
+                    lastCheckpointId: 'cp-1',
+                    inFlightSubtasks: { T2: { attempt: 1, checkpointId: 'cp-1' } }
+                }
+            };
+            projectStore['done-app'] = { metadata: { status: 'completed_successfully' }, execution: {} };
+
+            const resumed = await resumeInterruptedProjects(mockProjectPersistence, mockSandboxManager);
+
+            expect(resumed).toHaveLength(1);
+            expect(resumed[0]).toMatchObject({ projectName: 'web-app', interruptedSubtaskIds: ['T2'] });
+            expect(mockProjectPersistence.restoreFromCheckpoint).toHaveBeenCalledWith('web-app', 'cp-1');
+            expect(mockSandboxManager.cleanupAllContainers).toHaveBeenCalledTimes(1);
+
+            const execution = projectStore['web-app'].execution;
+            expect(execution.subtasksRemainingIds).toEqual(['T2', 'T3']);
+            expect(execution.subtaskAttempts).toEqual({ T1: 1, T2: 1 });
+            expect(execution.inFlightSubtasks).toBeUndefined();
+            expect(execution.lastRecovery).toMatchObject({ checkpointId: 'cp-1', interruptedSubtaskIds: ['T2'] });
+        });
+
+        it('should resume from the saved state when no checkpoint exists', async () => {
+            projectStore['new-app'] = {
+                metadata: { status: 'processing_tasks' },
+                execution: { subtasksRemainingIds: [], subtaskAttempts: { T1: 3 }, inFlightSubtasks: { T1: { attempt: 3 } } }
+            };
+
+            const [resumed] = await resumeInterruptedProjects(mockProjectPersistence, mockSandboxManager);
+
+            expect(mockProjectPersistence.restoreFromCheckpoint).not.toHaveBeenCalled();
+            expect(resumed.projectState.execution.subtasksRemainingIds).toEqual(['T1']);
+            expect(resumed.projectState.execution.subtaskAttempts.T1).toBe(3);
+        });
+
+        it('should do nothing when no project was interrupted', async () => {
+            projectStore['done-app'] = { metadata: { status: 'failed' } };
+
+            expect(await resumeInterruptedProjects(mockProjectPersistence, mockSandboxManager)).toEqual([]);
+            expect(mockSandboxManager.cleanupAllContainers).not.toHaveBeenCalled();
+        });
+
+        it('should keep resuming other projects when one cannot be restored', async () => {
+            projectStore.broken = { metadata: { status: 'processing_tasks' }, execution: { lastCheckpointId: 'gone' } };
+            projectStore.fine = { metadata: { status: 'processing_tasks' }, execution: { subtasksRemainingIds: ['T1'] } };
+            mockProjectPersistence.restoreFromCheckpoint.mockRejectedValueOnce(new Error('Checkpoint not found'));
+
+            const resumed = await resumeInterruptedProjects(mockProjectPersistence, mockSandboxManager);
+
+            expect(resumed.map(r => r.projectName)).toEqual(['fine']);
+        });
+    });
+});
@@ -0,0 +1,153 @@
+// tests/debug-tools.test.js
+
+import { jest } from '@jest/globals';
+import {
+    DEBUG_TOOL_DECLARATIONS,
+    DEBUG_TOOL_NAMES,
+    createSandboxDebugTools,
+    runToolLoop
+} from '../src/core/debug-tools.js';
+import { VertexAIProvider } from '../src/core/vertex-provider.js';
+import { OpenAICompatibleProvider } from '../src/core/openai-compatible-provider.js';
+
+const REPO_ROOT = '/sandbox_project/cloned_repo';
+
+describe('Debugging tools', () => {
+    let mockSandboxManager;
+    let tools;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        mockSandboxManager = {
+            readRepositoryFile: jest.fn().mockResolvedValue('export const add = (a, b) => a - b;'),
+            listRepositoryFiles: jest.fn().mockResolvedValue(['src/math.js', 'test/math.test.js']),
+            executeCommand: jest.fn().mockResolvedValue({ exitCode: 0, output: `${REPO_ROOT}/src/math.js:1:export const add`, errorOutput: '' })
+        };
+        tools = createSandboxDebugTools(mockSandboxManager, 'container-1', { maxOutputChars: 40 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('createSandboxDebugTools', () => {
+        it('should run each tool against the sandbox from the repository root', async () => {
+            expect(tools.declarations.map(tool => tool.name)).toEqual(Object.values(DEBUG_TOOL_NAMES));
+
+            await tools.execute(DEBUG_TOOL_NAMES.READ_FILE, { path: 'src/math.js' });
+            expect(mockSandboxManager.readRepositoryFile).toHaveBeenCalledWith('container-1', `${REPO_ROOT}/src/math.js`);
+
+            expect(await tools.execute(DEBUG_TOOL_NAMES.LIST_FILES, {})).toEqual({ directory: '.', files: 'src/math.js\ntest/math.test.js' });
+            expect(mockSandboxManager.listRepositoryFiles).toHaveBeenCalledWith('container-1', REPO_ROOT);
+
+            await tools.execute(DEBUG_TOOL_NAMES.RUN_COMMAND, { command: 'npm test -- math' });
+            expect(mockSandboxManager.executeCommand).toHaveBeenLastCalledWith('container-1', ['sh', '-c', 'npm test -- math'],
+                { timeoutMs: 60000, workingDir: REPO_ROOT });
+
+            expect(await tools.execute(DEBUG_TOOL_NAMES.GREP_WORKSPACE, { pattern: 'add' })).toEqual({ matches: 'src/math.js:1:export const add' });
+            expect(mockSandboxManager.executeCommand.mock.calls.at(-1)[1]).toEqual(expect.arrayContaining(['-e', 'add', '--', REPO_ROOT]));
+        });
+
+        it('should confine paths to the repository and truncate long output', async () => {
+            await expect(tools.execute(DEBUG_TOOL_NAMES.READ_FILE, { path: '../../etc/passwd' }))
+                .rejects.toMatchObject({ code: 'TOOL_PATH_OUTSIDE_REPOSITORY' });
+            await expect(tools.execute('delete_repository', {})).rejects.toMatchObject({ code: 'TOOL_UNKNOWN' });
+
+            mockSandboxManager.readRepositoryFile.mockResolvedValue('x'.repeat(100));
+            const { content } = await tools.execute(DEBUG_TOOL_NAMES.READ_FILE, { path: '/src/big.js' });
+            expect(content).toBe(`${'x'.repeat(40)}\n... [truncated 60 characters]`);
+            expect(mockSandboxManager.readRepositoryFile).toHaveBeenLastCalledWith('container-1', `${REPO_ROOT}/src/big.js`);
+        });
+    });
+
+    describe('runToolLoop', () => {
+        it('should execute requested tools, feed results back and trace each call', async () => {
+            const chat = {
+                sendMessage: jest.fn()
+                    .mockResolvedValueOnce({ text: '', functionCalls: [{ name: DEBUG_TOOL_NAMES.READ_FILE, args: { path: 'src/math.js' } }] })
+                    .mockResolvedValueOnce({ text: '', functionCalls: [{ name: DEBUG_TOOL_NAMES.READ_FILE, args: { path: '../secret' } }] })
+                    .mockResolvedValueOnce({ text: '{"files": [{"path": "src/math.js", "content": "fixed"}]}', functionCalls: [] })
+            };
+            const trace = [{ type: 'attempt', attempt: 1 }];
+
+            const result = await runToolLoop(chat, 'Debug this failure', tools, { trace });
+
+            expect(result).toMatchObject({ text: '{"files": [{"path": "src/math.js", "content": "fixed"}]}', steps: 2 });
+            expect(chat.sendMessage).toHaveBeenNthCalledWith(1, 'Debug this failure');
+            expect(chat.sendMessage.mock.calls[1][0]).toEqual([{
+                name: DEBUG_TOOL_NAMES.READ_FILE,
+                response: { path: 'src/math.js', content: 'export const add = (a, b) => a - b;' }
+            }]);
+            expect(chat.sendMessage.mock.calls[2][0][0].response).toEqual({ error: 'Path "../secret" is outside the repository.' });
+            expect(trace).toHaveLength(3);
+            expect(trace[1]).toMatchObject({ type: 'tool_call', step: 1, tool: DEBUG_TOOL_NAMES.READ_FILE, args: { path: 'src/math.js' }, status: 'ok' });
+            expect(trace[2]).toMatchObject({ step: 2, status: 'error', error: { code: 'TOOL_PATH_OUTSIDE_REPOSITORY' } });
+        });
+
+        it('should enforce the step limit', async () => {
+            const listCall = { text: '', functionCalls: [{ name: DEBUG_TOOL_NAMES.LIST_FILES, args: {} }] };
+            const chat = { sendMessage: jest.fn().mockResolvedValue(listCall) };
+
+            await expect(runToolLoop(chat, 'Debug', tools, { maxSteps: 2 })).rejects.toMatchObject({ code: 'TOOL_LOOP_STEP_LIMIT' });
+            expect(mockSandboxManager.listRepositoryFiles).toHaveBeenCalledTimes(2);
+            expect(chat.sendMessage.mock.calls[3][0][0].response.error).toMatch(/step limit \(2\) reached/);
+
+            chat.sendMessage.mockReset()
+                .mockResolvedValueOnce(listCall)
+                .mockResolvedValueOnce(listCall)
+                .mockResolvedValueOnce({ text: 'final answer', functionCalls: [] });
+            await expect(runToolLoop(chat, 'Debug', tools, { maxSteps: 1 })).resolves.toMatchObject({ text: 'final answer', steps: 1 });
+        });
+
+        it('should stop when the project is cancelled', async () => {
+            const controller = new AbortController();
+            const chat = {
+                sendMessage: jest.fn(async () => {
+                    controller.abort();
+                    return { text: '', functionCalls: [{ name: DEBUG_TOOL_NAMES.LIST_FILES, args: {} }] };
+                })
+            };
+
+            await expect(runToolLoop(chat, 'Debug', tools, { signal: controller.signal })).rejects.toMatchObject({ code: 'PROJECT_CANCELLED' });
+            expect(mockSandboxManager.listRepositoryFiles).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('provider tool chats', () => {
+        it('should run the conversation on the Vertex code-chat model', async () => {
+            const session = {
+                sendMessage: jest.fn()
+                    .mockResolvedValueOnce({
+                        response: {
+                            candidates: [{ content: { parts: [{ functionCall: { name: DEBUG_TOOL_NAMES.RUN_COMMAND, args: { command: 'npm test' } } }] } }],
+                            usageMetadata: { promptTokenCount: 100, candidatesTokenCount: 10, totalTokenCount: 110 }
+                        }
+                    })
+                    .mockResolvedValueOnce({ response: { candidates: [{ content: { parts: [{ text: 'done' }] } }] } })
+            };
+            const codeChat = {
+                modelName: 'codechat-bison',
+                model: { startChat: jest.fn(() => session) },
+                withRetry: jest.fn((operation) => operation())
+            };
+            const provider = new VertexAIProvider({}, { chat: {}, code: {}, codeChat });
+            const onUsage = jest.fn();
+
+            const chat = provider.startToolChat(DEBUG_TOOL_DECLARATIONS, { onUsage });
+            const result = await runToolLoop(chat, 'Debug', tools);
+
+            expect(result.text).toBe('done');
+            expect(codeChat.model.startChat).toHaveBeenCalledWith({ tools: [{ functionDeclarations: DEBUG_TOOL_DECLARATIONS }] });
+            expect(session.sendMessage.mock.calls[1][0]).toEqual([{
+                functionResponse: { name: DEBUG_TOOL_NAMES.RUN_COMMAND, response: { exitCode: 0, output: expect.any(String), errorOutput: '' } }
+            }]);
+            expect(codeChat.withRetry).toHaveBeenCalledWith(expect.any(Function), 'toolChat');
+            expect(onUsage).toHaveBeenCalledWith({ promptTokens: 100, completionTokens: 10, totalTokens: 110, model: 'codechat-bison' });
+        });
+
+        it('should report providers without tool calling as misconfigured', () => {
+            const provider = new OpenAICompatibleProvider({ model: 'llama3' });
+            expect(() => provider.startToolChat(DEBUG_TOOL_DECLARATIONS)).toThrow(/does not support tool calling/);
+        });
+    });
+});
@@ -0,0 +1,129 @@
+// tests/dependency-cache.test.js
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { DependencyCache } from '../src/core/dependency-cache.js';
+
+const PROJECT = '/sandbox_project/cloned_repo';
+const OK = { output: 'installed', errorOutput: '', exitCode: 0 };
+
+describe('DependencyCache', () => {
+    let cacheDir;
+    let files;
+    let backend;
+    let sandbox;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dependency-cache-test-'));
+        files = { [`${PROJECT}/package-lock.json`]: '{"lockfileVersion": 3}', [`${PROJECT}/requirements.txt`]: 'requests==2.32.3' };
+        let nextId = 1;
+        backend = {
+            createAndStartContainer: jest.fn(async () => `container-${nextId++}`),
+            cleanupContainer: jest.fn().mockResolvedValue(undefined),
+            cleanupAllContainers: jest.fn().mockResolvedValue(undefined),
+            readRepositoryFile: jest.fn(async (containerId, filePath) => {
+                if (!(filePath in files)) throw new Error(`ENOENT: ${filePath}`);
+                return files[filePath];
+            }),
+            executeCommand: jest.fn().mockResolvedValue(OK),
+            installNpmDependencies: jest.fn().mockResolvedValue(OK),
+            installPythonDependencies: jest.fn().mockResolvedValue(OK),
+            copyFromContainer: jest.fn(async (containerId, containerPath, hostPath) => {
+                await fs.outputFile(path.join(hostPath, 'marker.txt'), containerPath);
+            }),
+            copyToContainer: jest.fn().mockResolvedValue(undefined)
+        };
+        sandbox = new DependencyCache(backend, { cacheDir, maxEntries: 2 }).wrapBackend();
+    });
+
+    afterEach(async () => {
+        await fs.remove(cacheDir);
+        jest.restoreAllMocks();
+    });
+
+    it('should store node_modules after an install and restore it for the same lockfile', async () => {
+        const first = await sandbox.createAndStartContainer('node:20');
+        expect(await sandbox.installNpmDependencies(first, PROJECT)).toEqual(OK);
+        expect(backend.copyFromContainer).toHaveBeenCalledWith(first, `${PROJECT}/node_modules`, expect.stringContaining(cacheDir));
+
+        const second = await sandbox.createAndStartContainer('node:20');
+        const restored = await sandbox.installNpmDependencies(second, PROJECT);
+
+        expect(restored).toMatchObject({ exitCode: 0, cached: true });
+        expect(backend.installNpmDependencies).toHaveBeenCalledTimes(1);
+        expect(backend.executeCommand).toHaveBeenCalledWith(second, ['rm', '-rf', `${PROJECT}/node_modules`]);
+        expect(backend.copyToContainer).toHaveBeenCalledWith(second, expect.stringMatching(/node_modules$/), `${PROJECT}/node_modules`);
+        expect(sandbox.dependencyCache.getStats()).toMatchObject({ hits: 1, misses: 1 });
+    });
+
+    it('should skip repeated installs in a container until the lockfile changes', async () => {
+        const containerId = await sandbox.createAndStartContainer('node:20');
+        await sandbox.installNpmDependencies(containerId, PROJECT);
+        expect(await sandbox.installNpmDependencies(containerId, PROJECT)).toMatchObject({ exitCode: 0, cached: true });
+        expect(backend.copyToContainer).not.toHaveBeenCalled();
+
+        files[`${PROJECT}/package-lock.json`] = '{"lockfileVersion": 3, "packages": {"node_modules/left-pad": {}}}';
+        await sandbox.installNpmDependencies(containerId, PROJECT);
+        expect(backend.installNpmDependencies).toHaveBeenCalledTimes(2);
+
+        // Cleanup forgets the container, so a reused (pooled) container installs again
+        await sandbox.cleanupContainer(containerId);
+        expect(backend.cleanupContainer).toHaveBeenCalledWith(containerId, undefined);
+        expect(sandbox.dependencyCache.installed.has(containerId)).toBe(false);
+    });
+
+    it('should install without caching when there is no lockfile or the install fails', async () => {
+        delete files[`${PROJECT}/package-lock.json`];
+        const containerId = await sandbox.createAndStartContainer('node:20');
+        await sandbox.installNpmDependencies(containerId, PROJECT, { production: true });
+        expect(backend.installNpmDependencies).toHaveBeenCalledWith(containerId, PROJECT, { production: true });
+
+        files[`${PROJECT}/npm-shrinkwrap.json`] = '{}';
+        backend.installNpmDependencies.mockResolvedValueOnce({ output: '', errorOutput: 'ERESOLVE', exitCode: 1 });
+        expect(await sandbox.installNpmDependencies(containerId, PROJECT)).toMatchObject({ exitCode: 1 });
+        expect(backend.copyFromContainer).not.toHaveBeenCalled();
+        expect(sandbox.dependencyCache.getStats()).toMatchObject({ uncacheable: 1, misses: 1 });
+    });
+
+    it('should build a wheelhouse for pip and install from it offline', async () => {
+        const first = await sandbox.createAndStartContainer('python:3.12');
+        await sandbox.installPythonDependencies(first, PROJECT);
+        expect(backend.executeCommand.mock.calls.map(call => call[1])).toEqual([
+            ['pip', 'wheel', '-r', 'requirements.txt', '-w', '/sandbox_project/.wheelhouse'],
+            ['pip', 'install', '--no-index', '--find-links', '/sandbox_project/.wheelhouse', '-r', 'requirements.txt']
+        ]);
+
+        const second = await sandbox.createAndStartContainer('python:3.12');
+        backend.executeCommand.mockClear();
+        expect(await sandbox.installPythonDependencies(second, PROJECT)).toMatchObject({ cached: true });
+        expect(backend.copyToContainer).toHaveBeenCalledWith(second, expect.stringMatching(/wheelhouse$/), '/sandbox_project/.wheelhouse');
+        expect(backend.executeCommand.mock.calls.at(-1)[1]).toContain('--no-index');
+
+        // Requirements pip cannot build as wheels fall back to a plain install that is not cached
+        files[`${PROJECT}/requirements.txt`] = '-e .';
+        backend.executeCommand.mockResolvedValueOnce({ output: '', errorOutput: 'cannot build', exitCode: 1 });
+        await sandbox.installPythonDependencies(second, PROJECT);
+        expect(backend.installPythonDependencies).toHaveBeenCalledTimes(1);
+        expect(backend.copyFromContainer).toHaveBeenCalledTimes(1);
+    });
+
+    it('should key entries on the image and evict the least recently used', async () => {
+        for (const image of ['node:18', 'node:20', 'node:22']) {
+            const containerId = await sandbox.createAndStartContainer(image);
+            await sandbox.installNpmDependencies(containerId, PROJECT);
+            // Distinct mtimes keep the eviction order deterministic
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+
+        expect(backend.installNpmDependencies).toHaveBeenCalledTimes(3);
+        expect(await fs.readdir(cacheDir)).toHaveLength(2);
+
+        const oldest = await sandbox.createAndStartContainer('node:18');
+        await sandbox.installNpmDependencies(oldest, PROJECT);
+        expect(backend.installNpmDependencies).toHaveBeenCalledTimes(4);
+    });
+});
@@ -0,0 +1,163 @@
+// tests/environment-detector.test.js
+
+import { jest } from '@jest/globals';
+import {
+    EnvironmentDetector,
+    detectEnvironment,
+    executionCommandFor,
+    inferLanguage,
+    versionFromRange
+} from '../src/core/environment-detector.js';
+
+function detect(repo, options) {
+    return detectEnvironment(Object.keys(repo), async name => repo[name], options);
+}
+
+describe('Environment detection', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should resolve runtime versions from ranges', () => {
+        expect(versionFromRange('>=18', '20')).toBe('20');
+        expect(versionFromRange('>=18 <20', '20')).toBe('18');
+        expect(versionFromRange('^18.2.0', '20')).toBe('18');
+        expect(versionFromRange('16 || 18.x', '20')).toBe('18');
+        expect(versionFromRange('>=3.8,<4', '3.12')).toBe('3.12');
+        expect(versionFromRange('^3.11', '3.12')).toBe('3.11');
+        expect(versionFromRange('lts/*', '20')).toBeNull();
+    });
+
+    it('should detect a Node project from package.json, .nvmrc and the lockfile', async () => {
+        const environment = await detect({
+            'package.json': JSON.stringify({
+                engines: { node: '>=16' },
+                scripts: { test: 'jest', lint: 'eslint .', build: 'tsc' }
+            }),
+            '.nvmrc': 'v18.19.0\n',
+            'tsconfig.json': '{}',
+            'pnpm-lock.yaml': '',
+            'src/index.ts': ''
+        });
+
+        expect(environment).toMatchObject({
+            language: 'typescript',
+            runtime: { name: 'node', version: '18', source: '.nvmrc' },
+            packageManager: 'pnpm',
+            commands: {
+                install: ['pnpm', 'install', '--frozen-lockfile'],
+                build: ['pnpm', 'run', 'build'],
+                test: ['pnpm', 'test'],
+                lint: ['pnpm', 'run', 'lint']
+            },
+            image: 'node:18-slim',
+            dockerfile: null
+        });
+
+        const placeholder = await detect({ 'package.json': JSON.stringify({ scripts: { test: 'echo "Error: no test specified" && exit 1' } }), 'package-lock.json': '{}' });
+        expect(placeholder.commands).toMatchObject({ install: ['npm', 'ci'], test: null });
+        expect(placeholder.runtime).toEqual({ name: 'node', version: '20', source: 'default' });
+    });
+
+    it('should detect Python projects and their package manager', async () => {
+        const poetry = await detect({
+            'pyproject.toml': '[tool.poetry]\nname = "svc"\n\n[tool.poetry.dependencies]\npython = "^3.11"\n\n[tool.poetry.group.dev.dependencies]\npytest = "^8"\nruff = "^0.4"\n',
+            'poetry.lock': '',
+            'svc/app.py': ''
+        });
+        expect(poetry).toMatchObject({
+            language: 'python',
+            runtime: { version: '3.11', source: 'pyproject.toml' },
+            packageManager: 'poetry',
+            commands: {
+                install: ['poetry', 'install', '--no-interaction'],
+                test: ['poetry', 'run', 'python', '-m', 'pytest'],
+                lint: ['poetry', 'run', 'ruff', 'check', '.']
+            },
+            image: 'python:3.11-slim'
+        });
+
+        const pip = await detect({ 'requirements.txt': 'flask==3.0\n', '.python-version': '3.10.4\n' }, { images: { python: 'python:{version}-bookworm' } });
+        expect(pip).toMatchObject({
+            runtime: { version: '3.10', source: '.python-version' },
+            commands: { install: ['pip', 'install', '-r', 'requirements.txt'], test: ['python', '-m', 'unittest', 'discover'] },
+            image: 'python:3.10-bookworm'
+        });
+    });
+
+    it('should detect Go, Maven, Gradle and Cargo projects', async () => {
+        expect(await detect({ 'go.mod': 'module example.com/svc\n\ngo 1.21.5\n' })).toMatchObject({
+            language: 'go', runtime: { version: '1.21' }, commands: { test: ['go', 'test', './...'] }, image: 'golang:1.21'
+        });
+        expect(await detect({ 'pom.xml': '<project><properties><maven.compiler.release>21</maven.compiler.release></properties></project>' })).toMatchObject({
+            language: 'java', packageManager: 'maven', commands: { test: ['mvn', '-B', 'test'] }, image: 'maven:3-eclipse-temurin-21'
+        });
+        expect(await detect({ 'build.gradle.kts': 'java { toolchain { languageVersion.set(JavaLanguageVersion.of(17)) } }', gradlew: '' })).toMatchObject({
+            packageManager: 'gradle', commands: { test: ['./gradlew', 'test', '--no-daemon'] }, image: 'gradle:jdk17'
+        });
+        expect(await detect({ 'Cargo.toml': '[package]\nname = "cli"\nrust-version = "1.74"\n' })).toMatchObject({
+            language: 'rust', runtime: { version: '1.74', source: 'Cargo.toml' }, image: 'rust:1.74-slim'
+        });
+    });
+
+    it('should pick the language with the most sources and compose an image for polyglot repositories', async () => {
+        const environment = await detect({
+            'package.json': JSON.stringify({ scripts: { build: 'vite build' } }),
+            'requirements.txt': 'pytest\n',
+            'web/main.js': '',
+            'api/app.py': '',
+            'api/models.py': '',
+            'tests/test_app.py': ''
+        });
+
+        expect(environment.language).toBe('python');
+        expect(environment.languages).toEqual(['python', 'javascript']);
+        expect(environment.commands.test).toEqual(['python', '-m', 'pytest']);
+        expect(environment.dockerfile).toBe([
+            'FROM python:3.12-slim',
+            'USER root',
+            'RUN apt-get update && apt-get install -y --no-install-recommends nodejs npm && rm -rf /var/lib/apt/lists/*'
+        ].join('\n'));
+
+        const unknown = await detect({ 'README.md': '' }, { fallbackImage: 'ubuntu:22.04' });
+        expect(unknown).toMatchObject({ language: null, runtime: null, image: 'ubuntu:22.04', commands: { test: null } });
+    });
+
+    it('should drive subtask language and command inference', async () => {
+        const environment = await detect({ 'go.mod': 'module svc\n\ngo 1.22\n', 'main.go': '' });
+
+        expect(inferLanguage({}, environment)).toBe('go');
+        expect(inferLanguage({ expected_artifacts: [{ type: 'code', path: 'scripts/seed.py' }] }, environment)).toBe('python');
+        expect(inferLanguage({}, null)).toBe('javascript');
+
+        expect(executionCommandFor({ type: 'unit_test' }, environment)).toEqual(['go', 'test', './...']);
+        expect(executionCommandFor({ type: 'build' }, environment)).toEqual(['go', 'build', './...']);
+        expect(executionCommandFor({ type: 'unit_test', language: 'python' }, environment)).toEqual(['python', '-m', 'pytest']);
+        expect(executionCommandFor({ execution_command: ['make', 'check'] }, environment)).toEqual(['make', 'check']);
+        expect(executionCommandFor({ type: 'unit_test', language: 'javascript' }, null)).toEqual(['npm', 'test']);
+    });
+
+    it('should detect the environment of a repository in the sandbox', async () => {
+        const repo = { 'package.json': '{"scripts": {"test": "vitest run"}}', 'yarn.lock': '', 'src/app.js': '' };
+        const sandboxManager = {
+            listRepositoryFiles: jest.fn().mockResolvedValue(Object.keys(repo)),
+            readRepositoryFile: jest.fn(async (containerId, filePath) => repo[filePath.replace('/sandbox_project/cloned_repo/', '')])
+        };
+        const config = { 'sandbox.environmentDetection': { defaultVersions: { node: '22' } }, 'sandbox.baseImage': 'ubuntu:24.04' };
+        const detector = new EnvironmentDetector({ get: (key, defaultValue) => config[key] ?? defaultValue });
+
+        const environment = await detector.detect(sandboxManager, 'container-1', '/sandbox_project/cloned_repo');
+
+        expect(environment).toMatchObject({ language: 'javascript', packageManager: 'yarn', commands: { test: ['yarn', 'test'] }, image: 'node:22-slim' });
+        expect(sandboxManager.readRepositoryFile).toHaveBeenCalledWith('container-1', '/sandbox_project/cloned_repo/package.json');
+
+        config['sandbox.environmentDetection'] = { enabled: false };
+        expect(await new EnvironmentDetector({ get: (key, defaultValue) => config[key] ?? defaultValue })
+            .detect(sandboxManager, 'container-1', '/sandbox_project/cloned_repo')).toBeNull();
+    });
+});
@@ -0,0 +1,201 @@
+// tests/event-stream-server.test.js
+
+import { jest } from '@jest/globals';
+import http from 'http';
+import WebSocket from 'ws';
+import { EventStreamServer } from '../src/api/event-stream-server.js';
+import { SystemEventBus, SystemEventError, SYSTEM_EVENT_TYPES, createSandboxOutputHandler } from '../src/core/system-events.js';
+
+describe('SystemEventBus', () => {
+    let eventBus;
+
+    beforeEach(() => {
+        eventBus = new SystemEventBus();
+    });
+
+    it('should publish typed events with a timestamp', () => {
+        const listener = jest.fn();
+        eventBus.on(SYSTEM_EVENT_TYPES.TASK_UPDATE, listener);
+
+        eventBus.subtaskStarted('proj', { id: 'T1', title: 'Setup', type: 'code_generation' });
+
+        expect(listener).toHaveBeenCalledWith({
+            type: 'task_update',
+            payload: expect.objectContaining({ projectName: 'proj', taskId: 'T1', status: 'started', timestamp: expect.any(String) })
+        });
+    });
+
+    it('should report failed subtasks with the error message', () => {
+        const event = eventBus.subtaskFinished('proj', { id: 'T1' }, { success: false, error: new Error('boom') });
+
+        expect(event.payload.status).toBe('failed');
+        expect(event.payload.details.error).toBe('boom');
+    });
+
+    it('should reject unknown event types', () => {
+        expect(() => eventBus.publish('not_a_type', {})).toThrow(SystemEventError);
+    });
+
+    it('should isolate publishers from failing listeners', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const healthyListener = jest.fn();
+        eventBus.on('event', () => { throw new Error('listener bug'); });
+        eventBus.on('event', healthyListener);
+
+        expect(() => eventBus.notify('info', 'hello')).not.toThrow();
+        expect(healthyListener).toHaveBeenCalled();
+        console.error.mockRestore();
+    });
+
+    it('should convert sandbox output chunks into events', () => {
+        const listener = jest.fn();
+        eventBus.on(SYSTEM_EVENT_TYPES.SANDBOX_OUTPUT, listener);
+        const onOutput = createSandboxOutputHandler(eventBus, 'proj', 'T1');
+
+        onOutput('stderr', Buffer.from('warning: x'));
+        onOutput('stdout', '');
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0].payload).toMatchObject({ stream: 'stderr', content: 'warning: x', taskId: 'T1' });
+    });
+});
+
+describe('EventStreamServer', () => {
+    let eventBus;
+    let httpServer;
+    let eventStream;
+    let wsUrl;
+    const clients = [];
+
+    const connect = async (query = '') => {
+        const ws = new WebSocket(`${wsUrl}${query}`);
+        ws.received = [];
+        ws.on('message', data => ws.received.push(JSON.parse(data.toString())));
+        clients.push(ws);
+        await new Promise((resolve, reject) => { ws.once('open', resolve); ws.once('error', reject); });
+        return ws;
+    };
+
+    const waitForMessages = async (ws, count) => {
+        for (let i = 0; i < 100 && ws.received.length < count; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        return ws.received;
+    };
+
+    const sendAndAck = async (ws, message) => {
+        const expected = ws.received.length + 1;
+        ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+        return (await waitForMessages(ws, expected))[expected - 1];
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        eventBus = new SystemEventBus();
+        httpServer = http.createServer();
+        eventStream = new EventStreamServer(eventBus, { heartbeatIntervalMs: 0 });
+        eventStream.attach(httpServer);
+        await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+        wsUrl = `ws://127.0.0.1:${httpServer.address().port}/api/ws`;
+    });
+
+    afterEach(async () => {
+        clients.splice(0).forEach(ws => ws.close());
+        await eventStream.close();
+        await new Promise(resolve => httpServer.close(resolve));
+        console.log.mockRestore();
+    });
+
+    it('should only relay events for subscribed projects', async () => {
+        const ws = await connect();
+        const ack = await sendAndAck(ws, { type: 'subscribe_project', payload: { projectName: 'alpha' } });
+        expect(ack.type).toBe('subscribe_project_ack');
+
+        eventBus.projectStatusChanged('beta', 'processing_tasks');
+        eventBus.projectStatusChanged('alpha', 'processing_tasks');
+
+        const messages = await waitForMessages(ws, 2);
+        expect(messages[1]).toMatchObject({ type: 'project_status_update', payload: { projectName: 'alpha', status: 'processing_tasks' } });
+        expect(messages).toHaveLength(2);
+    });
+
+    it('should filter by event type and support partial unsubscribe', async () => {
+        const ws = await connect();
+        await sendAndAck(ws, { type: 'subscribe_project', payload: { projectName: 'alpha', events: ['task_update', 'sandbox_output'] } });
+        const ack = await sendAndAck(ws, { type: 'unsubscribe_project', payload: { projectName: 'alpha', events: ['task_update'] } });
+        expect(ack.payload.events).toEqual(['sandbox_output']);
+
+        eventBus.subtaskStarted('alpha', { id: 'T1' });
+        eventBus.debugAttempt('alpha', 'T1', 1);
+        eventBus.sandboxOutput('alpha', 'T1', 'stdout', 'hello');
+
+        const messages = await waitForMessages(ws, 3);
+        expect(messages.slice(2).map(m => m.type)).toEqual(['sandbox_output']);
+    });
+
+    it('should accept initial subscriptions and wildcard projects from the URL', async () => {
+        const ws = await connect('?projects=*');
+
+        eventBus.debugAttempt('any-project', 'T9', 2, { errorMessage: 'SyntaxError' });
+
+        const [message] = await waitForMessages(ws, 1);
+        expect(message).toMatchObject({ type: 'debug_attempt', payload: { projectName: 'any-project', attemptNumber: 2 } });
+    });
+
+    it('should broadcast system notifications to every client', async () => {
+        const ws = await connect();
+
+        eventBus.notify('warning', 'Vertex AI quota low');
+
+        const [message] = await waitForMessages(ws, 1);
+        expect(message).toMatchObject({ type: 'system_notification', payload: { level: 'warning' } });
+    });
+
+    it('should answer malformed messages with an error event', async () => {
+        const ws = await connect();
+
+        const invalidJson = await sendAndAck(ws, 'not json');
+        const invalidEvents = await sendAndAck(ws, { type: 'subscribe_project', payload: { projectName: 'alpha', events: ['bogus'] } });
+
+        expect(invalidJson).toMatchObject({ type: 'error', payload: { code: 'WS_INVALID_MESSAGE' } });
+        expect(invalidEvents).toMatchObject({ type: 'error', payload: { code: 'WS_INVALID_MESSAGE' } });
+    });
+
+    it('should reject null and non-object payloads without crashing', async () => {
+        const ws = await connect();
+
+        const nullPayload = await sendAndAck(ws, { type: 'subscribe_project', payload: null });
+        const stringPayload = await sendAndAck(ws, { type: 'unsubscribe_project', payload: 'alpha' });
+        const nullMessage = await sendAndAck(ws, 'null');
+
+        expect(nullPayload).toMatchObject({ type: 'error', payload: { code: 'WS_INVALID_MESSAGE' } });
+        expect(stringPayload).toMatchObject({ type: 'error', payload: { code: 'WS_INVALID_MESSAGE' } });
+        expect(nullMessage).toMatchObject({ type: 'error', payload: { code: 'WS_UNKNOWN_MESSAGE_TYPE' } });
+
+        const ack = await sendAndAck(ws, { type: 'subscribe_project', payload: { projectName: 'alpha' } });
+        expect(ack.type).toBe('subscribe_project_ack');
+    });
+
+    it('should answer with an error event when handling a message throws', async () => {
+        const ws = await connect();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(eventStream, '_subscribe').mockImplementation(() => { throw new Error('boom'); });
+
+        const reply = await sendAndAck(ws, { type: 'subscribe_project', payload: { projectName: 'alpha' } });
+
+        expect(reply).toMatchObject({ type: 'error', payload: { code: 'WS_INTERNAL_ERROR' } });
+        eventStream._subscribe.mockRestore();
+        console.warn.mockRestore();
+    });
+
+    it('should stop relaying after the client disconnects', async () => {
+        const ws = await connect('?projects=alpha');
+        ws.close();
+        for (let i = 0; i < 100 && eventStream.subscriptions.size > 0; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        expect(eventStream.subscriptions.size).toBe(0);
+        expect(() => eventBus.projectStatusChanged('alpha', 'failed')).not.toThrow();
+    });
+});
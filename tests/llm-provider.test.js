@@ -0,0 +1,299 @@
+// tests/llm-provider.test.js
+
+import { jest } from '@jest/globals';
+import http from 'http';
+import {
+    LLMProvider,
+    LLMProviderError,
+    LLM_ROLES,
+    classifyLLMError,
+    createLLMProvider,
+    fromVertexError,
+    registerLLMProvider
+} from '../src/core/llm-provider.js';
+import { VertexAIProvider } from '../src/core/vertex-provider.js';
+import { OpenAICompatibleProvider } from '../src/core/openai-compatible-provider.js';
+import { PlatformError } from '../src/core/error-utils.js';
+
+describe('LLM providers', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('provider-neutral errors', () => {
+        it('should map Vertex AI codes and messages onto the neutral family', () => {
+            const vertexError = new PlatformError('Quota exceeded', 'VERTEX_RATE_LIMIT', { model: 'gemini-pro' }, null, 'TRANSIENT');
+
+            const error = fromVertexError(vertexError, { role: 'chat' });
+
+            expect(error).toBeInstanceOf(LLMProviderError);
+            expect(error).toMatchObject({ code: 'LLM_RATE_LIMIT', severity: 'RETRYABLE_TRANSIENT', provider: 'vertex', providerCode: 'VERTEX_RATE_LIMIT' });
+            expect(error.context).toMatchObject({ model: 'gemini-pro', role: 'chat' });
+            expect(error.originalError).toBe(vertexError);
+            expect(fromVertexError(new Error('Input token count exceeds the limit')).code).toBe('LLM_TOKEN_LIMIT');
+            expect(fromVertexError(new Error('boom')).code).toBe('LLM_GENERIC');
+        });
+
+        it('should classify neutral errors like their Vertex counterparts', () => {
+            expect(classifyLLMError(new LLMProviderError('Slow down', 'LLM_RATE_LIMIT', { provider: 'openai-compatible' }))).toEqual({
+                classifiedType: 'LLM_RATE_LIMIT',
+                severity: 'RETRYABLE_TRANSIENT',
+                isRetryable: true,
+                suggestedAction: 'RETRY_SUBTASK_AS_IS',
+                details: 'Slow down (openai-compatible)'
+            });
+            expect(classifyLLMError(new LLMProviderError('Too long', 'LLM_TOKEN_LIMIT', { maxTokens: 10 }))).toMatchObject({
+                suggestedAction: 'RETRY_SUBTASK_MODIFIED',
+                details: expect.stringContaining('Consider summarizing')
+            });
+            expect(classifyLLMError(new LLMProviderError('Bad key', 'LLM_AUTH_ERROR')).suggestedAction).toBe('HALT');
+        });
+    });
+
+    describe('LLMProvider', () => {
+        class EchoProvider extends LLMProvider {
+            constructor() {
+                super('echo');
+                this.generateText = jest.fn(async (prompt, options) => `[${options.role}] \`\`\`js\nconsole.log(1);\n\`\`\``);
+            }
+        }
+
+        it('should expose role models with the Vertex model surface', async () => {
+            const provider = new EchoProvider();
+            const chatModel = provider.getModel(LLM_ROLES.CHAT);
+
+            expect(await chatModel.generateText('hi', { temperature: 0 })).toContain('[chat]');
+            expect(provider.generateText).toHaveBeenCalledWith('hi', { temperature: 0, role: 'chat' });
+            expect(await provider.getModel(LLM_ROLES.CODE).generateCode('log 1')).toBe('console.log(1);');
+            expect(await provider.getModel(LLM_ROLES.CODE_CHAT).reviewCode('x')).toMatchObject({ type: 'review', review: expect.stringContaining('[codeChat]') });
+            expect((await provider.debugCode('x', 'TypeError')).type).toBe('debug');
+            expect(() => provider.getModel('vision')).toThrow(LLMProviderError);
+        });
+
+        it('should fall back to a single chunk when the backend does not stream', async () => {
+            const provider = new EchoProvider();
+            const events = [];
+
+            for await (const event of provider.getModel(LLM_ROLES.CODE).streamCode('log 1')) events.push(event);
+
+            expect(events).toEqual([
+                { type: 'chunk', text: expect.stringContaining('[code]') },
+                { type: 'done', text: expect.stringContaining('[code]'), usage: null, finishReason: null, code: 'console.log(1);' }
+            ]);
+        });
+
+        it('should create the configured provider', async () => {
+            registerLLMProvider('echo', () => new EchoProvider());
+            const config = { 'llm.provider': 'echo' };
+            const configManager = { get: (key, defaultValue) => config[key] ?? defaultValue };
+
+            expect((await createLLMProvider(configManager)).name).toBe('echo');
+
+            config['llm.provider'] = 'nope';
+            await expect(createLLMProvider(configManager)).rejects.toMatchObject({ code: 'LLM_CONFIGURATION_ERROR' });
+        });
+    });
+
+    describe('VertexAIProvider', () => {
+        it('should delegate to the per-role Vertex models and wrap their errors', async () => {
+            const models = {
+                chat: { generateText: jest.fn().mockResolvedValue('plan') },
+                code: { generateCode: jest.fn().mockResolvedValue('const a = 1;') },
+                codeChat: {
+                    generateText: jest.fn().mockResolvedValue('fix'),
+                    reviewCode: jest.fn().mockRejectedValue(new PlatformError('Model unavailable', 'VERTEX_MODEL_UNAVAILABLE'))
+                }
+            };
+            const provider = new VertexAIProvider({}, models);
+
+            expect(await provider.getModel('chat').generateText('p', { temperature: 0.1 })).toBe('plan');
+            expect(models.chat.generateText).toHaveBeenCalledWith('p', { temperature: 0.1 });
+            expect(await provider.getModel('codeChat').generateText('q')).toBe('fix');
+            expect(await provider.generateCode('c', { language: 'javascript' })).toBe('const a = 1;');
+            await expect(provider.reviewCode('x')).rejects.toMatchObject({ code: 'LLM_UNAVAILABLE', context: expect.objectContaining({ role: 'codeChat', operation: 'reviewCode' }) });
+        });
+
+        it('should report token usage of one-shot calls from the SDK responses', async () => {
+            const sdkResponse = text => ({
+                response: {
+                    candidates: [{ content: { parts: [{ text }] } }],
+                    usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 8, totalTokenCount: 20 }
+                }
+            });
+            // Stands in for VertexAIBaseModel: its methods call this.model.generateContent()
+            const roleModel = modelName => ({
+                modelName,
+                model: { generateContent: jest.fn(async () => sdkResponse('ok')) },
+                async generateText(prompt) {
+                    const result = await this.model.generateContent({ contents: [{ role: 'user', parts: [{ text: prompt }] }] });
+                    return result.response.candidates[0].content.parts[0].text;
+                },
+                async debugCode(code, error) {
+                    await this.generateText(`${code}\n${error}`);
+                    return { type: 'debug', debug: 'ok' };
+                }
+            });
+            const models = { chat: roleModel('gemini-pro'), code: roleModel('code-bison'), codeChat: roleModel('codechat-bison') };
+            const provider = new VertexAIProvider({}, models);
+            const onUsage = jest.fn();
+
+            expect(await provider.getModel('chat').generateText('p', { temperature: 0, onUsage })).toBe('ok');
+            expect(await provider.debugCode('x', 'TypeError', { onUsage })).toMatchObject({ type: 'debug' });
+
+            expect(onUsage.mock.calls).toEqual([
+                [{ promptTokens: 12, completionTokens: 8, totalTokens: 20, model: 'gemini-pro' }],
+                [{ promptTokens: 12, completionTokens: 8, totalTokens: 20, model: 'codechat-bison' }]
+            ]);
+            expect(await provider.generateText('q')).toBe('ok');
+            expect(onUsage).toHaveBeenCalledTimes(2);
+        });
+
+        it('should stream from the role models\' SDK models and wrap stream errors', async () => {
+            const streamResult = (chunks, failAfter) => ({
+                stream: (async function* () {
+                    for (let i = 0; i < chunks.length; i++) {
+                        if (i === failAfter) throw new Error('Quota exceeded');
+                        yield { candidates: [{ content: { parts: [{ text: chunks[i] }] } }] };
+                    }
+                })(),
+                response: Promise.resolve({ usageMetadata: { promptTokenCount: 3, candidatesTokenCount: 2, totalTokenCount: 5 } })
+            });
+            const models = {
+                chat: {
+                    modelName: 'gemini-pro',
+                    model: { generateContentStream: jest.fn(async () => streamResult(['pl', 'an'])) },
+                    withRetry: jest.fn((operation) => operation())
+                },
+                code: {
+                    model: { generateContentStream: jest.fn(async () => streamResult(['```js\nx', '```'], 1)) },
+                    wrapError: jest.fn(error => new PlatformError(error.message, 'VERTEX_RATE_LIMIT'))
+                },
+                codeChat: { generateText: jest.fn().mockResolvedValue('fix') }
+            };
+            const provider = new VertexAIProvider({}, models);
+            const onUsage = jest.fn();
+            const events = [];
+
+            for await (const event of provider.getModel('chat').streamText('p', { temperature: 0, systemInstruction: 'Be brief', onUsage })) events.push(event);
+            expect(models.chat.model.generateContentStream).toHaveBeenCalledWith({
+                contents: [{ role: 'user', parts: [{ text: 'p' }] }],
+                generationConfig: { temperature: 0 },
+                systemInstruction: { role: 'system', parts: [{ text: 'Be brief' }] }
+            });
+            expect(models.chat.withRetry).toHaveBeenCalledWith(expect.any(Function), 'streamText');
+            expect(events).toEqual([
+                { type: 'chunk', text: 'pl' },
+                { type: 'chunk', text: 'an' },
+                { type: 'done', text: 'plan', usage: { promptTokens: 3, completionTokens: 2, totalTokens: 5 }, finishReason: null }
+            ]);
+            expect(onUsage).toHaveBeenCalledWith({ promptTokens: 3, completionTokens: 2, totalTokens: 5, model: 'gemini-pro' });
+
+            const codeStream = provider.streamCode('c', { language: 'javascript' });
+            expect((await codeStream.next()).value).toEqual({ type: 'chunk', text: '```js\nx' });
+            await expect(codeStream.next()).rejects.toMatchObject({ code: 'LLM_RATE_LIMIT', context: expect.objectContaining({ role: 'code' }) });
+            expect(models.code.model.generateContentStream.mock.calls[0][0].contents[0].parts[0].text).toMatch(/^Write javascript code/);
+
+            const fallback = [];
+            for await (const event of provider.streamText('q', { role: 'codeChat' })) fallback.push(event);
+            expect(fallback.map(e => e.type)).toEqual(['chunk', 'done']);
+        });
+    });
+
+    describe('OpenAICompatibleProvider', () => {
+        let server;
+        let baseUrl;
+        let handler;
+        let requests;
+
+        beforeEach(async () => {
+            requests = [];
+            server = http.createServer((req, res) => {
+                let data = '';
+                req.on('data', chunk => { data += chunk; });
+                req.on('end', () => {
+                    requests.push({ url: req.url, headers: req.headers, body: JSON.parse(data) });
+                    handler(req, res);
+                });
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        const respond = (status, body) => (req, res) => {
+            res.writeHead(status, { 'content-type': 'application/json' });
+            res.end(typeof body === 'string' ? body : JSON.stringify(body));
+        };
+
+        it('should call chat completions with per-role models', async () => {
+            handler = respond(200, { choices: [{ message: { role: 'assistant', content: '```python\nprint(1)\n```' } }] });
+            const provider = new OpenAICompatibleProvider({ baseUrl: `${baseUrl}/`, apiKey: 'sk-local', model: 'llama3', models: { code: 'qwen-coder' }, temperature: 0.2 });
+
+            expect(await provider.generateText('Hello', { systemInstruction: 'Be brief' })).toBe('```python\nprint(1)\n```');
+            expect(await provider.getModel(LLM_ROLES.CODE).generateCode('print 1', { language: 'python' })).toBe('print(1)');
+
+            expect(requests[0]).toMatchObject({
+                url: '/v1/chat/completions',
+                headers: expect.objectContaining({ authorization: 'Bearer sk-local' }),
+                body: { model: 'llama3', temperature: 0.2, messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hello' }] }
+            });
+            expect(requests[1].body.model).toBe('qwen-coder');
+        });
+
+        it('should report token usage', async () => {
+            handler = respond(200, { model: 'llama3:8b', choices: [{ message: { content: 'hi' } }], usage: { prompt_tokens: 7, completion_tokens: 2, total_tokens: 9 } });
+            const provider = new OpenAICompatibleProvider({ baseUrl, model: 'llama3' });
+            const onUsage = jest.fn();
+
+            await provider.generateText('Hello', { onUsage });
+
+            expect(onUsage).toHaveBeenCalledWith({ promptTokens: 7, completionTokens: 2, totalTokens: 9, model: 'llama3:8b' });
+        });
+
+        it('should map HTTP failures onto neutral error codes', async () => {
+            const provider = new OpenAICompatibleProvider({ baseUrl, model: 'llama3' });
+
+            handler = respond(429, { error: { message: 'Rate limit reached', type: 'rate_limit' } });
+            await expect(provider.generateText('x')).rejects.toMatchObject({ code: 'LLM_RATE_LIMIT', providerCode: 'rate_limit', context: expect.objectContaining({ httpStatus: 429 }) });
+
+            handler = respond(400, { error: { message: "This model's maximum context length is 4096 tokens", code: 'context_length_exceeded' } });
+            await expect(provider.generateText('x')).rejects.toMatchObject({ code: 'LLM_TOKEN_LIMIT' });
+
+            handler = respond(401, { error: { message: 'Invalid API key' } });
+            await expect(provider.generateText('x')).rejects.toMatchObject({ code: 'LLM_AUTH_ERROR', severity: 'FATAL' });
+
+            handler = respond(502, 'Bad gateway');
+            await expect(provider.generateText('x')).rejects.toMatchObject({ code: 'LLM_UNAVAILABLE', message: 'Bad gateway' });
+
+            handler = respond(200, { choices: [] });
+            await expect(provider.generateText('x')).rejects.toMatchObject({ code: 'LLM_INVALID_RESPONSE' });
+        });
+
+        it('should report unreachable servers, timeouts and cancellation', async () => {
+            const unreachable = new OpenAICompatibleProvider({ baseUrl: 'http://127.0.0.1:1/v1', model: 'llama3' });
+            await expect(unreachable.generateText('x')).rejects.toMatchObject({ code: 'LLM_UNAVAILABLE' });
+
+            handler = () => {}; // Never responds
+            const slow = new OpenAICompatibleProvider({ baseUrl, model: 'llama3', timeoutMs: 20 });
+            await expect(slow.generateText('x')).rejects.toMatchObject({ code: 'LLM_TIMEOUT' });
+
+            const controller = new AbortController();
+            const reason = new Error('cancelled');
+            const pending = slow.generateText('x', { signal: controller.signal });
+            controller.abort(reason);
+            await expect(pending).rejects.toBe(reason);
+            server.closeAllConnections();
+        });
+
+        it('should require a model name', () => {
+            expect(() => new OpenAICompatibleProvider({ baseUrl })).toThrow('requires "model"');
+        });
+    });
+});
@@ -0,0 +1,158 @@
+// tests/local-process-sandbox.test.js
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { ISOLATION_MODES, LocalProcessSandbox } from '../src/core/local-process-sandbox.js';
+import { SANDBOX_BACKEND_METHODS, createSandboxBackend, missingSandboxMethods } from '../src/core/sandbox-backend.js';
+import { CommandTimeoutError, FileSystemError, SecurityViolationError } from '../src/core/sandbox-errors.js';
+
+describe('LocalProcessSandbox', () => {
+    let tempHostDir;
+    let sandbox;
+    let containerId;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        tempHostDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-sandbox-test-'));
+        sandbox = new LocalProcessSandbox({ tempHostDir, isolation: ISOLATION_MODES.NONE });
+        containerId = await sandbox.createAndStartContainer('ignored', { envVars: ['PROJECT=demo'] });
+    });
+
+    afterEach(async () => {
+        await sandbox.cleanupAllContainers();
+        await fs.remove(tempHostDir);
+        jest.restoreAllMocks();
+    });
+
+    it('should implement the sandbox backend interface', () => {
+        expect(missingSandboxMethods(sandbox)).toEqual([]);
+        expect(missingSandboxMethods({ executeCommand() {} })).toHaveLength(SANDBOX_BACKEND_METHODS.length - 1);
+    });
+
+    it('should run commands in the workspace with a scrubbed environment', async () => {
+        process.env.LOCAL_SANDBOX_TEST_SECRET = 'do-not-leak';
+        try {
+            const result = await sandbox.executeCommand(containerId,
+                ['sh', '-c', 'pwd; echo "$PROJECT $EXTRA ${LOCAL_SANDBOX_TEST_SECRET:-scrubbed}"; echo oops >&2; exit 3'],
+                { envVars: ['EXTRA=1'] });
+
+            expect(result).toEqual({ output: '/sandbox_project\ndemo 1 scrubbed', errorOutput: 'oops', exitCode: 3 });
+        } finally {
+            delete process.env.LOCAL_SANDBOX_TEST_SECRET;
+        }
+    });
+
+    it('should map /sandbox_project paths onto the workspace', async () => {
+        await sandbox.executeCommand(containerId, ['sh', '-c', 'mkdir -p src && echo "export {}" > /sandbox_project/src/index.js']);
+
+        expect(await sandbox.readRepositoryFile(containerId, '/sandbox_project/src/index.js')).toBe('export {}\n');
+        expect(await sandbox.listRepositoryFiles(containerId, '/sandbox_project')).toEqual(['src/index.js']);
+        const { output } = await sandbox.executeCommand(containerId, ['ls', '/sandbox_project/src'], { workingDir: '/sandbox_project/src' });
+        expect(output).toBe('index.js');
+
+        await expect(sandbox.readRepositoryFile(containerId, '/sandbox_project/../etc/passwd')).rejects.toThrow(SecurityViolationError);
+        await expect(sandbox.readRepositoryFile(containerId, '/sandbox_project/missing.js')).rejects.toThrow(FileSystemError);
+        await expect(sandbox.executeCommand(containerId, ['true'], { workingDir: '/etc' })).rejects.toThrow(SecurityViolationError);
+    });
+
+    it('should not follow symlinks out of the workspace', async () => {
+        const outside = path.join(tempHostDir, 'host-secret.txt');
+        await fs.writeFile(outside, 'host only');
+        await sandbox.executeCommand(containerId, ['sh', '-c', `ln -s ${outside} /sandbox_project/leak && ln -s ${tempHostDir} /sandbox_project/hostdir`
+            + ' && echo inside > /sandbox_project/real.txt && ln -s real.txt /sandbox_project/alias.txt']);
+
+        await expect(sandbox.readRepositoryFile(containerId, '/sandbox_project/leak')).rejects.toThrow(SecurityViolationError);
+        await expect(sandbox.listRepositoryFiles(containerId, '/sandbox_project/hostdir')).rejects.toThrow(SecurityViolationError);
+        await expect(sandbox.copyFromContainer(containerId, '/sandbox_project/leak', path.join(tempHostDir, 'copy.txt'))).rejects.toThrow(SecurityViolationError);
+        await expect(sandbox.copyToContainer(containerId, outside, '/sandbox_project/hostdir/new/file.txt')).rejects.toThrow(SecurityViolationError);
+        expect(await fs.pathExists(path.join(tempHostDir, 'new'))).toBe(false);
+        expect(await sandbox.readRepositoryFile(containerId, '/sandbox_project/alias.txt')).toBe('inside\n');
+    });
+
+    it('should kill commands that time out and apply ulimits', async () => {
+        await expect(sandbox.executeCommand(containerId, ['sleep', '5'], { timeoutMs: 200 })).rejects.toThrow(CommandTimeoutError);
+
+        const limited = new LocalProcessSandbox({ tempHostDir, isolation: ISOLATION_MODES.NONE, ulimits: { openFiles: 64 } });
+        const limitedId = await limited.createAndStartContainer();
+        const { output } = await limited.executeCommand(limitedId, ['sh', '-c', 'ulimit -n']);
+        expect(output).toBe('64');
+        await limited.cleanupAllContainers();
+    });
+
+    it('should copy files in and out and remove the workspace on cleanup', async () => {
+        const hostFile = path.join(tempHostDir, 'input.txt');
+        await fs.writeFile(hostFile, 'hello');
+        await sandbox.copyToContainer(containerId, hostFile, '/sandbox_project/data/input.txt');
+        await sandbox.executeCommand(containerId, ['sh', '-c', 'tr a-z A-Z < data/input.txt > data/output.txt']);
+        await sandbox.copyFromContainer(containerId, '/sandbox_project/data/output.txt', path.join(tempHostDir, 'output.txt'));
+        expect(await fs.readFile(path.join(tempHostDir, 'output.txt'), 'utf8')).toBe('HELLO');
+
+        const { workspace } = sandbox.activeContainers.get(containerId);
+        await sandbox.cleanupContainer(containerId);
+        expect(await fs.pathExists(workspace)).toBe(false);
+        await expect(sandbox.executeCommand(containerId, ['true'])).rejects.toThrow(/not found or not active/);
+    });
+
+    it('should warn that networkAccess: false is not enforced without isolation', () => {
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('networkAccess: false is NOT enforced'));
+        console.warn.mockClear();
+
+        new LocalProcessSandbox({ tempHostDir, isolation: ISOLATION_MODES.NONE, networkAccess: true });
+        new LocalProcessSandbox({ tempHostDir, isolation: ISOLATION_MODES.BUBBLEWRAP });
+
+        expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('should remove the workspace when copying a volume mount fails', async () => {
+        const before = await fs.readdir(tempHostDir);
+
+        await expect(sandbox.createAndStartContainer('ignored', { volumeMounts: [`${path.join(tempHostDir, 'missing')}:/sandbox_project/data`] }))
+            .rejects.toThrow(FileSystemError);
+
+        expect(await fs.readdir(tempHostDir)).toEqual(before);
+        expect(sandbox.activeContainers.size).toBe(1);
+    });
+
+    it('should remove the workspace when git clone cannot be run', async () => {
+        const before = await fs.readdir(tempHostDir);
+        jest.spyOn(sandbox, 'executeCommand').mockRejectedValueOnce(new CommandTimeoutError('Command timed out after 10ms'));
+
+        await expect(sandbox.cloneRepository('https://example.com/repo.git')).rejects.toThrow(CommandTimeoutError);
+
+        expect(await fs.readdir(tempHostDir)).toEqual(before);
+        expect(sandbox.activeContainers.size).toBe(1);
+    });
+
+    it('should only clone HTTPS repositories', async () => {
+        await expect(sandbox.cloneRepository('git@github.com:user/repo.git')).rejects.toThrow(SecurityViolationError);
+        await expect(sandbox.cloneRepository('file:///etc')).rejects.toThrow(SecurityViolationError);
+    });
+
+    it('should mount the workspace at /sandbox_project under bubblewrap', () => {
+        const isolated = new LocalProcessSandbox({ tempHostDir, isolation: ISOLATION_MODES.BUBBLEWRAP, networkAccess: false });
+        const container = { workspace: '/tmp/ws-1', env: [], processes: new Set() };
+
+        const { file, args } = isolated._commandLine(container, ['npm', 'test'], '/sandbox_project/cloned_repo', false);
+
+        expect(file).toBe('bwrap');
+        expect(args).toEqual(expect.arrayContaining(['--unshare-all', '--bind', '/tmp/ws-1', '/sandbox_project', '--chdir', '/sandbox_project/cloned_repo']));
+        expect(args).not.toContain('--share-net');
+        expect(args.slice(-2)).toEqual(['npm', 'test']);
+    });
+
+    it('should be selected through configuration', async () => {
+        const config = { 'sandbox.backend': 'local-process', 'sandbox.localProcess': { tempHostDir, isolation: 'none' } };
+        const configManager = { get: (key, defaultValue) => config[key] ?? defaultValue };
+
+        const backend = await createSandboxBackend(configManager);
+        expect(backend).toBeInstanceOf(LocalProcessSandbox);
+        expect(backend.isolation).toBe(ISOLATION_MODES.NONE);
+
+        config['sandbox.backend'] = 'firecracker';
+        await expect(createSandboxBackend(configManager)).rejects.toThrow(/Unknown sandbox backend "firecracker"/);
+        expect(() => new LocalProcessSandbox({ tempHostDir, isolation: 'chroot' })).toThrow(/Unknown isolation mode/);
+    });
+});
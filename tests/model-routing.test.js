@@ -0,0 +1,135 @@
+// tests/model-routing.test.js
+
+import { jest } from '@jest/globals';
+import { FALLBACK_TRIGGERS, ModelRouter, fallbackTriggerFor } from '../src/core/model-routing.js';
+import { LLMProviderError, LLM_ERROR_CODES } from '../src/core/llm-provider.js';
+import { PromptBudgeter } from '../src/core/prompt-budget.js';
+import { TokenBudgetExceededError } from '../src/core/token-budget.js';
+
+describe('ModelRouter', () => {
+    let config;
+    let configManager;
+    let clients;
+    let modelFactory;
+    let learningSystem;
+
+    const fakeClient = (name) => ({
+        generateText: jest.fn(async () => `${name} text`),
+        generateCode: jest.fn(async () => `${name} code`),
+        reviewCode: jest.fn(async () => `${name} review`),
+        debugCode: jest.fn(async () => `${name} debug`)
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        config = {
+            'modelRouting.roles.chat': {
+                primary: 'gemini-pro',
+                fallbacks: [
+                    { model: 'gemini-flash', on: [FALLBACK_TRIGGERS.UNAVAILABLE] },
+                    { model: 'gemini-1.5-pro', on: [FALLBACK_TRIGGERS.TOKEN_LIMIT, FALLBACK_TRIGGERS.UNAVAILABLE] }
+                ]
+            },
+            'modelRouting.roles.code': { primary: 'code-bison', fallbacks: ['gemini-pro'] },
+            'promptBudget.contextWindows': { 'gemini-pro': 32768, 'gemini-flash': 32768, 'gemini-1.5-pro': 1048576 }
+        };
+        configManager = { get: (key, defaultValue) => config[key] ?? defaultValue };
+        clients = {
+            'gemini-pro': fakeClient('gemini-pro'),
+            'gemini-flash': fakeClient('gemini-flash'),
+            'gemini-1.5-pro': fakeClient('gemini-1.5-pro'),
+            'code-bison': fakeClient('code-bison')
+        };
+        modelFactory = jest.fn(modelName => clients[modelName]);
+        learningSystem = { logExperience: jest.fn().mockResolvedValue('exp-1') };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should map provider and Vertex errors to fallback triggers', () => {
+        expect(fallbackTriggerFor(new LLMProviderError('503', LLM_ERROR_CODES.UNAVAILABLE))).toBe(FALLBACK_TRIGGERS.UNAVAILABLE);
+        expect(fallbackTriggerFor(Object.assign(new Error('too long'), { code: 'VERTEX_TOKEN_LIMIT_ERROR' }))).toBe(FALLBACK_TRIGGERS.TOKEN_LIMIT);
+        expect(fallbackTriggerFor(new LLMProviderError('bad key', LLM_ERROR_CODES.AUTH))).toBeNull();
+    });
+
+    it('should not classify non-model platform errors by their message', async () => {
+        const budgetError = new TokenBudgetExceededError('Project "web-app" exceeded its budget: 1500 tokens.', { projectName: 'web-app' });
+        expect(fallbackTriggerFor(budgetError)).toBeNull();
+        expect(fallbackTriggerFor(new Error('429 Too Many Requests'))).toBe(FALLBACK_TRIGGERS.RATE_LIMIT);
+
+        clients['gemini-pro'].generateText.mockRejectedValue(budgetError);
+        const router = new ModelRouter(configManager, { modelFactory, learningSystem });
+
+        await expect(router.getModel('chat', { projectName: 'web-app' }).generateText('Plan')).rejects.toBe(budgetError);
+        expect(clients['gemini-1.5-pro'].generateText).not.toHaveBeenCalled();
+        expect(learningSystem.logExperience).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to a larger context window on token-limit errors and log the decision', async () => {
+        clients['gemini-pro'].generateText.mockRejectedValue(new LLMProviderError('Prompt too long', LLM_ERROR_CODES.TOKEN_LIMIT));
+        const router = new ModelRouter(configManager, { modelFactory, learningSystem, promptBudgeter: new PromptBudgeter(configManager) });
+
+        const chat = router.getModel('chat', { projectName: 'web-app', phase: 'planning' });
+        await expect(chat.generateText('Plan this project')).resolves.toBe('gemini-1.5-pro text');
+
+        // gemini-flash is skipped: it only covers unavailability and has no larger window
+        expect(clients['gemini-flash'].generateText).not.toHaveBeenCalled();
+        expect(learningSystem.logExperience).toHaveBeenCalledWith({
+            type: 'MODEL_FALLBACK',
+            context: expect.objectContaining({
+                role: 'chat',
+                fromModel: 'gemini-pro',
+                toModel: 'gemini-1.5-pro',
+                trigger: FALLBACK_TRIGGERS.TOKEN_LIMIT,
+                errorCode: LLM_ERROR_CODES.TOKEN_LIMIT,
+                projectName: 'web-app',
+                phase: 'planning'
+            }),
+            outcome: expect.objectContaining({ status: 'SUCCESS' }),
+            metadata: { source: 'ModelRouter' }
+        });
+    });
+
+    it('should walk the chain and rethrow once it is exhausted', async () => {
+        const unavailable = new LLMProviderError('503', LLM_ERROR_CODES.UNAVAILABLE);
+        for (const name of ['gemini-pro', 'gemini-flash', 'gemini-1.5-pro']) clients[name].generateText.mockRejectedValue(unavailable);
+        const router = new ModelRouter(configManager, { modelFactory, learningSystem });
+
+        await expect(router.getModel('chat').generateText('hi')).rejects.toBe(unavailable);
+        expect(learningSystem.logExperience).toHaveBeenCalledTimes(2);
+        expect(learningSystem.logExperience.mock.calls.map(([experience]) => experience.outcome.status)).toEqual(['FAILURE', 'FAILURE']);
+
+        const authError = new LLMProviderError('bad key', LLM_ERROR_CODES.AUTH);
+        clients['code-bison'].generateCode.mockRejectedValue(authError);
+        await expect(router.getModel('code').generateCode('x')).rejects.toBe(authError);
+        expect(clients['gemini-pro'].generateCode).not.toHaveBeenCalled();
+    });
+
+    it('should route by phase, prompt size and remaining budget', async () => {
+        config['modelRouting.rules'] = [
+            { when: { role: 'chat', maxBudgetRemaining: 0.2 }, model: 'gemini-flash' },
+            { when: { phase: ['understanding', 'file_summary'], maxPromptTokens: 2000 }, model: 'gemini-flash' },
+            { when: { role: 'chat', minPromptTokens: 20000 }, model: 'gemini-1.5-pro' }
+        ];
+        const tokenUsage = { remainingBudgetFraction: jest.fn().mockResolvedValue(0.5) };
+        const router = new ModelRouter(configManager, { modelFactory, tokenUsage });
+        const chat = router.getModel('chat', { projectName: 'web-app', phase: 'planning' });
+
+        expect(await chat.generateText('short')).toBe('gemini-pro text');
+        expect(await chat.generateText('x'.repeat(100000))).toBe('gemini-1.5-pro text');
+        expect(await chat.generateText('Summarize src/index.js', { phase: 'file_summary' })).toBe('gemini-flash text');
+
+        tokenUsage.remainingBudgetFraction.mockResolvedValue(0.1);
+        expect(await chat.generateText('x'.repeat(100000))).toBe('gemini-flash text');
+        expect(tokenUsage.remainingBudgetFraction).toHaveBeenCalledWith('web-app');
+        expect(modelFactory).toHaveBeenCalledTimes(3); // Clients are reused per role and model
+    });
+
+    it('should reject roles without a configured primary model', () => {
+        const router = new ModelRouter(configManager, { modelFactory });
+        expect(() => router.getModel('codeChat')).toThrow(/No primary model configured for role "codeChat"/);
+        expect(() => new ModelRouter(configManager)).toThrow(/requires a modelFactory/);
+    });
+});
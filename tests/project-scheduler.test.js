@@ -0,0 +1,178 @@
+// tests/project-scheduler.test.js
+
+import { jest } from '@jest/globals';
+import { ProjectScheduler, ConcurrencyQuota, PROJECT_PRIORITIES } from '../src/core/project-scheduler.js';
+import { ProjectCancellationManager } from '../src/core/cancellation.js';
+
+describe('ProjectScheduler', () => {
+    let scheduler;
+    let activeProjects;
+    let projectStore;
+    let mockProjectPersistence;
+    let eventBus;
+
+    const addProject = (name, metadata = {}) => {
+        activeProjects.set(name, { metadata: { projectName: name, status: 'processing_tasks', ...metadata }, execution: {} });
+    };
+
+    const pick = (count) => Array.from({ length: count }, () => scheduler.selectNext());
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        activeProjects = new Map();
+        projectStore = {};
+        mockProjectPersistence = {
+            saveProject: jest.fn(async (name, data) => { projectStore[name] = JSON.parse(JSON.stringify(data)); }),
+            loadProject: jest.fn(async name => projectStore[name] || null),
+            createCheckpoint: jest.fn(async () => {})
+        };
+        eventBus = { projectStatusChanged: jest.fn() };
+        const config = { 'scheduling.maxConcurrentSubtasksPerProject': 1, 'scheduling.maxConcurrentAiCallsPerProject': 1 };
+        const configManager = { get: (key, defaultValue) => config[key] ?? defaultValue };
+        const cancellationManager = new ProjectCancellationManager(mockProjectPersistence, configManager, { activeProjects, eventBus });
+        scheduler = new ProjectScheduler(mockProjectPersistence, configManager, { activeProjects, eventBus, cancellationManager });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('selectNext', () => {
+        it('should share turns in proportion to priority', () => {
+            addProject('big', { priority: PROJECT_PRIORITIES.HIGH });
+            addProject('small');
+            addProject('batch', { priority: PROJECT_PRIORITIES.LOW });
+
+            const turns = pick(70).reduce((counts, name) => ({ ...counts, [name]: (counts[name] || 0) + 1 }), {});
+
+            expect(turns).toEqual({ big: 40, small: 20, batch: 10 });
+        });
+
+        it('should skip projects that are not processing tasks or have no free subtask slot', () => {
+            addProject('parked', { status: 'awaiting_approval' });
+            addProject('busy');
+            addProject('idle');
+            const release = scheduler.tryAcquireSubtaskSlot('busy');
+
+            expect(pick(2)).toEqual(['idle', 'idle']);
+            expect(scheduler.tryAcquireSubtaskSlot('busy')).toBeNull();
+
+            release();
+            release(); // Releasing twice must not free a second slot
+            expect(scheduler.getSchedulingInfo('busy').runningSubtasks).toBe(0);
+            expect(scheduler.selectNext()).toBe('busy');
+        });
+
+        it('should let a newly added project join at the front without monopolising the loop', () => {
+            addProject('a');
+            pick(10);
+            addProject('b');
+
+            expect(pick(4).sort()).toEqual(['a', 'a', 'b', 'b']);
+        });
+
+        it('should return null when nothing is runnable', () => {
+            expect(scheduler.selectNext()).toBeNull();
+        });
+    });
+
+    describe('quotas', () => {
+        it('should queue AI calls beyond the per-project quota', async () => {
+            addProject('a');
+            let releaseFirst;
+            const first = scheduler.runAiCall('a', () => new Promise(resolve => { releaseFirst = resolve; }));
+            const secondFn = jest.fn().mockResolvedValue('second');
+            const second = scheduler.runAiCall('a', secondFn);
+
+            await Promise.resolve();
+            expect(secondFn).not.toHaveBeenCalled();
+            expect(scheduler.getSchedulingInfo('a').runningAiCalls).toBe(1);
+
+            releaseFirst('first');
+            expect(await first).toBe('first');
+            expect(await second).toBe('second');
+            expect(scheduler.getSchedulingInfo('a').runningAiCalls).toBe(0);
+        });
+
+        it('should hand released slots to waiters in order', async () => {
+            const quota = new ConcurrencyQuota(1);
+            const order = [];
+            quota.tryAcquire();
+            const waiters = [quota.acquire().then(() => order.push(1)), quota.acquire().then(() => order.push(2))];
+
+            quota.release();
+            await waiters[0];
+            quota.release();
+            await waiters[1];
+
+            expect(order).toEqual([1, 2]);
+            expect(quota.inUse).toBe(1);
+        });
+    });
+
+    describe('project controls', () => {
+        it('should pause and resume a project', async () => {
+            addProject('a');
+            addProject('b');
+
+            await scheduler.pause('a', { reason: 'maintenance' });
+
+            expect(activeProjects.get('a').metadata).toMatchObject({ status: 'paused', pauseReason: 'maintenance' });
+            expect(projectStore.a.metadata.status).toBe('paused');
+            expect(pick(2)).toEqual(['b', 'b']);
+
+            await scheduler.resume('a');
+
+            expect(activeProjects.get('a').metadata.status).toBe('processing_tasks');
+            expect(activeProjects.get('a').execution.pausedFromStatus).toBeUndefined();
+            expect(pick(2).sort()).toEqual(['a', 'b']);
+            expect(eventBus.projectStatusChanged).toHaveBeenCalledWith('a', 'paused', expect.any(Object));
+        });
+
+        it('should change priority and persist it', async () => {
+            addProject('a');
+            addProject('b');
+
+            const metadata = await scheduler.setPriority('a', PROJECT_PRIORITIES.HIGH);
+
+            expect(metadata.priority).toBe('high');
+            expect(projectStore.a.metadata.priority).toBe('high');
+            expect(pick(6).filter(name => name === 'a')).toHaveLength(4);
+            await expect(scheduler.setPriority('a', 'urgent')).rejects.toMatchObject({ code: 'PROJECT_SCHEDULING_INVALID_PRIORITY' });
+        });
+
+        it('should refuse to pause projects waiting for an approval or clarification', async () => {
+            addProject('review', { status: 'awaiting_approval' });
+            addProject('question', { status: 'needs_clarification' });
+
+            await expect(scheduler.pause('review')).rejects.toMatchObject({ code: 'PROJECT_SCHEDULING_INVALID_STATE' });
+            await expect(scheduler.pause('question')).rejects.toMatchObject({ code: 'PROJECT_SCHEDULING_INVALID_STATE' });
+            expect(activeProjects.get('review').metadata.status).toBe('awaiting_approval');
+            expect(mockProjectPersistence.saveProject).not.toHaveBeenCalled();
+        });
+
+        it('should cancel a project through the cancellation manager and refuse to touch it afterwards', async () => {
+            addProject('a');
+            scheduler.selectNext();
+
+            const result = await scheduler.cancel('a', { reason: 'no longer needed' });
+
+            expect(result).toMatchObject({ projectName: 'a', status: 'cancelled' });
+            expect(activeProjects.get('a').metadata).toMatchObject({ status: 'cancelled', cancelReason: 'no longer needed' });
+            expect(mockProjectPersistence.createCheckpoint).toHaveBeenCalledWith('a', expect.stringMatching(/^cancelled-/));
+            expect(scheduler.entries.has('a')).toBe(false);
+            expect(scheduler.selectNext()).toBeNull();
+            await expect(scheduler.pause('a')).rejects.toMatchObject({ code: 'PROJECT_SCHEDULING_INVALID_STATE' });
+            await expect(scheduler.resume('a')).rejects.toMatchObject({ code: 'PROJECT_SCHEDULING_INVALID_STATE' });
+        });
+
+        it('should update persisted projects that are not active', async () => {
+            projectStore.old = { metadata: { status: 'processing_tasks' } };
+
+            await scheduler.pause('old');
+
+            expect(projectStore.old.metadata.status).toBe('paused');
+            await expect(scheduler.cancel('missing')).rejects.toMatchObject({ code: 'CANCELLATION_PROJECT_NOT_FOUND' });
+        });
+    });
+});
@@ -0,0 +1,127 @@
+// tests/prompt-budget.test.js
+
+import { jest } from '@jest/globals';
+import {
+    PromptBudgeter,
+    PromptBudgetError,
+    applyTokenLimitRecovery,
+    estimateTokens,
+    outlineCode,
+    rankCodeSnippets,
+    truncateToTokens
+} from '../src/core/prompt-budget.js';
+
+describe('Prompt budgeting', () => {
+    const config = {
+        'promptBudget.contextWindows': { 'gemini-pro': 30000 },
+        'promptBudget.reservedOutputTokens': 2000
+    };
+    const configManager = { get: (key, defaultValue) => config[key] ?? defaultValue };
+    const bigFile = (name, lines) => Array.from({ length: lines }, (_, i) => (i % 10 === 0 ? `export function ${name}${i}() {` : `    const value${i} = compute(${i}); // filler`)).join('\n');
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should estimate, truncate and outline text', () => {
+        expect(estimateTokens('abcdefgh')).toBe(2);
+        const truncated = truncateToTokens('x'.repeat(4000), 100);
+        expect(estimateTokens(truncated)).toBeLessThanOrEqual(100);
+        expect(truncated).toContain('truncated to fit the context window');
+        expect(outlineCode('import a from "a";\nconst x = 1;\nexport class Auth {\n  login() {}\n}')).toBe('/* outline: declarations only */\nimport a from "a";\nexport class Auth {');
+    });
+
+    it('should rank declared inputs and matching files first', () => {
+        const ranked = rankCodeSnippets({
+            'src/irrelevant.js': 'function other() {}',
+            'src/auth/session.js': 'export function createSession(token) {}',
+            'src/App.js': 'app code'
+        }, {
+            title: 'Implement user authentication session',
+            description: 'Issue a token after login',
+            input_artifacts_needed: [{ path: 'src/App.js' }]
+        });
+
+        expect(ranked.map(entry => entry.path)).toEqual(['src/App.js', 'src/auth/session.js', 'src/irrelevant.js']);
+    });
+
+    it('should size the budget per model and shrink it on token-limit retries', () => {
+        const budgeter = new PromptBudgeter(configManager);
+        expect(budgeter.budgetFor('gemini-pro')).toBe(28000);
+        expect(budgeter.budgetFor('unknown')).toBe(32768 - 2000);
+
+        const classification = { classifiedType: 'VERTEX_TOKEN_LIMIT_ERROR', suggestedAction: 'RETRY_SUBTASK_MODIFIED' };
+        const first = applyTokenLimitRecovery({ type: 'RETRY_WITH_PARAMS', params: { modificationHint: 'VERTEX_TOKEN_LIMIT_ERROR' }, delayMs: 2000 }, classification);
+        const second = applyTokenLimitRecovery({ ...first, params: { ...first.params } }, classification);
+        expect(first.params.promptBudgetScale).toBeCloseTo(0.6);
+        expect(second.params.promptBudgetScale).toBeCloseTo(0.36);
+        expect(budgeter.budgetFor('gemini-pro', { scale: second.params.promptBudgetScale })).toBe(10080);
+
+        const timeout = { type: 'RETRY_WITH_PARAMS', params: { modificationHint: 'SANDBOX_COMMAND_TIMEOUT_ERROR' } };
+        expect(applyTokenLimitRecovery(timeout, {})).toBe(timeout);
+    });
+
+    it('should keep the most relevant snippets whole and outline or omit the rest', async () => {
+        const budgeter = new PromptBudgeter(configManager);
+        const subtask = { title: 'Add login form', input_artifacts_needed: ['src/login.js'] };
+        const snippets = {
+            'src/login.js': bigFile('login', 40),
+            'src/big-utils.js': bigFile('util', 400),
+            'src/other.js': bigFile('other', 400)
+        };
+
+        const { snippets: fitted, omitted, estimatedTokens } = await budgeter.fitCodeSnippets(snippets, subtask, 740);
+
+        expect(fitted['src/login.js']).toBe(snippets['src/login.js']);
+        expect(fitted['src/big-utils.js']).toMatch(/^\/\* outline/);
+        expect(omitted).toEqual(['src/other.js']);
+        expect(estimatedTokens).toBeLessThanOrEqual(740);
+    });
+
+    it('should fit sections by priority and summarize what overflows', async () => {
+        const summarize = jest.fn(async (text, maxTokens) => `summary in ${maxTokens} tokens`);
+        const budgeter = new PromptBudgeter(configManager, { summarize });
+        const sections = [
+            { name: 'instructions', content: 'i'.repeat(400), required: true },
+            { name: 'history', content: 'h'.repeat(4000), priority: 1 },
+            { name: 'subtask', content: 's'.repeat(400), priority: 10 }
+        ];
+
+        const result = await budgeter.fitSections(sections, 600);
+
+        expect(result.sections.map(section => section.name)).toEqual(['instructions', 'history', 'subtask']);
+        expect(result.sections[1].content).toBe('summary in 400 tokens');
+        expect(result.reduced).toEqual(['history']);
+        expect(summarize).toHaveBeenCalledWith('h'.repeat(4000), 400, { section: 'history' });
+        await expect(budgeter.fitSections(sections, 50)).rejects.toBeInstanceOf(PromptBudgetError);
+    });
+
+    it('should share the budget across manifests, truncating the largest', () => {
+        const budgeter = new PromptBudgeter(configManager);
+        const manifests = [
+            { path: 'package-lock.json', content: 'l'.repeat(40000), type: 'lockfile' },
+            { path: 'package.json', content: '{"name":"app"}', type: 'package.json' }
+        ];
+
+        const fitted = budgeter.fitManifestFiles(manifests, 500);
+
+        expect(fitted[1].content).toBe('{"name":"app"}');
+        expect(estimateTokens(fitted[0].content)).toBeLessThanOrEqual(500 - estimateTokens('{"name":"app"}'));
+        expect(fitted[0].path).toBe('package-lock.json');
+    });
+
+    it('should keep manifests within budgets smaller than the truncation marker', () => {
+        const budgeter = new PromptBudgeter(configManager);
+        const manifests = ['package.json', 'requirements.txt', 'go.mod'].map(path => ({ path, content: 'x'.repeat(400) }));
+
+        const fitted = budgeter.fitManifestFiles(manifests, 20);
+
+        expect(fitted.reduce((total, file) => total + estimateTokens(file.content), 0)).toBeLessThanOrEqual(20);
+        expect(fitted.map(file => file.content.length)).toEqual([24, 28, 28]);
+        expect(truncateToTokens('x'.repeat(400), 0)).toBe('');
+    });
+});
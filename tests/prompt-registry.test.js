@@ -0,0 +1,115 @@
+// tests/prompt-registry.test.js
+
+import { jest } from '@jest/globals';
+import { PromptTemplateError, PromptTemplateRegistry } from '../src/core/prompt-registry.js';
+
+describe('PromptTemplateRegistry', () => {
+    let config;
+    let configManager;
+    let experiences;
+    let learningSystem;
+    let registry;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        config = {};
+        configManager = { get: (key, defaultValue) => config[key] ?? defaultValue };
+        experiences = [];
+        learningSystem = {
+            logExperience: jest.fn(async input => { experiences.push(input); return `exp-${experiences.length}`; }),
+            experienceStore: { findExperiences: jest.fn(async filter => experiences.filter(e => e.type === filter.type)) }
+        };
+        registry = new PromptTemplateRegistry(configManager, { learningSystem });
+        registry.registerDefaults({
+            generateCodeGenerationPrompt: ({ subtask }) => `v1: implement ${subtask.title}`,
+            generateTaskBreakdownPrompt: () => 'breakdown'
+        });
+        registry.register('code_generation', 'v2', ({ subtask }) => `v2: implement ${subtask.title} with tests`);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should register prompt-templates.js functions as v1 and render the default', () => {
+        expect(registry.listVersions('code_generation')).toEqual(['v1', 'v2']);
+        expect(registry.listVersions('task_breakdown')).toEqual(['v1']);
+        expect(() => registry.listVersions('self_reflection')).toThrow(PromptTemplateError);
+
+        expect(registry.render('code_generation', { subtask: { title: 'login' } })).toEqual({
+            templateName: 'code_generation',
+            version: 'v1',
+            promptId: 'code_generation@v1',
+            prompt: 'v1: implement login'
+        });
+        expect(registry.render('code_generation', { subtask: { title: 'login' } }, { version: 'v2' }).prompt).toBe('v2: implement login with tests');
+    });
+
+    it('should split traffic by weight and keep a routing key on one version', () => {
+        registry.setTrafficSplit('code_generation', { v1: 50, v2: 50 });
+
+        const counts = { v1: 0, v2: 0 };
+        for (let i = 0; i < 400; i++) counts[registry.select('code_generation', { routingKey: `project:T${i}` }).version] += 1;
+        expect(counts.v1).toBeGreaterThan(150);
+        expect(counts.v2).toBeGreaterThan(150);
+
+        const first = registry.select('code_generation', { routingKey: 'web-app:T7' }).version;
+        for (let i = 0; i < 5; i++) expect(registry.select('code_generation', { routingKey: 'web-app:T7' }).version).toBe(first);
+
+        expect(() => registry.setTrafficSplit('code_generation', { v3: 10 })).toThrow(/not registered/);
+        expect(() => registry.setTrafficSplit('code_generation', { v2: -1 })).toThrow(/non-negative/);
+    });
+
+    it('should read the default and traffic split from configuration', () => {
+        config['promptTemplates.code_generation.default'] = 'v2';
+        expect(registry.select('code_generation').version).toBe('v2');
+
+        config['promptTemplates.code_generation.traffic'] = { v1: 100, v9: 50 };
+        expect(registry.select('code_generation', { routingKey: 'x' }).version).toBe('v1');
+    });
+
+    it('should tag experiences with the version and report success rates per version', async () => {
+        const v1 = { templateName: 'code_generation', version: 'v1', promptId: 'code_generation@v1' };
+        const v2 = { templateName: 'code_generation', version: 'v2', promptId: 'code_generation@v2' };
+        await registry.recordExecution(v1, { status: 'SUCCESS', projectName: 'web-app', durationMs: 100, usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } });
+        await registry.recordExecution(v1, { status: 'FAILURE', durationMs: 300, error: Object.assign(new Error('bad'), { code: 'MODEL_ERROR_INVALID_RESPONSE' }) });
+        await registry.recordExecution(v2, { status: 'SUCCESS', durationMs: 200 });
+
+        expect(experiences[0]).toMatchObject({
+            type: 'AI_PROMPT_EXECUTION',
+            context: { promptId: 'code_generation@v1', templateName: 'code_generation', templateVersion: 'v1', projectName: 'web-app' },
+            outcome: { status: 'SUCCESS', metrics: { tokensUsed: { total: 15 } } }
+        });
+        expect(experiences[1].outcome.error).toEqual({ code: 'MODEL_ERROR_INVALID_RESPONSE', message: 'bad' });
+
+        registry.setTrafficSplit('code_generation', { v1: 75, v2: 25 });
+        expect(await registry.getVersionStats('code_generation')).toEqual({
+            v1: { executions: 2, successes: 1, successRate: 0.5, avgDurationMs: 200, trafficShare: 0.75 },
+            v2: { executions: 1, successes: 1, successRate: 1, avgDurationMs: 200, trafficShare: 0.25 }
+        });
+    });
+
+    it('should promote and retire versions', () => {
+        registry.setTrafficSplit('code_generation', { v1: 90, v2: 10 });
+
+        expect(() => registry.retire('code_generation', 'v1')).toThrow(/default version/);
+        registry.promote('code_generation', 'v2');
+        expect(registry.select('code_generation', { routingKey: 'any' }).version).toBe('v2');
+
+        registry.retire('code_generation', 'v1');
+        expect(registry.select('code_generation').version).toBe('v2');
+        expect(() => registry.register('code_generation', 'v2', () => '')).toThrow(/already registered/);
+    });
+
+    it('should let a promotion override the configured default', () => {
+        config['promptTemplates.code_generation.default'] = 'v1';
+        config['promptTemplates.code_generation.traffic'] = { v1: 90, v2: 10 };
+
+        registry.promote('code_generation', 'v2');
+
+        expect(() => registry.retire('code_generation', 'v2')).toThrow(/default version/);
+        registry.retire('code_generation', 'v1');
+        expect(registry.select('code_generation', { routingKey: 'any' }).version).toBe('v2');
+        expect(registry.select('code_generation').version).toBe('v2');
+    });
+});
@@ -0,0 +1,99 @@
+// tests/rate-limiter.test.js
+
+import { jest } from '@jest/globals';
+import { CALL_PRIORITIES, ModelRateLimiter, TokenBucket } from '../src/core/rate-limiter.js';
+import { ProjectCancelledError } from '../src/core/cancellation.js';
+
+const configWith = (config) => ({ get: (key, defaultValue) => config[key] ?? defaultValue });
+
+describe('ModelRateLimiter', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should refill token buckets continuously', () => {
+        const bucket = new TokenBucket(60);
+        bucket.take(60);
+        expect(bucket.waitTime(1)).toBe(1000);
+        jest.advanceTimersByTime(500);
+        expect(bucket.waitTime(1)).toBe(500);
+        bucket.adjust(-10);
+        expect(bucket.waitTime(10)).toBe(0);
+        expect(bucket.waitTime(1000)).toBeGreaterThan(0); // Capped at capacity, so finite
+    });
+
+    it('should queue calls over the requests-per-minute limit and serve planning first', async () => {
+        const limiter = new ModelRateLimiter(configWith({ 'rateLimits.models': { 'gemini-pro': { requestsPerMinute: 1 } } }));
+        const order = [];
+        const call = (label, priority) => limiter.acquire({ model: 'gemini-pro', priority }).then(() => order.push(label));
+
+        await call('first', CALL_PRIORITIES.EXECUTION);
+        const pending = [
+            call('bulk', CALL_PRIORITIES.BULK_ANALYSIS),
+            call('execution', CALL_PRIORITIES.EXECUTION),
+            call('planning', CALL_PRIORITIES.PLANNING)
+        ];
+        expect(limiter.getMetrics()).toMatchObject({
+            queueDepth: 3,
+            queuedByPriority: { planning: 1, execution: 1, bulk_analysis: 1 }
+        });
+
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(order).toEqual(['first', 'planning']);
+        await jest.advanceTimersByTimeAsync(120000);
+        await Promise.all(pending);
+
+        expect(order).toEqual(['first', 'planning', 'execution', 'bulk']);
+        expect(limiter.getMetrics()).toMatchObject({ queueDepth: 0, granted: 4, throttled: 3, maxWaitMs: 180000, averageWaitMs: 90000 });
+    });
+
+    it('should apply tokens-per-minute per project and correct reservations from actual usage', async () => {
+        const limiter = new ModelRateLimiter(configWith({ 'rateLimits.perProject': { tokensPerMinute: 1000 } }));
+        const model = {
+            generateText: jest.fn(async (prompt, options) => {
+                options.onUsage({ totalTokens: 950 });
+                return 'ok';
+            })
+        };
+        const limited = limiter.wrapModel(model, { modelName: 'gemini-pro', projectName: 'alpha' });
+
+        await expect(limited.generateText('x'.repeat(400))).resolves.toBe('ok');
+        let done = false;
+        const second = limited.generateText('x'.repeat(400)).then(() => { done = true; });
+        const otherProject = limited.generateText('x'.repeat(400), { projectName: 'beta' });
+
+        await otherProject;
+        expect(done).toBe(false);
+        // 950 of 1000 used; the second call's 100 estimated tokens need 50 more, i.e. 3 seconds of refill
+        await jest.advanceTimersByTimeAsync(2900);
+        expect(done).toBe(false);
+        await jest.advanceTimersByTimeAsync(100);
+        await second;
+        expect(model.generateText).toHaveBeenCalledTimes(3);
+    });
+
+    it('should drop aborted calls from the queue and enforce the queue depth', async () => {
+        const limiter = new ModelRateLimiter(configWith({
+            'rateLimits.models': { default: { requestsPerMinute: 1 } },
+            'rateLimits.maxQueueDepth': 1
+        }));
+        await limiter.acquire({ model: 'any' });
+        const controller = new AbortController();
+        const queued = limiter.acquire({ model: 'any', signal: controller.signal });
+
+        await expect(limiter.acquire({ model: 'any' })).rejects.toMatchObject({ code: 'RATE_LIMIT_QUEUE_FULL', severity: 'RETRYABLE_TRANSIENT' });
+        controller.abort();
+        await expect(queued).rejects.toBeInstanceOf(ProjectCancelledError);
+        expect(limiter.getMetrics().queueDepth).toBe(0);
+    });
+
+    it('should not limit models without configured limits', async () => {
+        const limiter = new ModelRateLimiter(null);
+        await Promise.all(Array.from({ length: 50 }, () => limiter.acquire({ model: 'gemini-pro', projectName: 'alpha', estimatedTokens: 10000 })));
+        expect(limiter.getMetrics()).toMatchObject({ granted: 50, throttled: 0 });
+    });
+});
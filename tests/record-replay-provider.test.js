@@ -0,0 +1,157 @@
+// tests/record-replay-provider.test.js
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { LLMProvider, LLMProviderError, LLM_ROLES, classifyLLMError, createLLMProvider, registerLLMProvider } from '../src/core/llm-provider.js';
+import { RecordReplayProvider, createReplayModels, normalizePrompt } from '../src/core/record-replay-provider.js';
+
+class ScriptedProvider extends LLMProvider {
+    constructor() {
+        super('scripted');
+        this.calls = 0;
+        this.generateText = jest.fn(async (prompt, options) => `response ${++this.calls} (${options.role})`);
+    }
+}
+
+describe('RecordReplayProvider', () => {
+    let tempDir;
+    let fixturePath;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'record-replay-'));
+        fixturePath = path.join(tempDir, 'fixtures', 'planning.json');
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.remove(tempDir);
+    });
+
+    it('should normalize volatile values out of prompts', () => {
+        const a = normalizePrompt('Plan  for project 3f2b8c1e-9d4a-4c6b-8e2f-1a2b3c4d5e6f\nat 2026-01-02T03:04:05.678Z');
+        const b = normalizePrompt('Plan for project 11111111-2222-4333-8444-555555555555 at 2026-10-19T12:00:00Z ');
+
+        expect(a).toBe('Plan for project <uuid> at <timestamp>');
+        expect(b).toBe(a);
+    });
+
+    it('should record delegate responses and replay them in order', async () => {
+        const delegate = new ScriptedProvider();
+        const recorder = new RecordReplayProvider({ mode: 'record', fixturePath, delegate });
+        const chatModel = recorder.getModel(LLM_ROLES.CHAT);
+
+        expect(await chatModel.generateText('Understand: build a CLI', { templateName: 'request_understanding' })).toBe('response 1 (chat)');
+        expect(await chatModel.generateText('Understand:   build a CLI', { templateName: 'request_understanding' })).toBe('response 2 (chat)');
+        expect(await recorder.getModel(LLM_ROLES.CODE).generateCode('write main', { promptId: 'code_generation' })).toBe('response 3 (code)');
+        await recorder.flush();
+
+        const fixture = await fs.readJson(fixturePath);
+        expect(fixture.version).toBe(1);
+        expect(Object.keys(fixture.entries)).toEqual([
+            expect.stringMatching(/^code_generation:generateCode:code:[0-9a-f]{16}$/),
+            expect.stringMatching(/^request_understanding:generateText:chat:[0-9a-f]{16}$/)
+        ]);
+
+        const { chatModel: replayChat, codeModel: replayCode } = createReplayModels(fixturePath);
+        expect(await replayChat.generateText('Understand: build a CLI', { templateName: 'request_understanding' })).toBe('response 1 (chat)');
+        expect(await replayChat.generateText('Understand: build a CLI', { templateName: 'request_understanding' })).toBe('response 2 (chat)');
+        expect(await replayChat.generateText('Understand: build a CLI', { templateName: 'request_understanding' })).toBe('response 2 (chat)');
+        expect(await replayCode.generateCode('write main', { promptId: 'code_generation' })).toBe('response 3 (code)');
+        expect(delegate.generateText).toHaveBeenCalledTimes(3);
+    });
+
+    it('should merge recordings into an existing fixture file', async () => {
+        const first = new RecordReplayProvider({ mode: 'record', fixturePath, delegate: new ScriptedProvider() });
+        await first.generateText('Plan a todo app', { templateName: 'strategic_planning' });
+        await first.generateText('Understand: build a CLI', { templateName: 'request_understanding' });
+        await first.flush();
+
+        // A later session re-records one prompt; the other test's fixture survives
+        const second = new RecordReplayProvider({ mode: 'record', fixturePath, delegate: new ScriptedProvider() });
+        second.delegate.calls = 10;
+        await second.generateText('Understand: build a CLI', { templateName: 'request_understanding' });
+        await second.flush();
+
+        const { chatModel } = createReplayModels(fixturePath);
+        expect(await chatModel.generateText('Plan a todo app', { templateName: 'strategic_planning' })).toBe('response 1 (chat)');
+        expect(await chatModel.generateText('Understand: build a CLI', { templateName: 'request_understanding' })).toBe('response 11 (chat)');
+        expect(Object.values((await fs.readJson(fixturePath)).entries).map(entry => entry.responses.length)).toEqual([1, 1]);
+    });
+
+    it('should report failed fixture writes from flush() and keep writing afterwards', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const blocker = path.join(tempDir, 'not-a-directory');
+        await fs.writeFile(blocker, '');
+        const recorder = new RecordReplayProvider({ mode: 'record', fixturePath: path.join(blocker, 'fixtures.json'), delegate: new ScriptedProvider() });
+
+        await recorder.generateText('first prompt');
+        await expect(recorder.flush()).rejects.toMatchObject({ code: 'LLM_CONFIGURATION_ERROR' });
+        await expect(recorder.flush()).resolves.toBeUndefined();
+
+        recorder.fixturePath = fixturePath;
+        await recorder.generateText('second prompt');
+        await recorder.flush();
+
+        expect(Object.keys((await fs.readJson(fixturePath)).entries)).toHaveLength(2);
+    });
+
+    it('should not record failed delegate calls', async () => {
+        const delegate = new ScriptedProvider();
+        delegate.generateText.mockRejectedValueOnce(new LLMProviderError('Slow down', 'LLM_RATE_LIMIT'));
+        const recorder = new RecordReplayProvider({ mode: 'record', fixturePath, delegate });
+
+        await expect(recorder.generateText('x')).rejects.toMatchObject({ code: 'LLM_RATE_LIMIT' });
+        expect(recorder.fixtures.entries).toEqual({});
+    });
+
+    it('should fail loudly on prompts without a fixture', async () => {
+        const { chatModel } = createReplayModels({ version: 1, entries: {} });
+
+        const error = await chatModel.generateText('Plan a todo app', { templateName: 'strategic_planning' }).catch(e => e);
+
+        expect(error).toBeInstanceOf(LLMProviderError);
+        expect(error.code).toBe('LLM_REPLAY_MISS');
+        expect(error.message).toMatch(/template "strategic_planning".*Re-record.*Plan a todo app/);
+        expect(classifyLLMError(error).suggestedAction).toBe('HALT');
+    });
+
+    it('should reject bad configuration', () => {
+        expect(() => new RecordReplayProvider({ mode: 'live' })).toThrow(/must be "record" or "replay"/);
+        expect(() => new RecordReplayProvider({ mode: 'record', fixturePath })).toThrow(/delegate/);
+        expect(() => new RecordReplayProvider({ mode: 'replay', fixturePath })).toThrow(/Cannot read replay fixtures/);
+    });
+
+    it('should be selectable through llm.provider', async () => {
+        registerLLMProvider('scripted', () => new ScriptedProvider());
+        const config = { 'llm.provider': 'record-replay', 'llm.recordReplay': { mode: 'record', fixturePath, delegate: 'scripted' } };
+        const configManager = { get: (key, defaultValue) => config[key] ?? defaultValue };
+
+        const provider = await createLLMProvider(configManager);
+
+        expect(provider).toBeInstanceOf(RecordReplayProvider);
+        expect(provider.delegate.name).toBe('scripted');
+        expect(await provider.generateText('hello')).toBe('response 1 (chat)');
+        await provider.flush();
+    });
+
+    it('should give a recording delegate its own llm.<delegate> configuration', async () => {
+        const factory = jest.fn(() => new ScriptedProvider());
+        registerLLMProvider('scripted', factory);
+        const config = {
+            'llm.provider': 'record-replay',
+            'llm.recordReplay': { mode: 'record', fixturePath, delegate: 'scripted' },
+            'llm.scripted': { model: 'scripted-large' }
+        };
+        const configManager = { get: (key, defaultValue) => config[key] ?? defaultValue };
+
+        await createLLMProvider(configManager);
+        expect(factory).toHaveBeenLastCalledWith({ model: 'scripted-large' }, configManager);
+
+        config['llm.recordReplay'] = { ...config['llm.recordReplay'], delegateConfig: { model: 'scripted-small' } };
+        await createLLMProvider(configManager);
+        expect(factory).toHaveBeenLastCalledWith({ model: 'scripted-small' }, configManager);
+    });
+});
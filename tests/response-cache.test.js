@@ -0,0 +1,160 @@
+// tests/response-cache.test.js
+
+import { jest } from '@jest/globals';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { DiskCacheBackend, MemoryCacheBackend, ResponseCache, createResponseCache } from '../src/core/response-cache.js';
+
+describe('ResponseCache', () => {
+    let model;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        let calls = 0;
+        model = {
+            generateText: jest.fn(async prompt => JSON.stringify({ prompt, call: ++calls })),
+            debugCode: jest.fn(async (code, error) => ({ type: 'debug', debug: `${code}: ${error}`, call: ++calls }))
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should serve repeated deterministic calls from the cache', async () => {
+        const cache = new ResponseCache(null);
+        const cached = cache.wrapModel(model, { modelName: 'gemini-pro', defaultTemperature: 0 });
+
+        const first = await cached.generateText('Analyze repo at abc123', { temperature: 0, promptId: 'repo_level_analysis@v1' });
+        expect(await cached.generateText('Analyze repo at abc123', { temperature: 0, promptId: 'repo_level_analysis@v1' })).toBe(first);
+        await cached.generateText('Analyze repo at abc123', { temperature: 0, promptId: 'repo_level_analysis@v2' });
+        await cached.generateText('Analyze repo at def456', { temperature: 0, promptId: 'repo_level_analysis@v1' });
+
+        const debug = await cached.debugCode('x()', 'ReferenceError');
+        debug.debug = 'mutated by caller';
+        expect((await cached.debugCode('x()', 'ReferenceError')).debug).toBe('x(): ReferenceError');
+
+        expect(model.generateText).toHaveBeenCalledTimes(3);
+        expect(model.debugCode).toHaveBeenCalledTimes(1);
+        expect(await cache.getStats()).toMatchObject({ backend: 'memory', hits: 2, misses: 4, bypassed: 0, hitRate: 0.333, entries: 4 });
+    });
+
+    it('should bypass sampled calls unless caching is explicitly allowed', async () => {
+        const cache = new ResponseCache(null);
+        const cached = cache.wrapModel(model, { modelName: 'gemini-pro', defaultTemperature: 0.7 });
+
+        await cached.generateText('Plan');
+        await cached.generateText('Plan');
+        expect(model.generateText).toHaveBeenCalledTimes(2);
+
+        await cached.generateText('Plan', { cache: true });
+        await cached.generateText('Plan', { cache: true });
+        await cached.generateText('Plan', { temperature: 0, cache: false });
+        expect(model.generateText).toHaveBeenCalledTimes(4);
+        expect(await cache.getStats()).toMatchObject({ hits: 1, misses: 1, bypassed: 3 });
+
+        const permissive = new ResponseCache({ get: (key, defaultValue) => (key === 'responseCache.allowNonDeterministic' ? true : defaultValue) });
+        const permissiveModel = permissive.wrapModel(model, { modelName: 'gemini-pro', defaultTemperature: 0.7 });
+        await permissiveModel.generateText('Plan');
+        await permissiveModel.generateText('Plan');
+        expect(model.generateText).toHaveBeenCalledTimes(5);
+    });
+
+    it('should bypass calls without a known temperature', async () => {
+        const cache = new ResponseCache(null);
+        const cached = cache.wrapModel(model, { modelName: 'gemini-pro' });
+
+        await cached.generateText('Plan');
+        await cached.generateText('Plan');
+        await cached.generateText('Plan', { temperature: 0 });
+        await cached.generateText('Plan', { temperature: 0 });
+
+        expect(model.generateText).toHaveBeenCalledTimes(3);
+        expect(await cache.getStats()).toMatchObject({ hits: 1, misses: 1, bypassed: 2 });
+    });
+
+    it('should key on the options that shape the response', async () => {
+        const cache = new ResponseCache(null);
+        model.generateCode = jest.fn(async (prompt, options) => `${options.language}: ${prompt}`);
+        const cached = cache.wrapModel(model, { modelName: 'code-bison', defaultTemperature: 0 });
+
+        expect(await cached.generateCode('sum two numbers', { language: 'python' })).toBe('python: sum two numbers');
+        expect(await cached.generateCode('sum two numbers', { language: 'go' })).toBe('go: sum two numbers');
+        await cached.generateText('Plan', { systemInstruction: 'Be brief', maxTokens: 100 });
+        await cached.generateText('Plan', { systemInstruction: 'Be thorough', maxTokens: 100 });
+        await cached.generateText('Plan', { maxTokens: 100, systemInstruction: 'Be brief', onUsage: () => {} });
+
+        expect(model.generateCode).toHaveBeenCalledTimes(2);
+        expect(model.generateText).toHaveBeenCalledTimes(2);
+        expect(await cache.getStats()).toMatchObject({ hits: 1, misses: 4 });
+    });
+
+    it('should expire entries and evict the least recently used', async () => {
+        const backend = new MemoryCacheBackend({ maxEntries: 2 });
+        await backend.set('a', 1, 60000);
+        await backend.set('b', 2, 60000);
+        await backend.get('a');
+        await backend.set('c', 3, 60000);
+        expect(await backend.get('b')).toBeUndefined();
+        expect(await backend.get('a')).toBe(1);
+
+        await backend.set('short', 'x', -1);
+        expect(await backend.get('short')).toBeUndefined();
+        expect(await backend.get('c')).toBeUndefined();
+        expect(await backend.stats()).toEqual({ entries: 1, bytes: 1 });
+    });
+
+    describe('DiskCacheBackend', () => {
+        let directory;
+
+        beforeEach(async () => {
+            directory = await fs.mkdtemp(path.join(os.tmpdir(), 'response-cache-'));
+        });
+
+        afterEach(async () => {
+            await fs.remove(directory);
+        });
+
+        it('should persist entries across instances and stay under its size limit', async () => {
+            const key = n => String(n).repeat(64);
+            const first = new DiskCacheBackend({ directory, maxBytes: 600 });
+            await first.set(key(1), { text: 'a'.repeat(100) }, 60000);
+            await first.set(key(2), { text: 'b'.repeat(100) }, 60000);
+
+            const second = new DiskCacheBackend({ directory, maxBytes: 600 });
+            expect(await second.get(key(1))).toEqual({ text: 'a'.repeat(100) });
+            await second.set(key(3), { text: 'c'.repeat(100) }, 60000);
+
+            expect(await second.get(key(1))).toBeUndefined();
+            expect(await second.get(key(3))).toEqual({ text: 'c'.repeat(100) });
+            const stats = await second.stats();
+            expect(stats.entries).toBe(2);
+            expect(stats.bytes).toBeLessThanOrEqual(600);
+        });
+
+        it('should be selected through configuration', async () => {
+            const config = { 'responseCache.backend': 'disk', 'responseCache.directory': directory };
+            const cache = createResponseCache({ get: (k, defaultValue) => config[k] ?? defaultValue });
+            const cached = cache.wrapModel(model, { modelName: 'gemini-pro', defaultTemperature: 0 });
+
+            await cached.generateText('Describe src/index.js');
+            await cached.generateText('Describe src/index.js');
+
+            expect(model.generateText).toHaveBeenCalledTimes(1);
+            expect((await fs.readdir(directory)).length).toBe(1);
+
+            config['responseCache.backend'] = 'redis';
+            expect(() => createResponseCache({ get: (k, defaultValue) => config[k] ?? defaultValue })).toThrow(/Unknown response cache backend/);
+        });
+    });
+
+    it('should fall through to the model when the backend fails', async () => {
+        const backend = new MemoryCacheBackend();
+        backend.get = jest.fn().mockRejectedValue(new Error('EIO'));
+        const cache = new ResponseCache(null, { backend });
+
+        expect(await cache.wrapModel(model, { modelName: 'm', defaultTemperature: 0 }).generateText('p')).toContain('"call":1');
+        expect((await cache.getStats()).errors).toBe(1);
+    });
+});
@@ -0,0 +1,115 @@
+// tests/response-validation.test.js
+
+import { jest } from '@jest/globals';
+import { RESPONSE_SCHEMAS } from '../src/core/response-schemas.js';
+import {
+    generateValidated,
+    parseStructuredResponse,
+    repairJsonText,
+    validateAgainstSchema
+} from '../src/core/response-validation.js';
+import { PlanningError } from '../src/core/error-utils.js';
+
+describe('Response validation', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('validateAgainstSchema', () => {
+        it('should report field-level errors for subtasks', () => {
+            const issues = validateAgainstSchema([
+                { subtask_id: 'T001', title: 'Setup', description: 'Create files', dependencies: [] },
+                { title: 'Invalid subtask', dependencies: 'T001' }
+            ], RESPONSE_SCHEMAS.subtasks);
+
+            expect(issues).toEqual([
+                { path: '$[1].description', keyword: 'required', message: 'is required' },
+                { path: '$[1].dependencies', keyword: 'type', message: 'expected array, got string' },
+                { path: '$[1]', keyword: 'anyOf', message: 'must satisfy one of: subtask_id | id' }
+            ]);
+        });
+
+        it('should accept every well-formed response shape', () => {
+            expect(validateAgainstSchema({ parsed_intent: 'Create React component', required_skills: ['React'] }, RESPONSE_SCHEMAS.understanding)).toEqual([]);
+            expect(validateAgainstSchema({ project_title: 'Profile', high_level_steps: ['Setup', { step: 'UI' }] }, RESPONSE_SCHEMAS.plan)).toEqual([]);
+            expect(validateAgainstSchema({ files: [{ path: 'a.js', content: '' }], explanation: 'x' }, RESPONSE_SCHEMAS.codeFiles)).toEqual([]);
+            expect(validateAgainstSchema({ summary: 'ok', issues: [{ severity: 'minor', description: 'naming' }] }, RESPONSE_SCHEMAS.review)).toEqual([]);
+            expect(validateAgainstSchema({ root_cause: 'typo', files: [{ path: 'a.js', content: 'x' }] }, RESPONSE_SCHEMAS.debug)).toEqual([]);
+            expect(validateAgainstSchema({ self_critique_solution_quality: { score: 4 } }, RESPONSE_SCHEMAS.reflection)).toEqual([]);
+            expect(validateAgainstSchema({ summary: 'ok', issues: [{ severity: 'huge', description: 'x' }] }, RESPONSE_SCHEMAS.review))
+                .toEqual([{ path: '$.issues[0].severity', keyword: 'enum', message: 'must be one of "critical", "major", "minor", "info"' }]);
+        });
+
+        it('should accept clarification-only understanding and planning responses', () => {
+            expect(validateAgainstSchema({ clarification_needed: 'Which database should be used?' }, RESPONSE_SCHEMAS.understanding)).toEqual([]);
+            expect(validateAgainstSchema({ clarification_needed: ['Web or mobile?', 'Which auth provider?'] }, RESPONSE_SCHEMAS.plan)).toEqual([]);
+            expect(validateAgainstSchema({ parsed_intent: 'Build a CLI', clarification_needed: [] }, RESPONSE_SCHEMAS.understanding)).toEqual([]);
+            expect(validateAgainstSchema({ clarification_needed: [] }, RESPONSE_SCHEMAS.understanding))
+                .toEqual([{ path: '$', keyword: 'anyOf', message: 'must satisfy one of: parsed_intent | clarification_needed' }]);
+            expect(validateAgainstSchema({ clarification_needed: 42 }, RESPONSE_SCHEMAS.plan)).toContainEqual(
+                { path: '$.clarification_needed', keyword: 'type', message: 'expected string or array, got integer' }
+            );
+        });
+    });
+
+    describe('repairJsonText', () => {
+        it('should strip fences, surrounding prose and trailing commas', () => {
+            const text = 'Here is the plan:\n```json\n{"project_title": "App", "high_level_steps": ["a", "b",],}\n```\nLet me know!';
+            expect(JSON.parse(repairJsonText(text))).toEqual({ project_title: 'App', high_level_steps: ['a', 'b'] });
+            expect(repairJsonText('Sure! [{"note": "keep ,] and ,} in strings",},] Done.')).toBe('[{"note": "keep ,] and ,} in strings"}]');
+        });
+
+        it('should flag responses it could only parse after repair', () => {
+            expect(parseStructuredResponse('```\n{"files": [{"path": "a.js", "content": "x"}]}\n```', RESPONSE_SCHEMAS.codeFiles))
+                .toMatchObject({ repaired: true, issues: [], parseError: null });
+            expect(parseStructuredResponse('invalid json', RESPONSE_SCHEMAS.codeFiles).parseError).toBeInstanceOf(SyntaxError);
+        });
+    });
+
+    describe('generateValidated', () => {
+        it('should return a clarification request without re-prompting', async () => {
+            const model = { generateText: jest.fn().mockResolvedValue('{"clarification_needed": "Which framework should the UI use?"}') };
+
+            const understanding = await generateValidated(model, 'Understand', 'understanding');
+
+            expect(understanding).toEqual({ clarification_needed: 'Which framework should the UI use?' });
+            expect(model.generateText).toHaveBeenCalledTimes(1);
+        });
+
+        it('should re-prompt once with the validation errors', async () => {
+            const model = {
+                generateText: jest.fn()
+                    .mockResolvedValueOnce(JSON.stringify([{ title: 'Invalid subtask' }]))
+                    .mockResolvedValueOnce(JSON.stringify([{ id: 'T1', title: 'Setup', description: 'Create files' }]))
+            };
+
+            const subtasks = await generateValidated(model, 'Break down the plan', 'subtasks', { generateOptions: { temperature: 0.2 } });
+
+            expect(subtasks).toEqual([{ id: 'T1', title: 'Setup', description: 'Create files' }]);
+            expect(model.generateText).toHaveBeenCalledTimes(2);
+            const [repairPrompt, options] = model.generateText.mock.calls[1];
+            expect(repairPrompt).toMatch(/^Break down the plan\n\nYour previous response could not be used/);
+            expect(repairPrompt).toContain('- $[0].description is required');
+            expect(options).toEqual({ temperature: 0.2 });
+        });
+
+        it('should raise PlanningError when the response stays invalid', async () => {
+            const model = { generateText: jest.fn().mockResolvedValue('invalid json') };
+
+            const error = await generateValidated(model, 'Understand', 'understanding', { responseName: 'request_understanding' }).catch(e => e);
+
+            expect(error).toBeInstanceOf(PlanningError);
+            expect(error.message).toMatch(/^LLM response for request_understanding was not valid JSON/);
+            expect(error.context.responsePreview).toBe('invalid json');
+            expect(model.generateText).toHaveBeenCalledTimes(2);
+
+            model.generateText.mockResolvedValue('{"parsed_intent": ""}');
+            await expect(generateValidated(model, 'Understand', 'understanding', { repairAttempts: 0 }))
+                .rejects.toThrow('LLM response for understanding did not match the expected structure: $.parsed_intent must not be empty');
+        });
+    });
+});
@@ -0,0 +1,219 @@
+// tests/static-analysis.test.js
+
+import { jest } from '@jest/globals';
+import {
+    ANALYZER_STATUSES,
+    EslintAnalyzer,
+    PylintAnalyzer,
+    RuffAnalyzer,
+    ShellcheckAnalyzer,
+    StaticAnalysisRegistry,
+    StaticAnalyzer,
+    TypeScriptAnalyzer,
+    aggregateDiagnostics,
+    evaluateAnalysisCriterion,
+    formatDiagnostics
+} from '../src/core/static-analysis.js';
+import { CommandTimeoutError } from '../src/core/sandbox-errors.js';
+
+const ROOT = '/sandbox_project/cloned_repo';
+const CONTEXT = { files: [], projectPath: ROOT };
+
+const ok = output => ({ output, errorOutput: '', exitCode: 0 });
+
+describe('Static analysis', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('analyzers', () => {
+        it('should parse ESLint and tsc output into diagnostics', () => {
+            const eslint = new EslintAnalyzer().parse(ok(JSON.stringify([{
+                filePath: `${ROOT}/src/app.js`,
+                messages: [
+                    { ruleId: 'no-undef', severity: 2, message: "'foo' is not defined.", line: 3, column: 5 },
+                    { ruleId: null, fatal: true, severity: 2, message: 'Parsing error: Unexpected token', line: 9, column: 1 },
+                    { ruleId: 'no-console', severity: 1, message: 'Unexpected console statement.', line: 4, column: 1 }
+                ]
+            }])), CONTEXT);
+            expect(eslint).toEqual([
+                { file: 'src/app.js', line: 3, column: 5, rule: 'no-undef', severity: 'error', message: "'foo' is not defined." },
+                { file: 'src/app.js', line: 9, column: 1, rule: 'parse-error', severity: 'error', message: 'Parsing error: Unexpected token' },
+                { file: 'src/app.js', line: 4, column: 1, rule: 'no-console', severity: 'warning', message: 'Unexpected console statement.' }
+            ]);
+
+            const tsc = new TypeScriptAnalyzer().parse({
+                output: "src/app.ts(3,7): error TS2322: Type 'string' is not assignable to type 'number'.\n" +
+                    "src/app.ts(10,1): error TS2345: Argument of type 'A' is not assignable to parameter of type 'B'.\n" +
+                    "  Property 'id' is missing in type 'A'.\n" +
+                    'error TS5023: Unknown compiler option \'strictest\'.',
+                errorOutput: '',
+                exitCode: 2
+            }, CONTEXT);
+            expect(tsc).toHaveLength(3);
+            expect(tsc[0]).toEqual({ file: 'src/app.ts', line: 3, column: 7, rule: 'TS2322', severity: 'error', message: "Type 'string' is not assignable to type 'number'." });
+            expect(tsc[1].message).toMatch(/parameter of type 'B'\.\nProperty 'id' is missing/);
+            expect(tsc[2]).toMatchObject({ file: 'tsconfig.json', line: null, rule: 'TS5023' });
+            expect(() => new TypeScriptAnalyzer().parse({ output: 'Segmentation fault', errorOutput: '', exitCode: 139 }, CONTEXT)).toThrow();
+        });
+
+        it('should parse ruff, pylint and shellcheck output', () => {
+            expect(new RuffAnalyzer().parse(ok(JSON.stringify([
+                { code: 'F821', message: 'Undefined name `db`', filename: `${ROOT}/app.py`, location: { row: 7, column: 12 } },
+                { code: 'E501', message: 'Line too long (120 > 88)', filename: `${ROOT}/app.py`, location: { row: 9, column: 89 } }
+            ])), CONTEXT).map(d => [d.rule, d.severity, d.line])).toEqual([['F821', 'error', 7], ['E501', 'warning', 9]]);
+
+            expect(new PylintAnalyzer().parse(ok(JSON.stringify([
+                { type: 'error', path: 'app.py', line: 7, column: 11, symbol: 'undefined-variable', 'message-id': 'E0602', message: "Undefined variable 'db'" },
+                { type: 'convention', path: 'app.py', line: 1, column: 0, symbol: 'missing-module-docstring', message: 'Missing module docstring' }
+            ])), CONTEXT)).toEqual([
+                { file: 'app.py', line: 7, column: 12, rule: 'undefined-variable', severity: 'error', message: "Undefined variable 'db'" },
+                { file: 'app.py', line: 1, column: 1, rule: 'missing-module-docstring', severity: 'info', message: 'Missing module docstring' }
+            ]);
+
+            expect(new ShellcheckAnalyzer().parse(ok(JSON.stringify([
+                { file: 'scripts/deploy.sh', line: 4, column: 6, level: 'warning', code: 2086, message: 'Double quote to prevent globbing and word splitting.' }
+            ])), CONTEXT)).toEqual([
+                { file: 'scripts/deploy.sh', line: 4, column: 6, rule: 'SC2086', severity: 'warning', message: 'Double quote to prevent globbing and word splitting.' }
+            ]);
+            expect(new ShellcheckAnalyzer().command({ files: ['scripts/deploy.sh', 'node_modules/x/install.sh', 'README.md'] }))
+                .toEqual(['shellcheck', '--format', 'json', 'scripts/deploy.sh']);
+        });
+
+        it('should report timeouts, missing tools and unparseable output instead of throwing', async () => {
+            const analyzer = new EslintAnalyzer({ timeoutMs: 5000 });
+            const sandboxManager = { runLinter: jest.fn().mockRejectedValueOnce(new CommandTimeoutError('Command timed out after 5000ms', {})) };
+
+            expect(await analyzer.run(sandboxManager, 'c1', ROOT, [])).toMatchObject({ tool: 'eslint', status: ANALYZER_STATUSES.TIMEOUT, diagnostics: [] });
+            expect(sandboxManager.runLinter).toHaveBeenCalledWith('c1', ROOT, ['npx', '--no-install', 'eslint', '--format', 'json', '.'], { timeoutMs: 5000 });
+
+            sandboxManager.runLinter.mockResolvedValueOnce({ output: '', errorOutput: 'npm ERR! could not determine executable to run', exitCode: 1 });
+            expect((await analyzer.run(sandboxManager, 'c1', ROOT, [])).status).toBe(ANALYZER_STATUSES.UNAVAILABLE);
+
+            sandboxManager.runLinter.mockResolvedValueOnce({ output: '', errorOutput: 'Oops! Something went wrong! :(', exitCode: 2 });
+            const failed = await analyzer.run(sandboxManager, 'c1', ROOT, []);
+            expect(failed.status).toBe(ANALYZER_STATUSES.FAILED);
+            expect(failed.error).toMatch(/Could not parse eslint output.*\nOops! Something went wrong/s);
+        });
+    });
+
+    describe('StaticAnalysisRegistry', () => {
+        it('should run the applicable analyzers and aggregate their diagnostics', async () => {
+            const files = ['eslint.config.js', 'src/app.js', 'tsconfig.json', 'src/types.ts', 'tools/build.py', 'README.md'];
+            const sandboxManager = {
+                listRepositoryFiles: jest.fn().mockResolvedValue(files),
+                runLinter: jest.fn(async (containerId, projectPath, command) => {
+                    if (command.includes('eslint')) {
+                        return { ...ok(JSON.stringify([{ filePath: `${ROOT}/src/app.js`, messages: [{ ruleId: 'no-undef', severity: 2, message: "'foo' is not defined.", line: 3, column: 5 }] }])), exitCode: 1 };
+                    }
+                    if (command.includes('tsc')) return ok('');
+                    return ok(JSON.stringify([{ code: 'E501', message: 'Line too long', filename: `${ROOT}/tools/build.py`, location: { row: 1, column: 89 } }]));
+                })
+            };
+            const registry = new StaticAnalysisRegistry({ timeoutMs: 30000 });
+
+            const report = await registry.analyze(sandboxManager, 'c1', ROOT);
+
+            expect(sandboxManager.runLinter.mock.calls.map(call => call[2][0] === 'npx' ? call[2][2] : call[2][0])).toEqual(['eslint', 'tsc', 'ruff']);
+            expect(report.summary).toEqual({ errors: 1, warnings: 1, info: 0 });
+            expect(report.diagnostics.map(d => `${d.tool}:${d.file}:${d.line}`)).toEqual(['eslint:src/app.js:3', 'ruff:tools/build.py:1']);
+            expect(report.tools).toEqual([
+                expect.objectContaining({ tool: 'eslint', status: 'ok', diagnostics: 1 }),
+                expect.objectContaining({ tool: 'tsc', status: 'ok', diagnostics: 0 }),
+                expect.objectContaining({ tool: 'ruff', status: 'ok', diagnostics: 1 })
+            ]);
+
+            await registry.analyze(sandboxManager, 'c1', ROOT, { analyzers: ['eslint'] });
+            expect(sandboxManager.runLinter).toHaveBeenCalledTimes(4);
+            await expect(registry.analyze(sandboxManager, 'c1', ROOT, { analyzers: ['sonar'] })).rejects.toMatchObject({ code: 'UNKNOWN_ANALYZER' });
+        });
+
+        it('should register custom analyzers and validate configuration', async () => {
+            class TodoAnalyzer extends StaticAnalyzer {
+                constructor() {
+                    super('todo');
+                }
+
+                appliesTo() {
+                    return true;
+                }
+
+                command() {
+                    return ['grep', '-rn', 'TODO', '.'];
+                }
+
+                parse(result) {
+                    return result.output.split('\n').filter(Boolean).map((line) => {
+                        const [file, lineNumber] = line.split(':');
+                        return { file, line: Number(lineNumber), column: null, rule: null, severity: 'info', message: 'TODO left in code' };
+                    });
+                }
+            }
+            const registry = new StaticAnalysisRegistry({ analyzers: [] });
+            registry.register(new TodoAnalyzer());
+            expect(registry.list()).toEqual(['todo']);
+            expect(() => registry.register(new TodoAnalyzer())).toThrow(/already registered/);
+            expect(() => registry.register({ name: 'fake' })).toThrow(/must extend StaticAnalyzer/);
+            expect(() => new StaticAnalysisRegistry({ analyzers: ['sonar'] })).toThrow(/Unknown analyzer "sonar"/);
+
+            const sandboxManager = { listRepositoryFiles: jest.fn().mockResolvedValue(['a.js']), runLinter: jest.fn().mockResolvedValue(ok('a.js:4:// TODO')) };
+            const report = await registry.analyze(sandboxManager, 'c1', ROOT);
+            expect(report.diagnostics).toEqual([{ tool: 'todo', file: 'a.js', line: 4, column: null, rule: null, severity: 'info', message: 'TODO left in code' }]);
+        });
+    });
+
+    describe('criteria', () => {
+        const diagnostic = (overrides = {}) => ({ tool: 'eslint', file: 'src/app.js', line: 3, column: 5, rule: 'no-undef', severity: 'error', message: "'foo' is not defined.", ...overrides });
+
+        it('should only count errors introduced since the baseline as new', () => {
+            const baseline = aggregateDiagnostics([{ tool: 'eslint', status: 'ok', durationMs: 1, error: null, diagnostics: [diagnostic()] }]);
+            // The existing error moved down two lines; a new one appeared
+            const current = aggregateDiagnostics([{
+                tool: 'eslint', status: 'ok', durationMs: 1, error: null,
+                diagnostics: [diagnostic({ line: 5 }), diagnostic({ line: 9, message: "'bar' is not defined." }), diagnostic({ severity: 'warning', rule: 'no-console', message: 'Unexpected console statement.' })]
+            }]);
+
+            expect(evaluateAnalysisCriterion('no_new_errors', current, baseline)).toBe(false);
+            expect(evaluateAnalysisCriterion('no_new_errors', baseline, baseline)).toBe(true);
+            expect(evaluateAnalysisCriterion('no_new_errors', baseline, null)).toBe(false);
+            expect(evaluateAnalysisCriterion('no_new_warnings', current, baseline)).toBe(false);
+            expect(evaluateAnalysisCriterion('no_lint_errors', current)).toBe(false);
+            expect(evaluateAnalysisCriterion('max_lint_warnings_1', current)).toBe(true);
+            expect(evaluateAnalysisCriterion('no_new_errors', null, baseline)).toBe(false);
+            expect(evaluateAnalysisCriterion('exit_code_is_0', current, baseline)).toBeNull();
+        });
+
+        it('should fail when an analyzer that ran in the baseline did not finish', () => {
+            const baseline = aggregateDiagnostics([
+                { tool: 'eslint', status: 'ok', durationMs: 1, error: null, diagnostics: [diagnostic()] },
+                { tool: 'tsc', status: 'ok', durationMs: 1, error: null, diagnostics: [] },
+                { tool: 'ruff', status: 'unavailable', durationMs: 1, error: 'ruff: command not found', diagnostics: [] }
+            ]);
+            const crashed = aggregateDiagnostics([
+                { tool: 'eslint', status: 'failed', durationMs: 1, error: 'Could not parse eslint output', diagnostics: [] },
+                { tool: 'tsc', status: 'ok', durationMs: 1, error: null, diagnostics: [] },
+                { tool: 'ruff', status: 'unavailable', durationMs: 1, error: 'ruff: command not found', diagnostics: [] }
+            ]);
+            const timedOut = aggregateDiagnostics([
+                { tool: 'eslint', status: 'ok', durationMs: 1, error: null, diagnostics: [diagnostic()] },
+                { tool: 'tsc', status: 'timeout', durationMs: 1, error: 'Command timed out', diagnostics: [] }
+            ]);
+
+            expect(evaluateAnalysisCriterion('no_new_errors', crashed, baseline)).toBe(false);
+            expect(evaluateAnalysisCriterion('no_new_warnings', timedOut, baseline)).toBe(false);
+            expect(evaluateAnalysisCriterion('no_lint_errors', crashed, baseline)).toBe(false);
+            // ruff never ran, so it is not required to run now
+            expect(evaluateAnalysisCriterion('no_new_errors', baseline, baseline)).toBe(true);
+        });
+
+        it('should format diagnostics for prompts', () => {
+            const text = formatDiagnostics([diagnostic(), diagnostic({ file: null, line: null, column: null, rule: null, tool: 'tsc', message: 'Invalid config' })], { maxDiagnostics: 1 });
+            expect(text).toBe("src/app.js:3:5 error 'foo' is not defined. (eslint/no-undef)\n... and 1 more.");
+        });
+    });
+});
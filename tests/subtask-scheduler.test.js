@@ -0,0 +1,189 @@
+// tests/subtask-scheduler.test.js
+
+import { jest } from '@jest/globals';
+import { SubtaskScheduler, buildSubtaskGraph, MAX_CONCURRENT_CONFIG_KEY } from '../src/core/subtask-scheduler.js';
+import { PlanningError } from '../src/core/error-utils.js';
+
+describe('SubtaskScheduler', () => {
+    const subtasks = [
+        { id: 'T1', title: 'Setup', dependencies: [] },
+        { id: 'T2', title: 'API', dependencies: ['T1'] },
+        { id: 'T3', title: 'UI', dependencies: ['T1'] },
+        { id: 'T4', title: 'Docs', dependencies: [] },
+        { id: 'T5', title: 'E2E tests', dependencies: ['T2', 'T3'] }
+    ];
+
+    const createProjectState = (remaining = subtasks.map(t => t.id)) => ({
+        metadata: { status: 'processing_tasks' },
+        execution: { subtasksFull: subtasks, subtasksRemainingIds: [...remaining], subtaskAttempts: {} }
+    });
+
+    // Resolves each subtask on demand so tests control completion order
+    const createControlledExecutor = () => {
+        const pending = new Map();
+        const execute = jest.fn(subtask => new Promise(resolve => pending.set(subtask.id, resolve)));
+        const finish = async (id, result = { success: true }) => {
+            pending.get(id)(result);
+            pending.delete(id);
+            await new Promise(resolve => setImmediate(resolve));
+        };
+        const flush = () => new Promise(resolve => setImmediate(resolve));
+        return { execute, finish, flush, running: () => [...pending.keys()] };
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('buildSubtaskGraph', () => {
+        it('should order subtasks topologically and treat finished dependencies as satisfied', () => {
+            expect(buildSubtaskGraph(subtasks).order).toEqual(['T1', 'T4', 'T2', 'T3', 'T5']);
+
+            const graph = buildSubtaskGraph(subtasks, ['T2', 'T5']);
+            expect([...graph.dependencies.get('T2')]).toEqual([]);
+            expect([...graph.dependencies.get('T5')]).toEqual(['T2']);
+        });
+
+        it('should accept breakdown-style subtask_id fields', () => {
+            const graph = buildSubtaskGraph([{ subtask_id: 'A' }, { subtask_id: 'B', dependencies: ['A'] }]);
+            expect(graph.order).toEqual(['A', 'B']);
+        });
+
+        it('should reject cycles and unknown dependencies with a PlanningError', () => {
+            const cyclic = [
+                { id: 'A', dependencies: ['C'] },
+                { id: 'B', dependencies: ['A'] },
+                { id: 'C', dependencies: ['B'] },
+                { id: 'D' }
+            ];
+            expect(() => buildSubtaskGraph(cyclic)).toThrow(PlanningError);
+            expect(() => buildSubtaskGraph(cyclic)).toThrow('Subtask dependencies contain a cycle: A -> C -> B -> A.');
+            expect(() => buildSubtaskGraph([{ id: 'A', dependencies: ['A'] }])).toThrow('cycle');
+            expect(() => buildSubtaskGraph([{ id: 'A', dependencies: ['Z'] }])).toThrow('depends on unknown subtask(s): Z');
+        });
+    });
+
+    it('should read the concurrency limit from configuration', () => {
+        const configManager = { get: jest.fn(() => 2) };
+        expect(new SubtaskScheduler(configManager).maxConcurrent).toBe(2);
+        expect(configManager.get).toHaveBeenCalledWith(MAX_CONCURRENT_CONFIG_KEY, 4);
+        expect(new SubtaskScheduler(null).maxConcurrent).toBe(4);
+    });
+
+    it('should run independent subtasks concurrently within the limit', async () => {
+        const scheduler = new SubtaskScheduler(null, { maxConcurrent: 2 });
+        const projectState = createProjectState();
+        const executor = createControlledExecutor();
+
+        const runPromise = scheduler.run('web-app', projectState, executor.execute);
+        await executor.flush();
+        expect(executor.running()).toEqual(['T1', 'T4']);
+        expect(projectState.execution.runningSubtaskIds).toEqual(['T1', 'T4']);
+
+        await executor.finish('T1');
+        expect(executor.running()).toEqual(['T4', 'T2']); // T3 waits for a free slot
+        await executor.finish('T4');
+        expect(executor.running()).toEqual(['T2', 'T3']);
+        await executor.finish('T3');
+        expect(executor.running()).toEqual(['T2']); // T5 still waits for T2
+        await executor.finish('T2');
+        await executor.finish('T5');
+
+        const result = await runPromise;
+        expect(result).toEqual({ completed: ['T1', 'T4', 'T3', 'T2', 'T5'], failed: [], notStarted: [] });
+        expect(projectState.execution.subtasksRemainingIds).toEqual([]);
+        expect(projectState.execution.subtaskAttempts).toEqual({ T1: 1, T2: 1, T3: 1, T4: 1, T5: 1 });
+        expect(projectState.execution.runningSubtaskIds).toBeUndefined();
+    });
+
+    it('should stop launching after a failure and report blocked subtasks', async () => {
+        const scheduler = new SubtaskScheduler(null, { maxConcurrent: 4 });
+        const projectState = createProjectState();
+        projectState.execution.subtaskAttempts = { T1: 1 };
+        const error = new Error('compile error');
+        const execute = jest.fn(async subtask => {
+            if (subtask.id === 'T1') throw error;
+            return { success: true };
+        });
+
+        const result = await scheduler.run('web-app', projectState, execute);
+
+        expect(result.failed).toEqual([{ id: 'T1', error }]);
+        expect(result.completed).toEqual(['T4']);
+        expect(result.notStarted).toEqual(['T2', 'T3', 'T5']);
+        expect(projectState.execution.subtasksRemainingIds).toEqual(['T1', 'T2', 'T3', 'T5']);
+        expect(projectState.execution.subtaskAttempts).toEqual({ T1: 2, T4: 1 });
+    });
+
+    it('should write checkpoints sequentially from per-completion snapshots', async () => {
+        const scheduler = new SubtaskScheduler(null, { maxConcurrent: 4 });
+        const projectState = createProjectState(['T2', 'T3']);
+        const executor = createControlledExecutor();
+        const written = [];
+        let releaseFirst;
+        const checkpoint = jest.fn((projectName, snapshot, info) => {
+            written.push({ subtaskId: info.subtaskId, remaining: snapshot.execution.subtasksRemainingIds });
+            return written.length === 1 ? new Promise(resolve => { releaseFirst = resolve; }) : Promise.resolve();
+        });
+
+        const runPromise = scheduler.run('web-app', projectState, executor.execute, { checkpoint });
+        await executor.flush();
+        await executor.finish('T3');
+        await executor.finish('T2');
+        expect(checkpoint).toHaveBeenCalledTimes(1); // Second checkpoint waits for the first
+        releaseFirst();
+        await runPromise;
+
+        expect(written).toEqual([
+            { subtaskId: 'T3', remaining: ['T2'] },
+            { subtaskId: 'T2', remaining: [] }
+        ]);
+    });
+
+    it('should checkpoint JSON snapshots and skip states that cannot be serialised', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const scheduler = new SubtaskScheduler(null, { maxConcurrent: 1 });
+        const projectState = createProjectState(['T1', 'T4']);
+        projectState.context = { logger: { log: () => {} }, started: new Date('2024-01-01T00:00:00.000Z') };
+        const checkpoint = jest.fn(async () => {});
+        const execute = jest.fn(async (subtask) => {
+            if (subtask.id === 'T4') projectState.context.self = projectState.context;
+            return { success: true };
+        });
+
+        await scheduler.run('web-app', projectState, execute, { checkpoint });
+
+        expect(checkpoint).toHaveBeenCalledTimes(1);
+        expect(checkpoint.mock.calls[0][1].context).toEqual({ logger: {}, started: '2024-01-01T00:00:00.000Z' });
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Skipping checkpoint after subtask T4'));
+    });
+
+    it('should let in-flight subtasks settle before rethrowing an onSettled error', async () => {
+        const scheduler = new SubtaskScheduler(null, { maxConcurrent: 2 });
+        const projectState = createProjectState(['T1', 'T4']);
+        const executor = createControlledExecutor();
+        const hookError = new Error('listener bug');
+        const onSettled = jest.fn((subtask) => {
+            if (subtask.id === 'T1') throw hookError;
+        });
+        let outcome = null;
+
+        const runPromise = scheduler.run('web-app', projectState, executor.execute, { onSettled })
+            .then(() => { outcome = 'resolved'; }, (error) => { outcome = error; });
+        await executor.flush();
+        await executor.finish('T1');
+        expect(outcome).toBeNull(); // T4 is still running
+
+        await executor.finish('T4');
+        await runPromise;
+
+        expect(outcome).toBe(hookError);
+        expect(onSettled).toHaveBeenCalledTimes(2);
+        expect(projectState.execution.subtasksRemainingIds).toEqual([]);
+        expect(projectState.execution.runningSubtaskIds).toBeUndefined();
+    });
+});
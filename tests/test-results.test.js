@@ -0,0 +1,199 @@
+// tests/test-results.test.js
+
+import { jest } from '@jest/globals';
+import {
+    TEST_FRAMEWORKS,
+    detectTestFramework,
+    evaluateTestCriterion,
+    formatTestFailures,
+    parseTestReport,
+    runStructuredTests,
+    withReporter
+} from '../src/core/test-results.js';
+
+const ROOT = '/sandbox_project/cloned_repo';
+
+const JEST_REPORT = JSON.stringify({
+    startTime: 1000,
+    testResults: [
+        {
+            name: `${ROOT}/src/math.test.js`,
+            status: 'failed',
+            endTime: 1450,
+            assertionResults: [
+                { ancestorTitles: ['math'], title: 'adds', fullName: 'math adds', status: 'passed', duration: 3, failureMessages: [] },
+                {
+                    ancestorTitles: ['math'],
+                    title: 'subtracts',
+                    fullName: 'math subtracts',
+                    status: 'failed',
+                    duration: 5,
+                    failureMessages: [`Error: expect(received).toBe(expected)\n\nExpected: 1\nReceived: 5\n    at Object.<anonymous> (${ROOT}/src/math.test.js:12:23)\n    at processTicksAndRejections (node:internal/process/task_queues:95:5)`]
+                },
+                { ancestorTitles: ['math'], title: 'divides', fullName: 'math divides', status: 'todo', duration: null, failureMessages: [] }
+            ]
+        },
+        { name: `${ROOT}/src/broken.test.js`, status: 'failed', message: "Cannot find module './missing' from 'src/broken.test.js'", assertionResults: [] }
+    ]
+});
+
+describe('Structured test results', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should detect the framework and add its reporter', () => {
+        expect(detectTestFramework(['npx', 'jest', '--ci'])).toBe(TEST_FRAMEWORKS.JEST);
+        expect(detectTestFramework(['npm', 'test'], { testScript: 'vitest run' })).toBe(TEST_FRAMEWORKS.VITEST);
+        expect(detectTestFramework('python -m pytest -q')).toBe(TEST_FRAMEWORKS.PYTEST);
+        expect(detectTestFramework(['go', 'test', './...'])).toBe(TEST_FRAMEWORKS.GO);
+        expect(detectTestFramework(['make', 'check'])).toBeNull();
+
+        expect(withReporter(TEST_FRAMEWORKS.JEST, ['npm', 'test'], '/sandbox_project/r.json'))
+            .toEqual(['npm', 'test', '--', '--json', '--outputFile=/sandbox_project/r.json']);
+        expect(withReporter(TEST_FRAMEWORKS.MOCHA, ['npx', 'mocha'], '/r.json'))
+            .toEqual(['npx', 'mocha', '--reporter', 'json', '--reporter-option', 'output=/r.json']);
+        expect(withReporter(TEST_FRAMEWORKS.PYTEST, 'pytest -q', '/r.xml')).toEqual(['pytest', '-q', '--junitxml=/r.xml', '-o', 'junit_family=xunit1']);
+        expect(withReporter(TEST_FRAMEWORKS.GO, ['go', 'test', './...'], null)).toEqual(['go', 'test', '-json', './...']);
+    });
+
+    it('should parse Jest and Vitest JSON reports', () => {
+        const results = parseTestReport(TEST_FRAMEWORKS.JEST, JEST_REPORT, { rootDir: ROOT });
+
+        expect(results.summary).toEqual({ total: 4, passed: 1, failed: 2, skipped: 1, durationMs: 450 });
+        expect(results.tests[1]).toEqual({
+            name: 'math subtracts',
+            status: 'failed',
+            durationMs: 5,
+            failureMessage: 'Error: expect(received).toBe(expected)\n\nExpected: 1\nReceived: 5',
+            stack: expect.stringContaining('at Object.<anonymous>'),
+            file: 'src/math.test.js',
+            line: 12
+        });
+        expect(results.tests[3]).toMatchObject({ name: 'src/broken.test.js', status: 'failed', failureMessage: expect.stringContaining('Cannot find module') });
+        expect(parseTestReport(TEST_FRAMEWORKS.VITEST, JEST_REPORT).framework).toBe('vitest');
+    });
+
+    it('should parse Mocha JSON and pytest JUnit XML reports', () => {
+        const mocha = parseTestReport(TEST_FRAMEWORKS.MOCHA, JSON.stringify({
+            stats: { duration: 20 },
+            tests: [
+                { title: 'works', fullTitle: 'api works', file: `${ROOT}/test/api.spec.js`, duration: 4, err: {} },
+                { title: 'rejects', fullTitle: 'api rejects', file: `${ROOT}/test/api.spec.js`, duration: 2,
+                    err: { message: 'expected 200 to equal 401', stack: `AssertionError: expected 200 to equal 401\n    at Context.<anonymous> (test/api.spec.js:31:10)` } },
+                { title: 'later', fullTitle: 'api later', file: `${ROOT}/test/api.spec.js`, err: {} }
+            ],
+            pending: [{ fullTitle: 'api later' }]
+        }), { rootDir: ROOT });
+        expect(mocha.summary).toEqual({ total: 3, passed: 1, failed: 1, skipped: 1, durationMs: 20 });
+        expect(mocha.tests[1]).toMatchObject({ failureMessage: 'expected 200 to equal 401', file: 'test/api.spec.js', line: 31 });
+
+        // pytest -o junit_family=xunit1 writes the whole document on one line after the declaration
+        const pytest = parseTestReport(TEST_FRAMEWORKS.PYTEST, '<?xml version="1.0" encoding="utf-8"?>'
+            + '<testsuites><testsuite name="pytest" errors="0" failures="1" skipped="1" tests="3" time="0.250" timestamp="2024-05-02T10:15:30.123456" hostname="sandbox">'
+            + '<testcase classname="tests.test_app" name="test_index" file="tests/test_app.py" line="3" time="0.010" />'
+            + '<testcase classname="tests.test_app" name="test_login" file="tests/test_app.py" line="10" time="0.020">'
+            + '<failure message="assert 500 == 200&#10; +  where 500 = &lt;WrapperTestResponse streamed [500 INTERNAL SERVER ERROR]&gt;.status_code">'
+            + `client = &lt;FlaskClient &lt;Flask 'app'&gt;&gt;
+
+    def test_login(client):
+        response = client.post("/login", data={"user": "a"})
+&gt;       assert response.status_code == 200
+E       assert 500 == 200
+E        +  where 500 = &lt;WrapperTestResponse streamed [500 INTERNAL SERVER ERROR]&gt;.status_code
+
+tests/test_app.py:14: AssertionError</failure></testcase>`
+            + '<testcase classname="tests.test_app" name="test_slow" file="tests/test_app.py" line="19" time="0.000">'
+            + `<skipped type="pytest.skip" message="slow">${ROOT}/tests/test_app.py:21: slow</skipped></testcase>`
+            + '</testsuite></testsuites>', { rootDir: ROOT });
+        expect(pytest.summary).toEqual({ total: 3, passed: 1, failed: 1, skipped: 1, durationMs: 250 });
+        expect(pytest.tests[1]).toMatchObject({
+            name: 'tests.test_app::test_login',
+            durationMs: 20,
+            failureMessage: expect.stringMatching(/^assert 500 == 200\n \+  where 500 = <WrapperTestResponse/),
+            stack: expect.stringContaining('>       assert response.status_code == 200'),
+            file: 'tests/test_app.py',
+            line: 11
+        });
+    });
+
+    it('should parse go test -json events', () => {
+        const events = [
+            { Action: 'run', Package: 'svc/math', Test: 'TestAdd' },
+            { Action: 'output', Package: 'svc/math', Test: 'TestAdd', Output: '=== RUN   TestAdd\n' },
+            { Action: 'pass', Package: 'svc/math', Test: 'TestAdd', Elapsed: 0.01 },
+            { Action: 'run', Package: 'svc/math', Test: 'TestSub' },
+            { Action: 'output', Package: 'svc/math', Test: 'TestSub', Output: '    math_test.go:18: got 5, want 1\n' },
+            { Action: 'output', Package: 'svc/math', Test: 'TestSub', Output: '--- FAIL: TestSub (0.00s)\n' },
+            { Action: 'fail', Package: 'svc/math', Test: 'TestSub', Elapsed: 0 },
+            { Action: 'fail', Package: 'svc/math', Elapsed: 0.2 },
+            { Action: 'output', Package: 'svc/api', Output: '# svc/api\napi.go:3:2: undefined: Foo\n' },
+            { Action: 'fail', Package: 'svc/api', Elapsed: 0 }
+        ].map(event => JSON.stringify(event)).join('\n');
+
+        const results = parseTestReport(TEST_FRAMEWORKS.GO, events);
+
+        expect(results.summary).toEqual({ total: 3, passed: 1, failed: 2, skipped: 0, durationMs: 200 });
+        expect(results.tests[1]).toMatchObject({ name: 'svc/math/TestSub', failureMessage: 'got 5, want 1', file: 'math_test.go', line: 18 });
+        expect(results.tests[2]).toMatchObject({ name: 'svc/api', status: 'failed' });
+    });
+
+    it('should run tests in the sandbox with a reporter and fall back to raw output', async () => {
+        const sandboxManager = {
+            readRepositoryFile: jest.fn(async (containerId, filePath) => {
+                if (filePath.endsWith('package.json')) return JSON.stringify({ scripts: { test: 'jest --ci' } });
+                return JEST_REPORT;
+            }),
+            runTests: jest.fn().mockResolvedValue({ output: 'Tests: 2 failed', errorOutput: '', exitCode: 1 }),
+            executeCommand: jest.fn().mockResolvedValue({ output: '', errorOutput: '', exitCode: 0 })
+        };
+
+        const result = await runStructuredTests(sandboxManager, 'container-1', ROOT, ['npm', 'test'], { timeoutMs: 60000 });
+
+        const [, , command, options] = sandboxManager.runTests.mock.calls[0];
+        const reportPath = command.at(-1).replace('--outputFile=', '');
+        expect(command.slice(0, 4)).toEqual(['npm', 'test', '--', '--json']);
+        expect(reportPath).toMatch(/^\/sandbox_project\/\.test-report-.+\.json$/);
+        expect(options).toEqual({ timeoutMs: 60000 });
+        expect(result).toMatchObject({ exitCode: 1, output: 'Tests: 2 failed', testResults: { framework: 'jest', summary: { failed: 2 } } });
+        expect(sandboxManager.executeCommand).toHaveBeenCalledWith('container-1', ['rm', '-f', reportPath]);
+
+        sandboxManager.readRepositoryFile.mockRejectedValue(new Error('ENOENT'));
+        const unreadable = await runStructuredTests(sandboxManager, 'container-1', ROOT, ['npx', 'jest']);
+        expect(unreadable).toMatchObject({ exitCode: 1, testResults: null });
+
+        const unknown = await runStructuredTests(sandboxManager, 'container-1', ROOT, ['make', 'check']);
+        expect(sandboxManager.runTests).toHaveBeenLastCalledWith('container-1', ROOT, ['make', 'check'], {});
+        expect(unknown.testResults).toBeNull();
+    });
+
+    it('should format failures for the debugging prompt and evaluate test criteria', () => {
+        const results = parseTestReport(TEST_FRAMEWORKS.JEST, JEST_REPORT, { rootDir: ROOT });
+
+        const text = formatTestFailures(results, { maxFailures: 1, maxStackLines: 1 });
+        expect(text).toBe([
+            '2 of 4 tests failed (jest).',
+            '',
+            '1. math subtracts [src/math.test.js:12]',
+            '   Error: expect(received).toBe(expected)',
+            '   ',
+            '   Expected: 1',
+            '   Received: 5',
+            `   at Object.<anonymous> (${ROOT}/src/math.test.js:12:23)`,
+            '... and 1 more failing test(s).'
+        ].join('\n'));
+        expect(formatTestFailures({ ...results, tests: results.tests.slice(0, 1) })).toBeNull();
+
+        expect(evaluateTestCriterion('all_tests_pass', results)).toBe(false);
+        expect(evaluateTestCriterion('min_tests_passed_1', results)).toBe(true);
+        expect(evaluateTestCriterion('test_passes_math adds', results)).toBe(true);
+        expect(evaluateTestCriterion('test_passes_subtracts', results)).toBe(false);
+        expect(evaluateTestCriterion('no_failing_tests', null)).toBe(false);
+        expect(evaluateTestCriterion('exit_code_is_0', results)).toBeNull();
+    });
+});
@@ -0,0 +1,153 @@
+// tests/token-budget.test.js
+
+import { jest } from '@jest/globals';
+import { TokenBudgetExceededError, TokenUsageTracker, USAGE_PHASES, classifyBudgetError } from '../src/core/token-budget.js';
+
+describe('TokenUsageTracker', () => {
+    let projectStore;
+    let mockProjectPersistence;
+    let config;
+    let configManager;
+    let activeProjects;
+    let tracker;
+
+    const clone = data => JSON.parse(JSON.stringify(data));
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        projectStore = {};
+        mockProjectPersistence = {
+            saveProject: jest.fn(async (name, data) => { projectStore[name] = clone(data); }),
+            loadProject: jest.fn(async name => (projectStore[name] ? clone(projectStore[name]) : null))
+        };
+        config = {
+            'budgets.pricing': { 'gemini-pro': { inputPer1kTokens: 0.5, outputPer1kTokens: 1.5 } }
+        };
+        configManager = { get: (key, defaultValue) => config[key] ?? defaultValue };
+        activeProjects = new Map([['web-app', { metadata: { status: 'processing_tasks' }, context: {}, execution: {} }]]);
+        tracker = new TokenUsageTracker(mockProjectPersistence, configManager, { activeProjects });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should attribute usage to phase, subtask and model and persist it', async () => {
+        await tracker.record('web-app', { promptTokens: 1000, completionTokens: 200, model: 'gemini-pro' }, { phase: USAGE_PHASES.PLANNING });
+        await tracker.record('web-app', { promptTokens: 400, completionTokens: 600, totalTokens: 1000, model: 'gemini-pro' },
+            { phase: USAGE_PHASES.CODE_GENERATION, subtaskId: 'T1' });
+
+        const { tokenUsage } = projectStore['web-app'].execution;
+        expect(tokenUsage.totals).toEqual({ calls: 2, promptTokens: 1400, completionTokens: 800, totalTokens: 2200, costUsd: 1.9 });
+        expect(tokenUsage.byPhase.planning).toMatchObject({ calls: 1, totalTokens: 1200, costUsd: 0.8 });
+        expect(tokenUsage.bySubtask.T1).toMatchObject({ calls: 1, totalTokens: 1000, costUsd: 1.1 });
+        expect(tokenUsage.byModel['gemini-pro'].calls).toBe(2);
+        await expect(tracker.record('web-app', { promptTokens: 1 }, { phase: 'testing' })).rejects.toMatchObject({ code: 'TOKEN_BUDGET_INVALID_PHASE' });
+    });
+
+    it('should not lose concurrent records for projects loaded from persistence', async () => {
+        projectStore['stored-app'] = { metadata: { status: 'processing_tasks' }, context: {}, execution: {} };
+        const load = mockProjectPersistence.loadProject.getMockImplementation();
+        mockProjectPersistence.loadProject.mockImplementation(async (name) => {
+            await new Promise(resolve => setImmediate(resolve));
+            return load(name);
+        });
+
+        await Promise.all(['T1', 'T2', 'T3', 'T4'].map(subtaskId =>
+            tracker.record('stored-app', { promptTokens: 100, completionTokens: 50 }, { phase: USAGE_PHASES.CODE_GENERATION, subtaskId })));
+
+        const { tokenUsage } = projectStore['stored-app'].execution;
+        expect(tokenUsage.totals).toMatchObject({ calls: 4, totalTokens: 600 });
+        expect(Object.keys(tokenUsage.bySubtask)).toEqual(['T1', 'T2', 'T3', 'T4']);
+    });
+
+    it('should halt a project over its token budget', async () => {
+        config['budgets.perProject'] = { maxTokens: 1000 };
+        await tracker.record('web-app', { promptTokens: 900, completionTokens: 200 }, { phase: USAGE_PHASES.UNDERSTANDING });
+
+        const error = await tracker.checkBudget('web-app').catch(e => e);
+
+        expect(error).toBeInstanceOf(TokenBudgetExceededError);
+        expect(error).toMatchObject({ code: 'TOKEN_BUDGET_EXCEEDED', severity: 'FATAL' });
+        expect(error.message).toContain('1100 tokens (budget 1000)');
+        expect(classifyBudgetError(error)).toMatchObject({ suggestedAction: 'HALT', isRetryable: false });
+    });
+
+    it('should report the remaining share of the tighter budget', async () => {
+        expect(await tracker.remainingBudgetFraction('web-app')).toBeNull();
+
+        config['budgets.perProject'] = { maxTokens: 10000, maxCostUsd: 2 };
+        await tracker.record('web-app', { promptTokens: 1000, completionTokens: 0, model: 'gemini-pro' }, { phase: USAGE_PHASES.PLANNING });
+        expect(await tracker.remainingBudgetFraction('web-app')).toBeCloseTo(0.75); // $0.50 of $2 beats 1000 of 10000 tokens
+
+        activeProjects.get('web-app').context.budget = { maxTokens: 500 };
+        expect(await tracker.remainingBudgetFraction('web-app')).toBe(0);
+    });
+
+    it('should ask for a downgrade first and halt once the headroom is used', async () => {
+        Object.assign(config, { 'budgets.onExceeded': 'downgrade', 'budgets.downgradeModel': 'gemini-flash', 'budgets.downgradeHeadroom': 0.5 });
+        activeProjects.get('web-app').context.budget = { maxCostUsd: 1 };
+        await tracker.record('web-app', { promptTokens: 1000, completionTokens: 500, model: 'gemini-pro' }, { phase: USAGE_PHASES.BREAKDOWN });
+
+        const downgrade = await tracker.checkBudget('web-app').catch(e => e);
+        expect(downgrade.context).toMatchObject({ budgetAction: 'downgrade', downgradeModel: 'gemini-flash', budget: { maxCostUsd: 1, maxTokens: null } });
+        expect(classifyBudgetError(downgrade)).toMatchObject({ suggestedAction: 'RETRY_SUBTASK_MODIFIED', isRetryable: true, details: expect.stringContaining('gemini-flash') });
+
+        expect(await tracker.markDowngraded('web-app')).toBe('gemini-flash');
+        await expect(tracker.checkBudget('web-app')).resolves.toBeUndefined();
+
+        await tracker.record('web-app', { promptTokens: 0, completionTokens: 300, model: 'gemini-pro' }, { phase: USAGE_PHASES.DEBUGGING });
+        await expect(tracker.checkBudget('web-app')).rejects.toMatchObject({ context: expect.objectContaining({ budgetAction: 'halt' }) });
+    });
+
+    it('should meter model calls through onUsage', async () => {
+        config['budgets.perProject'] = { maxTokens: 100 };
+        const model = {
+            generateText: jest.fn(async (prompt, options) => {
+                options.onUsage({ promptTokens: 60, completionTokens: 50, model: 'gemini-pro' });
+                return 'answer';
+            }),
+            debugCode: jest.fn(async () => ({ type: 'debug' }))
+        };
+        const callerOnUsage = jest.fn();
+        const metered = tracker.meter(model, 'web-app', { phase: USAGE_PHASES.CODE_GENERATION, subtaskId: 'T2' });
+
+        expect(await metered.generateText('p', { onUsage: callerOnUsage })).toBe('answer');
+        expect(callerOnUsage).toHaveBeenCalledWith(expect.objectContaining({ promptTokens: 60 }));
+        expect(activeProjects.get('web-app').execution.tokenUsage.bySubtask.T2.totalTokens).toBe(110);
+
+        await expect(metered.debugCode('code', 'err')).rejects.toBeInstanceOf(TokenBudgetExceededError);
+        expect(model.debugCode).not.toHaveBeenCalled();
+    });
+
+    it('should meter streams and tool chat turns', async () => {
+        config['budgets.perProject'] = { maxTokens: 100 };
+        const model = {
+            streamText: jest.fn(async function* (prompt, options) {
+                yield { type: 'chunk', text: 'an' };
+                options.onUsage({ promptTokens: 30, completionTokens: 20, model: 'gemini-pro' });
+                yield { type: 'done', text: 'an', usage: null, finishReason: 'STOP' };
+            }),
+            startToolChat: jest.fn((functionDeclarations, options) => ({
+                sendMessage: jest.fn(async () => {
+                    options.onUsage({ promptTokens: 40, completionTokens: 20, model: 'gemini-pro' });
+                    return { text: 'done', functionCalls: [] };
+                })
+            }))
+        };
+        const metered = tracker.meter(model, 'web-app', { phase: USAGE_PHASES.DEBUGGING, subtaskId: 'T3' });
+
+        const events = [];
+        for await (const event of metered.streamText('p', {})) events.push(event.type);
+        expect(events).toEqual(['chunk', 'done']);
+        expect(activeProjects.get('web-app').execution.tokenUsage.bySubtask.T3.totalTokens).toBe(50);
+
+        const chat = metered.startToolChat([{ name: 'read_file' }]);
+        expect(await chat.sendMessage('fix it')).toEqual({ text: 'done', functionCalls: [] });
+        expect(activeProjects.get('web-app').execution.tokenUsage.bySubtask.T3.totalTokens).toBe(110);
+
+        await expect(chat.sendMessage('again')).rejects.toBeInstanceOf(TokenBudgetExceededError);
+        await expect(metered.streamText('p', {}).next()).rejects.toBeInstanceOf(TokenBudgetExceededError);
+        expect(model.streamText).toHaveBeenCalledTimes(1);
+    });
+});
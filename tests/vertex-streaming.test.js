@@ -0,0 +1,106 @@
+// tests/vertex-streaming.test.js
+
+import { jest } from '@jest/globals';
+import { normalizeUsage, streamGenerateContent } from '../src/core/vertex-streaming.js';
+
+const chunk = (text, extra = {}) => ({ candidates: [{ content: { parts: [{ text }] }, ...extra }] });
+
+function streamResult(chunks, { failAfter, usageMetadata } = {}) {
+    return {
+        stream: (async function* () {
+            for (let i = 0; i < chunks.length; i++) {
+                if (i === failAfter) throw new Error('Stream reset');
+                yield chunks[i];
+            }
+        })(),
+        response: Promise.resolve({ usageMetadata })
+    };
+}
+
+async function collect(stream) {
+    const events = [];
+    for await (const event of stream) events.push(event);
+    return events;
+}
+
+// Minimal stand-in for VertexAIBaseModel#withRetry
+const withRetry = async (operation, context, retries = 2) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation();
+        } catch (error) {
+            if (attempt >= retries) throw Object.assign(new Error(`${context}: ${error.message}`), { cause: error });
+        }
+    }
+};
+
+describe('streamGenerateContent', () => {
+    it('should yield text chunks and finish with the full text and token usage', async () => {
+        const model = {
+            generateContentStream: jest.fn().mockResolvedValue(streamResult(
+                [chunk('const a'), chunk(' = 1;'), chunk('', { finishReason: 'STOP' })],
+                { usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 5, totalTokenCount: 17 } }
+            ))
+        };
+        const request = { contents: [{ role: 'user', parts: [{ text: 'p' }] }] };
+
+        const events = await collect(streamGenerateContent(model, request));
+
+        expect(model.generateContentStream).toHaveBeenCalledWith(request);
+        expect(events).toEqual([
+            { type: 'chunk', text: 'const a' },
+            { type: 'chunk', text: ' = 1;' },
+            { type: 'done', text: 'const a = 1;', usage: { promptTokens: 12, completionTokens: 5, totalTokens: 17 }, finishReason: 'STOP' }
+        ]);
+    });
+
+    it('should retry failures before the first token', async () => {
+        const model = {
+            generateContentStream: jest.fn()
+                .mockRejectedValueOnce(new Error('Rate limit'))
+                .mockResolvedValueOnce(streamResult([chunk('late')], { failAfter: 0 }))
+                .mockResolvedValueOnce(streamResult([chunk('ok')]))
+        };
+
+        const events = await collect(streamGenerateContent(model, {}, { withRetry, context: 'streamText' }));
+
+        expect(model.generateContentStream).toHaveBeenCalledTimes(3);
+        expect(events.map(e => e.text)).toEqual(['ok', 'ok']);
+    });
+
+    it('should not retry once output has been yielded', async () => {
+        const model = { generateContentStream: jest.fn().mockResolvedValue(streamResult([chunk('a'), chunk('b')], { failAfter: 1 })) };
+        const wrapError = jest.fn((error, context) => Object.assign(new Error(`wrapped ${context}`), { original: error }));
+        const events = [];
+
+        const consume = async () => {
+            for await (const event of streamGenerateContent(model, {}, { withRetry, wrapError, context: 'streamCode' })) events.push(event);
+        };
+
+        await expect(consume()).rejects.toThrow('wrapped streamCode');
+        expect(events).toEqual([{ type: 'chunk', text: 'a' }]);
+        expect(model.generateContentStream).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop reading when the signal aborts', async () => {
+        const controller = new AbortController();
+        const reason = new Error('cancelled');
+        const model = { generateContentStream: jest.fn().mockResolvedValue(streamResult([chunk('a'), chunk('b'), chunk('c')])) };
+        const events = [];
+
+        const consume = async () => {
+            for await (const event of streamGenerateContent(model, {}, { signal: controller.signal })) {
+                events.push(event);
+                controller.abort(reason);
+            }
+        };
+
+        await expect(consume()).rejects.toBe(reason);
+        expect(events).toHaveLength(1);
+    });
+
+    it('should fill in missing usage fields', () => {
+        expect(normalizeUsage(undefined)).toBeNull();
+        expect(normalizeUsage({ promptTokenCount: 3, candidatesTokenCount: 4 })).toEqual({ promptTokens: 3, completionTokens: 4, totalTokens: 7 });
+    });
+});